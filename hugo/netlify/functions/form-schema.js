@@ -0,0 +1,78 @@
+/**
+ * VeilForms - Form Schema Endpoint
+ * GET /api/form-schema/:formId - Get the fields saved in the form builder
+ *
+ * Public, like /api/submit: VeilForms.render() draws the form from this
+ * schema instead of hand-written HTML
+ */
+
+import { getForm } from './lib/storage.js';
+import { checkRateLimit, getRateLimitHeaders } from './lib/rate-limit.js';
+import { isValidFormId, parseUrlPath } from './lib/validation.js';
+import * as response from './lib/responses.js';
+
+// Field properties the renderer uses; anything else stays private
+const PUBLIC_FIELD_PROPERTIES = [
+  'id', 'type', 'name', 'label', 'placeholder', 'required', 'options', 'defaultValue',
+  'min', 'max', 'content', 'level', 'stepTitle', 'stepDescription', 'conditions'
+];
+
+export default async function handler(req, context) {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (req.method === 'OPTIONS') {
+    return response.noContent(headers);
+  }
+
+  if (req.method !== 'GET') {
+    return response.methodNotAllowed(headers);
+  }
+
+  const rateLimit = await checkRateLimit(req, { keyPrefix: 'form-schema', maxRequests: 60 });
+  if (!rateLimit.allowed) {
+    return response.tooManyRequests(
+      { ...headers, ...getRateLimitHeaders(rateLimit) },
+      rateLimit.retryAfter
+    );
+  }
+
+  const formId = parseUrlPath(req.url, '/api/form-schema/')[0];
+  if (!isValidFormId(formId)) {
+    return response.badRequest('Invalid form ID', headers);
+  }
+
+  try {
+    const form = await getForm(formId);
+    if (!form || form.status === 'deleted') {
+      return response.notFound('Form not found', headers);
+    }
+
+    return response.success({
+      formId,
+      name: form.name,
+      updatedAt: form.updatedAt || null,
+      schemaVersion: form.schemaVersion || 1,
+      fields: (form.fields || []).map(publicField)
+    }, { ...headers, 'Cache-Control': 'public, max-age=60' });
+  } catch (err) {
+    console.error('Form schema error:', err);
+    return response.serverError(headers);
+  }
+}
+
+function publicField(field) {
+  const result = {};
+  for (const key of PUBLIC_FIELD_PROPERTIES) {
+    if (field[key] !== undefined) result[key] = field[key];
+  }
+  return result;
+}
+
+export const config = {
+  path: '/api/form-schema/*'
+};
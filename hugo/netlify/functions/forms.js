@@ -5,8 +5,15 @@
  * POST /api/forms - Create new form
  * PUT /api/forms/:id - Update form
  * DELETE /api/forms/:id - Soft delete form
+ * POST /api/forms/:id/shred - Destroy the form's keys and purge all its data
  * GET /api/forms/:id/stats - Form statistics
  * POST /api/forms/:id/regenerate-keys - Regenerate encryption keys
+ * POST /api/forms/:id/wrapped-keys - Store form keys wrapped for the account master key
+ * POST /api/forms/:id/recipients - Add an extra recipient public key
+ * DELETE /api/forms/:id/recipients/:kid - Remove a recipient
+ * GET /api/forms/:id/invites - List invite batches with how many codes were used
+ * POST /api/forms/:id/invites - Add a batch of invite nullifiers
+ * DELETE /api/forms/:id/invites/:batchId - Revoke an invite batch
  */
 
 import { authenticateRequest } from './lib/auth.js';
@@ -17,14 +24,25 @@ import {
   deleteForm,
   getUserForms,
   getSubmissions,
-  getUserById
+  getUserById,
+  shredFormKeys,
+  shredKeyVaultHistory,
+  purgeFormStore,
+  deletePartialSubmissions,
+  addInvites,
+  getInviteCounts,
+  deleteInviteBatch
 } from './lib/storage.js';
+import { deleteIdempotencyKeys } from './lib/idempotency.js';
+import { signErasureCertificate } from './lib/receipts.js';
 import { checkRateLimit, getRateLimitHeaders } from './lib/rate-limit.js';
 import { logAudit, AuditEvents, getAuditContext } from './lib/audit.js';
 import { getCorsHeaders } from './lib/cors.js';
 import { validateCsrfToken, generateCsrfToken, getCsrfHeaders } from './lib/csrf.js';
 import * as response from './lib/responses.js';
-import { isValidFormId, parseUrlPath, validateFormName, validateBranding, validateRetention, validateRecipients, isValidWebhookUrl } from './lib/validation.js';
+import { validateJWK, getKeyId, getKeyAlgorithm, toPublicJWK, getFormKeyring, validateWrappedFormKey } from './lib/key-utils.js';
+import { recordFormKeys } from './lib/key-log.js';
+import { isValidFormId, parseUrlPath, validateFormName, validateBranding, validateRetention, validateRecipients, isValidWebhookUrl, validateSearchableFields, validatePIIPolicy, validateInviteBatch, validateFormFields, FORM_SCHEMA_VERSION } from './lib/validation.js';
 
 // Form creation limits per subscription tier
 const FORM_LIMITS = {
@@ -35,18 +53,41 @@ const FORM_LIMITS = {
   enterprise: Infinity
 };
 
-// Generate RSA key pair for form encryption
-async function generateKeyPair() {
-  const keyPair = await crypto.subtle.generateKey(
-    {
+// Maximum extra recipients per form (the owner key is always included)
+const MAX_RECIPIENTS = 10;
+
+// Maximum wrapped keys accepted in one request
+const MAX_WRAPPED_KEYS = 50;
+
+// Maximum invite batches per form; each batch holds 10 to 1000 codes
+const MAX_INVITE_BATCHES = 20;
+
+// A batch's used count is hidden until this many of its codes are used, so
+// the first responses can't be matched to a batch by watching the count
+const MIN_REPORTED_INVITE_USES = 5;
+
+// Form key algorithms, chosen per form at creation. EC keys are far smaller
+// than RSA-2048 and are used with the vf-e4 (ECIES) envelope
+const KEY_ALGORITHMS = {
+  'RSA-OAEP-2048': {
+    params: {
       name: 'RSA-OAEP',
       modulusLength: 2048,
       publicExponent: new Uint8Array([1, 0, 1]),
       hash: 'SHA-256'
     },
-    true,
-    ['encrypt', 'decrypt']
-  );
+    usages: ['encrypt', 'decrypt']
+  },
+  'ECDH-P256': { params: { name: 'ECDH', namedCurve: 'P-256' }, usages: ['deriveBits'] },
+  'ECDH-X25519': { params: { name: 'X25519' }, usages: ['deriveBits'] }
+};
+
+const DEFAULT_KEY_ALGORITHM = 'RSA-OAEP-2048';
+
+// Generate a key pair for form encryption
+async function generateKeyPair(algorithm) {
+  const { params, usages } = KEY_ALGORITHMS[algorithm];
+  const keyPair = await crypto.subtle.generateKey(params, true, usages);
 
   const publicKey = await crypto.subtle.exportKey('jwk', keyPair.publicKey);
   const privateKey = await crypto.subtle.exportKey('jwk', keyPair.privateKey);
@@ -54,6 +95,65 @@ async function generateKeyPair() {
   return { publicKey, privateKey };
 }
 
+/**
+ * Get the key pair for a new form key
+ * Accounts with a master key can send a browser-generated public key and its
+ * private key wrapped for the master key, so the server never sees the private
+ * key. Otherwise the server generates a pair and returns the private key once
+ * @param {Object} body - Request body
+ * @param {Object} user - Account owner
+ * @param {string} [keyAlgorithm] - Algorithm the form uses (default RSA-OAEP-2048)
+ * @returns {Promise<Object>} { publicKey, privateKey } or { publicKey, wrappedPrivateKey }, or { error }
+ */
+async function prepareFormKey(body, user, keyAlgorithm = DEFAULT_KEY_ALGORITHM) {
+  const { publicKey, wrappedPrivateKey } = body || {};
+
+  if (!KEY_ALGORITHMS[keyAlgorithm]) {
+    return { error: `keyAlgorithm must be one of: ${Object.keys(KEY_ALGORITHMS).join(', ')}` };
+  }
+
+  if (!publicKey && !wrappedPrivateKey) {
+    return generateKeyPair(keyAlgorithm);
+  }
+
+  if (!user?.masterKey) {
+    return { error: 'Set up an account master key before sending wrapped form keys' };
+  }
+
+  const keyValidation = validateJWK(publicKey);
+  if (!keyValidation.valid) {
+    return { error: keyValidation.error };
+  }
+
+  if (publicKey.d) {
+    return { error: 'Form key must be a public key, never a private key' };
+  }
+
+  if (getKeyAlgorithm(publicKey) !== keyAlgorithm) {
+    return { error: `This form uses ${keyAlgorithm} keys` };
+  }
+
+  const wrapValidation = validateWrappedFormKey(wrappedPrivateKey, await getKeyId(publicKey), user.masterKey.kid);
+  if (!wrapValidation.valid) {
+    return { error: wrapValidation.error };
+  }
+
+  return { publicKey: toPublicJWK(publicKey), wrappedPrivateKey };
+}
+
+/**
+ * Keyring as returned to the owner: public keys are left out, wrapped
+ * private keys (ciphertext only the master key opens) are included
+ */
+function summarizeKeyring(keyring = []) {
+  return keyring.map(({ kid, createdAt, retiredAt, wrappedPrivateKey }) => ({
+    kid,
+    createdAt,
+    retiredAt,
+    ...(wrappedPrivateKey && { wrappedPrivateKey })
+  }));
+}
+
 export default async function handler(req, context) {
   const origin = req.headers.get('origin') || '';
   const headers = getCorsHeaders(origin);
@@ -83,7 +183,7 @@ export default async function handler(req, context) {
   // Parse URL to get formId and action
   const pathParts = parseUrlPath(req.url, '/api/forms/');
   const formId = pathParts[0];
-  const action = pathParts[1]; // 'stats' or 'regenerate-keys'
+  const action = pathParts[1]; // 'stats', 'regenerate-keys', 'wrapped-keys', 'recipients', 'invites' or 'shred'
 
   try {
     // Get audit context for logging
@@ -119,6 +219,10 @@ export default async function handler(req, context) {
       return handleGetStats(formId, form, headers);
     }
 
+    if (req.method === 'GET' && action === 'invites') {
+      return handleListInvites(formId, form, headers);
+    }
+
     if (req.method === 'GET') {
       return handleGetForm(form, headers);
     }
@@ -127,12 +231,36 @@ export default async function handler(req, context) {
       return handleUpdateForm(req, formId, form, auth.user.id, headers, auditCtx);
     }
 
+    if (req.method === 'POST' && action === 'recipients') {
+      return handleAddRecipient(req, formId, form, auth.user.id, headers, auditCtx);
+    }
+
+    if (req.method === 'DELETE' && action === 'recipients') {
+      return handleRemoveRecipient(formId, form, pathParts[2], auth.user.id, headers, auditCtx);
+    }
+
+    if (req.method === 'POST' && action === 'invites') {
+      return handleAddInvites(req, formId, form, auth.user.id, headers, auditCtx);
+    }
+
+    if (req.method === 'DELETE' && action === 'invites') {
+      return handleRevokeInvites(formId, form, pathParts[2], auth.user.id, headers, auditCtx);
+    }
+
+    if (req.method === 'POST' && action === 'shred') {
+      return handleShredForm(req, formId, auth.user.id, headers, auditCtx);
+    }
+
     if (req.method === 'DELETE') {
       return handleDeleteForm(formId, auth.user.id, headers, auditCtx);
     }
 
     if (req.method === 'POST' && action === 'regenerate-keys') {
-      return handleRegenerateKeys(formId, auth.user.id, headers, auditCtx);
+      return handleRegenerateKeys(req, formId, form, auth.user.id, headers, auditCtx);
+    }
+
+    if (req.method === 'POST' && action === 'wrapped-keys') {
+      return handleAddWrappedKeys(req, formId, form, auth.user.id, headers, auditCtx);
     }
 
     return response.methodNotAllowed(headers);
@@ -162,7 +290,8 @@ async function handleListForms(userId, headers) {
       settings: {
         encryption: form.settings?.encryption,
         piiStrip: form.settings?.piiStrip,
-        allowedOrigins: form.settings?.allowedOrigins
+        allowedOrigins: form.settings?.allowedOrigins,
+        searchableFields: form.settings?.searchableFields || []
       }
     }));
 
@@ -184,6 +313,17 @@ async function handleCreateForm(req, userId, headers, auditCtx) {
     return response.badRequest(nameValidation.error, headers);
   }
 
+  if (settings?.piiPolicy !== undefined) {
+    const policyValidation = validatePIIPolicy(settings.piiPolicy);
+    if (!policyValidation.valid) {
+      return response.badRequest(policyValidation.error, headers);
+    }
+  }
+
+  if (settings?.requireInvite !== undefined && typeof settings.requireInvite !== 'boolean') {
+    return response.badRequest('requireInvite must be true or false', headers);
+  }
+
   // Check form creation limits based on subscription
   const user = await getUserById(userId);
   const subscription = user?.subscription || 'free';
@@ -213,13 +353,28 @@ async function handleCreateForm(req, userId, headers, auditCtx) {
     );
   }
 
-  // Generate encryption keys
-  const { publicKey, privateKey } = await generateKeyPair();
+  // Browser-generated keys wrapped for the master key, or a server-generated pair
+  const keyAlgorithm = body.keyAlgorithm || DEFAULT_KEY_ALGORITHM;
+  const formKey = await prepareFormKey(body, user, keyAlgorithm);
+  if (formKey.error) {
+    return response.badRequest(formKey.error, headers);
+  }
+  const { publicKey, privateKey, wrappedPrivateKey } = formKey;
+  const keyId = await getKeyId(publicKey);
 
   // Create form with all settings including branding, retention, and notifications
   const form = await createForm(userId, {
     name: name.trim(),
     publicKey,
+    keyId,
+    keyAlgorithm,
+    keyring: [{
+      kid: keyId,
+      publicKey,
+      createdAt: new Date().toISOString(),
+      retiredAt: null,
+      ...(wrappedPrivateKey && { wrappedPrivateKey })
+    }],
     settings: {
       encryption: true,
       piiStrip: settings?.piiStrip || false,
@@ -247,6 +402,9 @@ async function handleCreateForm(req, userId, headers, auditCtx) {
     }
   });
 
+  // Publish the key in the transparency log
+  await recordFormKeys(form);
+
   // Log audit event
   await logAudit(userId, AuditEvents.FORM_CREATED, {
     formId: form.id,
@@ -260,17 +418,25 @@ async function handleCreateForm(req, userId, headers, auditCtx) {
       status: 'active',
       createdAt: form.createdAt,
       publicKey: form.publicKey,
-      privateKey, // Only returned on creation!
+      keyId,
+      keyAlgorithm,
+      ...(privateKey && { privateKey: { ...privateKey, kid: keyId } }), // Only returned on creation!
       settings: form.settings
     },
-    warning: 'Save your private key immediately! This is the only time it will be shown. We cannot recover it.'
+    ...(privateKey && {
+      warning: 'Save your private key immediately! This is the only time it will be shown. We cannot recover it.'
+    })
   }, headers);
 }
 
 /**
  * GET /api/forms/:id - Get single form
+ * Forms from before the key log are added to it here, by their owner,
+ * rather than on the public key log endpoint
  */
 async function handleGetForm(form, headers) {
+  await recordFormKeys(form);
+
   return response.success({
     form: {
       id: form.id,
@@ -281,6 +447,13 @@ async function handleGetForm(form, headers) {
       submissionCount: form.submissionCount || 0,
       lastSubmissionAt: form.lastSubmissionAt,
       publicKey: form.publicKey,
+      keyId: form.keyId || null,
+      keyAlgorithm: form.keyAlgorithm || DEFAULT_KEY_ALGORITHM,
+      keyRotatedAt: form.keyRotatedAt || null,
+      keyring: summarizeKeyring(form.keyring),
+      recipients: form.recipients || [],
+      fields: form.fields || [],
+      schemaVersion: form.schemaVersion || 1,
       settings: form.settings
     }
   }, headers);
@@ -291,7 +464,7 @@ async function handleGetForm(form, headers) {
  */
 async function handleUpdateForm(req, formId, form, userId, headers, auditCtx) {
   const body = await req.json();
-  const { name, status, settings } = body;
+  const { name, status, fields, schemaVersion, settings } = body;
 
   const updates = {};
   const changes = [];
@@ -313,6 +486,21 @@ async function handleUpdateForm(req, formId, form, userId, headers, auditCtx) {
     changes.push('status');
   }
 
+  // Form schema from the builder, published to the SDK renderer
+  if (fields !== undefined) {
+    const fieldsValidation = validateFormFields(fields);
+    if (!fieldsValidation.valid) {
+      return response.badRequest(fieldsValidation.error, headers);
+    }
+    // Saves from before schema versions were added are version 1
+    if (schemaVersion !== undefined && ![1, FORM_SCHEMA_VERSION].includes(schemaVersion)) {
+      return response.badRequest(`schemaVersion must be 1 or ${FORM_SCHEMA_VERSION}`, headers);
+    }
+    updates.fields = fields;
+    updates.schemaVersion = schemaVersion || 1;
+    changes.push('fields');
+  }
+
   if (settings !== undefined) {
     updates.settings = {
       ...form.settings,
@@ -329,6 +517,32 @@ async function handleUpdateForm(req, formId, form, userId, headers, auditCtx) {
       return response.badRequest('allowedOrigins must be an array', headers);
     }
 
+    // Validate searchable fields (blind index lookups)
+    if (settings.searchableFields !== undefined) {
+      const searchableValidation = validateSearchableFields(settings.searchableFields);
+      if (!searchableValidation.valid) {
+        return response.badRequest(searchableValidation.error, headers);
+      }
+      changes.push('searchableFields');
+    }
+
+    // Validate the PII policy the SDK enforces
+    if (settings.piiPolicy !== undefined) {
+      const policyValidation = validatePIIPolicy(settings.piiPolicy);
+      if (!policyValidation.valid) {
+        return response.badRequest(policyValidation.error, headers);
+      }
+      changes.push('piiPolicy');
+    }
+
+    // Invite-only forms take one submission per invite code
+    if (settings.requireInvite !== undefined) {
+      if (typeof settings.requireInvite !== 'boolean') {
+        return response.badRequest('requireInvite must be true or false', headers);
+      }
+      changes.push('requireInvite');
+    }
+
     // Validate branding settings
     if (settings.branding) {
       const brandingValidation = validateBranding(settings.branding);
@@ -393,6 +607,8 @@ async function handleUpdateForm(req, formId, form, userId, headers, auditCtx) {
       submissionCount: updated.submissionCount || 0,
       lastSubmissionAt: updated.lastSubmissionAt,
       publicKey: updated.publicKey,
+      fields: updated.fields || [],
+      schemaVersion: updated.schemaVersion || 1,
       settings: updated.settings
     }
   }, headers);
@@ -419,13 +635,51 @@ async function handleDeleteForm(formId, userId, headers, auditCtx) {
   }, headers);
 }
 
+/**
+ * POST /api/forms/:id/shred - Crypto-shred a form
+ * Body: { confirm } set to the form ID. Destroys the key material held for
+ * the form before anything else, so its data is unreadable from that point
+ * on, then purges its submission store, partial submissions, idempotency
+ * records and the earlier revisions of the owner's key vault. A shred that fails part-way can be repeated to finish the purge.
+ * The signed erasure certificate is recorded in the audit log
+ */
+async function handleShredForm(req, formId, userId, headers, auditCtx) {
+  const body = await req.json().catch(() => ({}));
+  if (body?.confirm !== formId) {
+    return response.badRequest('Shredding cannot be undone: send the form ID as `confirm`', headers);
+  }
+
+  const shreddedAt = new Date().toISOString();
+  const removedKeys = await shredFormKeys(formId, shreddedAt);
+
+  const purged = {
+    blobs: await purgeFormStore(formId),
+    partialSubmissions: await deletePartialSubmissions(formId),
+    idempotencyKeys: await deleteIdempotencyKeys(formId),
+    keyVaultRevisions: await shredKeyVaultHistory(userId, formId)
+  };
+
+  const certificate = await signErasureCertificate({ formId, shreddedAt, removedKeys, purged });
+
+  await logAudit(userId, AuditEvents.FORM_SHREDDED, {
+    formId,
+    certificate
+  }, auditCtx);
+
+  return response.success({
+    success: true,
+    shredded: formId,
+    certificate
+  }, headers);
+}
+
 /**
  * GET /api/forms/:id/stats - Form statistics
  * Optimized single-pass algorithm for calculating all metrics
  */
 async function handleGetStats(formId, form, headers) {
   // Get recent submissions for additional stats
-  const result = await getSubmissions(formId, 500, 0);
+  const result = await getSubmissions(formId, 500);
 
   // Pre-calculate time boundaries
   const now = Date.now();
@@ -510,20 +764,50 @@ async function handleGetStats(formId, form, headers) {
 
 /**
  * POST /api/forms/:id/regenerate-keys - Regenerate encryption keys
+ * The old public key is retired but kept in the keyring, so submissions
+ * encrypted with it stay attributable to the matching private key
  */
-async function handleRegenerateKeys(formId, userId, headers, auditCtx) {
-  // Generate new encryption keys
-  const { publicKey, privateKey } = await generateKeyPair();
+async function handleRegenerateKeys(req, formId, form, userId, headers, auditCtx) {
+  const body = await req.json().catch(() => ({}));
+
+  // Browser-generated keys wrapped for the master key, or a server-generated pair
+  // Rotation keeps the algorithm the form was created with
+  const formKey = await prepareFormKey(body, await getUserById(userId), form.keyAlgorithm);
+  if (formKey.error) {
+    return response.badRequest(formKey.error, headers);
+  }
+  const { publicKey, privateKey, wrappedPrivateKey } = formKey;
+  const keyId = await getKeyId(publicKey);
+  const rotatedAt = new Date().toISOString();
+
+  const keyring = (await getFormKeyring(form)).map(entry => ({
+    ...entry,
+    retiredAt: entry.retiredAt || rotatedAt
+  }));
+  keyring.push({
+    kid: keyId,
+    publicKey,
+    createdAt: rotatedAt,
+    retiredAt: null,
+    ...(wrappedPrivateKey && { wrappedPrivateKey })
+  });
 
   // Update form with new public key
   const updated = await updateForm(formId, {
     publicKey,
-    keyRotatedAt: new Date().toISOString()
+    keyId,
+    keyring,
+    keyRotatedAt: rotatedAt
   });
 
+  // Publish the new key in the transparency log before anyone can encrypt with it
+  await recordFormKeys(updated);
+
   // Log audit event (critical security action)
   await logAudit(userId, AuditEvents.FORM_KEYS_REGENERATED, {
     formId,
+    keyId,
+    previousKeyId: form.keyId || keyring[keyring.length - 2]?.kid || null,
     keyRotatedAt: updated.keyRotatedAt
   }, auditCtx);
 
@@ -531,11 +815,213 @@ async function handleRegenerateKeys(formId, userId, headers, auditCtx) {
     form: {
       id: updated.id,
       publicKey,
-      privateKey, // Only returned on regeneration!
-      keyRotatedAt: updated.keyRotatedAt
+      keyId,
+      ...(privateKey && { privateKey: { ...privateKey, kid: keyId } }), // Only returned on regeneration!
+      keyRotatedAt: updated.keyRotatedAt,
+      keyring: summarizeKeyring(keyring)
     },
-    warning: 'Save your new private key immediately! Old submissions will no longer be decryptable with this key.'
+    ...(privateKey && {
+      warning: 'Save your new private key immediately! Keep your old private key too: submissions received before this rotation still need it.'
+    })
   }, headers);
 }
 
+/**
+ * POST /api/forms/:id/wrapped-keys - Store form keys wrapped for the account master key
+ * Lets keys of forms created before the master key be covered by it too
+ * Body: { wrappedKeys: [{ kid, wrappedPrivateKey }] }
+ */
+async function handleAddWrappedKeys(req, formId, form, userId, headers, auditCtx) {
+  const body = await req.json();
+  const { wrappedKeys } = body;
+
+  if (!Array.isArray(wrappedKeys) || wrappedKeys.length === 0 || wrappedKeys.length > MAX_WRAPPED_KEYS) {
+    return response.badRequest(`wrappedKeys must be a list of 1 to ${MAX_WRAPPED_KEYS} entries`, headers);
+  }
+
+  const user = await getUserById(userId);
+  if (!user?.masterKey) {
+    return response.badRequest('Set up an account master key before sending wrapped form keys', headers);
+  }
+
+  const keyring = await getFormKeyring(form);
+  for (const { kid, wrappedPrivateKey } of wrappedKeys.map(k => k || {})) {
+    const entry = keyring.find(e => e.kid === kid);
+    if (!entry) {
+      return response.badRequest(`Key ${kid} is not a key of this form`, headers);
+    }
+
+    const wrapValidation = validateWrappedFormKey(wrappedPrivateKey, kid, user.masterKey.kid);
+    if (!wrapValidation.valid) {
+      return response.badRequest(wrapValidation.error, headers);
+    }
+
+    entry.wrappedPrivateKey = wrappedPrivateKey;
+  }
+
+  await updateForm(formId, { keyring });
+
+  await logAudit(userId, AuditEvents.FORM_KEYS_WRAPPED, {
+    formId,
+    keyIds: wrappedKeys.map(k => k.kid),
+    masterKeyId: user.masterKey.kid
+  }, auditCtx);
+
+  return response.success({ keyring: summarizeKeyring(keyring) }, headers);
+}
+
+/**
+ * POST /api/forms/:id/recipients - Add an extra recipient public key
+ * Submissions are encrypted for the form key plus every recipient (vf-e2)
+ */
+async function handleAddRecipient(req, formId, form, userId, headers, auditCtx) {
+  const body = await req.json();
+  const { publicKey, label } = body;
+
+  const keyValidation = validateJWK(publicKey);
+  if (!keyValidation.valid) {
+    return response.badRequest(keyValidation.error, headers);
+  }
+
+  if (publicKey.d) {
+    return response.badRequest('Recipient key must be a public key, never a private key', headers);
+  }
+
+  if (label !== undefined && (typeof label !== 'string' || label.length > 100)) {
+    return response.badRequest('Recipient label must be a string of at most 100 characters', headers);
+  }
+
+  const recipients = form.recipients || [];
+  if (recipients.length >= MAX_RECIPIENTS) {
+    return response.badRequest(`A form can have at most ${MAX_RECIPIENTS} additional recipients`, headers);
+  }
+
+  const kid = await getKeyId(publicKey);
+  const keyring = await getFormKeyring(form);
+  if (recipients.some(r => r.kid === kid) || keyring.some(entry => entry.kid === kid)) {
+    return response.error('This key is already a recipient of the form', headers, 409);
+  }
+
+  const recipient = {
+    kid,
+    label: label?.trim() || null,
+    publicKey: publicKey.kty === 'RSA'
+      ? { ...toPublicJWK(publicKey), alg: publicKey.alg || 'RSA-OAEP-256' }
+      : toPublicJWK(publicKey),
+    addedAt: new Date().toISOString()
+  };
+
+  const updated = await updateForm(formId, { recipients: [...recipients, recipient] });
+  await recordFormKeys(updated);
+
+  await logAudit(userId, AuditEvents.FORM_RECIPIENT_ADDED, {
+    formId,
+    kid,
+    label: recipient.label
+  }, auditCtx);
+
+  return response.created({ recipient }, headers);
+}
+
+/**
+ * DELETE /api/forms/:id/recipients/:kid - Remove a recipient
+ * Existing submissions stay readable by the removed key; new ones are not
+ */
+async function handleRemoveRecipient(formId, form, kid, userId, headers, auditCtx) {
+  const recipients = form.recipients || [];
+  if (!kid || !recipients.some(r => r.kid === kid)) {
+    return response.notFound('Recipient not found', headers);
+  }
+
+  await updateForm(formId, { recipients: recipients.filter(r => r.kid !== kid) });
+
+  await logAudit(userId, AuditEvents.FORM_RECIPIENT_REMOVED, {
+    formId,
+    kid
+  }, auditCtx);
+
+  return response.success({ removed: kid }, headers);
+}
+
+/**
+ * GET /api/forms/:id/invites - List invite batches with how many codes were used
+ * `used` is null while fewer than MIN_REPORTED_INVITE_USES codes are used
+ */
+async function handleListInvites(formId, form, headers) {
+  const counts = await getInviteCounts(formId);
+
+  return response.success({
+    requireInvite: Boolean(form.settings?.requireInvite),
+    batches: (form.inviteBatches || []).map(batch => {
+      const used = counts[batch.id]?.used || 0;
+      return { ...batch, used: used >= MIN_REPORTED_INVITE_USES ? used : null };
+    })
+  }, headers);
+}
+
+/**
+ * POST /api/forms/:id/invites - Add a batch of invite nullifiers
+ * The dashboard generates the codes and sends only their nullifiers, so the
+ * server never sees a code or learns who it was given to
+ * Body: { nullifiers: [...], label? }
+ */
+async function handleAddInvites(req, formId, form, userId, headers, auditCtx) {
+  const body = await req.json();
+  const { nullifiers, label } = body;
+
+  const batchValidation = validateInviteBatch(nullifiers);
+  if (!batchValidation.valid) {
+    return response.badRequest(batchValidation.error, headers);
+  }
+
+  if (label !== undefined && (typeof label !== 'string' || label.length > 100)) {
+    return response.badRequest('Batch label must be a string of at most 100 characters', headers);
+  }
+
+  const batches = form.inviteBatches || [];
+  if (batches.length >= MAX_INVITE_BATCHES) {
+    return response.badRequest(`A form can have at most ${MAX_INVITE_BATCHES} invite batches`, headers);
+  }
+
+  const batch = {
+    id: `ib_${crypto.randomUUID().replace(/-/g, '')}`,
+    label: label?.trim() || null,
+    count: nullifiers.length,
+    createdAt: new Date().toISOString()
+  };
+
+  await addInvites(formId, batch.id, nullifiers);
+  await updateForm(formId, { inviteBatches: [...batches, batch] });
+
+  await logAudit(userId, AuditEvents.FORM_INVITES_CREATED, {
+    formId,
+    batchId: batch.id,
+    count: batch.count
+  }, auditCtx);
+
+  return response.created({ batch: { ...batch, used: null } }, headers);
+}
+
+/**
+ * DELETE /api/forms/:id/invites/:batchId - Revoke an invite batch
+ * Its unused codes stop working; submissions already made are kept
+ */
+async function handleRevokeInvites(formId, form, batchId, userId, headers, auditCtx) {
+  const batches = form.inviteBatches || [];
+  if (!batchId || !batches.some(batch => batch.id === batchId)) {
+    return response.notFound('Invite batch not found', headers);
+  }
+
+  const deleted = await deleteInviteBatch(formId, batchId);
+  await updateForm(formId, { inviteBatches: batches.filter(batch => batch.id !== batchId) });
+
+  await logAudit(userId, AuditEvents.FORM_INVITES_REVOKED, {
+    formId,
+    batchId,
+    count: deleted
+  }, auditCtx);
+
+  return response.success({ revoked: batchId }, headers);
+}
+
 // Routing handled by netlify.toml redirects: /api/* -> /.netlify/functions/:splat
@@ -0,0 +1,69 @@
+/**
+ * VeilForms - Key Transparency Log Endpoint
+ * GET /api/key-log/:formId - Get every public key the form has published
+ *
+ * Public, like /api/submit: the SDK checks the key it was given against this
+ * log before encrypting
+ */
+
+import { getForm } from './lib/storage.js';
+import { getKeyLog } from './lib/key-log.js';
+import { checkRateLimit, getRateLimitHeaders } from './lib/rate-limit.js';
+import { isValidFormId, parseUrlPath } from './lib/validation.js';
+import * as response from './lib/responses.js';
+
+export default async function handler(req, context) {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (req.method === 'OPTIONS') {
+    return response.noContent(headers);
+  }
+
+  if (req.method !== 'GET') {
+    return response.methodNotAllowed(headers);
+  }
+
+  const rateLimit = await checkRateLimit(req, { keyPrefix: 'key-log', maxRequests: 60 });
+  if (!rateLimit.allowed) {
+    return response.tooManyRequests(
+      { ...headers, ...getRateLimitHeaders(rateLimit) },
+      rateLimit.retryAfter
+    );
+  }
+
+  const formId = parseUrlPath(req.url, '/api/key-log/')[0];
+  if (!isValidFormId(formId)) {
+    return response.badRequest('Invalid form ID', headers);
+  }
+
+  try {
+    const form = await getForm(formId);
+    if (!form || form.status === 'deleted') {
+      return response.notFound('Form not found', headers);
+    }
+
+    // Read only: the log is written by the owner's create and rotate paths,
+    // and forms from before it existed are backfilled by retention-cleanup
+    // or when the owner opens the form
+    const entries = await getKeyLog(formId);
+    const head = entries[entries.length - 1];
+
+    return response.success({
+      formId,
+      entries,
+      head: head ? { seq: head.seq, hash: head.hash } : null
+    }, headers);
+  } catch (err) {
+    console.error('Key log error:', err);
+    return response.serverError(headers);
+  }
+}
+
+export const config = {
+  path: '/api/key-log/*'
+};
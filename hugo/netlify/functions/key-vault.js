@@ -0,0 +1,206 @@
+/**
+ * VeilForms - Key Vault Endpoint
+ * GET /api/key-vault - Get the current wrapped key bundle
+ * GET /api/key-vault?revision=N - Get an earlier revision
+ * GET /api/key-vault/history - List earlier revisions
+ * PUT /api/key-vault - Store a new revision
+ * DELETE /api/key-vault - Delete the vault and its history
+ *
+ * Bundles are wrapped in the browser with a passphrase-derived key before
+ * upload; the server stores them as opaque ciphertext
+ */
+
+import { authenticateRequest } from './lib/auth.js';
+import { getKeyVault, saveKeyVault, getKeyVaultHistory, deleteKeyVault } from './lib/storage.js';
+import { checkRateLimit, getRateLimitHeaders } from './lib/rate-limit.js';
+import { logAudit, AuditEvents, getAuditContext } from './lib/audit.js';
+import { getCorsHeaders } from './lib/cors.js';
+import { validateCsrfToken } from './lib/csrf.js';
+import { validateKeyBundle } from './lib/key-utils.js';
+import { parseUrlPath } from './lib/validation.js';
+import * as response from './lib/responses.js';
+
+// Wrapped bundles are small; this leaves room for a few hundred form keys
+const MAX_CIPHERTEXT_LENGTH = 1024 * 1024;
+const MIN_ITERATIONS = 100000;
+const MIN_SCRYPT_N = 2 ** 14;
+
+export default async function handler(req, context) {
+  const origin = req.headers.get('origin') || '';
+  const headers = getCorsHeaders(origin, {
+    methods: ['GET', 'PUT', 'DELETE', 'OPTIONS']
+  });
+
+  if (req.method === 'OPTIONS') {
+    return response.noContent(headers);
+  }
+
+  // Rate limit
+  const rateLimit = await checkRateLimit(req, { keyPrefix: 'key-vault', maxRequests: 30 });
+  if (!rateLimit.allowed) {
+    return response.tooManyRequests(
+      { ...headers, ...getRateLimitHeaders(rateLimit) },
+      rateLimit.retryAfter
+    );
+  }
+
+  // Authenticate
+  const auth = await authenticateRequest(req);
+  if (auth.error) {
+    return response.error(auth.error, headers, auth.status);
+  }
+
+  // CSRF protection for state-changing operations
+  if (['PUT', 'DELETE'].includes(req.method) && !validateCsrfToken(req)) {
+    return response.error('CSRF token validation failed', headers, 403);
+  }
+
+  const action = parseUrlPath(req.url, '/api/key-vault/')[0];
+
+  try {
+    const auditCtx = getAuditContext(req, context);
+
+    if (req.method === 'GET' && action === 'history') {
+      return handleGetHistory(auth.user.id, headers);
+    }
+
+    if (req.method === 'GET' && !action) {
+      return handleGetVault(req, auth.user.id, headers);
+    }
+
+    if (req.method === 'PUT' && !action) {
+      return handleSaveVault(req, auth.user.id, headers, auditCtx);
+    }
+
+    if (req.method === 'DELETE' && !action) {
+      return handleDeleteVault(auth.user.id, headers, auditCtx);
+    }
+
+    return response.methodNotAllowed(headers);
+  } catch (err) {
+    console.error('Key vault error:', err);
+    return response.serverError(headers);
+  }
+}
+
+/**
+ * GET /api/key-vault - Get the current (or a given) revision
+ */
+async function handleGetVault(req, userId, headers) {
+  const revisionParam = new URL(req.url).searchParams.get('revision');
+  const revision = revisionParam ? parseInt(revisionParam, 10) : null;
+
+  if (revisionParam && !(revision > 0)) {
+    return response.badRequest('Revision must be a positive integer', headers);
+  }
+
+  const vault = await getKeyVault(userId, revision);
+  if (!vault) {
+    return response.notFound(revision ? 'Key vault revision not found' : 'No key vault set up', headers);
+  }
+
+  return response.success({ vault }, headers);
+}
+
+/**
+ * GET /api/key-vault/history - List earlier revisions (metadata only)
+ */
+async function handleGetHistory(userId, headers) {
+  const revisions = await getKeyVaultHistory(userId);
+  return response.success({ revisions }, headers);
+}
+
+/**
+ * PUT /api/key-vault - Store a new revision
+ * Body: { bundle, expectedRevision } where expectedRevision is the revision the
+ * client last read (0 when creating the vault)
+ */
+async function handleSaveVault(req, userId, headers, auditCtx) {
+  const body = await req.json();
+  const { bundle, expectedRevision } = body;
+
+  const validation = validateVaultBundle(bundle);
+  if (!validation.valid) {
+    return response.badRequest(validation.error, headers);
+  }
+
+  if (!Number.isInteger(expectedRevision) || expectedRevision < 0) {
+    return response.badRequest('expectedRevision must be the revision last read (0 for a new vault)', headers);
+  }
+
+  const result = await saveKeyVault(userId, bundle, expectedRevision);
+  if (result.conflict) {
+    return response.error('Key vault changed on another device; unlock it again before saving', headers, 409, {
+      revision: result.revision
+    });
+  }
+
+  await logAudit(userId, AuditEvents.KEY_VAULT_UPDATED, {
+    revision: result.vault.revision
+  }, auditCtx);
+
+  return response.success({
+    revision: result.vault.revision,
+    updatedAt: result.vault.updatedAt
+  }, headers);
+}
+
+/**
+ * DELETE /api/key-vault - Delete the vault and its history
+ */
+async function handleDeleteVault(userId, headers, auditCtx) {
+  const deleted = await deleteKeyVault(userId);
+  if (!deleted) {
+    return response.notFound('No key vault set up', headers);
+  }
+
+  await logAudit(userId, AuditEvents.KEY_VAULT_DELETED, {}, auditCtx);
+
+  return response.success({ success: true }, headers);
+}
+
+/**
+ * Check a bundle is a passphrase-wrapped export, without looking inside it
+ * @param {Object} bundle - Bundle from exportPrivateKeys
+ * @returns {{valid: boolean, error: string|null}}
+ */
+function validateVaultBundle(bundle) {
+  const validation = validateKeyBundle(bundle);
+  if (!validation.valid) {
+    return validation;
+  }
+
+  // Share-protected bundles can't be unlocked on login
+  if (bundle.version === '1.0' && bundle.algorithm !== 'PBKDF2-AES-GCM-256') {
+    return { valid: false, error: 'Key vault bundles must be wrapped with a passphrase' };
+  }
+
+  const kdf = bundle.version === '1.0'
+    ? { name: 'PBKDF2-SHA-256', iterations: bundle.iterations }
+    : bundle.kdf;
+  if (kdf.name === 'PBKDF2-SHA-256' && kdf.iterations < MIN_ITERATIONS) {
+    return { valid: false, error: `Key vault bundles need at least ${MIN_ITERATIONS} PBKDF2 iterations` };
+  }
+  if (kdf.name === 'scrypt' && kdf.N < MIN_SCRYPT_N) {
+    return { valid: false, error: `Key vault bundles need a scrypt N of at least ${MIN_SCRYPT_N}` };
+  }
+
+  const encoded = bundle.version === '1.0'
+    ? { salt: bundle.salt, iv: bundle.iv, ciphertext: bundle.ciphertext }
+    : { 'kdf.salt': bundle.kdf.salt, 'cipher.iv': bundle.cipher.iv, ciphertext: bundle.ciphertext };
+  for (const [field, value] of Object.entries(encoded)) {
+    if (typeof value !== 'string' || !/^[A-Za-z0-9+/]+={0,2}$/.test(value)) {
+      return { valid: false, error: `Bundle field ${field} must be base64` };
+    }
+  }
+
+  if (bundle.ciphertext.length > MAX_CIPHERTEXT_LENGTH) {
+    return { valid: false, error: 'Key vault bundle is too large' };
+  }
+
+  return { valid: true, error: null };
+}
+
+export const config = {
+  path: '/api/key-vault/*'
+};
@@ -11,6 +11,7 @@
  * - Index management
  * - Cleanup of expired keys
  * - Statistics tracking
+ * - Deleting a shredded form's records
  * - Header extraction and generation
  */
 
@@ -20,7 +21,8 @@ import { jest, describe, test, expect, beforeEach } from '@jest/globals';
 const mockStore = {
   get: jest.fn(),
   setJSON: jest.fn(),
-  delete: jest.fn()
+  delete: jest.fn(),
+  list: jest.fn()
 };
 
 const mockGetStore = jest.fn(() => mockStore);
@@ -36,7 +38,8 @@ const {
   getIdempotencyKeyFromRequest,
   getIdempotencyHeaders,
   cleanupExpiredIdempotencyKeys,
-  getIdempotencyStats
+  getIdempotencyStats,
+  deleteIdempotencyKeys
 } = await import('../idempotency.js');
 
 // Mock Request class for Node environment
@@ -62,6 +65,7 @@ describe('Idempotency Key Management', () => {
     mockStore.get.mockReset();
     mockStore.setJSON.mockReset();
     mockStore.delete.mockReset();
+    mockStore.list.mockReset();
     mockGetStore.mockClear();
   });
 
@@ -571,6 +575,22 @@ describe('Idempotency Key Management', () => {
     });
   });
 
+  describe('deleteIdempotencyKeys()', () => {
+    test('should delete every record stored under the form and its index', async () => {
+      mockStore.list.mockResolvedValue({
+        blobs: [{ key: 'form-123_key-1' }, { key: 'form-123_key-2' }]
+      });
+
+      const deleted = await deleteIdempotencyKeys('form-123');
+
+      expect(deleted).toBe(2);
+      expect(mockStore.list).toHaveBeenCalledWith({ prefix: 'form-123_' });
+      expect(mockStore.delete).toHaveBeenCalledWith('form-123_key-1');
+      expect(mockStore.delete).toHaveBeenCalledWith('form-123_key-2');
+      expect(mockStore.delete).toHaveBeenCalledWith('index_form-123');
+    });
+  });
+
   describe('Blob Store Integration', () => {
     test('should use correct store name and consistency', async () => {
       mockStore.get.mockResolvedValue(null);
@@ -0,0 +1,102 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Key Transparency Log Tests
+ * Tests for /netlify/functions/lib/key-log.js
+ *
+ * Test Coverage:
+ * - Entry hashes (shared with the client key-log module)
+ * - Logging a form's first key and later rotations
+ * - Backfilling forms created before the log existed
+ * - Logging extra recipient keys
+ */
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+
+// In-memory stand-in for @netlify/blobs
+const blobs = new Map();
+const mockStore = {
+  get: jest.fn(async (key) => blobs.get(key) ?? null),
+  setJSON: jest.fn(async (key, value) => { blobs.set(key, value); })
+};
+
+jest.unstable_mockModule('@netlify/blobs', () => ({
+  getStore: jest.fn(() => mockStore)
+}));
+
+const { hashKeyLogEntry, getKeyLog, recordFormKeys } = await import('../key-log.js');
+
+const keyA = { kty: 'RSA', n: 'modulus-a', e: 'AQAB' };
+const keyB = { kty: 'RSA', n: 'modulus-b', e: 'AQAB' };
+
+describe('hashKeyLogEntry', () => {
+  test('matches the client test vector', async () => {
+    expect(await hashKeyLogEntry({
+      seq: 0,
+      kid: 'NzbLsXh8uDCcd-6MNwXF4W_7noWXFZAfHkxZsRGC9Xs',
+      addedAt: '2024-01-15T10:30:00.000Z',
+      prevHash: null
+    })).toBe('LVd0Jqh7lLFCiXs_cYKoKMARxf-evaiR5xkHZEBItOE');
+  });
+});
+
+describe('recordFormKeys', () => {
+  beforeEach(() => {
+    blobs.clear();
+  });
+
+  test('logs a new form key as the first entry', async () => {
+    const form = { id: 'vf_a', keyring: [{ kid: 'kid-a', publicKey: keyA, createdAt: '2024-01-01' }] };
+
+    const log = await recordFormKeys(form);
+
+    expect(log).toHaveLength(1);
+    expect(log[0]).toMatchObject({ seq: 0, kid: 'kid-a', publicKey: keyA, prevHash: null });
+    expect(log[0].hash).toBe(await hashKeyLogEntry(log[0]));
+    expect(await getKeyLog('vf_a')).toEqual(log);
+  });
+
+  test('chains rotated keys onto the existing log', async () => {
+    const form = { id: 'vf_a', keyring: [{ kid: 'kid-a', publicKey: keyA }] };
+    const [first] = await recordFormKeys(form);
+
+    form.keyring.push({ kid: 'kid-b', publicKey: keyB });
+    const log = await recordFormKeys(form);
+
+    expect(log).toHaveLength(2);
+    expect(log[0]).toEqual(first);
+    expect(log[1]).toMatchObject({ seq: 1, kid: 'kid-b', prevHash: first.hash });
+  });
+
+  test('does not rewrite the log when no key is new', async () => {
+    const form = { id: 'vf_a', keyring: [{ kid: 'kid-a', publicKey: keyA }] };
+    await recordFormKeys(form);
+    mockStore.setJSON.mockClear();
+
+    await recordFormKeys(form);
+
+    expect(mockStore.setJSON).not.toHaveBeenCalled();
+  });
+
+  test('backfills forms from before keyrings', async () => {
+    const log = await recordFormKeys({ id: 'vf_old', publicKey: keyA, createdAt: '2023-06-01' });
+
+    expect(log).toHaveLength(1);
+    expect(log[0].publicKey).toEqual(keyA);
+  });
+
+  test('logs extra recipient keys alongside the keyring', async () => {
+    const form = {
+      id: 'vf_a',
+      keyring: [{ kid: 'kid-a', publicKey: keyA }],
+      recipients: [{ kid: 'kid-legal', label: 'Legal', publicKey: keyB }]
+    };
+
+    const log = await recordFormKeys(form);
+
+    expect(log.map(entry => entry.kid)).toEqual(['kid-a', 'kid-legal']);
+    expect(log[1]).toMatchObject({ seq: 1, publicKey: keyB, prevHash: log[0].hash });
+  });
+});
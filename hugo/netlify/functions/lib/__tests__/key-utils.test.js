@@ -0,0 +1,240 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Key Utilities Tests
+ * Tests for /netlify/functions/lib/key-utils.js
+ *
+ * Test Coverage:
+ * - Key IDs (RFC 7638 thumbprints)
+ * - Keyrings for forms created before and after key rotation support
+ * - Resolving which form key a payload was encrypted for
+ * - Key bundle formats (password and recovery shares)
+ * - Form keys wrapped for the account master key
+ * - RSA and elliptic-curve public keys
+ */
+
+import { describe, test, expect, beforeAll } from '@jest/globals';
+
+const {
+  getKeyId,
+  getFormKeyring,
+  resolvePayloadKeyId,
+  validateKeyBundle,
+  validateWrappedFormKey,
+  validateJWK,
+  toPublicJWK
+} = await import('../key-utils.js');
+
+// RFC 7638 section 3.1 example key
+const RFC_KEY = {
+  kty: 'RSA',
+  n: '0vx7agoebGcQSuuPiLJXZptN9nndrQmbXEps2aiAFbWhM78LhWx4cbbfAAtVT86zwu1RK7aPFFxuhDR1L6tSoc_BJECPebWKRXjBZCiFV4n3oknjhMstn64tZ_2W-5JsGY4Hc5n9yBXArwl93lqt7_RN5w6Cf0h4QyQ5v-65YGjQR0_FDW2QvzqY368QQMicAtaSqzs8KJZgnYb9c7d0zgdAZHzu6qMQvRL5hajrn1n91CbOpbISD08qNLyrdkt-bFTWhAI4vMQFh6WeZu0fM4lFd2NcRwr3XPksINHaQ-G_xBniIqbw0Ls1jF44-csFCur-kEgU8awapJzKnqDKgw',
+  e: 'AQAB',
+  alg: 'RS256',
+  kid: '2011-04-29'
+};
+
+describe('getKeyId', () => {
+  test('computes the RFC 7638 thumbprint', async () => {
+    expect(await getKeyId(RFC_KEY)).toBe('NzbLsXh8uDCcd-6MNwXF4W_7noWXFZAfHkxZsRGC9Xs');
+  });
+
+  test('computes the RFC 8037 thumbprint for OKP keys', async () => {
+    const okp = { kty: 'OKP', crv: 'Ed25519', x: '11qYAYKxCrfVS_7TyWQHOg7hcvPapiMlrwIaaPcHURo' };
+
+    expect(await getKeyId(okp)).toBe('kPrK_qmxVWaYVA9wwBF6Iuo3vVzz7TxHCTwXBygrS4k');
+  });
+
+  test('rejects unsupported key types', async () => {
+    await expect(getKeyId({ kty: 'oct', k: 'abc' })).rejects.toThrow('Unsupported key type');
+  });
+});
+
+describe('validateJWK', () => {
+  const p256 = { kty: 'EC', crv: 'P-256', x: 'eA', y: 'eQ' };
+
+  test('accepts RSA, P-256 and X25519 keys', () => {
+    expect(validateJWK(RFC_KEY).valid).toBe(true);
+    expect(validateJWK(p256).valid).toBe(true);
+    expect(validateJWK({ kty: 'OKP', crv: 'X25519', x: 'eA' }).valid).toBe(true);
+  });
+
+  test('rejects other curves, key types and missing members', () => {
+    expect(validateJWK({ ...p256, crv: 'P-384' }).error).toMatch('Unsupported curve');
+    expect(validateJWK({ kty: 'OKP', crv: 'Ed25519', x: 'eA' }).valid).toBe(false);
+    expect(validateJWK({ kty: 'oct', k: 'abc' }).error).toMatch('Unsupported key type');
+    expect(validateJWK({ ...p256, y: undefined }).error).toMatch('Missing required JWK field: y');
+  });
+
+  test('toPublicJWK keeps only the public members', () => {
+    expect(toPublicJWK({ ...p256, d: 'secret', key_ops: [], ext: true })).toEqual(p256);
+    expect(toPublicJWK(RFC_KEY)).toEqual({ e: RFC_KEY.e, kty: 'RSA', n: RFC_KEY.n, alg: 'RS256' });
+  });
+});
+
+describe('keyrings', () => {
+  const oldKey = { kty: 'RSA', n: 'old-modulus', e: 'AQAB' };
+  const newKey = { kty: 'RSA', n: 'new-modulus', e: 'AQAB' };
+  let oldKid;
+  let newKid;
+  let rotatedForm;
+
+  beforeAll(async () => {
+    oldKid = await getKeyId(oldKey);
+    newKid = await getKeyId(newKey);
+    rotatedForm = {
+      publicKey: newKey,
+      keyId: newKid,
+      keyring: [
+        { kid: oldKid, publicKey: oldKey, createdAt: '2024-01-01T00:00:00.000Z', retiredAt: '2024-06-01T00:00:00.000Z' },
+        { kid: newKid, publicKey: newKey, createdAt: '2024-06-01T00:00:00.000Z', retiredAt: null }
+      ]
+    };
+  });
+
+  test('builds a keyring for forms created before keyrings', async () => {
+    const keyring = await getFormKeyring({ publicKey: oldKey, createdAt: '2024-01-01T00:00:00.000Z' });
+
+    expect(keyring).toEqual([
+      { kid: oldKid, publicKey: oldKey, createdAt: '2024-01-01T00:00:00.000Z', retiredAt: null }
+    ]);
+  });
+
+  test('returns an empty keyring for forms without a key', async () => {
+    expect(await getFormKeyring({})).toEqual([]);
+  });
+
+  test('accepts payloads for the current key', async () => {
+    const result = await resolvePayloadKeyId(rotatedForm, { version: 'vf-e1', kid: newKid });
+
+    expect(result).toEqual({ kid: newKid });
+  });
+
+  test('rejects payloads for retired keys', async () => {
+    const result = await resolvePayloadKeyId(rotatedForm, { version: 'vf-e1', kid: oldKid });
+
+    expect(result.kid).toBeNull();
+    expect(result.error).toMatch('retired key');
+  });
+
+  test('rejects vf-e2 payloads whose only form key is retired', async () => {
+    const payload = {
+      version: 'vf-e2',
+      recipients: [{ kid: 'reviewer', key: 'a' }, { kid: oldKid, key: 'b' }]
+    };
+
+    expect((await resolvePayloadKeyId(rotatedForm, payload)).error).toMatch('retired key');
+  });
+
+  test('rejects payloads for keys the form never had', async () => {
+    const result = await resolvePayloadKeyId(rotatedForm, { version: 'vf-e1', kid: 'unknown' });
+
+    expect(result.kid).toBeNull();
+    expect(result.error).toMatch('does not belong to this form');
+  });
+
+  test('assumes the current key when the SDK sends no key ID', async () => {
+    expect(await resolvePayloadKeyId(rotatedForm, { version: 'vf-e1' })).toEqual({ kid: newKid });
+  });
+
+  test('picks the form key out of a vf-e2 recipient list', async () => {
+    const payload = {
+      version: 'vf-e2',
+      recipients: [{ kid: 'reviewer', key: 'a' }, { kid: newKid, key: 'b' }]
+    };
+
+    expect(await resolvePayloadKeyId(rotatedForm, payload)).toEqual({ kid: newKid });
+  });
+
+  test('rejects vf-e2 payloads that leave out every form key', async () => {
+    const payload = { version: 'vf-e2', recipients: [{ kid: 'reviewer', key: 'a' }] };
+
+    expect((await resolvePayloadKeyId(rotatedForm, payload)).error).toMatch('None of the payload recipients');
+  });
+});
+
+describe('validateKeyBundle', () => {
+  const sharesBundle = {
+    version: '1.0',
+    algorithm: 'SHAMIR-AES-GCM-256',
+    shares: 5,
+    threshold: 3,
+    setId: 'ABCDEFGH',
+    iv: 'aXY=',
+    ciphertext: 'Y2lwaGVy'
+  };
+
+  test('accepts password bundles', () => {
+    expect(validateKeyBundle({
+      version: '1.0',
+      algorithm: 'PBKDF2-AES-GCM-256',
+      iterations: 100000,
+      salt: 'c2FsdA==',
+      iv: 'aXY=',
+      ciphertext: 'Y2lwaGVy'
+    }).valid).toBe(true);
+  });
+
+  test('accepts recovery share bundles without PBKDF2 parameters', () => {
+    expect(validateKeyBundle(sharesBundle).valid).toBe(true);
+  });
+
+  test('accepts version 2.0 bundles with a PBKDF2 or scrypt header', () => {
+    const bundle = {
+      version: '2.0',
+      kdf: { name: 'scrypt', N: 131072, r: 8, p: 1, salt: 'c2FsdA==' },
+      cipher: { name: 'AES-GCM-256', iv: 'aXY=' },
+      ciphertext: 'Y2lwaGVy'
+    };
+
+    expect(validateKeyBundle(bundle).valid).toBe(true);
+    expect(validateKeyBundle({ ...bundle, kdf: { name: 'PBKDF2-SHA-256', iterations: 600000, salt: 'c2FsdA==' } }).valid).toBe(true);
+  });
+
+  test('rejects version 2.0 bundles with unknown or out-of-range KDF settings', () => {
+    const bundle = {
+      version: '2.0',
+      kdf: { name: 'scrypt', N: 131072, r: 8, p: 1, salt: 'c2FsdA==' },
+      cipher: { name: 'AES-GCM-256', iv: 'aXY=' },
+      ciphertext: 'Y2lwaGVy'
+    };
+
+    expect(validateKeyBundle({ ...bundle, kdf: { ...bundle.kdf, name: 'md5' } }).error).toMatch('Unsupported key derivation');
+    expect(validateKeyBundle({ ...bundle, kdf: { ...bundle.kdf, N: 2 ** 30 } }).error).toMatch('scrypt N');
+    expect(validateKeyBundle({ ...bundle, cipher: { name: 'AES-CBC', iv: 'aXY=' } }).error).toMatch('Unsupported encryption');
+    expect(validateKeyBundle({ ...bundle, cipher: undefined }).error).toMatch('cipher');
+    expect(validateKeyBundle({ ...bundle, version: '3.0' }).valid).toBe(false);
+  });
+
+  test('rejects share bundles with an impossible threshold', () => {
+    expect(validateKeyBundle({ ...sharesBundle, threshold: 6 }).valid).toBe(false);
+    expect(validateKeyBundle({ ...sharesBundle, setId: undefined }).error).toMatch('setId');
+  });
+});
+
+describe('validateWrappedFormKey', () => {
+  const wrapped = {
+    version: 'vf-e3',
+    formId: 'vf-form-key',
+    submissionId: 'form-kid',
+    recipients: [{ kid: 'master-kid', key: 'd3JhcHBlZA==' }],
+    iv: 'aXY=',
+    encrypted: 'Y2lwaGVy'
+  };
+
+  test('accepts a key wrapped for the master key and bound to its kid', () => {
+    expect(validateWrappedFormKey(wrapped, 'form-kid', 'master-kid').valid).toBe(true);
+  });
+
+  test('rejects keys bound to another kid', () => {
+    expect(validateWrappedFormKey(wrapped, 'other-kid', 'master-kid').error).toMatch('different submission');
+    expect(validateWrappedFormKey({ ...wrapped, formId: 'vf_contact' }, 'form-kid', 'master-kid').valid).toBe(false);
+  });
+
+  test('rejects keys not wrapped for the master key', () => {
+    expect(validateWrappedFormKey(wrapped, 'form-kid', 'new-master-kid').error).toMatch('account master key');
+    expect(validateWrappedFormKey({ ...wrapped, version: 'vf-e2' }, 'form-kid', 'master-kid').error).toMatch('vf-e3');
+  });
+});
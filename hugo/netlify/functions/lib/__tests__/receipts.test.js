@@ -0,0 +1,137 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Submission Receipt Tests
+ * Tests for /netlify/functions/lib/receipts.js
+ *
+ * Test Coverage:
+ * - Ciphertext hashes (shared with the client receipts module)
+ * - Signing receipts with the configured key
+ * - Publishing current and retired verification keys
+ * - Erasure certificates for shredded forms
+ */
+
+import { describe, test, expect, beforeAll } from '@jest/globals';
+
+const {
+  hashCiphertext,
+  receiptSigningInput,
+  signReceipt,
+  erasureSigningInput,
+  signErasureCertificate,
+  getReceiptVerificationKeys,
+  RECEIPT_VERSION,
+  ERASURE_CERTIFICATE_VERSION
+} = await import('../receipts.js');
+
+async function generateSigningKey() {
+  const pair = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+  return crypto.subtle.exportKey('jwk', pair.privateKey);
+}
+
+const shred = {
+  formId: 'vf_contact',
+  shreddedAt: '2024-03-01T12:00:00.000Z',
+  removedKeys: { publicKeys: ['kid-a', 'kid-b'], wrappedPrivateKeys: ['kid-a'] },
+  purged: { blobs: 12, partialSubmissions: 1, idempotencyKeys: 3, keyVaultRevisions: 2 }
+};
+
+const submission = {
+  id: 'vf-12345678-1234-4123-8123-123456789abc',
+  formId: 'vf_contact',
+  receivedAt: Date.UTC(2024, 0, 15, 10, 30),
+  payload: { encrypted: true, version: 'vf-e3', data: 'aGVsbG8=', iv: 'aXY=' }
+};
+
+describe('hashCiphertext', () => {
+  test('hashes the decoded ciphertext', async () => {
+    // SHA-256("hello")
+    expect(await hashCiphertext({ data: 'aGVsbG8=' })).toBe('LPJNul-wow4m6DsqxbninhsWHlwfp0JecwQzYpOLmCQ');
+  });
+});
+
+describe('without a signing key', () => {
+  test('issues no receipt and publishes no keys', async () => {
+    expect(await signReceipt(submission)).toBeNull();
+    expect(await getReceiptVerificationKeys()).toEqual([]);
+  });
+
+  test('still records an unsigned erasure certificate', async () => {
+    const certificate = await signErasureCertificate(shred);
+
+    expect(certificate).toEqual({ version: ERASURE_CERTIFICATE_VERSION, kid: null, ...shred });
+  });
+});
+
+describe('with a signing key', () => {
+  let signingJwk;
+  let retiredJwk;
+
+  beforeAll(async () => {
+    signingJwk = await generateSigningKey();
+    retiredJwk = await generateSigningKey();
+    delete retiredJwk.d;
+    process.env.RECEIPT_SIGNING_KEY = JSON.stringify(signingJwk);
+    process.env.RECEIPT_RETIRED_KEYS = JSON.stringify([retiredJwk]);
+  });
+
+  test('signs the submission fields', async () => {
+    const receipt = await signReceipt(submission);
+
+    expect(receipt).toMatchObject({
+      version: RECEIPT_VERSION,
+      formId: 'vf_contact',
+      submissionId: submission.id,
+      receivedAt: '2024-01-15T10:30:00.000Z',
+      ciphertextHash: 'LPJNul-wow4m6DsqxbninhsWHlwfp0JecwQzYpOLmCQ'
+    });
+
+    const [active] = await getReceiptVerificationKeys();
+    expect(receipt.kid).toBe(active.kid);
+
+    const publicKey = await crypto.subtle.importKey(
+      'jwk', active.publicKey, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']
+    );
+    const verify = fields => crypto.subtle.verify(
+      { name: 'ECDSA', hash: 'SHA-256' },
+      publicKey,
+      Buffer.from(receipt.signature, 'base64url'),
+      receiptSigningInput(fields)
+    );
+
+    expect(await verify(receipt)).toBe(true);
+    expect(await verify({ ...receipt, receivedAt: '2024-01-16T10:30:00.000Z' })).toBe(false);
+  });
+
+  test('signs erasure certificates with the same key', async () => {
+    const certificate = await signErasureCertificate(shred);
+    const [active] = await getReceiptVerificationKeys();
+
+    expect(certificate).toMatchObject({ version: ERASURE_CERTIFICATE_VERSION, kid: active.kid, ...shred });
+
+    const publicKey = await crypto.subtle.importKey(
+      'jwk', active.publicKey, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']
+    );
+    const verify = fields => crypto.subtle.verify(
+      { name: 'ECDSA', hash: 'SHA-256' },
+      publicKey,
+      Buffer.from(certificate.signature, 'base64url'),
+      erasureSigningInput(fields)
+    );
+
+    expect(await verify(certificate)).toBe(true);
+    expect(await verify({ ...certificate, purged: { ...shred.purged, blobs: 11 } })).toBe(false);
+    expect(await verify({ ...certificate, removedKeys: { ...shred.removedKeys, wrappedPrivateKeys: [] } })).toBe(false);
+  });
+
+  test('publishes the active key and retired keys without private parts', async () => {
+    const keys = await getReceiptVerificationKeys();
+
+    expect(keys.map(entry => entry.status)).toEqual(['active', 'retired']);
+    expect(keys[0].publicKey.d).toBeUndefined();
+    expect(keys[0].publicKey).toMatchObject({ kty: 'EC', crv: 'P-256', x: signingJwk.x, y: signingJwk.y });
+    expect(keys[1].publicKey.x).toBe(retiredJwk.x);
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Invite Storage Tests
+ * Tests for the invite operations in /netlify/functions/lib/storage.js
+ *
+ * Test Coverage:
+ * - Storing a batch of nullifiers
+ * - Redeeming each invite once
+ * - Counting used invites per batch
+ * - Revoking a batch
+ */
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+
+// In-memory stand-in for @netlify/blobs
+const blobs = new Map();
+const mockStore = {
+  get: jest.fn(async (key) => blobs.get(key) ?? null),
+  setJSON: jest.fn(async (key, value) => { blobs.set(key, value); }),
+  delete: jest.fn(async (key) => { blobs.delete(key); }),
+  list: jest.fn(async ({ prefix }) => ({
+    blobs: [...blobs.keys()].filter(key => key.startsWith(prefix)).map(key => ({ key }))
+  }))
+};
+
+jest.unstable_mockModule('@netlify/blobs', () => ({
+  getStore: jest.fn(() => mockStore)
+}));
+
+const {
+  addInvites,
+  getInvite,
+  redeemInvite,
+  getInviteCounts,
+  deleteInviteBatch
+} = await import('../storage.js');
+
+const formId = 'vf_test_form';
+const nullifier = (n) => String(n).padStart(43, 'A');
+
+describe('Invite storage', () => {
+  beforeEach(() => {
+    blobs.clear();
+  });
+
+  test('stores each nullifier as an unused invite', async () => {
+    await addInvites(formId, 'ib_one', [nullifier(1), nullifier(2)]);
+
+    expect(await getInvite(formId, nullifier(1))).toEqual({ batchId: 'ib_one', used: false });
+    expect(await getInvite(formId, nullifier(3))).toBeNull();
+  });
+
+  test('redeems an invite once', async () => {
+    await addInvites(formId, 'ib_one', [nullifier(1)]);
+
+    expect(await redeemInvite(formId, nullifier(1))).toBe(true);
+    expect(await redeemInvite(formId, nullifier(1))).toBe(false);
+    expect(await redeemInvite(formId, nullifier(2))).toBe(false);
+  });
+
+  test('keeps nothing that links an invite to a submission or a time', async () => {
+    await addInvites(formId, 'ib_one', [nullifier(1)]);
+    await redeemInvite(formId, nullifier(1));
+
+    expect(await getInvite(formId, nullifier(1))).toEqual({ batchId: 'ib_one', used: true });
+  });
+
+  test('counts invites and used invites per batch', async () => {
+    await addInvites(formId, 'ib_one', [nullifier(1), nullifier(2)]);
+    await addInvites(formId, 'ib_two', [nullifier(3)]);
+    await redeemInvite(formId, nullifier(2));
+
+    expect(await getInviteCounts(formId)).toEqual({
+      ib_one: { total: 2, used: 1 },
+      ib_two: { total: 1, used: 0 }
+    });
+  });
+
+  test('revokes only the given batch', async () => {
+    await addInvites(formId, 'ib_one', [nullifier(1), nullifier(2)]);
+    await addInvites(formId, 'ib_two', [nullifier(3)]);
+
+    expect(await deleteInviteBatch(formId, 'ib_one')).toBe(2);
+    expect(await getInvite(formId, nullifier(1))).toBeNull();
+    expect(await getInvite(formId, nullifier(3))).toEqual({ batchId: 'ib_two', used: false });
+  });
+});
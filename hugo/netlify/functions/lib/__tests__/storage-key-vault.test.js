@@ -0,0 +1,89 @@
+/**
+ * Key Vault Storage Tests
+ * Tests for the key vault operations in /netlify/functions/lib/storage.js
+ *
+ * Test Coverage:
+ * - Creating a vault and saving new revisions
+ * - Rejecting saves based on a stale revision
+ * - Keeping a bounded history of earlier revisions
+ * - Deleting a vault without touching other users
+ */
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+
+// In-memory stand-in for @netlify/blobs
+const blobs = new Map();
+const mockStore = {
+  get: jest.fn(async (key) => blobs.get(key) ?? null),
+  setJSON: jest.fn(async (key, value) => { blobs.set(key, value); }),
+  delete: jest.fn(async (key) => { blobs.delete(key); }),
+  list: jest.fn(async ({ prefix }) => ({
+    blobs: [...blobs.keys()].filter(key => key.startsWith(prefix)).map(key => ({ key }))
+  }))
+};
+
+jest.unstable_mockModule('@netlify/blobs', () => ({
+  getStore: jest.fn(() => mockStore)
+}));
+
+const {
+  getKeyVault,
+  saveKeyVault,
+  getKeyVaultHistory,
+  deleteKeyVault
+} = await import('../storage.js');
+
+const bundle = (n) => ({ version: '1.0', algorithm: 'PBKDF2-AES-GCM-256', ciphertext: `c${n}` });
+
+describe('Key vault storage', () => {
+  beforeEach(() => {
+    blobs.clear();
+  });
+
+  test('creates a vault at revision 1', async () => {
+    const result = await saveKeyVault('user_1_a', bundle(1), 0);
+
+    expect(result.vault.revision).toBe(1);
+    expect((await getKeyVault('user_1_a')).bundle).toEqual(bundle(1));
+  });
+
+  test('rejects saves based on a stale revision', async () => {
+    await saveKeyVault('user_1_a', bundle(1), 0);
+    await saveKeyVault('user_1_a', bundle(2), 1);
+
+    const result = await saveKeyVault('user_1_a', bundle(3), 1);
+
+    expect(result).toEqual({ conflict: true, revision: 2 });
+    expect((await getKeyVault('user_1_a')).bundle).toEqual(bundle(2));
+  });
+
+  test('refuses to create a vault over an existing one', async () => {
+    await saveKeyVault('user_1_a', bundle(1), 0);
+
+    expect((await saveKeyVault('user_1_a', bundle(2), 0)).conflict).toBe(true);
+  });
+
+  test('keeps the five most recent earlier revisions', async () => {
+    for (let i = 0; i < 8; i++) {
+      await saveKeyVault('user_1_a', bundle(i + 1), i);
+    }
+
+    const history = await getKeyVaultHistory('user_1_a');
+
+    expect(history.map(entry => entry.revision)).toEqual([7, 6, 5, 4, 3]);
+    expect((await getKeyVault('user_1_a', 6)).bundle).toEqual(bundle(6));
+    expect(await getKeyVault('user_1_a', 2)).toBeNull();
+  });
+
+  test('deletes a vault and its history only for that user', async () => {
+    await saveKeyVault('user_1_a', bundle(1), 0);
+    await saveKeyVault('user_1_a', bundle(2), 1);
+    await saveKeyVault('user_1_ab', bundle(1), 0);
+
+    expect(await deleteKeyVault('user_1_a')).toBe(true);
+    expect(await getKeyVault('user_1_a')).toBeNull();
+    expect(await getKeyVault('user_1_a', 1)).toBeNull();
+    expect(await getKeyVault('user_1_ab')).not.toBeNull();
+    expect(await deleteKeyVault('user_1_a')).toBe(false);
+  });
+});
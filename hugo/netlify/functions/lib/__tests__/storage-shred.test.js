@@ -0,0 +1,141 @@
+/**
+ * Form Shredding Storage Tests
+ * Tests for the shred operations in /netlify/functions/lib/storage.js
+ *
+ * Test Coverage:
+ * - Destroying a form's key material and leaving a tombstone
+ * - Purging everything in the form's submission store
+ * - Deleting partial submissions through the form's partial index
+ * - Deleting key vault history and marking the current vault
+ */
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+
+// In-memory stand-in for @netlify/blobs, one Map per store
+const stores = new Map();
+function mockStore(name) {
+  if (!stores.has(name)) stores.set(name, new Map());
+  const blobs = stores.get(name);
+  return {
+    get: jest.fn(async (key) => blobs.get(key) ?? null),
+    set: jest.fn(async (key, value) => { blobs.set(key, value); }),
+    setJSON: jest.fn(async (key, value) => { blobs.set(key, value); }),
+    delete: jest.fn(async (key) => { blobs.delete(key); }),
+    list: jest.fn(async ({ prefix = '' } = {}) => ({
+      blobs: [...blobs.keys()].filter(key => key.startsWith(prefix)).map(key => ({ key }))
+    }))
+  };
+}
+
+jest.unstable_mockModule('@netlify/blobs', () => ({
+  getStore: jest.fn(({ name }) => mockStore(name))
+}));
+
+const {
+  shredFormKeys,
+  shredKeyVaultHistory,
+  saveKeyVault,
+  getKeyVault,
+  purgeFormStore,
+  deletePartialSubmissions,
+  getForm
+} = await import('../storage.js');
+
+const formId = 'vf_test_form';
+const shreddedAt = '2024-03-01T12:00:00.000Z';
+
+describe('Form shredding', () => {
+  beforeEach(() => {
+    stores.clear();
+  });
+
+  test('destroys key material and leaves a deleted tombstone', async () => {
+    mockStore('vf-forms').setJSON(formId, {
+      id: formId,
+      userId: 'user_1',
+      name: 'Complaints',
+      status: 'active',
+      publicKey: { kty: 'RSA', n: 'n', e: 'AQAB' },
+      keyring: [
+        { kid: 'kid-old', publicKey: {}, wrappedPrivateKey: { ciphertext: 'x' } },
+        { kid: 'kid-new', publicKey: {} }
+      ],
+      recipients: [{ kid: 'kid-auditor', publicKey: {} }],
+      settings: { webhookUrl: 'https://example.com/hook', webhookSecret: 'whsec', allowedOrigins: ['*'] }
+    });
+
+    const destroyed = await shredFormKeys(formId, shreddedAt);
+
+    expect(destroyed).toEqual({
+      publicKeys: ['kid-old', 'kid-new', 'kid-auditor'],
+      wrappedPrivateKeys: ['kid-old']
+    });
+
+    const form = await getForm(formId);
+    expect(form).toMatchObject({ id: formId, name: 'Complaints', status: 'deleted', shreddedAt, deletedAt: shreddedAt });
+    expect(form.publicKey).toBeUndefined();
+    expect(form.keyring).toBeUndefined();
+    expect(form.recipients).toBeUndefined();
+    expect(form.settings.webhookSecret).toBeUndefined();
+    expect(form.settings.webhookUrl).toBe('https://example.com/hook');
+  });
+
+  test('returns null for a missing form', async () => {
+    expect(await shredFormKeys('vf_missing', shreddedAt)).toBeNull();
+  });
+
+  test('purges every blob in the submission store', async () => {
+    const submissions = mockStore(`veilforms-${formId}`);
+    await submissions.setJSON('_index', { submissions: [{ id: 'sub_1' }] });
+    await submissions.setJSON('sub_1', { id: 'sub_1' });
+    await submissions.setJSON('_search/email/abc', { ids: ['sub_1'] });
+    await submissions.set('_files/upload_a/chunks/0', new ArrayBuffer(32));
+    mockStore('veilforms-vf_other_form').setJSON('sub_2', { id: 'sub_2' });
+
+    expect(await purgeFormStore(formId)).toBe(4);
+    expect(stores.get(`veilforms-${formId}`).size).toBe(0);
+    expect(stores.get('veilforms-vf_other_form').size).toBe(1);
+  });
+
+  test('deletes partial submissions listed in the form partial index', async () => {
+    const partials = mockStore('vf-partial-submissions');
+    await partials.setJSON('token_a', { formId });
+    await partials.setJSON('token_b', { formId });
+    await partials.setJSON('token_c', { formId: 'vf_other_form' });
+    await partials.setJSON(`_index_${formId}`, { tokens: [{ token: 'token_a' }, { token: 'token_b' }] });
+
+    expect(await deletePartialSubmissions(formId)).toBe(2);
+    expect([...stores.get('vf-partial-submissions').keys()]).toEqual(['token_c']);
+  });
+
+  test('handles a form with no partial submissions', async () => {
+    expect(await deletePartialSubmissions(formId)).toBe(0);
+  });
+
+  test('deletes key vault history and marks the current revision', async () => {
+    for (let r = 0; r < 3; r++) {
+      await saveKeyVault('user_1', { ciphertext: `r${r + 1}` }, r);
+    }
+    await saveKeyVault('user_1_ab', { ciphertext: 'other' }, 0);
+    await saveKeyVault('user_1_ab', { ciphertext: 'other 2' }, 1);
+
+    expect(await shredKeyVaultHistory('user_1', formId)).toBe(2);
+    expect(await getKeyVault('user_1', 1)).toBeNull();
+    expect(await getKeyVault('user_1', 2)).toBeNull();
+    expect(await getKeyVault('user_1_ab', 1)).not.toBeNull();
+    expect(await getKeyVault('user_1')).toMatchObject({ revision: 3, shreddedForms: [formId] });
+
+    // The next save replaces the marked revision without keeping it
+    await saveKeyVault('user_1', { ciphertext: 'r4' }, 3);
+    expect(await getKeyVault('user_1', 3)).toBeNull();
+    expect((await getKeyVault('user_1')).shreddedForms).toBeUndefined();
+
+    await saveKeyVault('user_1', { ciphertext: 'r5' }, 4);
+    expect(await getKeyVault('user_1', 4)).toMatchObject({ bundle: { ciphertext: 'r4' } });
+  });
+
+  test('handles an owner without a key vault', async () => {
+    expect(await shredKeyVaultHistory('user_2', formId)).toBe(0);
+    expect(await getKeyVault('user_2')).toBeNull();
+  });
+});
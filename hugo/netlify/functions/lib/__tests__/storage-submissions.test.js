@@ -0,0 +1,199 @@
+/**
+ * Submission Listing Tests
+ * Tests for the submission operations in /netlify/functions/lib/storage.js
+ *
+ * Test Coverage:
+ * - Listing time-sortable IDs newest first without an index
+ * - Merging submissions from the legacy index
+ * - Listing submissions received before a cutoff
+ * - Paging by cursor without listing past the page
+ * - Storing submissions from older SDKs in the legacy index
+ * - Rejecting IDs dated in the future
+ * - Deleting submissions of both ID formats
+ */
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+
+// In-memory stand-in for @netlify/blobs. Paginated listings return a few
+// keys per page, in key order, so walking key ranges is exercised
+const LIST_PAGE_SIZE = 3;
+const blobs = new Map();
+const mockStore = {
+  get: jest.fn(async (key) => blobs.get(key) ?? null),
+  setJSON: jest.fn(async (key, value) => { blobs.set(key, value); }),
+  delete: jest.fn(async (key) => { blobs.delete(key); }),
+  list: jest.fn(({ prefix = '', paginate } = {}) => {
+    const keys = [...blobs.keys()].filter(key => key.startsWith(prefix)).sort();
+    if (!paginate) {
+      return Promise.resolve({ blobs: keys.map(key => ({ key })) });
+    }
+    return (async function* () {
+      for (let i = 0; i < keys.length; i += LIST_PAGE_SIZE) {
+        yield { blobs: keys.slice(i, i + LIST_PAGE_SIZE).map(key => ({ key })) };
+      }
+    })();
+  })
+};
+
+jest.unstable_mockModule('@netlify/blobs', () => ({
+  getStore: jest.fn(() => mockStore)
+}));
+
+const {
+  SUBMISSION_ID_MAX_SKEW,
+  isSubmissionIdTimeValid,
+  saveSubmission,
+  listSubmissionIds,
+  getSubmissions,
+  deleteSubmission,
+  deleteAllSubmissions
+} = await import('../storage.js');
+const { createSubmissionId } = await import('../../../../src/core/identity.js');
+
+const formId = 'vf_test_form';
+const legacyId = 'vf-a1b2c3d4-e5f6-4a1b-8c2d-e3f4a5b6c7d8';
+
+function addSubmission(id, ts, receivedAt = ts) {
+  blobs.set(id, { id, formId, timestamp: ts, receivedAt });
+}
+
+describe('Submission listing', () => {
+  const jan = Date.UTC(2026, 0, 1);
+  const feb = Date.UTC(2026, 1, 1);
+  const mar = Date.UTC(2026, 2, 1);
+  let janId;
+  let marId;
+
+  beforeEach(() => {
+    blobs.clear();
+    janId = createSubmissionId(jan);
+    marId = createSubmissionId(mar);
+    addSubmission(marId, mar);
+    addSubmission(janId, jan);
+    addSubmission(legacyId, feb);
+    blobs.set('_index', { submissions: [{ id: legacyId, ts: feb }] });
+    blobs.set('_search/email/abc', { ids: [janId] });
+  });
+
+  test('lists time-sortable and legacy submissions newest first', async () => {
+    expect(await listSubmissionIds(formId)).toEqual([
+      { id: marId, ts: mar },
+      { id: legacyId, ts: feb },
+      { id: janId, ts: jan }
+    ]);
+  });
+
+  test('lists only submissions received before a cutoff', async () => {
+    expect((await listSubmissionIds(formId, { before: mar })).map(item => item.id)).toEqual([legacyId, janId]);
+    expect((await listSubmissionIds(formId, { before: feb })).map(item => item.id)).toEqual([janId]);
+    expect(await listSubmissionIds(formId, { before: jan })).toEqual([]);
+  });
+
+  test('goes by when a submission was received, not the time in its ID', async () => {
+    // Made ahead of the server's clock, and queued offline for a month
+    const aheadId = createSubmissionId(feb + SUBMISSION_ID_MAX_SKEW / 2);
+    const queuedId = createSubmissionId(jan + 1);
+    addSubmission(aheadId, feb, feb - 1);
+    addSubmission(queuedId, jan + 1, feb + 1);
+
+    const ids = (await listSubmissionIds(formId, { before: feb })).map(item => item.id);
+
+    expect(ids).toContain(aheadId);
+    expect(ids).not.toContain(queuedId);
+  });
+
+  test('pages through submissions by cursor without an index entry per submission', async () => {
+    const first = await getSubmissions(formId, 2);
+    const second = await getSubmissions(formId, 2, { cursor: first.nextCursor });
+
+    expect(first.submissions.map(s => s.id)).toEqual([marId, legacyId]);
+    expect(first.nextCursor).toBe(legacyId);
+    expect(second.submissions.map(s => s.id)).toEqual([janId]);
+    expect(second.nextCursor).toBeNull();
+    expect(blobs.get('_index').submissions).toHaveLength(1);
+  });
+
+  test('stops listing keys once the page is full', async () => {
+    const times = Array.from({ length: 20 }, (_, i) => feb + (i + 1) * 24 * 60 * 60 * 1000);
+    const ids = times.map(ts => createSubmissionId(ts));
+    ids.forEach((id, i) => addSubmission(id, times[i]));
+    const newest = [...ids].reverse();
+    mockStore.list.mockClear();
+
+    const first = await getSubmissions(formId, 3);
+    const second = await getSubmissions(formId, 3, { cursor: first.nextCursor });
+
+    expect(first.submissions.map(s => s.id)).toEqual([marId, ...newest.slice(0, 2)]);
+    expect(second.submissions.map(s => s.id)).toEqual(newest.slice(2, 5));
+    // Ranges holding only submissions older than both pages were never listed
+    const keys = [...blobs.keys()];
+    const olderOnly = mockStore.list.mock.calls.map(([options]) => options.prefix).filter((prefix) => {
+      const inRange = keys.filter(key => key.startsWith(prefix));
+      return inRange.length > 0 && inRange.every(key => key <= janId);
+    });
+    expect(olderOnly).toEqual([]);
+  });
+
+  test('reads receipt times a few submissions at a time', async () => {
+    for (let i = 0; i < 25; i++) {
+      addSubmission(createSubmissionId(jan + i), jan + i);
+    }
+    let reading = 0;
+    let mostAtOnce = 0;
+    mockStore.get.mockImplementation(async (key) => {
+      mostAtOnce = Math.max(mostAtOnce, ++reading);
+      await new Promise(resolve => setTimeout(resolve, 1));
+      reading--;
+      return blobs.get(key) ?? null;
+    });
+
+    try {
+      expect(await listSubmissionIds(formId, { before: mar })).toHaveLength(27);
+    } finally {
+      mockStore.get.mockImplementation(async (key) => blobs.get(key) ?? null);
+    }
+    expect(mostAtOnce).toBeLessThanOrEqual(10);
+  });
+
+  test('lists submissions stored with older UUID IDs', async () => {
+    const uuidId = 'vf-0c1d2e3f-4a5b-4c6d-8e7f-8a9b0c1d2e3f';
+    const hexId = '0c1d2e3f4a5b4c6d8e7f8a9b0c1d2e3f';
+    await saveSubmission(formId, { id: uuidId, formId, timestamp: mar + 1, receivedAt: mar + 1 });
+    await saveSubmission(formId, { id: hexId, formId, timestamp: mar + 2, receivedAt: mar + 2 });
+
+    expect((await listSubmissionIds(formId)).map(item => item.id).slice(0, 2)).toEqual([hexId, uuidId]);
+    expect((await getSubmissions(formId)).submissions).toHaveLength(5);
+    expect(await deleteAllSubmissions(formId)).toBe(5);
+  });
+
+  test('keeps time-sortable IDs out of the legacy index', async () => {
+    const id = createSubmissionId(mar + 1);
+    await saveSubmission(formId, { id, formId, timestamp: mar + 1, receivedAt: mar + 1 });
+
+    expect((await listSubmissionIds(formId))[0].id).toBe(id);
+    expect(blobs.get('_index').submissions).toHaveLength(1);
+  });
+
+  test('rejects IDs dated in the future', () => {
+    const now = Date.now();
+
+    expect(isSubmissionIdTimeValid(createSubmissionId(now + 60 * 1000), now)).toBe(true);
+    expect(isSubmissionIdTimeValid(createSubmissionId(now + 2 * SUBMISSION_ID_MAX_SKEW), now)).toBe(false);
+    expect(isSubmissionIdTimeValid(createSubmissionId(jan), now)).toBe(true);
+    expect(isSubmissionIdTimeValid(legacyId, now)).toBe(true);
+  });
+
+  test('deletes a submission of either ID format', async () => {
+    await deleteSubmission(formId, marId);
+    await deleteSubmission(formId, legacyId);
+
+    expect((await listSubmissionIds(formId)).map(item => item.id)).toEqual([janId]);
+    expect(blobs.get('_index').submissions).toEqual([]);
+  });
+
+  test('deletes all submissions and the legacy index', async () => {
+    expect(await deleteAllSubmissions(formId)).toBe(3);
+
+    expect([...blobs.keys()]).toEqual([]);
+  });
+});
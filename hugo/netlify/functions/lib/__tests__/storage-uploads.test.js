@@ -0,0 +1,131 @@
+/**
+ * File Upload Storage Tests
+ * Tests for the upload operations in /netlify/functions/lib/storage.js
+ *
+ * Test Coverage:
+ * - Tracking received chunks from the store
+ * - Completing and attaching uploads
+ * - Counting uploads not attached to a submission yet
+ * - Deleting attachments with their submission
+ * - Cleaning up uploads never attached to a submission
+ */
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+
+// In-memory stand-in for @netlify/blobs
+const blobs = new Map();
+const mockStore = {
+  get: jest.fn(async (key) => blobs.get(key) ?? null),
+  set: jest.fn(async (key, value) => { blobs.set(key, value); }),
+  setJSON: jest.fn(async (key, value) => { blobs.set(key, value); }),
+  delete: jest.fn(async (key) => { blobs.delete(key); }),
+  list: jest.fn(async ({ prefix }) => ({
+    blobs: [...blobs.keys()].filter(key => key.startsWith(prefix)).map(key => ({ key }))
+  }))
+};
+
+jest.unstable_mockModule('@netlify/blobs', () => ({
+  getStore: jest.fn(() => mockStore)
+}));
+
+const {
+  createUpload,
+  getUpload,
+  saveUploadChunk,
+  getUploadChunk,
+  getUploadedChunks,
+  completeUpload,
+  attachUpload,
+  countOpenUploads,
+  deleteSubmission,
+  deleteAllSubmissions,
+  deleteAbandonedUploads
+} = await import('../storage.js');
+
+const formId = 'vf_test_form';
+const submissionId = 'vf-11111111-1111-4111-8111-111111111111';
+const upload = (uploadId) => ({ uploadId, submissionId, header: { encrypted: true }, chunkCount: 3 });
+
+describe('Upload storage', () => {
+  beforeEach(() => {
+    blobs.clear();
+  });
+
+  test('creates a pending upload', async () => {
+    await createUpload(formId, upload('upload_a'));
+
+    expect(await getUpload(formId, 'upload_a')).toMatchObject({ status: 'pending', chunkCount: 3, formId });
+  });
+
+  test('lists received chunks in order, whatever order they arrive in', async () => {
+    await createUpload(formId, upload('upload_a'));
+    await saveUploadChunk(formId, 'upload_a', 2, new ArrayBuffer(20));
+    await saveUploadChunk(formId, 'upload_a', 0, new ArrayBuffer(20));
+    await saveUploadChunk(formId, 'upload_b', 1, new ArrayBuffer(20));
+
+    expect(await getUploadedChunks(formId, 'upload_a')).toEqual([0, 2]);
+    expect(await getUploadChunk(formId, 'upload_a', 2)).toBeInstanceOf(ArrayBuffer);
+  });
+
+  test('completes and attaches uploads', async () => {
+    await createUpload(formId, upload('upload_a'));
+
+    expect((await completeUpload(formId, 'upload_a')).status).toBe('complete');
+    expect((await attachUpload(formId, 'upload_a')).status).toBe('attached');
+    expect(await completeUpload(formId, 'missing')).toBeNull();
+  });
+
+  test('deletes attachments with their submission', async () => {
+    await createUpload(formId, upload('upload_a'));
+    await saveUploadChunk(formId, 'upload_a', 0, new ArrayBuffer(20));
+    blobs.set(submissionId, { id: submissionId, attachments: [{ uploadId: 'upload_a' }] });
+    blobs.set('_index', { submissions: [{ id: submissionId }] });
+
+    await deleteSubmission(formId, submissionId);
+
+    expect([...blobs.keys()].filter(key => key.startsWith('_files/'))).toEqual([]);
+  });
+
+  test('deletes every upload when all submissions are deleted', async () => {
+    await createUpload(formId, upload('upload_a'));
+    await saveUploadChunk(formId, 'upload_a', 0, new ArrayBuffer(20));
+
+    await deleteAllSubmissions(formId);
+
+    expect([...blobs.keys()].filter(key => key.startsWith('_files'))).toEqual([]);
+  });
+
+  test('counts uploads until they are attached or deleted', async () => {
+    await createUpload(formId, upload('upload_a'));
+    await createUpload(formId, upload('upload_b'));
+    await createUpload(formId, upload('upload_c'));
+    await completeUpload(formId, 'upload_b');
+
+    expect(await countOpenUploads(formId)).toBe(3);
+
+    await attachUpload(formId, 'upload_a');
+    await deleteAbandonedUploads(formId, Date.now() + 1000);
+
+    expect(await countOpenUploads(formId)).toBe(0);
+  });
+
+  test('deletes old uploads that were never attached', async () => {
+    await createUpload(formId, upload('upload_old'));
+    await createUpload(formId, upload('upload_attached'));
+    await attachUpload(formId, 'upload_attached');
+    await saveUploadChunk(formId, 'upload_old', 0, new ArrayBuffer(20));
+
+    const deleted = await deleteAbandonedUploads(formId, Date.now() + 1000);
+
+    expect(deleted).toBe(1);
+    expect(await getUpload(formId, 'upload_old')).toBeNull();
+    expect(await getUploadedChunks(formId, 'upload_old')).toEqual([]);
+    expect(await getUpload(formId, 'upload_attached')).not.toBeNull();
+  });
+
+  test('keeps recent unattached uploads', async () => {
+    await createUpload(formId, upload('upload_new'));
+
+    expect(await deleteAbandonedUploads(formId, Date.now() - 1000)).toBe(0);
+  });
+});
@@ -0,0 +1,359 @@
+/**
+ * Validation Tests
+ * Tests for /netlify/functions/lib/validation.js
+ *
+ * Test Coverage:
+ * - Encrypted payload structure (vf-e1 to vf-e4)
+ * - Searchable fields and blind indexes
+ * - Submission and file upload IDs
+ * - PII policies
+ * - Form builder fields
+ */
+
+import { describe, test, expect } from '@jest/globals';
+
+const {
+  validateEncryptedPayload,
+  validateSearchableFields,
+  validateBlindIndex,
+  pickSearchableIndexes,
+  isValidBlindIndex,
+  isValidSubmissionId,
+  isValidUploadId,
+  validatePIIPolicy,
+  isValidNullifier,
+  validateInviteBatch,
+  validateFormFields
+} = await import('../validation.js');
+
+describe('validateEncryptedPayload', () => {
+  const base = { encrypted: true, data: 'ZGF0YQ==', iv: 'aXY=' };
+
+  test('accepts vf-e1 payloads with key or encryptedKey', () => {
+    expect(validateEncryptedPayload({ ...base, version: 'vf-e1', key: 'a2V5' }).valid).toBe(true);
+    expect(validateEncryptedPayload({ ...base, version: 'vf-e1', encryptedKey: 'a2V5' }).valid).toBe(true);
+  });
+
+  test('rejects vf-e1 payloads without a wrapped key', () => {
+    const result = validateEncryptedPayload({ ...base, version: 'vf-e1' });
+
+    expect(result.valid).toBe(false);
+    expect(result.required).toContain('encryptedKey');
+  });
+
+  test('rejects missing payloads and unknown versions', () => {
+    expect(validateEncryptedPayload(null).valid).toBe(false);
+    expect(validateEncryptedPayload({ ...base, version: 'vf-e9', key: 'a2V5' }).error)
+      .toMatch('Unsupported encryption version');
+  });
+
+  test('accepts vf-e2 payloads with recipients', () => {
+    const result = validateEncryptedPayload({
+      ...base,
+      version: 'vf-e2',
+      recipients: [{ kid: 'owner', key: 'a2V5' }, { kid: 'reviewer', key: 'a2V5' }]
+    });
+
+    expect(result.valid).toBe(true);
+  });
+
+  test('rejects vf-e2 payloads with no or malformed recipients', () => {
+    expect(validateEncryptedPayload({ ...base, version: 'vf-e2', recipients: [] }).valid).toBe(false);
+    expect(validateEncryptedPayload({ ...base, version: 'vf-e2', key: 'a2V5' }).valid).toBe(false);
+    expect(validateEncryptedPayload({
+      ...base,
+      version: 'vf-e2',
+      recipients: [{ kid: 'owner' }]
+    }).error).toMatch('kid and a wrapped key');
+  });
+
+  test('accepts vf-e3 payloads bound to the request context', () => {
+    const payload = {
+      ...base,
+      version: 'vf-e3',
+      formId: 'vf_contact',
+      submissionId: 'vf-abc',
+      recipients: [{ kid: 'owner', key: 'a2V5' }]
+    };
+
+    expect(validateEncryptedPayload(payload, { formId: 'vf_contact', submissionId: 'vf-abc' }).valid).toBe(true);
+  });
+
+  test('rejects vf-e3 payloads bound elsewhere or missing their IDs', () => {
+    const payload = {
+      ...base,
+      version: 'vf-e3',
+      formId: 'vf_contact',
+      submissionId: 'vf-abc',
+      recipients: [{ kid: 'owner', key: 'a2V5' }]
+    };
+
+    expect(validateEncryptedPayload(payload, { formId: 'vf_other' }).error).toMatch('different form');
+    expect(validateEncryptedPayload(payload, { submissionId: 'vf-xyz' }).error).toMatch('different submission');
+    expect(validateEncryptedPayload({ ...payload, formId: undefined }).valid).toBe(false);
+  });
+
+  test('accepts vf-e4 payloads mixing ECIES and RSA recipients', () => {
+    const payload = {
+      ...base,
+      version: 'vf-e4',
+      formId: 'vf_contact',
+      submissionId: 'vf-abc',
+      recipients: [
+        { kid: 'owner', epk: { crv: 'P-256', kty: 'EC', x: 'eA', y: 'eQ' }, iv: 'aXY=', key: 'a2V5' },
+        { kid: 'reviewer', key: 'a2V5' }
+      ]
+    };
+
+    expect(validateEncryptedPayload(payload, { formId: 'vf_contact', submissionId: 'vf-abc' }).valid).toBe(true);
+    expect(validateEncryptedPayload({ ...payload, submissionId: undefined }).error).toMatch('vf-e4 payloads must name');
+  });
+
+  test('rejects ECIES recipients without an ephemeral key and IV, or outside vf-e4', () => {
+    const recipient = { kid: 'owner', epk: { crv: 'X25519', kty: 'OKP', x: 'eA' }, iv: 'aXY=', key: 'a2V5' };
+    const payload = { ...base, version: 'vf-e4', formId: 'vf_contact', submissionId: 'vf-abc' };
+
+    expect(validateEncryptedPayload({ ...payload, recipients: [{ ...recipient, iv: undefined }] }).error)
+      .toMatch('ephemeral key');
+    expect(validateEncryptedPayload({ ...payload, recipients: [{ ...recipient, epk: 'x' }] }).valid).toBe(false);
+    expect(validateEncryptedPayload({ ...payload, version: 'vf-e3', recipients: [recipient] }).valid).toBe(false);
+  });
+});
+
+describe('blind index validation', () => {
+  const index = 'a'.repeat(43);
+
+  test('accepts simple searchable field names', () => {
+    expect(validateSearchableFields(['order_number', 'ticket-id']).valid).toBe(true);
+    expect(validateSearchableFields([]).valid).toBe(true);
+  });
+
+  test('rejects malformed or too many searchable fields', () => {
+    expect(validateSearchableFields('order_number').valid).toBe(false);
+    expect(validateSearchableFields(['has space']).valid).toBe(false);
+    expect(validateSearchableFields(Array.from({ length: 11 }, (_, i) => `f${i}`)).valid).toBe(false);
+  });
+
+  test('accepts well-formed indexes and keeps those for searchable fields', () => {
+    const sent = { order_number: index, email: index };
+
+    expect(validateBlindIndex(sent).valid).toBe(true);
+    expect(pickSearchableIndexes(sent, ['order_number'])).toEqual({ order_number: index });
+    expect(pickSearchableIndexes(sent, [])).toEqual({});
+  });
+
+  test('rejects values that are not HMAC-sized base64url', () => {
+    expect(validateBlindIndex({ order_number: 'plain value' }).valid).toBe(false);
+    expect(validateBlindIndex({ email: 'plain value' }).valid).toBe(false);
+    expect(isValidBlindIndex(index)).toBe(true);
+    expect(isValidBlindIndex('abc')).toBe(false);
+  });
+});
+
+describe('isValidSubmissionId', () => {
+  test('accepts time-sortable, UUID and hash IDs', () => {
+    expect(isValidSubmissionId('vf-01jc6q2m8x4bvd7k3ztn5hrw9p')).toBe(true);
+    expect(isValidSubmissionId('vf-a1b2c3d4-e5f6-4a1b-8c2d-e3f4a5b6c7d8')).toBe(true);
+    expect(isValidSubmissionId('0123456789abcdef0123456789abcdef')).toBe(true);
+  });
+
+  test('rejects letters outside Crockford base32 and other lengths', () => {
+    expect(isValidSubmissionId('vf-01jc6q2m8x4bvd7k3ztn5hrwup')).toBe(false);
+    expect(isValidSubmissionId('vf-01JC6Q2M8X4BVD7K3ZTN5HRW9P')).toBe(false);
+    expect(isValidSubmissionId('vf-01jc6q2m8x4bvd7k3ztn5hrw9')).toBe(false);
+    expect(isValidSubmissionId('_index')).toBe(false);
+  });
+});
+
+describe('isValidUploadId', () => {
+  test('accepts 128-bit base64url IDs', () => {
+    expect(isValidUploadId('q3XlN0k-bQ_8vZcT1aYw2g')).toBe(true);
+  });
+
+  test('rejects other lengths and path characters', () => {
+    expect(isValidUploadId('q3XlN0k-bQ_8vZcT1aYw2')).toBe(false);
+    expect(isValidUploadId('q3XlN0k-bQ/8vZcT1aYw2g')).toBe(false);
+    expect(isValidUploadId(undefined)).toBe(false);
+  });
+});
+
+describe('validatePIIPolicy', () => {
+  test('accepts a complete policy or null', () => {
+    expect(validatePIIPolicy({
+      locales: ['eu', 'de'],
+      defaultAction: 'redact',
+      patterns: [{ id: 'employee_id', pattern: 'EMP-\\d{6}', flags: 'i' }],
+      fieldNames: ['badge'],
+      fields: { email: 'hash', notes: 'allow', card: 'block' }
+    }).valid).toBe(true);
+    expect(validatePIIPolicy({}).valid).toBe(true);
+    expect(validatePIIPolicy(null).valid).toBe(true);
+  });
+
+  test('rejects unknown locales and actions', () => {
+    expect(validatePIIPolicy({ locales: ['xx'] }).valid).toBe(false);
+    expect(validatePIIPolicy({ defaultAction: 'shred' }).valid).toBe(false);
+    expect(validatePIIPolicy({ fields: { email: 'keep' } }).error).toMatch('Invalid action for field email');
+  });
+
+  test('rejects patterns that do not compile or are too long', () => {
+    expect(validatePIIPolicy({ patterns: [{ id: 'bad', pattern: '(' }] }).error).toMatch('not a valid regular expression');
+    expect(validatePIIPolicy({ patterns: [{ id: 'long', pattern: 'a'.repeat(201) }] }).valid).toBe(false);
+    expect(validatePIIPolicy({ patterns: [{ id: 'g', pattern: 'a', flags: 'g' }] }).valid).toBe(false);
+    expect(validatePIIPolicy({ patterns: [{ pattern: 'a' }] }).valid).toBe(false);
+  });
+
+  test('rejects malformed field rules', () => {
+    expect(validatePIIPolicy([]).valid).toBe(false);
+    expect(validatePIIPolicy({ fieldNames: 'badge' }).valid).toBe(false);
+    expect(validatePIIPolicy({ fields: { 'has space': 'redact' } }).valid).toBe(false);
+  });
+
+  test('accepts pseudonymization with known formats only', () => {
+    expect(validatePIIPolicy({
+      fields: { email: 'pseudonymize', card: 'pseudonymize' },
+      formats: { email: 'keep-domain', card: 'last4' }
+    }).valid).toBe(true);
+    expect(validatePIIPolicy({ formats: { email: 'reversible' } }).error).toMatch('Invalid pseudonym format for field email');
+    expect(validatePIIPolicy({ formats: ['last4'] }).valid).toBe(false);
+  });
+});
+
+describe('invite nullifiers', () => {
+  const nullifier = (n) => String(n).padStart(43, 'A');
+
+  test('accepts SHA-256-sized base64url nullifiers', () => {
+    expect(isValidNullifier(nullifier(1))).toBe(true);
+    expect(isValidNullifier(nullifier(1).slice(1))).toBe(false);
+    expect(isValidNullifier(undefined)).toBe(false);
+  });
+
+  test('accepts batches of 10 to 1000 distinct nullifiers', () => {
+    const batch = (length) => Array.from({ length }, (_, i) => nullifier(i));
+
+    expect(validateInviteBatch(batch(10)).valid).toBe(true);
+    expect(validateInviteBatch([]).valid).toBe(false);
+    expect(validateInviteBatch(batch(1)).valid).toBe(false);
+    expect(validateInviteBatch(batch(9)).valid).toBe(false);
+    expect(validateInviteBatch(batch(1001)).valid).toBe(false);
+    expect(validateInviteBatch([...batch(9), nullifier(1)]).error).toMatch('distinct');
+    expect(validateInviteBatch([...batch(9), '7F3KQ-9ZD2M-XW4HB-R8TNC']).valid).toBe(false);
+  });
+});
+
+describe('validateFormFields', () => {
+  const text = { id: 'field_a1', type: 'text', label: 'Name', name: 'name', required: true, placeholder: '' };
+  const radio = { id: 'field_b2', type: 'radio', label: 'Plan', name: 'plan', options: ['Free', 'Pro'] };
+
+  test('accepts fields as saved by the builder', () => {
+    expect(validateFormFields([
+      text,
+      radio,
+      { id: 'field_c3', type: 'heading', label: '', name: '', content: 'About you', level: 'h3', conditions: null },
+      { id: 'field_d4', type: 'page_break', label: '', name: '', stepTitle: 'Step 2', stepDescription: '' },
+      { id: 'field_e5', type: 'date', label: 'When', name: 'when', min: '', max: '2030-01-01' }
+    ]).valid).toBe(true);
+    expect(validateFormFields([]).valid).toBe(true);
+  });
+
+  test('rejects unknown types and duplicate ids or names', () => {
+    expect(validateFormFields([{ ...text, type: 'script' }]).error).toMatch('type must be one of');
+    expect(validateFormFields([text, { ...radio, id: text.id }]).error).toMatch('unique id');
+    expect(validateFormFields([text, { ...radio, name: 'name' }]).error).toMatch('used more than once');
+  });
+
+  test('rejects input fields without a valid name', () => {
+    expect(validateFormFields([{ ...text, name: '' }]).valid).toBe(false);
+    expect(validateFormFields([{ ...text, name: '1st' }]).valid).toBe(false);
+    expect(validateFormFields([{ ...text, name: 'first name' }]).valid).toBe(false);
+  });
+
+  test('requires options for choice fields', () => {
+    expect(validateFormFields([{ ...radio, options: [] }]).valid).toBe(false);
+    expect(validateFormFields([{ ...radio, options: ['Free', ''] }]).valid).toBe(false);
+    expect(validateFormFields([{ ...radio, options: 'Free' }]).valid).toBe(false);
+  });
+
+  test('accepts show/hide conditions on other fields', () => {
+    const conditions = { action: 'show', logic: 'any', rules: [{ field: radio.id, operator: 'equals', value: 'Pro' }] };
+
+    expect(validateFormFields([radio, { ...text, conditions }]).valid).toBe(true);
+    expect(validateFormFields([radio, {
+      ...text,
+      conditions: { ...conditions, rules: [{ field: '', operator: 'equals', value: '' }] }
+    }]).valid).toBe(true);
+  });
+
+  test('rejects malformed conditions', () => {
+    const rule = { field: radio.id, operator: 'equals', value: 'Pro' };
+    const withConditions = (conditions) => validateFormFields([radio, { ...text, conditions }]);
+
+    expect(withConditions({ action: 'toggle', logic: 'all', rules: [rule] }).valid).toBe(false);
+    expect(withConditions({ action: 'show', logic: 'all', rules: [{ ...rule, operator: 'resembles' }] }).error).toMatch('malformed condition');
+    expect(withConditions({ action: 'show', logic: 'all', rules: Array(21).fill(rule) }).valid).toBe(false);
+    expect(withConditions({ action: 'show', logic: 'all', rules: [{ ...rule, field: 'field_zz' }] }).error).toMatch('unknown field');
+    expect(withConditions({ action: 'show', logic: 'all', rules: [{ ...rule, field: text.id }] }).valid).toBe(false);
+  });
+
+  test('accepts nested groups and the newer operators', () => {
+    const conditions = {
+      version: 2,
+      action: 'require',
+      logic: 'any',
+      rules: [
+        { field: radio.id, operator: 'is_one_of', value: ['Free', 'Pro'] },
+        { logic: 'all', rules: [{ field: radio.id, operator: 'matches', value: '^P' }] }
+      ]
+    };
+
+    expect(validateFormFields([radio, { ...text, conditions }]).valid).toBe(true);
+  });
+
+  test('rejects invalid patterns, lists, versions and deep nesting', () => {
+    const withRule = (rule, extra = {}) => validateFormFields([radio, {
+      ...text,
+      conditions: { version: 2, action: 'show', logic: 'all', rules: [rule], ...extra }
+    }]);
+
+    expect(withRule({ field: radio.id, operator: 'matches', value: '(' }).error).toMatch('regular expression');
+    expect(withRule({ field: radio.id, operator: 'contains_any', value: 'Pro' }).error).toMatch('list');
+    expect(withRule({ field: radio.id, operator: 'equals', value: ['Pro'] }).valid).toBe(false);
+    expect(withRule({ field: radio.id, operator: 'equals', value: 'Pro' }, { version: 3 }).error).toMatch('version');
+
+    let group = { field: radio.id, operator: 'is_not_empty' };
+    for (let i = 0; i < 3; i++) group = { logic: 'all', rules: [group] };
+    expect(withRule(group).error).toMatch('nested at most');
+  });
+
+  test('checks jump targets', () => {
+    const page = (id) => ({ id, type: 'page_break', label: '', name: '', stepTitle: id });
+    const jump = (target) => ({
+      ...text,
+      conditions: { version: 2, action: 'jump', logic: 'all', target, rules: [{ field: radio.id, operator: 'equals', value: 'Free' }] }
+    });
+
+    expect(validateFormFields([radio, jump('p2'), page('p1'), page('p2')]).valid).toBe(true);
+    expect(validateFormFields([page('p1'), radio, jump('p1')]).error).toMatch('later page break');
+    expect(validateFormFields([radio, jump(radio.id)]).error).toMatch('later page break');
+  });
+
+  test('only sets values on hidden fields and only requires inputs', () => {
+    const hidden = { id: 'field_h1', type: 'hidden', name: 'tier', defaultValue: 'free' };
+    const rules = [{ field: radio.id, operator: 'equals', value: 'Pro' }];
+    const setValue = { version: 2, action: 'set_value', logic: 'all', value: 'paid', rules };
+
+    expect(validateFormFields([radio, { ...hidden, conditions: setValue }]).valid).toBe(true);
+    expect(validateFormFields([radio, { ...text, conditions: setValue }]).error).toMatch('hidden field');
+    expect(validateFormFields([radio, { ...hidden, conditions: { ...setValue, value: 1 } }]).valid).toBe(false);
+    expect(validateFormFields([radio, { ...hidden, conditions: { ...setValue, action: 'require' } }]).error).toMatch("can't be required");
+  });
+
+  test('rejects oversized or mistyped properties', () => {
+    expect(validateFormFields([{ ...text, label: 'x'.repeat(501) }]).valid).toBe(false);
+    expect(validateFormFields([{ ...text, required: 'yes' }]).valid).toBe(false);
+    expect(validateFormFields([{ ...text, conditions: [] }]).valid).toBe(false);
+    expect(validateFormFields([{ ...text, min: {} }]).valid).toBe(false);
+    expect(validateFormFields([{ id: 'h', type: 'heading', level: 'h1' }]).valid).toBe(false);
+    expect(validateFormFields('fields').valid).toBe(false);
+  });
+});
@@ -14,6 +14,12 @@ export const AuditEvents = {
   FORM_UPDATED: 'form.updated',
   FORM_DELETED: 'form.deleted',
   FORM_KEYS_REGENERATED: 'form.keys_regenerated',
+  FORM_RECIPIENT_ADDED: 'form.recipient_added',
+  FORM_RECIPIENT_REMOVED: 'form.recipient_removed',
+  FORM_KEYS_WRAPPED: 'form.keys_wrapped',
+  FORM_SHREDDED: 'form.shredded',
+  FORM_INVITES_CREATED: 'form.invites_created',
+  FORM_INVITES_REVOKED: 'form.invites_revoked',
 
   // Submission events
   SUBMISSION_RECEIVED: 'submission.received',
@@ -26,12 +32,17 @@ export const AuditEvents = {
   USER_LOGIN_FAILED: 'user.login_failed',
   USER_PASSWORD_RESET: 'user.password_reset',
   USER_EMAIL_VERIFIED: 'user.email_verified',
+  USER_MASTER_KEY_CREATED: 'user.master_key_created',
 
   // API key events
   API_KEY_CREATED: 'api_key.created',
   API_KEY_REVOKED: 'api_key.revoked',
   API_KEY_USED: 'api_key.used',
 
+  // Key vault events
+  KEY_VAULT_UPDATED: 'key_vault.updated',
+  KEY_VAULT_DELETED: 'key_vault.deleted',
+
   // Settings events
   SETTINGS_UPDATED: 'settings.updated',
   BRANDING_UPDATED: 'branding.updated',
@@ -43,6 +43,9 @@ export const ErrorCodes = {
   RESOURCE_ALREADY_EXISTS: 'RESOURCE_ALREADY_EXISTS',
   RESOURCE_FORBIDDEN: 'RESOURCE_FORBIDDEN',
   RESOURCE_DELETED: 'RESOURCE_DELETED',
+  INVITE_REQUIRED: 'INVITE_REQUIRED',
+  INVITE_INVALID: 'INVITE_INVALID',
+  INVITE_USED: 'INVITE_USED',
 
   // Rate limiting (5xxx)
   RATE_LIMIT_EXCEEDED: 'RATE_LIMIT_EXCEEDED',
@@ -217,6 +220,21 @@ const errorDefinitions = {
     hint: 'This resource was previously deleted and cannot be accessed.',
     statusCode: 410,
   },
+  [ErrorCodes.INVITE_REQUIRED]: {
+    message: 'An invite code is required for this form',
+    hint: 'This form only accepts responses from invitees. Enter the invite code you were given.',
+    statusCode: 400,
+  },
+  [ErrorCodes.INVITE_INVALID]: {
+    message: 'Invite code is not valid for this form',
+    hint: 'Check the code for typos. Codes only work on the form they were issued for.',
+    statusCode: 403,
+  },
+  [ErrorCodes.INVITE_USED]: {
+    message: 'This invite code has already been used',
+    hint: 'Each invite code can be used for one response only.',
+    statusCode: 409,
+  },
 
   // Rate limiting
   [ErrorCodes.RATE_LIMIT_EXCEEDED]: {
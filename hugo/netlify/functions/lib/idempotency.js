@@ -203,6 +203,24 @@ export async function cleanupExpiredIdempotencyKeys(formId = null) {
   }
 }
 
+/**
+ * Delete every idempotency record for a form (form shredding)
+ * Cached responses carry submission receipts, so none may outlive the form.
+ * Storage keys are prefixed with the form ID, which also finds records that
+ * have dropped out of the capped index
+ *
+ * @param {string} formId - Form ID
+ * @returns {Promise<number>} Number of records deleted
+ */
+export async function deleteIdempotencyKeys(formId) {
+  const store = getStore({ name: IDEMPOTENCY_STORE, consistency: 'strong' });
+  const { blobs } = await store.list({ prefix: `${formId}_` });
+
+  await Promise.all(blobs.map(blob => store.delete(blob.key)));
+  await store.delete(`index_${formId}`);
+  return blobs.length;
+}
+
 /**
  * Get idempotency statistics for a form
  */
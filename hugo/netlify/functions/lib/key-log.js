@@ -0,0 +1,73 @@
+/**
+ * VeilForms - Key Transparency Log
+ * Append-only, hash-chained record of every public key a form has published.
+ * Each entry commits to the one before it, so the SDK can tell if a key is
+ * slipped in or history is rewritten after it last looked
+ */
+
+import { getStore } from '@netlify/blobs';
+import { getFormKeyring } from './key-utils.js';
+
+const KEY_LOG_STORE = 'vf-key-logs';
+
+/**
+ * Hash a log entry
+ * Matches hashKeyLogEntry in the client key-log module. The key ID is an
+ * RFC 7638 thumbprint, so hashing it commits to the public key itself
+ * @param {Object} entry - { seq, kid, addedAt, prevHash }
+ * @returns {Promise<string>} - Base64url-encoded SHA-256 hash
+ */
+export async function hashKeyLogEntry({ seq, kid, addedAt, prevHash }) {
+  const canonical = JSON.stringify([seq, kid, addedAt, prevHash]);
+  const hashBuffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(canonical));
+  return Buffer.from(hashBuffer).toString('base64url');
+}
+
+/**
+ * Get a form's key log, oldest entry first
+ * @param {string} formId - Form ID
+ * @returns {Promise<Array>} - Entries of { seq, kid, publicKey, addedAt, prevHash, hash }
+ */
+export async function getKeyLog(formId) {
+  const store = getStore({ name: KEY_LOG_STORE, consistency: 'strong' });
+  try {
+    return (await store.get(formId, { type: 'json' })) || [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Append any keyring or recipient keys the log hasn't seen yet
+ * Called whenever a form publishes a key; forms created before the log
+ * existed get their whole keyring added on first use. Extra recipients are
+ * logged too, since the SDK encrypts every submission to them as well
+ * @param {Object} form - Form record
+ * @returns {Promise<Array>} - The updated log
+ */
+export async function recordFormKeys(form) {
+  const store = getStore({ name: KEY_LOG_STORE, consistency: 'strong' });
+  const log = await getKeyLog(form.id);
+  const logged = new Set(log.map(entry => entry.kid));
+
+  const published = [...await getFormKeyring(form), ...(form.recipients || [])];
+  const added = published.filter(entry => !logged.has(entry.kid));
+  if (added.length === 0) {
+    return log;
+  }
+
+  for (const { kid, publicKey } of added) {
+    const previous = log[log.length - 1];
+    const entry = {
+      seq: log.length,
+      kid,
+      addedAt: new Date().toISOString(),
+      prevHash: previous ? previous.hash : null
+    };
+    entry.hash = await hashKeyLogEntry(entry);
+    log.push({ ...entry, publicKey });
+  }
+
+  await store.setJSON(form.id, log);
+  return log;
+}
@@ -4,6 +4,7 @@
  */
 
 import { ErrorCodes, errorResponse } from './errors.js';
+import { validateEncryptedPayload } from './validation.js';
 
 /**
  * Validate JWK (JSON Web Key) format
@@ -18,9 +19,17 @@ export function validateJWK(key) {
     };
   }
 
+  // Validate key type
+  const keyType = KEY_TYPES[key.kty];
+  if (!keyType) {
+    return {
+      valid: false,
+      error: 'Unsupported key type (kty must be "RSA", "EC" or "OKP")',
+    };
+  }
+
   // Check for required JWK fields
-  const requiredFields = ['kty', 'n', 'e'];
-  for (const field of requiredFields) {
+  for (const field of keyType.required) {
     if (!key[field]) {
       return {
         valid: false,
@@ -29,17 +38,170 @@ export function validateJWK(key) {
     }
   }
 
-  // Validate key type
-  if (key.kty !== 'RSA') {
+  if (keyType.curves && !keyType.curves.includes(key.crv)) {
     return {
       valid: false,
-      error: 'Only RSA keys are supported (kty must be "RSA")',
+      error: `Unsupported curve for ${key.kty} keys (crv must be ${keyType.curves.map(c => `"${c}"`).join(' or ')})`,
     };
   }
 
   return { valid: true, error: null };
 }
 
+// Supported form key types: RSA-OAEP-2048, ECDH on P-256, and X25519
+const KEY_TYPES = {
+  RSA: { required: ['n', 'e'] },
+  EC: { required: ['crv', 'x', 'y'], curves: ['P-256'] },
+  OKP: { required: ['crv', 'x'], curves: ['X25519'] },
+};
+
+// Required public members per key type, already sorted (RFC 7638, RFC 8037)
+const THUMBPRINT_MEMBERS = {
+  RSA: ['e', 'kty', 'n'],
+  EC: ['crv', 'kty', 'x', 'y'],
+  OKP: ['crv', 'kty', 'x'],
+};
+
+/**
+ * Get the algorithm a form key is used with
+ * Matches getKeyAlgorithm in the client encryption module
+ * @param {Object} jwk - Validated key in JWK format
+ * @returns {string} - 'RSA-OAEP-2048', 'ECDH-P256' or 'ECDH-X25519'
+ */
+export function getKeyAlgorithm(jwk) {
+  return { RSA: 'RSA-OAEP-2048', EC: 'ECDH-P256', OKP: 'ECDH-X25519' }[jwk.kty];
+}
+
+/**
+ * Copy just the public members of a key (plus `alg`, if set)
+ * Used before storing keys sent by clients, so stray fields are dropped
+ * @param {Object} jwk - Validated key in JWK format
+ * @returns {Object} - Public JWK
+ */
+export function toPublicJWK(jwk) {
+  return {
+    ...Object.fromEntries(THUMBPRINT_MEMBERS[jwk.kty].map(member => [member, jwk[member]])),
+    ...(jwk.alg && { alg: jwk.alg }),
+  };
+}
+
+/**
+ * Compute a key ID for a JWK (RFC 7638 thumbprint)
+ * Matches getKeyId in the client encryption module, so the SDK and
+ * server agree on recipient IDs
+ * @param {Object} jwk - Key in JWK format
+ * @returns {Promise<string>} - Base64url-encoded SHA-256 thumbprint
+ */
+export async function getKeyId(jwk) {
+  const members = THUMBPRINT_MEMBERS[jwk?.kty];
+  if (!members) {
+    throw new Error(`Unsupported key type for key ID: ${jwk?.kty}`);
+  }
+
+  const canonical = JSON.stringify(
+    Object.fromEntries(members.map(member => [member, jwk[member]]))
+  );
+  const hashBuffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(canonical));
+  return Buffer.from(hashBuffer).toString('base64url');
+}
+
+/**
+ * Get a form's keyring, oldest key first
+ * Forms created before keyrings existed get one built from their current key
+ * @param {Object} form - Form record
+ * @returns {Promise<Array>} - Entries of { kid, publicKey, createdAt, retiredAt }
+ */
+export async function getFormKeyring(form) {
+  if (Array.isArray(form.keyring) && form.keyring.length > 0) {
+    return form.keyring;
+  }
+
+  if (!form.publicKey) {
+    return [];
+  }
+
+  return [{
+    kid: await getKeyId(form.publicKey),
+    publicKey: form.publicKey,
+    createdAt: form.createdAt,
+    retiredAt: form.keyRotatedAt || null
+  }];
+}
+
+/**
+ * Work out which form key an encrypted payload was made for
+ * Only the form's current key is accepted: after a rotation, payloads for a
+ * retired key (e.g. from a stale embed) are refused, so a compromised key
+ * stops receiving new data
+ * @param {Object} form - Form record
+ * @param {Object} payload - Validated encrypted payload
+ * @returns {Promise<{ kid: string|null, error?: string }>} - Key ID, or an error if the
+ *   payload was encrypted for a retired key or one the form never had
+ */
+export async function resolvePayloadKeyId(form, payload) {
+  const keyring = await getFormKeyring(form);
+  if (keyring.length === 0) {
+    return { kid: null };
+  }
+
+  const currentKid = form.keyId || keyring[keyring.length - 1].kid;
+  const current = new Set(keyring.filter(entry => !entry.retiredAt || entry.kid === currentKid).map(entry => entry.kid));
+  const known = new Set(keyring.map(entry => entry.kid));
+
+  if (Array.isArray(payload.recipients)) {
+    const entry = payload.recipients.find(recipient => current.has(recipient.kid));
+    if (entry) {
+      return { kid: entry.kid };
+    }
+    return payload.recipients.some(recipient => known.has(recipient.kid))
+      ? { kid: null, error: RETIRED_KEY_ERROR }
+      : { kid: null, error: 'None of the payload recipients is a key of this form' };
+  }
+
+  if (payload.kid) {
+    if (current.has(payload.kid)) {
+      return { kid: payload.kid };
+    }
+    return known.has(payload.kid)
+      ? { kid: null, error: RETIRED_KEY_ERROR }
+      : { kid: null, error: 'Payload was encrypted with a key that does not belong to this form' };
+  }
+
+  // Older SDKs don't send a key ID, so assume the current key
+  return { kid: currentKid };
+}
+
+// Stale embeds hit this after a rotation; the submit hint points to the new embed code
+const RETIRED_KEY_ERROR = 'Payload was encrypted with a retired key of this form';
+
+// vf-e3 form ID the browser binds into form keys wrapped for the master key
+const FORM_KEY_CONTEXT = 'vf-form-key';
+
+/**
+ * Validate a form private key wrapped for the account master key
+ * The envelope itself stays opaque; only its binding and recipient are checked
+ * @param {Object} wrapped - vf-e3 (or vf-e4, for EC master keys) envelope from the browser
+ * @param {string} kid - Key ID of the form public key it belongs to
+ * @param {string} masterKeyId - Key ID of the account master key
+ * @returns {Object} - { valid: boolean, error: string|null }
+ */
+export function validateWrappedFormKey(wrapped, kid, masterKeyId) {
+  if (wrapped?.version !== 'vf-e3' && wrapped?.version !== 'vf-e4') {
+    return { valid: false, error: 'Wrapped form keys must be vf-e3 or vf-e4 envelopes' };
+  }
+
+  const validation = validateEncryptedPayload(wrapped, { formId: FORM_KEY_CONTEXT, submissionId: kid });
+  if (!validation.valid) {
+    return { valid: false, error: `Invalid wrapped form key: ${validation.error}` };
+  }
+
+  if (!wrapped.recipients.some(recipient => recipient.kid === masterKeyId)) {
+    return { valid: false, error: 'Wrapped form key is not wrapped for the account master key' };
+  }
+
+  return { valid: true, error: null };
+}
+
 /**
  * Validate key export password
  * @param {string} password - Password to validate
@@ -80,8 +242,17 @@ export function keyErrorResponse(errorCode, headers, options = {}) {
   return errorResponse(errorCode, headers, options);
 }
 
+// Password KDFs a version 2.0 bundle can name, with the parameters each
+// needs and their allowed range (matches KEY_BUNDLE_KDFS in the client)
+export const KEY_BUNDLE_KDFS = {
+  'PBKDF2-SHA-256': { iterations: [100000, 10000000] },
+  'scrypt': { N: [2 ** 10, 2 ** 20], r: [1, 32], p: [1, 16] },
+};
+
 /**
  * Validate encrypted key bundle format
+ * Accepts version 1.0 bundles (PBKDF2 or recovery shares) and version 2.0
+ * bundles, which name their KDF, its parameters and the cipher
  * @param {Object} bundle - The encrypted key bundle
  * @returns {Object} - { valid: boolean, error: string|null }
  */
@@ -93,7 +264,14 @@ export function validateKeyBundle(bundle) {
     };
   }
 
-  const requiredFields = ['version', 'algorithm', 'iterations', 'salt', 'iv', 'ciphertext'];
+  if (bundle.version === '2.0') {
+    return validateKeyBundleV2(bundle);
+  }
+
+  // Share-protected bundles carry the share set instead of PBKDF2 parameters
+  const requiredFields = bundle.algorithm === 'SHAMIR-AES-GCM-256'
+    ? ['version', 'algorithm', 'shares', 'threshold', 'setId', 'iv', 'ciphertext']
+    : ['version', 'algorithm', 'iterations', 'salt', 'iv', 'ciphertext'];
   for (const field of requiredFields) {
     if (!bundle[field]) {
       return {
@@ -112,13 +290,52 @@ export function validateKeyBundle(bundle) {
   }
 
   // Validate algorithm
-  if (bundle.algorithm !== 'PBKDF2-AES-GCM-256') {
+  if (!['PBKDF2-AES-GCM-256', 'SHAMIR-AES-GCM-256'].includes(bundle.algorithm)) {
     return {
       valid: false,
       error: `Unsupported encryption algorithm: ${bundle.algorithm}`,
     };
   }
 
+  if (bundle.algorithm === 'SHAMIR-AES-GCM-256' &&
+      !(Number.isInteger(bundle.threshold) && bundle.threshold >= 2 && bundle.threshold <= bundle.shares)) {
+    return {
+      valid: false,
+      error: 'Share threshold must be between 2 and the number of shares',
+    };
+  }
+
+  return { valid: true, error: null };
+}
+
+function validateKeyBundleV2(bundle) {
+  const { kdf, cipher } = bundle;
+
+  if (!kdf || typeof kdf !== 'object' || !cipher || typeof cipher !== 'object') {
+    return { valid: false, error: 'Missing required bundle field: ' + (kdf ? 'cipher' : 'kdf') };
+  }
+
+  const params = KEY_BUNDLE_KDFS[kdf.name];
+  if (!params) {
+    return { valid: false, error: `Unsupported key derivation function: ${kdf.name}` };
+  }
+
+  for (const [param, [min, max]] of Object.entries(params)) {
+    if (!Number.isInteger(kdf[param]) || kdf[param] < min || kdf[param] > max) {
+      return { valid: false, error: `${kdf.name} ${param} must be between ${min} and ${max}` };
+    }
+  }
+
+  if (cipher.name !== 'AES-GCM-256') {
+    return { valid: false, error: `Unsupported encryption algorithm: ${cipher.name}` };
+  }
+
+  for (const [field, value] of [['kdf.salt', kdf.salt], ['cipher.iv', cipher.iv], ['ciphertext', bundle.ciphertext]]) {
+    if (!value) {
+      return { valid: false, error: `Missing required bundle field: ${field}` };
+    }
+  }
+
   return { valid: true, error: null };
 }
 
@@ -0,0 +1,182 @@
+/**
+ * VeilForms - Submission Receipts
+ * Signed proof that a submission was accepted. The server signs the form and
+ * submission IDs, the time it received the submission and a hash of the
+ * ciphertext with its receipt key (ECDSA P-256), so a respondent can later
+ * show what they filed and when without anyone decrypting it. The same key
+ * signs the erasure certificate recorded when a form is shredded
+ *
+ * RECEIPT_SIGNING_KEY holds the private key as a JWK. After a rotation, list
+ * the old public keys in RECEIPT_RETIRED_KEYS (a JSON array of JWKs) so
+ * receipts they signed still verify
+ */
+
+import { getKeyId, toPublicJWK } from './key-utils.js';
+
+export const RECEIPT_VERSION = 'vf-r1';
+
+// vf-s2 names the public and wrapped private keys removed, and counts the
+// key vault revisions deleted; vf-s1 listed key IDs as `destroyedKeys`
+export const ERASURE_CERTIFICATE_VERSION = 'vf-s2';
+
+const SIGNING_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+
+// Imported once per instance
+let signingKey = null;
+
+/**
+ * Hash the ciphertext of an encrypted payload
+ * Matches hashCiphertext in the client receipts module. Only `data` is
+ * hashed: it is the part the server never changes
+ * @param {Object} payload - Encrypted payload as submitted
+ * @returns {Promise<string>} - Base64url-encoded SHA-256 hash
+ */
+export async function hashCiphertext(payload) {
+  const hashBuffer = await crypto.subtle.digest('SHA-256', Buffer.from(payload.data, 'base64'));
+  return Buffer.from(hashBuffer).toString('base64url');
+}
+
+/**
+ * Bytes a receipt signature covers
+ * Matches the client receipts module
+ * @param {Object} receipt - Receipt fields
+ * @returns {Uint8Array}
+ */
+export function receiptSigningInput({ version, kid, formId, submissionId, receivedAt, ciphertextHash }) {
+  return new TextEncoder().encode(
+    JSON.stringify([version, kid, formId, submissionId, receivedAt, ciphertextHash])
+  );
+}
+
+/**
+ * Sign a receipt for a stored submission
+ * @param {Object} submission - `{ formId, id, receivedAt, payload }` as stored
+ * @returns {Promise<Object|null>} - Receipt, or null when no signing key is configured
+ */
+export async function signReceipt(submission) {
+  const key = await getSigningKey();
+  if (!key) {
+    return null;
+  }
+
+  const receipt = {
+    version: RECEIPT_VERSION,
+    kid: key.kid,
+    formId: submission.formId,
+    submissionId: submission.id,
+    receivedAt: new Date(submission.receivedAt).toISOString(),
+    ciphertextHash: await hashCiphertext(submission.payload)
+  };
+
+  return { ...receipt, signature: await sign(key, receiptSigningInput(receipt)) };
+}
+
+/**
+ * Bytes an erasure certificate signature covers
+ * @param {Object} certificate - Certificate fields
+ * @returns {Uint8Array}
+ */
+export function erasureSigningInput({ version, kid, formId, shreddedAt, destroyedKeys, removedKeys, purged }) {
+  // Certificates issued before vf-s2 stay verifiable
+  if (version === 'vf-s1') {
+    return new TextEncoder().encode(JSON.stringify([
+      version, kid, formId, shreddedAt, destroyedKeys,
+      purged.blobs, purged.partialSubmissions, purged.idempotencyKeys
+    ]));
+  }
+  return new TextEncoder().encode(JSON.stringify([
+    version, kid, formId, shreddedAt, removedKeys.publicKeys, removedKeys.wrappedPrivateKeys,
+    purged.blobs, purged.partialSubmissions, purged.idempotencyKeys, purged.keyVaultRevisions
+  ]));
+}
+
+/**
+ * Sign the certificate for a shredded form
+ * Without a signing key the certificate is returned unsigned
+ * @param {Object} shred - `{ formId, shreddedAt, removedKeys, purged }`
+ * @returns {Promise<Object>} - Certificate
+ */
+export async function signErasureCertificate({ formId, shreddedAt, removedKeys, purged }) {
+  const key = await getSigningKey();
+
+  const certificate = {
+    version: ERASURE_CERTIFICATE_VERSION,
+    kid: key ? key.kid : null,
+    formId,
+    shreddedAt,
+    removedKeys,
+    purged
+  };
+  if (!key) {
+    return certificate;
+  }
+
+  return { ...certificate, signature: await sign(key, erasureSigningInput(certificate)) };
+}
+
+/**
+ * Get the published receipt verification keys
+ * @returns {Promise<Array>} - Entries of { kid, publicKey, status }, current key first
+ */
+export async function getReceiptVerificationKeys() {
+  const keys = [];
+
+  const current = await getSigningKey();
+  if (current) {
+    keys.push({ kid: current.kid, publicKey: current.publicKey, status: 'active' });
+  }
+
+  for (const publicKey of parseRetiredKeys()) {
+    const kid = await getKeyId(publicKey);
+    if (!keys.some(entry => entry.kid === kid)) {
+      keys.push({ kid, publicKey: toPublicJWK(publicKey), status: 'retired' });
+    }
+  }
+
+  return keys;
+}
+
+async function sign(key, input) {
+  const signature = await crypto.subtle.sign(SIGNING_ALGORITHM, key.privateKey, input);
+  return Buffer.from(signature).toString('base64url');
+}
+
+async function getSigningKey() {
+  if (signingKey) {
+    return signingKey;
+  }
+
+  const configured = process.env.RECEIPT_SIGNING_KEY;
+  if (!configured) {
+    return null;
+  }
+
+  const jwk = JSON.parse(configured);
+  if (jwk.kty !== 'EC' || jwk.crv !== 'P-256' || !jwk.d) {
+    throw new Error('RECEIPT_SIGNING_KEY must be a P-256 private key in JWK format');
+  }
+
+  const publicKey = toPublicJWK(jwk);
+  signingKey = {
+    kid: await getKeyId(publicKey),
+    publicKey,
+    privateKey: await crypto.subtle.importKey(
+      'jwk',
+      { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y, d: jwk.d },
+      { name: 'ECDSA', namedCurve: 'P-256' },
+      false,
+      ['sign']
+    )
+  };
+  return signingKey;
+}
+
+function parseRetiredKeys() {
+  const configured = process.env.RECEIPT_RETIRED_KEYS;
+  if (!configured) {
+    return [];
+  }
+
+  const keys = JSON.parse(configured);
+  return Array.isArray(keys) ? keys : [];
+}
@@ -7,9 +7,14 @@ const STORES = {
   SUBMISSIONS: 'vf-submissions',
   API_KEYS: 'vf-api-keys',
   PASSWORD_RESET_TOKENS: 'vf-password-reset-tokens',
-  EMAIL_VERIFICATION_TOKENS: 'vf-email-verification-tokens'
+  EMAIL_VERIFICATION_TOKENS: 'vf-email-verification-tokens',
+  KEY_VAULTS: 'vf-key-vaults',
+  PARTIAL_SUBMISSIONS: 'vf-partial-submissions'
 };
 
+// Earlier key vault revisions kept so an overwrite can be undone
+const KEY_VAULT_HISTORY = 5;
+
 // Get a store instance
 function store(name) {
   return getStore({ name, consistency: 'strong' });
@@ -381,29 +386,223 @@ export async function revokeApiKey(keyHash, userId) {
 }
 
 // === SUBMISSION OPERATIONS ===
+// Current SDKs make time-sortable submission IDs (vf- + 10 base32 time
+// characters + 16 random ones), so listing their blob keys gives creation
+// order. Submissions from older SDKs with UUID IDs are still listed in the
+// `_index` blob
+
+const SORTABLE_ID_ALPHABET = '0123456789abcdefghjkmnpqrstvwxyz';
+const SORTABLE_ID_PATTERN = /^vf-[0-9a-hjkmnp-tv-z]{26}$/;
+
+// How far ahead of the server's clock a submission ID's time may be. The
+// time is the client's, so it is only trusted for ordering; retention goes
+// by when the submission was received
+export const SUBMISSION_ID_MAX_SKEW = 24 * 60 * 60 * 1000;
+
+/**
+ * Check that a submission ID isn't dated in the future
+ * Queued submissions are sent late, so IDs may be any age
+ * @param {string} id - Submission ID
+ * @param {number} [now] - Current time (ms)
+ * @returns {boolean} True for IDs without a time
+ */
+export function isSubmissionIdTimeValid(id, now = Date.now()) {
+  return !SORTABLE_ID_PATTERN.test(id) || submissionIdTime(id) <= now + SUBMISSION_ID_MAX_SKEW;
+}
 
-export async function getSubmissions(formId, limit = 50, offset = 0) {
+function submissionIdTime(id) {
+  let time = 0;
+  for (const char of id.slice(3, 13)) {
+    time = time * 32 + SORTABLE_ID_ALPHABET.indexOf(char);
+  }
+  return time;
+}
+
+// Smallest key a submission created at `timestamp` can have; every
+// time-sortable key below it was created earlier
+function submissionIdBound(timestamp) {
+  let time = '';
+  for (let i = 0, rest = Math.max(0, Math.floor(timestamp)); i < 10; i++) {
+    time = SORTABLE_ID_ALPHABET[rest % 32] + time;
+    rest = Math.floor(rest / 32);
+  }
+  return `vf-${time}`;
+}
+
+/**
+ * Store a new submission
+ * @param {string} formId - Form ID
+ * @param {object} submission - Submission record, with `id` and `receivedAt`
+ */
+export async function saveSubmission(formId, submission) {
   const submissions = store(`veilforms-${formId}`);
+  await submissions.setJSON(submission.id, submission);
+
+  // Time-sortable IDs list in order without an index
+  if (SORTABLE_ID_PATTERN.test(submission.id)) return;
 
   try {
     const index = await submissions.get('_index', { type: 'json' }) || { submissions: [] };
+    index.submissions.unshift({ id: submission.id, ts: submission.receivedAt });
+
+    // Keep index manageable (last 10000 entries)
+    if (index.submissions.length > 10000) {
+      index.submissions = index.submissions.slice(0, 10000);
+    }
+
+    await submissions.setJSON('_index', index);
+  } catch (e) {
+    console.warn('Index update failed:', e);
+  }
+}
 
-    const slice = index.submissions.slice(offset, offset + limit);
+// Submission blobs read at once when checking when each was received
+const MAX_CONCURRENT_READS = 10;
+
+/**
+ * List a form's submission IDs, newest first
+ * @param {string} formId - Form ID
+ * @param {object} [options] - `{ before }`: only submissions received before this time (ms)
+ * @returns {Promise<Array<{id: string, ts: number}>>} - `ts` is when the submission was made
+ */
+export async function listSubmissionIds(formId, { before } = {}) {
+  const submissions = store(`veilforms-${formId}`);
+  // No ID is dated more than the allowed skew after it was received
+  const bound = before !== undefined ? submissionIdBound(before + SUBMISSION_ID_MAX_SKEW) : null;
+
+  const { blobs } = await submissions.list({ prefix: 'vf-' });
+  let entries = blobs
+    .map(blob => blob.key)
+    .filter(key => SORTABLE_ID_PATTERN.test(key) && (!bound || key < bound))
+    .map(id => ({ id, ts: submissionIdTime(id) }));
+
+  // The ID's time is the client's; check when each was actually received
+  if (before !== undefined) {
+    const received = [];
+    for (let i = 0; i < entries.length; i += MAX_CONCURRENT_READS) {
+      received.push(...await Promise.all(entries.slice(i, i + MAX_CONCURRENT_READS).map(async (entry) => {
+        const submission = await submissions.get(entry.id, { type: 'json' }).catch(() => null);
+        return submission ? (submission.receivedAt ?? entry.ts) : null;
+      })));
+    }
+    entries = entries.filter((entry, i) => received[i] !== null && received[i] < before);
+  }
+
+  const legacy = await submissions.get('_index', { type: 'json' }).catch(() => null);
+  for (const item of legacy?.submissions || []) {
+    if (before === undefined || item.ts < before) {
+      entries.push({ id: item.id, ts: item.ts });
+    }
+  }
+
+  return entries.sort(compareNewestFirst);
+}
+
+function compareNewestFirst(a, b) {
+  return b.ts - a.ts || (a.id < b.id ? 1 : a.id > b.id ? -1 : 0);
+}
+
+/**
+ * List time-sortable submission keys below a bound, newest first
+ * Blob listings only filter by prefix and return keys in ascending order, so
+ * a range that doesn't fit in one listing page is split on the next ID
+ * character and walked newest range first. Callers stop pulling keys once
+ * their page is full, so older ranges are never listed
+ * @param {object} submissions - Submission store
+ * @param {string} below - Only keys that sort before this one
+ * @param {string} [prefix] - Key range to walk
+ * @returns {AsyncGenerator<string>}
+ */
+async function* listSortableKeysDescending(submissions, below, prefix = 'vf-') {
+  if (prefix > below.slice(0, prefix.length)) return;
+
+  const pages = submissions.list({ prefix, paginate: true })[Symbol.asyncIterator]();
+  const first = await pages.next();
+  const next = first.done ? first : await pages.next();
+
+  if (next.done) {
+    const keys = (first.done ? [] : first.value.blobs)
+      .map(blob => blob.key)
+      .filter(key => SORTABLE_ID_PATTERN.test(key) && key < below)
+      .sort();
+    for (let i = keys.length - 1; i >= 0; i--) {
+      yield keys[i];
+    }
+    return;
+  }
+
+  for (let i = SORTABLE_ID_ALPHABET.length - 1; i >= 0; i--) {
+    yield* listSortableKeysDescending(submissions, below, prefix + SORTABLE_ID_ALPHABET[i]);
+  }
+}
+
+/**
+ * Get a page of a form's submissions, newest first
+ * @param {string} formId - Form ID
+ * @param {number} [limit] - Page size
+ * @param {object} [options] - `{ cursor }`: ID of the last submission on the previous page
+ * @returns {Promise<{submissions: Array, limit: number, nextCursor: string|null}>} -
+ *   `nextCursor` is null on the last page
+ */
+export async function getSubmissions(formId, limit = 50, { cursor = null } = {}) {
+  const submissions = store(`veilforms-${formId}`);
+
+  try {
+    // Submissions from older SDKs are merged in from the legacy index
+    const legacy = (await submissions.get('_index', { type: 'json' }).catch(() => null))?.submissions || [];
+    legacy.sort(compareNewestFirst);
+
+    let last = null;
+    if (cursor) {
+      last = SORTABLE_ID_PATTERN.test(cursor)
+        ? { id: cursor, ts: submissionIdTime(cursor) }
+        : legacy.find(item => item.id === cursor);
+      if (!last) {
+        return { submissions: [], limit, nextCursor: null };
+      }
+    }
+    const isAfterCursor = entry => !last || compareNewestFirst(last, entry) < 0;
+
+    // The sortable keys that can follow the cursor all sort below the first
+    // key made after its time; no key is dated later than the allowed skew
+    const below = submissionIdBound(last ? last.ts + 1 : Date.now() + SUBMISSION_ID_MAX_SKEW + 1);
+    const keys = listSortableKeysDescending(submissions, below);
+    const pending = legacy.filter(isAfterCursor);
+
+    const nextSortable = async () => {
+      for (let key = await keys.next(); !key.done; key = await keys.next()) {
+        const entry = { id: key.value, ts: submissionIdTime(key.value) };
+        if (isAfterCursor(entry)) return entry;
+      }
+      return null;
+    };
+
+    // One extra entry tells whether there is another page
+    const ids = [];
+    let sortable = await nextSortable();
+    while (ids.length <= limit && (sortable || pending.length > 0)) {
+      if (sortable && (pending.length === 0 || compareNewestFirst(sortable, pending[0]) < 0)) {
+        ids.push(sortable.id);
+        sortable = ids.length <= limit ? await nextSortable() : null;
+      } else {
+        ids.push(pending.shift().id);
+      }
+    }
+    await keys.return();
+
+    const hasMore = ids.length > limit;
+    const page = ids.slice(0, limit);
     const submissionData = await Promise.all(
-      slice.map(async (item) => {
-        const data = await submissions.get(item.id, { type: 'json' });
-        return data;
-      })
+      page.map(id => submissions.get(id, { type: 'json' }))
     );
 
     return {
       submissions: submissionData.filter(s => s !== null),
-      total: index.submissions.length,
       limit,
-      offset
+      nextCursor: hasMore ? page[page.length - 1] : null
     };
   } catch (e) {
-    return { submissions: [], total: 0, limit, offset };
+    return { submissions: [], limit, nextCursor: null };
   }
 }
 
@@ -416,18 +615,307 @@ export async function getSubmission(formId, submissionId) {
   }
 }
 
-export async function deleteSubmission(formId, submissionId) {
+/**
+ * Replace the encrypted payload of a stored submission (key migration)
+ * Everything else on the record, including its place in the index, is kept
+ */
+export async function replaceSubmissionPayload(formId, submissionId, payload) {
   const submissions = store(`veilforms-${formId}`);
+  const submission = await submissions.get(submissionId, { type: 'json' });
+  if (!submission) return null;
 
-  await submissions.delete(submissionId);
+  const updated = {
+    ...submission,
+    payload,
+    reencryptedAt: Date.now()
+  };
+  await submissions.setJSON(submissionId, updated);
+  return updated;
+}
+
+// === BLIND INDEX OPERATIONS ===
+// Exact-match lookup entries live next to the submissions as
+// `_search/{field}/{blindIndex}` -> { ids: [...] }
 
-  // Update index
+function blindIndexKey(field, value) {
+  return `_search/${field}/${value}`;
+}
+
+export async function addToBlindIndex(formId, submissionId, blindIndex) {
+  const submissions = store(`veilforms-${formId}`);
+
+  for (const [field, value] of Object.entries(blindIndex)) {
+    const key = blindIndexKey(field, value);
+    const entry = await submissions.get(key, { type: 'json' }) || { ids: [] };
+    if (!entry.ids.includes(submissionId)) {
+      entry.ids.unshift(submissionId);
+      await submissions.setJSON(key, entry);
+    }
+  }
+}
+
+export async function removeFromBlindIndex(formId, submissionId, blindIndex) {
+  const submissions = store(`veilforms-${formId}`);
+
+  for (const [field, value] of Object.entries(blindIndex)) {
+    const key = blindIndexKey(field, value);
+    const entry = await submissions.get(key, { type: 'json' });
+    if (!entry) continue;
+
+    entry.ids = entry.ids.filter(id => id !== submissionId);
+    if (entry.ids.length === 0) {
+      await submissions.delete(key);
+    } else {
+      await submissions.setJSON(key, entry);
+    }
+  }
+}
+
+export async function findSubmissionsByBlindIndex(formId, field, value, limit = 50) {
+  const submissions = store(`veilforms-${formId}`);
+
+  const entry = await submissions.get(blindIndexKey(field, value), { type: 'json' });
+  if (!entry) {
+    return { submissions: [], total: 0 };
+  }
+
+  const submissionData = await Promise.all(
+    entry.ids.slice(0, limit).map(id => submissions.get(id, { type: 'json' }))
+  );
+
+  return {
+    submissions: submissionData.filter(s => s !== null),
+    total: entry.ids.length
+  };
+}
+
+// === INVITE OPERATIONS ===
+// Invite nullifiers live next to the submissions as
+// `_invites/{nullifier}` -> { batchId, used }. Nothing here points at the
+// submission a nullifier was used for, and no redemption time is kept
+
+function inviteKey(nullifier) {
+  return `_invites/${nullifier}`;
+}
+
+export async function addInvites(formId, batchId, nullifiers) {
+  const submissions = store(`veilforms-${formId}`);
+  await Promise.all(
+    nullifiers.map(nullifier => submissions.setJSON(inviteKey(nullifier), { batchId, used: false }))
+  );
+}
+
+export async function getInvite(formId, nullifier) {
+  const submissions = store(`veilforms-${formId}`);
   try {
-    const index = await submissions.get('_index', { type: 'json' }) || { submissions: [] };
-    index.submissions = index.submissions.filter(s => s.id !== submissionId);
-    await submissions.setJSON('_index', index);
+    return await submissions.get(inviteKey(nullifier), { type: 'json' });
   } catch (e) {
-    console.warn('Index update failed:', e);
+    return null;
+  }
+}
+
+/**
+ * Mark an invite as used
+ * @returns {Promise<boolean>} - False if it doesn't exist or was already used
+ */
+export async function redeemInvite(formId, nullifier) {
+  const submissions = store(`veilforms-${formId}`);
+  const invite = await getInvite(formId, nullifier);
+  if (!invite || invite.used) return false;
+
+  await submissions.setJSON(inviteKey(nullifier), { batchId: invite.batchId, used: true });
+  return true;
+}
+
+/**
+ * Count the invites of each batch and how many were used
+ * @param {string} formId - Form ID
+ * @returns {Promise<Object>} - Map of batch ID to { total, used }
+ */
+export async function getInviteCounts(formId) {
+  const submissions = store(`veilforms-${formId}`);
+  const { blobs } = await submissions.list({ prefix: '_invites/' });
+
+  const counts = {};
+  for (const blob of blobs) {
+    const invite = await submissions.get(blob.key, { type: 'json' }).catch(() => null);
+    if (!invite) continue;
+    if (!counts[invite.batchId]) counts[invite.batchId] = { total: 0, used: 0 };
+    counts[invite.batchId].total++;
+    if (invite.used) counts[invite.batchId].used++;
+  }
+  return counts;
+}
+
+/**
+ * Delete every invite of a batch, used or not
+ * @returns {Promise<number>} - Number of invites deleted
+ */
+export async function deleteInviteBatch(formId, batchId) {
+  const submissions = store(`veilforms-${formId}`);
+  const { blobs } = await submissions.list({ prefix: '_invites/' });
+
+  let deleted = 0;
+  for (const blob of blobs) {
+    const invite = await submissions.get(blob.key, { type: 'json' }).catch(() => null);
+    if (invite?.batchId === batchId) {
+      await submissions.delete(blob.key);
+      deleted++;
+    }
+  }
+  return deleted;
+}
+
+// === UPLOAD OPERATIONS ===
+// Encrypted file chunks live next to the submissions as
+// `_files/{uploadId}/meta` -> upload record and
+// `_files/{uploadId}/chunks/{index}` -> raw ciphertext.
+// `_files_open/{uploadId}` marks uploads not yet attached to a submission,
+// so they can be counted without reading every upload record
+
+function uploadKey(uploadId, part) {
+  return `_files/${uploadId}/${part}`;
+}
+
+function openUploadKey(uploadId) {
+  return `_files_open/${uploadId}`;
+}
+
+export async function createUpload(formId, upload) {
+  const submissions = store(`veilforms-${formId}`);
+  const record = {
+    ...upload,
+    formId,
+    status: 'pending',
+    createdAt: Date.now()
+  };
+  await submissions.setJSON(uploadKey(upload.uploadId, 'meta'), record);
+  await submissions.setJSON(openUploadKey(upload.uploadId), { createdAt: record.createdAt });
+  return record;
+}
+
+/**
+ * Count a form's uploads that are not attached to a submission yet
+ * @param {string} formId - Form ID
+ * @returns {Promise<number>}
+ */
+export async function countOpenUploads(formId) {
+  const submissions = store(`veilforms-${formId}`);
+  const { blobs } = await submissions.list({ prefix: '_files_open/' });
+  return blobs.length;
+}
+
+export async function getUpload(formId, uploadId) {
+  const submissions = store(`veilforms-${formId}`);
+  try {
+    return await submissions.get(uploadKey(uploadId, 'meta'), { type: 'json' });
+  } catch (e) {
+    return null;
+  }
+}
+
+export async function saveUploadChunk(formId, uploadId, index, data) {
+  const submissions = store(`veilforms-${formId}`);
+  await submissions.set(uploadKey(uploadId, `chunks/${index}`), data);
+}
+
+export async function getUploadChunk(formId, uploadId, index) {
+  const submissions = store(`veilforms-${formId}`);
+  try {
+    return await submissions.get(uploadKey(uploadId, `chunks/${index}`), { type: 'arrayBuffer' });
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * List the chunk indexes stored for an upload
+ * Read from the store rather than kept on the record, so chunks can be
+ * uploaded in parallel without overwriting each other's progress
+ */
+export async function getUploadedChunks(formId, uploadId) {
+  const submissions = store(`veilforms-${formId}`);
+  const prefix = uploadKey(uploadId, 'chunks/');
+  const { blobs } = await submissions.list({ prefix });
+  return blobs
+    .map(blob => parseInt(blob.key.slice(prefix.length), 10))
+    .sort((a, b) => a - b);
+}
+
+async function updateUploadStatus(formId, uploadId, status, updates = {}) {
+  const submissions = store(`veilforms-${formId}`);
+  const upload = await getUpload(formId, uploadId);
+  if (!upload) return null;
+
+  const updated = { ...upload, ...updates, status };
+  await submissions.setJSON(uploadKey(uploadId, 'meta'), updated);
+  return updated;
+}
+
+export async function completeUpload(formId, uploadId) {
+  return updateUploadStatus(formId, uploadId, 'complete', { completedAt: Date.now() });
+}
+
+export async function attachUpload(formId, uploadId) {
+  const attached = await updateUploadStatus(formId, uploadId, 'attached');
+  await store(`veilforms-${formId}`).delete(openUploadKey(uploadId));
+  return attached;
+}
+
+export async function deleteUpload(formId, uploadId) {
+  const submissions = store(`veilforms-${formId}`);
+  const { blobs } = await submissions.list({ prefix: `_files/${uploadId}/` });
+  await Promise.all(blobs.map(blob => submissions.delete(blob.key)));
+  await submissions.delete(openUploadKey(uploadId));
+}
+
+/**
+ * Delete uploads that were never attached to a submission
+ * @param {string} formId - Form ID
+ * @param {number} olderThan - Cutoff timestamp (ms)
+ * @returns {Promise<number>} - Number of uploads deleted
+ */
+export async function deleteAbandonedUploads(formId, olderThan) {
+  const submissions = store(`veilforms-${formId}`);
+  const { blobs } = await submissions.list({ prefix: '_files/' });
+
+  let deleted = 0;
+  for (const blob of blobs.filter(b => b.key.endsWith('/meta'))) {
+    const upload = await submissions.get(blob.key, { type: 'json' }).catch(() => null);
+    if (upload && upload.status !== 'attached' && upload.createdAt < olderThan) {
+      await deleteUpload(formId, upload.uploadId);
+      deleted++;
+    }
+  }
+  return deleted;
+}
+
+export async function deleteSubmission(formId, submissionId) {
+  const submissions = store(`veilforms-${formId}`);
+
+  // Drop lookup entries before the record (and its index values) is gone
+  const existing = await submissions.get(submissionId, { type: 'json' }).catch(() => null);
+  if (existing?.blindIndex) {
+    await removeFromBlindIndex(formId, submissionId, existing.blindIndex);
+  }
+
+  for (const attachment of existing?.attachments || []) {
+    await deleteUpload(formId, attachment.uploadId);
+  }
+
+  await submissions.delete(submissionId);
+
+  // Submissions with older IDs are also listed in the legacy index
+  if (!SORTABLE_ID_PATTERN.test(submissionId)) {
+    try {
+      const index = await submissions.get('_index', { type: 'json' });
+      if (index) {
+        index.submissions = index.submissions.filter(s => s.id !== submissionId);
+        await submissions.setJSON('_index', index);
+      }
+    } catch (e) {
+      console.warn('Index update failed:', e);
+    }
   }
 
   return true;
@@ -437,19 +925,198 @@ export async function deleteAllSubmissions(formId) {
   const submissions = store(`veilforms-${formId}`);
 
   try {
-    const index = await submissions.get('_index', { type: 'json' }) || { submissions: [] };
-    const count = index.submissions.length;
+    const ids = await listSubmissionIds(formId);
+    const count = ids.length;
 
     // Delete all submissions
     await Promise.all(
-      index.submissions.map(s => submissions.delete(s.id))
+      ids.map(s => submissions.delete(s.id))
     );
 
-    // Clear index
-    await submissions.setJSON('_index', { submissions: [] });
+    // Clear the legacy index
+    await submissions.delete('_index');
+
+    // Clear blind index lookup entries
+    const { blobs } = await submissions.list({ prefix: '_search/' });
+    await Promise.all(blobs.map(blob => submissions.delete(blob.key)));
+
+    // Clear uploaded files, including ones never attached to a submission
+    const { blobs: files } = await submissions.list({ prefix: '_files' });
+    await Promise.all(files.map(blob => submissions.delete(blob.key)));
 
     return count;
   } catch (e) {
     return 0;
   }
 }
+
+// === KEY VAULT OPERATIONS ===
+// The vault holds a key bundle wrapped in the browser; the server only sees
+// ciphertext and never the passphrase
+
+export async function getKeyVault(userId, revision = null) {
+  const vaults = store(STORES.KEY_VAULTS);
+  try {
+    const key = revision ? `vault_${userId}_r${revision}` : `vault_${userId}`;
+    return await vaults.get(key, { type: 'json' });
+  } catch (e) {
+    return null;
+  }
+}
+
+export async function saveKeyVault(userId, bundle, expectedRevision) {
+  const vaults = store(STORES.KEY_VAULTS);
+  const current = await getKeyVault(userId);
+  const currentRevision = current?.revision || 0;
+
+  // Refuse to overwrite a vault another device has changed since it was read
+  if (expectedRevision !== currentRevision) {
+    return { conflict: true, revision: currentRevision };
+  }
+
+  const now = new Date().toISOString();
+  const vault = {
+    revision: currentRevision + 1,
+    bundle,
+    createdAt: current?.createdAt || now,
+    updatedAt: now
+  };
+
+  // A revision holding a shredded form's keys is not kept as history
+  if (current && !current.shreddedForms?.length) {
+    await vaults.setJSON(`vault_${userId}_r${current.revision}`, current);
+    if (current.revision > KEY_VAULT_HISTORY) {
+      await vaults.delete(`vault_${userId}_r${current.revision - KEY_VAULT_HISTORY}`);
+    }
+  }
+  await vaults.setJSON(`vault_${userId}`, vault);
+
+  return { vault };
+}
+
+export async function getKeyVaultHistory(userId) {
+  const current = await getKeyVault(userId);
+  if (!current) return [];
+
+  const revisions = [];
+  for (let r = current.revision - 1; r > 0 && r >= current.revision - KEY_VAULT_HISTORY; r--) {
+    const entry = await getKeyVault(userId, r);
+    if (entry) revisions.push({ revision: entry.revision, updatedAt: entry.updatedAt });
+  }
+  return revisions;
+}
+
+export async function deleteKeyVault(userId) {
+  const vaults = store(STORES.KEY_VAULTS);
+  const { blobs } = await vaults.list({ prefix: `vault_${userId}` });
+
+  // Prefix also matches longer user IDs; only delete this user's entries
+  const ownKeys = blobs
+    .map(blob => blob.key)
+    .filter(key => key === `vault_${userId}` || key.startsWith(`vault_${userId}_r`));
+  await Promise.all(ownKeys.map(key => vaults.delete(key)));
+
+  return ownKeys.length > 0;
+}
+
+/**
+ * Take a shredded form's keys out of the owner's key vault, as far as the
+ * server can. The vault is encrypted in the browser, so the server deletes
+ * every earlier revision and marks the current one; the owner's next save
+ * replaces it without keeping a copy, and the dashboard saves on unlock
+ * @param {string} userId - Vault owner
+ * @param {string} formId - Shredded form
+ * @returns {Promise<number>} - Number of earlier revisions deleted
+ */
+export async function shredKeyVaultHistory(userId, formId) {
+  const vaults = store(STORES.KEY_VAULTS);
+  const current = await getKeyVault(userId);
+  if (!current) return 0;
+
+  // Prefix also matches longer user IDs; only delete this user's revisions
+  const prefix = `vault_${userId}_r`;
+  const { blobs } = await vaults.list({ prefix });
+  const history = blobs.map(blob => blob.key).filter(key => /^\d+$/.test(key.slice(prefix.length)));
+  await Promise.all(history.map(key => vaults.delete(key)));
+
+  await vaults.setJSON(`vault_${userId}`, {
+    ...current,
+    shreddedForms: [...new Set([...(current.shreddedForms || []), formId])]
+  });
+
+  return history.length;
+}
+
+// === SHRED OPERATIONS ===
+// Crypto-shredding a form: its key material is destroyed first, so its data
+// is unreadable from that moment; the blobs are purged after
+
+/**
+ * Destroy the key material held for a form and close it for good
+ * Removes the public key, the keyring (including private keys wrapped for
+ * the master key), extra recipients and the webhook signing secret. The
+ * form record stays as a tombstone so its ID is never reused
+ * @param {string} formId - Form ID
+ * @param {string} shreddedAt - ISO timestamp of the shred
+ * @returns {Promise<{publicKeys: Array<string>, wrappedPrivateKeys: Array<string>}|null>} -
+ *   IDs of the public keys removed and of the private keys the server held
+ *   wrapped for the master key, or null if the form doesn't exist
+ */
+export async function shredFormKeys(formId, shreddedAt) {
+  const forms = store(STORES.FORMS);
+  const form = await getForm(formId);
+  if (!form) return null;
+
+  const publicKeys = new Set([
+    ...(form.keyring || []).map(entry => entry.kid),
+    ...(form.recipients || []).map(recipient => recipient.kid)
+  ].filter(Boolean));
+  const wrappedPrivateKeys = (form.keyring || [])
+    .filter(entry => entry.kid && entry.wrappedPrivateKey)
+    .map(entry => entry.kid);
+
+  const { publicKey, keyring, recipients, ...rest } = form;
+  const { webhookSecret, ...settings } = form.settings || {};
+
+  await forms.setJSON(formId, {
+    ...rest,
+    settings,
+    status: 'deleted',
+    deletedAt: form.deletedAt || shreddedAt,
+    shreddedAt,
+    updatedAt: shreddedAt
+  });
+
+  return { publicKeys: [...publicKeys], wrappedPrivateKeys };
+}
+
+/**
+ * Delete every blob in a form's submission store
+ * Covers submissions, the index, blind index entries, invites and uploaded files
+ * @param {string} formId - Form ID
+ * @returns {Promise<number>} - Number of blobs deleted
+ */
+export async function purgeFormStore(formId) {
+  const submissions = store(`veilforms-${formId}`);
+  const { blobs } = await submissions.list();
+  await Promise.all(blobs.map(blob => submissions.delete(blob.key)));
+  return blobs.length;
+}
+
+/**
+ * Delete a form's saved partial submissions
+ * Resume tokens are random, so the form's partial index is the way in
+ * @param {string} formId - Form ID
+ * @returns {Promise<number>} - Number of partial submissions deleted
+ */
+export async function deletePartialSubmissions(formId) {
+  const partials = store(STORES.PARTIAL_SUBMISSIONS);
+  const indexKey = `_index_${formId}`;
+
+  const index = await partials.get(indexKey, { type: 'json' }).catch(() => null);
+  const tokens = (index?.tokens || []).map(item => item.token);
+
+  await Promise.all(tokens.map(token => partials.delete(token)));
+  await partials.delete(indexKey);
+  return tokens.length;
+}
@@ -7,8 +7,10 @@
 const ID_PATTERNS = {
   // Form ID: vf_abc123 or vf_abc_123
   form: /^vf_[a-z0-9_]+$/i,
-  // Submission ID: vf-uuid format or 32-char hex
-  submission: /^(vf-[a-f0-9-]{36}|[a-f0-9]{32})$/,
+  // Submission ID: vf- + time-sortable base32, vf-uuid format or 32-char hex
+  submission: /^(vf-[0-9a-hjkmnp-tv-z]{26}|vf-[a-f0-9-]{36}|[a-f0-9]{32})$/,
+  // Upload ID: 128 random bits, base64url
+  upload: /^[A-Za-z0-9_-]{22}$/,
   // User ID: user_abc123
   user: /^user_[a-z0-9]+$/i,
   // API Key: vf_api_abc123
@@ -35,6 +37,15 @@ export function isValidSubmissionId(id) {
   return typeof id === 'string' && ID_PATTERNS.submission.test(id);
 }
 
+/**
+ * Validate file upload ID format
+ * @param {string} id - Upload ID to validate
+ * @returns {boolean} Whether the ID is valid
+ */
+export function isValidUploadId(id) {
+  return typeof id === 'string' && ID_PATTERNS.upload.test(id);
+}
+
 /**
  * Validate user ID format
  * @param {string} id - User ID to validate
@@ -191,6 +202,489 @@ export function validateBranding(branding) {
   return { valid: true };
 }
 
+// Encrypted payload versions accepted from the SDK
+export const ENCRYPTION_VERSIONS = ['vf-e1', 'vf-e2', 'vf-e3', 'vf-e4'];
+
+/**
+ * Validate the structure of an encrypted payload
+ * vf-e1 carries a single wrapped key; vf-e2, vf-e3 and vf-e4 carry one per recipient.
+ * vf-e3 and vf-e4 also name the form and submission they are bound to, which
+ * must match the context they arrive in. vf-e4 adds elliptic-curve recipients
+ * @param {Object} payload - Encrypted payload from the SDK
+ * @param {Object} [context] - `{ formId, submissionId }` the payload is stored under
+ * @returns {{ valid: boolean, error?: string, required?: string[] }} Validation result
+ */
+export function validateEncryptedPayload(payload, context = {}) {
+  if (!payload || typeof payload !== 'object' || !payload.encrypted || !payload.iv || !payload.version) {
+    return {
+      valid: false,
+      error: 'Invalid encrypted payload structure',
+      required: ['encrypted', 'encryptedKey', 'iv', 'version']
+    };
+  }
+
+  if (!ENCRYPTION_VERSIONS.includes(payload.version)) {
+    return { valid: false, error: `Unsupported encryption version: ${payload.version}` };
+  }
+
+  const isBound = payload.version === 'vf-e3' || payload.version === 'vf-e4';
+
+  if (isBound) {
+    if (typeof payload.formId !== 'string' || typeof payload.submissionId !== 'string') {
+      return {
+        valid: false,
+        error: `${payload.version} payloads must name the form and submission they are bound to`,
+        required: ['encrypted', 'recipients', 'iv', 'version', 'formId', 'submissionId']
+      };
+    }
+    if (context.formId && payload.formId !== context.formId) {
+      return { valid: false, error: 'Encrypted payload is bound to a different form' };
+    }
+    if (context.submissionId && payload.submissionId !== context.submissionId) {
+      return { valid: false, error: 'Encrypted payload is bound to a different submission' };
+    }
+  }
+
+  if (payload.version === 'vf-e2' || isBound) {
+    const recipients = payload.recipients;
+    if (!Array.isArray(recipients) || recipients.length === 0 || recipients.length > 20) {
+      return {
+        valid: false,
+        error: `${payload.version} payloads need between 1 and 20 recipients`,
+        required: ['encrypted', 'recipients', 'iv', 'version']
+      };
+    }
+    const malformed = recipients.some(r =>
+      !r || typeof r.kid !== 'string' || !r.kid || r.kid.length > 128 || typeof r.key !== 'string' || !r.key
+    );
+    if (malformed) {
+      return { valid: false, error: 'Each recipient needs a kid and a wrapped key' };
+    }
+    // ECIES entries (vf-e4 only) also carry the ephemeral public key and IV
+    const badEcies = recipients.some(r => r.epk !== undefined && (
+      payload.version !== 'vf-e4' || !r.epk || typeof r.epk !== 'object' ||
+      !['EC', 'OKP'].includes(r.epk.kty) || typeof r.epk.x !== 'string' || typeof r.iv !== 'string'
+    ));
+    if (badEcies) {
+      return { valid: false, error: 'Elliptic-curve recipients need an ephemeral key (epk) and iv in a vf-e4 payload' };
+    }
+    return { valid: true };
+  }
+
+  if (!(payload.encryptedKey || payload.key)) {
+    return {
+      valid: false,
+      error: 'Invalid encrypted payload structure',
+      required: ['encrypted', 'encryptedKey', 'iv', 'version']
+    };
+  }
+
+  return { valid: true };
+}
+
+// Blind index limits
+const MAX_SEARCHABLE_FIELDS = 10;
+const FIELD_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const BLIND_INDEX_PATTERN = /^[A-Za-z0-9_-]{43}$/; // base64url HMAC-SHA256
+
+/**
+ * Validate the list of fields a form owner marked as searchable
+ * @param {*} fields - Field names
+ * @returns {{ valid: boolean, error?: string }} Validation result
+ */
+export function validateSearchableFields(fields) {
+  if (!Array.isArray(fields)) {
+    return { valid: false, error: 'searchableFields must be an array of field names' };
+  }
+
+  if (fields.length > MAX_SEARCHABLE_FIELDS) {
+    return { valid: false, error: `At most ${MAX_SEARCHABLE_FIELDS} fields can be searchable` };
+  }
+
+  const invalid = fields.find(field => typeof field !== 'string' || !FIELD_NAME_PATTERN.test(field));
+  if (invalid !== undefined) {
+    return { valid: false, error: `Invalid searchable field name: ${String(invalid).substring(0, 64)}` };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Validate blind indexes sent with a submission
+ * Only the shape is checked; see pickSearchableIndexes for which are kept
+ * @param {*} blindIndex - Map of field name to blind index
+ * @returns {{ valid: boolean, error?: string }} Validation result
+ */
+export function validateBlindIndex(blindIndex) {
+  if (!blindIndex || typeof blindIndex !== 'object' || Array.isArray(blindIndex)) {
+    return { valid: false, error: 'blindIndex must be an object' };
+  }
+
+  for (const [field, value] of Object.entries(blindIndex)) {
+    if (typeof value !== 'string' || !BLIND_INDEX_PATTERN.test(value)) {
+      return { valid: false, error: `Invalid blind index for field: ${field.substring(0, 64)}` };
+    }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Keep the blind indexes for fields the owner made searchable
+ * Embed code can lag behind the form settings after the owner stops a field
+ * being searchable, so the others are dropped rather than rejected
+ * @param {object} blindIndex - Validated map of field name to blind index
+ * @param {Array<string>} searchableFields - Fields the form owner made searchable
+ * @returns {object} - The searchable entries
+ */
+export function pickSearchableIndexes(blindIndex, searchableFields = []) {
+  return Object.fromEntries(
+    Object.entries(blindIndex).filter(([field]) => searchableFields.includes(field))
+  );
+}
+
+/**
+ * Check a single blind index value (used for lookups)
+ * @param {string} value - Blind index
+ * @returns {boolean}
+ */
+export function isValidBlindIndex(value) {
+  return typeof value === 'string' && BLIND_INDEX_PATTERN.test(value);
+}
+
+// Invite batches. A batch's usage is shown to the owner, so a batch must
+// have enough codes that a used one doesn't point at a single invitee
+const MIN_INVITE_BATCH = 10;
+const MAX_INVITE_BATCH = 1000;
+const NULLIFIER_PATTERN = /^[A-Za-z0-9_-]{43}$/; // base64url SHA-256
+
+/**
+ * Check an invite nullifier sent with a submission
+ * @param {*} value - Nullifier derived by the SDK from an invite code
+ * @returns {boolean}
+ */
+export function isValidNullifier(value) {
+  return typeof value === 'string' && NULLIFIER_PATTERN.test(value);
+}
+
+/**
+ * Validate the nullifiers of a new invite batch
+ * @param {*} nullifiers - One nullifier per invite code
+ * @returns {{ valid: boolean, error?: string }} Validation result
+ */
+export function validateInviteBatch(nullifiers) {
+  if (!Array.isArray(nullifiers) || nullifiers.length < MIN_INVITE_BATCH || nullifiers.length > MAX_INVITE_BATCH) {
+    return { valid: false, error: `nullifiers must be a list of ${MIN_INVITE_BATCH} to ${MAX_INVITE_BATCH} entries` };
+  }
+
+  if (!nullifiers.every(isValidNullifier)) {
+    return { valid: false, error: 'Each nullifier must be a base64url SHA-256 hash' };
+  }
+
+  if (new Set(nullifiers).size !== nullifiers.length) {
+    return { valid: false, error: 'nullifiers must be distinct' };
+  }
+
+  return { valid: true };
+}
+
+// PII policy limits. Locales, actions and formats match src/core/pii.js
+const PII_POLICY_LOCALES = ['us', 'eu', 'uk', 'ca', 'de', 'es', 'fr', 'it', 'nl'];
+const PII_POLICY_ACTIONS = ['block', 'redact', 'hash', 'pseudonymize', 'allow'];
+const PII_PSEUDONYM_FORMATS = ['token', 'keep-domain', 'last4'];
+const MAX_PII_POLICY_PATTERNS = 20;
+const MAX_PII_POLICY_PATTERN_LENGTH = 200;
+const MAX_PII_POLICY_FIELD_RULES = 100;
+const PII_PATTERN_ID = /^[A-Za-z0-9_-]{1,40}$/;
+
+/**
+ * Validate a form's PII policy
+ * The SDK enforces it in the browser before encrypting, so the server only
+ * checks its shape and that each pattern compiles. The pseudonym key never
+ * reaches the server
+ * @param {*} policy - `{ locales, defaultAction, patterns, fieldNames, fields, formats }`, or null to remove it
+ * @returns {{ valid: boolean, error?: string }} Validation result
+ */
+export function validatePIIPolicy(policy) {
+  if (policy === null) return { valid: true };
+  if (typeof policy !== 'object' || Array.isArray(policy)) {
+    return { valid: false, error: 'piiPolicy must be an object' };
+  }
+
+  const { locales, defaultAction, patterns = [], fieldNames = [], fields = {}, formats = {} } = policy;
+
+  if (locales !== undefined) {
+    if (!Array.isArray(locales) || locales.some(locale => !PII_POLICY_LOCALES.includes(locale))) {
+      return { valid: false, error: `piiPolicy locales must be from: ${PII_POLICY_LOCALES.join(', ')}` };
+    }
+  }
+
+  if (defaultAction !== undefined && !PII_POLICY_ACTIONS.includes(defaultAction)) {
+    return { valid: false, error: `piiPolicy defaultAction must be one of: ${PII_POLICY_ACTIONS.join(', ')}` };
+  }
+
+  if (!Array.isArray(patterns) || patterns.length > MAX_PII_POLICY_PATTERNS) {
+    return { valid: false, error: `piiPolicy patterns must be an array of at most ${MAX_PII_POLICY_PATTERNS}` };
+  }
+  for (const entry of patterns) {
+    if (!entry || typeof entry.id !== 'string' || !PII_PATTERN_ID.test(entry.id)) {
+      return { valid: false, error: 'Each piiPolicy pattern needs an id of letters, digits, - or _' };
+    }
+    if (typeof entry.pattern !== 'string' || entry.pattern.length === 0
+      || entry.pattern.length > MAX_PII_POLICY_PATTERN_LENGTH) {
+      return { valid: false, error: `Pattern ${entry.id} must be 1-${MAX_PII_POLICY_PATTERN_LENGTH} characters` };
+    }
+    if (entry.flags !== undefined && !/^[imsu]*$/.test(entry.flags)) {
+      return { valid: false, error: `Pattern ${entry.id} flags may only use i, m, s and u` };
+    }
+    try {
+      new RegExp(entry.pattern, entry.flags);
+    } catch (err) {
+      return { valid: false, error: `Pattern ${entry.id} is not a valid regular expression` };
+    }
+  }
+
+  if (!Array.isArray(fieldNames) || fieldNames.length > MAX_PII_POLICY_FIELD_RULES
+    || fieldNames.some(name => typeof name !== 'string' || !FIELD_NAME_PATTERN.test(name))) {
+    return { valid: false, error: 'piiPolicy fieldNames must be an array of field names' };
+  }
+
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)
+    || Object.keys(fields).length > MAX_PII_POLICY_FIELD_RULES) {
+    return { valid: false, error: `piiPolicy fields must map at most ${MAX_PII_POLICY_FIELD_RULES} field names to actions` };
+  }
+  for (const [field, action] of Object.entries(fields)) {
+    if (!FIELD_NAME_PATTERN.test(field)) {
+      return { valid: false, error: `Invalid field name in piiPolicy: ${field.substring(0, 64)}` };
+    }
+    if (!PII_POLICY_ACTIONS.includes(action)) {
+      return { valid: false, error: `Invalid action for field ${field}: must be one of ${PII_POLICY_ACTIONS.join(', ')}` };
+    }
+  }
+
+  if (!formats || typeof formats !== 'object' || Array.isArray(formats)
+    || Object.keys(formats).length > MAX_PII_POLICY_FIELD_RULES) {
+    return { valid: false, error: `piiPolicy formats must map at most ${MAX_PII_POLICY_FIELD_RULES} field names to pseudonym formats` };
+  }
+  for (const [field, format] of Object.entries(formats)) {
+    if (!FIELD_NAME_PATTERN.test(field)) {
+      return { valid: false, error: `Invalid field name in piiPolicy: ${field.substring(0, 64)}` };
+    }
+    if (!PII_PSEUDONYM_FORMATS.includes(format)) {
+      return { valid: false, error: `Invalid pseudonym format for field ${field}: must be one of ${PII_PSEUDONYM_FORMATS.join(', ')}` };
+    }
+  }
+
+  return { valid: true };
+}
+
+// Form schema from the dashboard builder. Types match the builder's field types
+export const FORM_FIELD_TYPES = [
+  'text', 'email', 'textarea', 'number', 'phone', 'select', 'checkbox', 'radio', 'date', 'url', 'hidden', 'payment',
+  'heading', 'paragraph', 'divider', 'page_break'
+];
+const FORM_LAYOUT_TYPES = ['heading', 'paragraph', 'divider', 'page_break'];
+const FORM_OPTION_TYPES = ['select', 'checkbox', 'radio'];
+const FORM_HEADING_LEVELS = ['h2', 'h3', 'h4'];
+// Version of the builder's schema; version 2 added nested rule groups, the
+// operators after is_not_empty and the actions after hide
+export const FORM_SCHEMA_VERSION = 2;
+const FORM_CONDITION_ACTIONS = ['show', 'hide', 'require', 'jump', 'set_value'];
+const FORM_CONDITION_LOGIC = ['all', 'any'];
+const FORM_CONDITION_OPERATORS = [
+  'equals', 'not_equals', 'contains', 'is_empty', 'is_not_empty',
+  'greater_than', 'less_than', 'before', 'after', 'matches', 'is_one_of', 'contains_any'
+];
+const FORM_CONDITION_LIST_OPERATORS = ['is_one_of', 'contains_any'];
+const MAX_FORM_CONDITION_RULES = 20;
+const MAX_FORM_CONDITION_DEPTH = 3;
+const MAX_FORM_FIELDS = 200;
+const MAX_FORM_FIELD_OPTIONS = 100;
+const FORM_FIELD_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const FORM_FIELD_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]{0,63}$/;
+
+// Text properties of a field and their maximum lengths
+const FORM_FIELD_TEXT_LIMITS = {
+  label: 500,
+  placeholder: 200,
+  defaultValue: 1000,
+  content: 5000,
+  stepTitle: 200,
+  stepDescription: 1000
+};
+
+/**
+ * Validate the fields of a form schema
+ * @param {Array} fields - Fields as saved by the form builder
+ * @returns {{valid: boolean, error?: string}}
+ */
+export function validateFormFields(fields) {
+  if (!Array.isArray(fields) || fields.length > MAX_FORM_FIELDS) {
+    return { valid: false, error: `fields must be an array of at most ${MAX_FORM_FIELDS}` };
+  }
+
+  const ids = new Set();
+  const names = new Set();
+
+  for (const field of fields) {
+    if (!field || typeof field !== 'object' || Array.isArray(field)) {
+      return { valid: false, error: 'Each field must be an object' };
+    }
+    if (typeof field.id !== 'string' || !FORM_FIELD_ID_PATTERN.test(field.id) || ids.has(field.id)) {
+      return { valid: false, error: 'Each field needs a unique id of letters, digits, - or _' };
+    }
+    ids.add(field.id);
+
+    if (!FORM_FIELD_TYPES.includes(field.type)) {
+      return { valid: false, error: `Field ${field.id} type must be one of: ${FORM_FIELD_TYPES.join(', ')}` };
+    }
+
+    for (const [key, limit] of Object.entries(FORM_FIELD_TEXT_LIMITS)) {
+      if (field[key] !== undefined && (typeof field[key] !== 'string' || field[key].length > limit)) {
+        return { valid: false, error: `Field ${field.id} ${key} must be text of at most ${limit} characters` };
+      }
+    }
+
+    if (field.required !== undefined && typeof field.required !== 'boolean') {
+      return { valid: false, error: `Field ${field.id} required must be true or false` };
+    }
+
+    for (const key of ['min', 'max']) {
+      const value = field[key];
+      if (value !== undefined && !(typeof value === 'number' || (typeof value === 'string' && value.length <= 40))) {
+        return { valid: false, error: `Field ${field.id} ${key} must be a number or date` };
+      }
+    }
+
+    if (field.conditions !== undefined && field.conditions !== null) {
+      const conditionsError = checkFieldConditions(field);
+      if (conditionsError) {
+        return { valid: false, error: conditionsError };
+      }
+    }
+
+    if (FORM_LAYOUT_TYPES.includes(field.type)) {
+      if (field.type === 'heading' && field.level !== undefined && !FORM_HEADING_LEVELS.includes(field.level)) {
+        return { valid: false, error: `Field ${field.id} level must be one of: ${FORM_HEADING_LEVELS.join(', ')}` };
+      }
+      continue;
+    }
+
+    if (typeof field.name !== 'string' || !FORM_FIELD_NAME_PATTERN.test(field.name)) {
+      return { valid: false, error: `Field ${field.id} needs a name of letters, digits or _ that does not start with a digit` };
+    }
+    if (names.has(field.name)) {
+      return { valid: false, error: `Field name ${field.name} is used more than once` };
+    }
+    names.add(field.name);
+
+    if (FORM_OPTION_TYPES.includes(field.type)) {
+      const { options } = field;
+      if (!Array.isArray(options) || options.length === 0 || options.length > MAX_FORM_FIELD_OPTIONS
+        || options.some(option => typeof option !== 'string' || option.trim() === '' || option.length > 200)) {
+        return { valid: false, error: `Field ${field.name} needs 1-${MAX_FORM_FIELD_OPTIONS} options of at most 200 characters` };
+      }
+    }
+  }
+
+  // Rules may only refer to fields of this form (the builder leaves the
+  // field empty until one is chosen), and jumps only go forward to a page
+  const pageBreaks = fields.filter(field => field.type === 'page_break').map(field => field.id);
+  for (const [index, field] of fields.entries()) {
+    if (!field.conditions) continue;
+
+    for (const ruleField of conditionRuleFields(field.conditions)) {
+      if (ruleField && (!ids.has(ruleField) || ruleField === field.id)) {
+        return { valid: false, error: `Field ${field.id} has a condition on an unknown field` };
+      }
+    }
+
+    const { target } = field.conditions;
+    if (field.conditions.action === 'jump'
+      && (!pageBreaks.includes(target) || fields.findIndex(f => f.id === target) <= index)) {
+      return { valid: false, error: `Field ${field.id} must jump to a later page break` };
+    }
+  }
+
+  return { valid: true };
+}
+
+// Check the shape of a field's conditions; returns an error message
+function checkFieldConditions(field) {
+  const { conditions } = field;
+  if (typeof conditions !== 'object' || Array.isArray(conditions)) {
+    return `Field ${field.id} conditions must be an object or null`;
+  }
+  if (conditions.version !== undefined && ![1, FORM_SCHEMA_VERSION].includes(conditions.version)) {
+    return `Field ${field.id} conditions version must be 1 or ${FORM_SCHEMA_VERSION}`;
+  }
+  if (!FORM_CONDITION_ACTIONS.includes(conditions.action)) {
+    return `Field ${field.id} condition action must be one of: ${FORM_CONDITION_ACTIONS.join(', ')}`;
+  }
+  if (conditions.action === 'set_value'
+    && (field.type !== 'hidden' || typeof conditions.value !== 'string' || conditions.value.length > 1000)) {
+    return `Field ${field.id} can only set a value of at most 1000 characters on a hidden field`;
+  }
+  if (conditions.action === 'require' && (field.type === 'hidden' || FORM_LAYOUT_TYPES.includes(field.type))) {
+    return `Field ${field.id} can't be required`;
+  }
+
+  let count = 0;
+  const checkGroup = (group, depth) => {
+    if (!FORM_CONDITION_LOGIC.includes(group.logic)) {
+      return `Field ${field.id} condition logic must be all or any`;
+    }
+    if (!Array.isArray(group.rules) || depth > MAX_FORM_CONDITION_DEPTH) {
+      return `Field ${field.id} conditions need rules, nested at most ${MAX_FORM_CONDITION_DEPTH} deep`;
+    }
+    for (const rule of group.rules) {
+      if (++count > MAX_FORM_CONDITION_RULES) {
+        return `Field ${field.id} conditions need at most ${MAX_FORM_CONDITION_RULES} rules`;
+      }
+      const error = rule && Array.isArray(rule.rules) ? checkGroup(rule, depth + 1) : checkConditionRule(rule);
+      if (error) {
+        return `Field ${field.id} ${error}`;
+      }
+    }
+    return null;
+  };
+  return checkGroup(conditions, 1);
+}
+
+function checkConditionRule(rule) {
+  if (!rule || typeof rule.field !== 'string' || !FORM_CONDITION_OPERATORS.includes(rule.operator)) {
+    return `has a malformed condition rule; operators are: ${FORM_CONDITION_OPERATORS.join(', ')}`;
+  }
+
+  const { value } = rule;
+  if (FORM_CONDITION_LIST_OPERATORS.includes(rule.operator)) {
+    if (!Array.isArray(value) || value.length > MAX_FORM_FIELD_OPTIONS
+      || value.some(item => typeof item !== 'string' || item.length > 200)) {
+      return `condition ${rule.operator} needs a list of at most ${MAX_FORM_FIELD_OPTIONS} values`;
+    }
+    return null;
+  }
+  if (value !== undefined && (typeof value !== 'string' || value.length > 200)) {
+    return 'condition value must be text of at most 200 characters';
+  }
+  if (rule.operator === 'matches') {
+    try {
+      new RegExp(value || '');
+    } catch (err) {
+      return 'condition pattern is not a valid regular expression';
+    }
+  }
+  return null;
+}
+
+// Every field a condition's rules refer to, in nested groups too
+function conditionRuleFields(group) {
+  return (group.rules || []).flatMap(rule => {
+    if (!rule) return [];
+    return Array.isArray(rule.rules) ? conditionRuleFields(rule) : [rule.field];
+  });
+}
+
 /**
  * Parse URL path to extract parts
  * @param {string} url - Full URL
@@ -0,0 +1,120 @@
+/**
+ * VeilForms - Account Master Key Endpoint
+ * GET /api/master-key - Get the account master public key
+ * POST /api/master-key - Register the account master public key
+ *
+ * The master key pair is generated in the browser. Only the public key is
+ * stored here; form private keys are wrapped with it before upload
+ */
+
+import { authenticateRequest } from './lib/auth.js';
+import { getUserById, updateUser } from './lib/storage.js';
+import { checkRateLimit, getRateLimitHeaders } from './lib/rate-limit.js';
+import { logAudit, AuditEvents, getAuditContext } from './lib/audit.js';
+import { getCorsHeaders } from './lib/cors.js';
+import { validateCsrfToken } from './lib/csrf.js';
+import { validateJWK, getKeyId, toPublicJWK } from './lib/key-utils.js';
+import * as response from './lib/responses.js';
+
+export default async function handler(req, context) {
+  const origin = req.headers.get('origin') || '';
+  const headers = getCorsHeaders(origin, {
+    methods: ['GET', 'POST', 'OPTIONS']
+  });
+
+  if (req.method === 'OPTIONS') {
+    return response.noContent(headers);
+  }
+
+  // Rate limit
+  const rateLimit = await checkRateLimit(req, { keyPrefix: 'master-key', maxRequests: 20 });
+  if (!rateLimit.allowed) {
+    return response.tooManyRequests(
+      { ...headers, ...getRateLimitHeaders(rateLimit) },
+      rateLimit.retryAfter
+    );
+  }
+
+  // Authenticate
+  const auth = await authenticateRequest(req);
+  if (auth.error) {
+    return response.error(auth.error, headers, auth.status);
+  }
+
+  // CSRF protection for state-changing operations
+  if (req.method === 'POST' && !validateCsrfToken(req)) {
+    return response.error('CSRF token validation failed', headers, 403);
+  }
+
+  try {
+    const user = await getUserById(auth.user.id);
+    if (!user) {
+      return response.notFound('User not found', headers);
+    }
+
+    if (req.method === 'GET') {
+      return handleGetMasterKey(user, headers);
+    }
+
+    if (req.method === 'POST') {
+      return handleCreateMasterKey(req, user, headers, getAuditContext(req, context));
+    }
+
+    return response.methodNotAllowed(headers);
+  } catch (err) {
+    console.error('Master key error:', err);
+    return response.serverError(headers);
+  }
+}
+
+/**
+ * GET /api/master-key - Get the account master public key
+ */
+async function handleGetMasterKey(user, headers) {
+  if (!user.masterKey) {
+    return response.notFound('No master key set up', headers);
+  }
+
+  return response.success({ masterKey: user.masterKey }, headers);
+}
+
+/**
+ * POST /api/master-key - Register the account master public key
+ * Body: { publicKey }. A master key can only be registered once, since every
+ * wrapped form key depends on it
+ */
+async function handleCreateMasterKey(req, user, headers, auditCtx) {
+  const body = await req.json();
+  const { publicKey } = body;
+
+  if (user.masterKey) {
+    return response.error('This account already has a master key', headers, 409);
+  }
+
+  const keyValidation = validateJWK(publicKey);
+  if (!keyValidation.valid) {
+    return response.badRequest(keyValidation.error, headers);
+  }
+
+  if (publicKey.d) {
+    return response.badRequest('Master key must be a public key, never a private key', headers);
+  }
+
+  const masterKey = {
+    kid: await getKeyId(publicKey),
+    publicKey: toPublicJWK(publicKey),
+    createdAt: new Date().toISOString()
+  };
+
+  await updateUser(user.email, { masterKey });
+
+  await logAudit(user.id, AuditEvents.USER_MASTER_KEY_CREATED, {
+    masterKeyId: masterKey.kid
+  }, auditCtx);
+
+  return response.created({ masterKey }, headers);
+}
+
+export const config = {
+  path: '/api/master-key/*'
+};
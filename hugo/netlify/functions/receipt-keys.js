@@ -0,0 +1,51 @@
+/**
+ * VeilForms - Receipt Verification Keys Endpoint
+ * GET /api/receipt-keys - Get the public keys submission receipts are signed with
+ *
+ * Public: anyone holding a receipt can check it against these keys
+ */
+
+import { getReceiptVerificationKeys, RECEIPT_VERSION } from './lib/receipts.js';
+import { checkRateLimit, getRateLimitHeaders } from './lib/rate-limit.js';
+import * as response from './lib/responses.js';
+
+export default async function handler(req, context) {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (req.method === 'OPTIONS') {
+    return response.noContent(headers);
+  }
+
+  if (req.method !== 'GET') {
+    return response.methodNotAllowed(headers);
+  }
+
+  const rateLimit = await checkRateLimit(req, { keyPrefix: 'receipt-keys', maxRequests: 60 });
+  if (!rateLimit.allowed) {
+    return response.tooManyRequests(
+      { ...headers, ...getRateLimitHeaders(rateLimit) },
+      rateLimit.retryAfter
+    );
+  }
+
+  try {
+    const keys = await getReceiptVerificationKeys();
+    if (keys.length === 0) {
+      return response.notFound('Submission receipts are not enabled', headers);
+    }
+
+    return response.success({ version: RECEIPT_VERSION, keys }, headers);
+  } catch (err) {
+    console.error('Receipt keys error:', err);
+    return response.serverError(headers);
+  }
+}
+
+export const config = {
+  path: '/api/receipt-keys'
+};
@@ -1,16 +1,20 @@
 /**
  * VeilForms - Data Retention Cleanup
- * Scheduled function to delete old submissions based on retention settings
+ * Scheduled function to delete old submissions based on retention settings.
+ * Also adds forms created before the key transparency log to it
  * Configure via netlify.toml: [functions."retention-cleanup"] schedule = "@daily"
  */
 
 import { getStore } from '@netlify/blobs';
 import { logAudit, AuditEvents } from './lib/audit.js';
+import { listSubmissionIds, deleteUpload, deleteAbandonedUploads } from './lib/storage.js';
+import { recordFormKeys } from './lib/key-log.js';
 import * as response from './lib/responses.js';
 
 const FORMS_STORE = 'vf-forms';
 const BATCH_SIZE = 50; // Process forms in batches
 const MAX_CONCURRENT_DELETES = 10; // Parallel deletion limit
+const ABANDONED_UPLOAD_AGE = 24 * 60 * 60 * 1000; // Unattached file uploads kept for 24h
 
 export default async function handler(req, context) {
   if (process.env.NODE_ENV !== 'production') {
@@ -78,6 +82,12 @@ async function processForm(formsStore, formKey) {
       return { processed: false, deleted: 0 };
     }
 
+    // File uploads whose submission never arrived
+    await deleteAbandonedUploads(form.id, Date.now() - ABANDONED_UPLOAD_AGE);
+
+    // Writes only when the form has keys the log hasn't seen
+    await recordFormKeys(form);
+
     // Check if retention is enabled
     const retention = form.settings?.retention;
     if (!retention?.enabled || !retention?.days) {
@@ -87,17 +97,14 @@ async function processForm(formsStore, formKey) {
     const cutoffDate = Date.now() - (retention.days * 24 * 60 * 60 * 1000);
     const submissionsStore = getStore({ name: `veilforms-${form.id}`, consistency: 'strong' });
 
-    // Get submission index
-    let index;
+    // Find submissions older than retention period
+    let toDelete;
     try {
-      index = await submissionsStore.get('_index', { type: 'json' }) || { submissions: [] };
+      toDelete = await listSubmissionIds(form.id, { before: cutoffDate });
     } catch (e) {
       return { processed: false, deleted: 0 };
     }
 
-    // Find submissions older than retention period
-    const toDelete = index.submissions.filter(s => s.ts < cutoffDate);
-
     if (toDelete.length === 0) {
       return { processed: true, deleted: 0 };
     }
@@ -110,13 +117,16 @@ async function processForm(formsStore, formKey) {
     const deleteChunks = chunkArray(toDelete, MAX_CONCURRENT_DELETES);
     for (const chunk of deleteChunks) {
       await Promise.allSettled(
-        chunk.map(item => submissionsStore.delete(item.id))
+        chunk.map(item => deleteExpiredSubmission(submissionsStore, form.id, item.id))
       );
     }
 
-    // Update index
-    index.submissions = index.submissions.filter(s => s.ts >= cutoffDate);
-    await submissionsStore.setJSON('_index', index);
+    // Submissions with older IDs are also listed in the legacy index
+    const index = await submissionsStore.get('_index', { type: 'json' }).catch(() => null);
+    if (index) {
+      index.submissions = index.submissions.filter(s => s.ts >= cutoffDate);
+      await submissionsStore.setJSON('_index', index);
+    }
 
     // Update form submission count
     const newCount = Math.max(0, (form.submissionCount || 0) - toDelete.length);
@@ -141,6 +151,17 @@ async function processForm(formsStore, formKey) {
   }
 }
 
+/**
+ * Delete a submission and any files attached to it
+ */
+async function deleteExpiredSubmission(submissionsStore, formId, submissionId) {
+  const submission = await submissionsStore.get(submissionId, { type: 'json' }).catch(() => null);
+  for (const attachment of submission?.attachments || []) {
+    await deleteUpload(formId, attachment.uploadId);
+  }
+  await submissionsStore.delete(submissionId);
+}
+
 /**
  * Split array into chunks
  */
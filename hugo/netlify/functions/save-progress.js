@@ -11,7 +11,7 @@ import { getForm } from './lib/storage.js';
 import { checkRateLimit, getRateLimitHeaders } from './lib/rate-limit.js';
 import { sendResumeEmail } from './lib/email.js';
 import * as response from './lib/responses.js';
-import { isValidFormId, isValidEmail } from './lib/validation.js';
+import { isValidFormId, isValidEmail, validateEncryptedPayload } from './lib/validation.js';
 
 // Store for partial submissions
 const PARTIAL_SUBMISSIONS_STORE = 'vf-partial-submissions';
@@ -96,9 +96,9 @@ export default async function handler(req, context) {
     }
 
     // Validate encrypted partial data structure
-    const encryptedKey = partialData.encryptedKey || partialData.key;
-    if (!partialData.encrypted || !encryptedKey || !partialData.iv || !partialData.version) {
-      return response.badRequest('Invalid encrypted payload structure', headers);
+    const payloadValidation = validateEncryptedPayload(partialData);
+    if (!payloadValidation.valid) {
+      return response.badRequest(payloadValidation.error, headers);
     }
 
     // Normalize payload to use encryptedKey
@@ -1,21 +1,24 @@
 /**
  * VeilForms - Submissions Management Endpoint
  * GET /api/submissions/:formId - List submissions
+ * GET /api/submissions/:formId?field=x&index=y - Exact-match blind index lookup
  * GET /api/submissions/:formId/:id - Get single submission
+ * PUT /api/submissions/:formId/:id - Replace encrypted payload (key migration)
  * DELETE /api/submissions/:formId/:id - Delete submission
  * DELETE /api/submissions/:formId - Bulk delete all
  */
 
 import { authenticateRequest } from './lib/auth.js';
-import { getForm, getSubmissions, getSubmission, deleteSubmission, deleteAllSubmissions, updateForm } from './lib/storage.js';
+import { getForm, getSubmissions, getSubmission, findSubmissionsByBlindIndex, replaceSubmissionPayload, deleteSubmission, deleteAllSubmissions, updateForm } from './lib/storage.js';
 import { checkRateLimit, getRateLimitHeaders } from './lib/rate-limit.js';
 import { getCorsHeaders } from './lib/cors.js';
 import * as response from './lib/responses.js';
-import { isValidFormId, isValidSubmissionId, parseUrlPath } from './lib/validation.js';
+import { isValidFormId, isValidSubmissionId, parseUrlPath, validateEncryptedPayload, isValidBlindIndex } from './lib/validation.js';
+import { resolvePayloadKeyId, getKeyId } from './lib/key-utils.js';
 
 export default async function handler(req, context) {
   const origin = req.headers.get('origin') || '';
-  const headers = getCorsHeaders(origin, { methods: ['GET', 'DELETE', 'OPTIONS'] });
+  const headers = getCorsHeaders(origin, { methods: ['GET', 'PUT', 'DELETE', 'OPTIONS'] });
 
   if (req.method === 'OPTIONS') {
     return response.noContent(headers);
@@ -58,7 +61,11 @@ export default async function handler(req, context) {
     if (req.method === 'GET') {
       return submissionId
         ? handleGetSingle(formId, submissionId, headers)
-        : handleList(formId, new URL(req.url).searchParams, headers);
+        : handleList(formId, form, new URL(req.url).searchParams, headers);
+    }
+
+    if (req.method === 'PUT' && submissionId) {
+      return handleReplacePayload(req, formId, submissionId, form, headers);
     }
 
     if (req.method === 'DELETE') {
@@ -94,13 +101,30 @@ async function handleGetSingle(formId, submissionId, headers) {
 /**
  * GET list of submissions with pagination and filtering
  */
-async function handleList(formId, params, headers) {
+async function handleList(formId, form, params, headers) {
   const limit = Math.min(parseInt(params.get('limit') || '50', 10), 100);
-  const offset = parseInt(params.get('offset') || '0', 10);
+
+  if (params.has('index')) {
+    return handleBlindIndexLookup(formId, form, params.get('field'), params.get('index'), limit, headers);
+  }
+
+  // The cursor names the last submission of the previous page
+  let cursor = null;
+  if (params.has('cursor')) {
+    try {
+      cursor = JSON.parse(Buffer.from(params.get('cursor'), 'base64').toString()).after;
+    } catch {
+      cursor = null;
+    }
+    if (!isValidSubmissionId(cursor)) {
+      return response.badRequest('Invalid cursor', headers);
+    }
+  }
+
   const startDate = params.get('startDate');
   const endDate = params.get('endDate');
 
-  let result = await getSubmissions(formId, limit + 1, offset); // Fetch one extra to check for more
+  const result = await getSubmissions(formId, limit, { cursor });
 
   // Apply date filtering if specified
   if (startDate || endDate) {
@@ -113,21 +137,86 @@ async function handleList(formId, params, headers) {
     });
   }
 
-  // Determine if there are more results
-  const hasMore = result.submissions.length > limit;
-  if (hasMore) {
-    result.submissions = result.submissions.slice(0, limit);
+  const hasMore = result.nextCursor !== null;
+  const nextCursor = hasMore
+    ? Buffer.from(JSON.stringify({ after: result.nextCursor })).toString('base64')
+    : null;
+
+  return response.success({
+    formId,
+    submissions: result.submissions,
+    pagination: { total: form.submissionCount || 0, limit, hasMore, nextCursor }
+  }, headers);
+}
+
+/**
+ * GET submissions whose blind index for a field matches exactly
+ * The dashboard computes the index locally with the owner's index key
+ */
+async function handleBlindIndexLookup(formId, form, field, index, limit, headers) {
+  if (!field || !(form.settings?.searchableFields || []).includes(field)) {
+    return response.badRequest('Field is not searchable', headers);
+  }
+
+  if (!isValidBlindIndex(index)) {
+    return response.badRequest('Invalid blind index', headers);
   }
 
-  // Generate next cursor
-  const nextCursor = hasMore && result.submissions.length > 0
-    ? Buffer.from(JSON.stringify({ offset: offset + limit })).toString('base64')
-    : null;
+  const result = await findSubmissionsByBlindIndex(formId, field, index, limit);
 
   return response.success({
     formId,
     submissions: result.submissions,
-    pagination: { total: result.total, limit, offset, hasMore, nextCursor }
+    pagination: { total: result.total, limit, hasMore: result.total > limit, nextCursor: null }
+  }, headers);
+}
+
+/**
+ * PUT re-encrypted payload for a single submission
+ * The dashboard decrypts with the old key and re-encrypts with the current
+ * one in the browser; the server only ever sees ciphertext
+ */
+async function handleReplacePayload(req, formId, submissionId, form, headers) {
+  // Validate submissionId format
+  if (!isValidSubmissionId(submissionId)) {
+    return response.badRequest('Invalid submission ID format', headers);
+  }
+
+  const body = await req.json();
+  const { payload, previousKid } = body;
+
+  const payloadValidation = validateEncryptedPayload(payload, { formId, submissionId });
+  if (!payloadValidation.valid) {
+    return response.badRequest(payloadValidation.error, headers);
+  }
+
+  // Migrations only ever move submissions onto the current key
+  const currentKid = form.keyId || (form.publicKey && await getKeyId(form.publicKey));
+  const keyResolution = await resolvePayloadKeyId(form, payload);
+  if (keyResolution.error || keyResolution.kid !== currentKid) {
+    return response.badRequest('Re-encrypted payloads must use the form\'s current key', headers);
+  }
+
+  const submission = await getSubmission(formId, submissionId);
+  if (!submission) {
+    return response.notFound('Submission not found', headers);
+  }
+
+  // Guard against two migrations racing on the same submission
+  if (previousKid !== undefined && (submission.payload?.kid || null) !== previousKid) {
+    return response.error('Submission changed since it was read', headers, 409);
+  }
+
+  if (payload.key && !payload.encryptedKey) {
+    payload.encryptedKey = payload.key;
+    delete payload.key;
+  }
+  payload.kid = keyResolution.kid;
+
+  const updated = await replaceSubmissionPayload(formId, submissionId, payload);
+
+  return response.success({
+    submission: { id: updated.id, kid: payload.kid, reencryptedAt: updated.reencryptedAt }
   }, headers);
 }
 
@@ -3,14 +3,15 @@
  * Stores encrypted submissions in Netlify Blob
  */
 
-import { getStore } from '@netlify/blobs';
-import { getForm, updateForm, getUserById } from './lib/storage.js';
+import { getForm, updateForm, getUserById, saveSubmission, isSubmissionIdTimeValid, addToBlindIndex, getUpload, attachUpload, getInvite, redeemInvite } from './lib/storage.js';
 import { checkRateLimit, getRateLimitHeaders } from './lib/rate-limit.js';
 import { fireWebhookWithRetry } from './lib/webhook-retry.js';
 import { checkIdempotencyKey, storeIdempotencyKey, getIdempotencyKeyFromRequest, getIdempotencyHeaders } from './lib/idempotency.js';
 import * as response from './lib/responses.js';
-import { isValidFormId, isValidSubmissionId } from './lib/validation.js';
+import { isValidFormId, isValidSubmissionId, isValidUploadId, isValidNullifier, validateEncryptedPayload, validateBlindIndex, pickSearchableIndexes } from './lib/validation.js';
 import { errorResponse, ErrorCodes } from './lib/errors.js';
+import { resolvePayloadKeyId } from './lib/key-utils.js';
+import { signReceipt } from './lib/receipts.js';
 
 // Subscription limits
 const SUBMISSION_LIMITS = {
@@ -20,6 +21,9 @@ const SUBMISSION_LIMITS = {
   enterprise: Infinity
 };
 
+// Encrypted files uploaded through /api/uploads that one submission can carry
+const MAX_ATTACHMENTS = 10;
+
 export default async function handler(req, context) {
   // CORS headers - check allowed origins from form settings
   const origin = req.headers.get('origin') || '*';
@@ -66,7 +70,7 @@ export default async function handler(req, context) {
     }
 
     const body = JSON.parse(rawBody);
-    const { formId, submissionId, payload, timestamp, meta, spamProtection } = body;
+    const { formId, submissionId, payload, blindIndex, attachments, nullifier, timestamp, meta, spamProtection } = body;
 
     // Validate required fields
     if (!formId || !submissionId || !payload) {
@@ -112,7 +116,13 @@ export default async function handler(req, context) {
     if (!isValidSubmissionId(submissionId)) {
       return errorResponse(ErrorCodes.VALIDATION_INVALID_FORMAT, headers, {
         field: 'submissionId',
-        hint: 'Submission ID must be a valid UUID format.'
+        hint: 'Submission ID must be generated by the VeilForms SDK.'
+      });
+    }
+    if (!isSubmissionIdTimeValid(submissionId)) {
+      return errorResponse(ErrorCodes.VALIDATION_INVALID_FORMAT, headers, {
+        field: 'submissionId',
+        hint: 'Submission ID is dated in the future. Check the device clock.'
       });
     }
 
@@ -184,6 +194,22 @@ export default async function handler(req, context) {
       }
     }
 
+    // Invite-only forms take one submission per invite code. The SDK sends
+    // the code's nullifier, never the code, so this can't tell who submitted
+    if (form.settings?.requireInvite) {
+      if (!isValidNullifier(nullifier)) {
+        return errorResponse(ErrorCodes.INVITE_REQUIRED, headers);
+      }
+
+      const invite = await getInvite(formId, nullifier);
+      if (!invite) {
+        return errorResponse(ErrorCodes.INVITE_INVALID, headers);
+      }
+      if (invite.used) {
+        return errorResponse(ErrorCodes.INVITE_USED, headers);
+      }
+    }
+
     // Check submission limits based on user's subscription
     const user = await getUserById(form.userId);
     const subscription = user?.subscription || 'free';
@@ -201,30 +227,82 @@ export default async function handler(req, context) {
     }
 
     // Validate encrypted payload structure
-    // SDK sends 'key', normalize to 'encryptedKey' for consistency
-    const encryptedKey = payload.encryptedKey || payload.key;
-    if (!payload.encrypted || !encryptedKey || !payload.iv || !payload.version) {
+    const payloadValidation = validateEncryptedPayload(payload, { formId, submissionId });
+    if (!payloadValidation.valid) {
       return errorResponse(ErrorCodes.ENCRYPTION_INVALID_KEY, headers, {
-        message: 'Invalid encrypted payload structure',
+        message: payloadValidation.error,
         hint: 'The submission must be encrypted using the VeilForms SDK. Ensure all required encryption fields are present.',
-        details: { required: ['encrypted', 'encryptedKey', 'iv', 'version'] }
+        details: payloadValidation.required ? { required: payloadValidation.required } : undefined
       });
     }
 
-    // Normalize payload to use encryptedKey
+    // SDK sends 'key', normalize to 'encryptedKey' for consistency
     if (payload.key && !payload.encryptedKey) {
       payload.encryptedKey = payload.key;
       delete payload.key;
     }
 
-    // Get blob store for this form
-    const store = getStore({ name: `veilforms-${formId}`, consistency: 'strong' });
+    // Stamp the payload with the form key it was encrypted for, so the
+    // owner can pick the right private key after rotations
+    const keyResolution = await resolvePayloadKeyId(form, payload);
+    if (keyResolution.error) {
+      return errorResponse(ErrorCodes.ENCRYPTION_INVALID_KEY, headers, {
+        message: keyResolution.error,
+        hint: 'Update your embed code with the current public key from the dashboard.'
+      });
+    }
+    if (keyResolution.kid) {
+      payload.kid = keyResolution.kid;
+    }
+
+    // Blind indexes are keyed HMACs computed by the SDK; only fields the
+    // owner marked searchable are stored
+    let searchIndex;
+    if (blindIndex !== undefined) {
+      const indexValidation = validateBlindIndex(blindIndex);
+      if (!indexValidation.valid) {
+        return errorResponse(ErrorCodes.VALIDATION_INVALID_FORMAT, headers, {
+          field: 'blindIndex',
+          message: indexValidation.error,
+          hint: 'Blind indexes are created by the SDK; update your embed code to the latest version.'
+        });
+      }
+      searchIndex = pickSearchableIndexes(blindIndex, form.settings?.searchableFields || []);
+    }
+
+    // Files are uploaded before the submission; each must be complete and
+    // started for this submission
+    const attachmentRecords = [];
+    if (attachments !== undefined) {
+      if (!Array.isArray(attachments) || attachments.length > MAX_ATTACHMENTS
+        || new Set(attachments).size !== attachments.length
+        || !attachments.every(isValidUploadId)) {
+        return errorResponse(ErrorCodes.VALIDATION_INVALID_FORMAT, headers, {
+          field: 'attachments',
+          hint: `Attachments must be a list of up to ${MAX_ATTACHMENTS} distinct upload IDs.`
+        });
+      }
+
+      for (const uploadId of attachments) {
+        const upload = await getUpload(formId, uploadId);
+        if (!upload || upload.submissionId !== submissionId || upload.status === 'pending') {
+          return errorResponse(ErrorCodes.VALIDATION_INVALID_FORMAT, headers, {
+            field: 'attachments',
+            message: `Upload ${uploadId} is not a completed upload for this submission`,
+            hint: 'Finish every file upload before submitting the form.'
+          });
+        }
+        attachmentRecords.push({ uploadId, header: upload.header, chunkCount: upload.chunkCount });
+      }
+    }
 
     // Build submission record
     const submission = {
       id: submissionId,
       formId,
       payload,
+      ...(searchIndex && Object.keys(searchIndex).length > 0 && { blindIndex: searchIndex }),
+      ...(attachmentRecords.length > 0 && { attachments: attachmentRecords }),
       timestamp: timestamp || Date.now(),
       receivedAt: Date.now(),
       meta: {
@@ -236,11 +314,22 @@ export default async function handler(req, context) {
       }
     };
 
-    // Store submission
-    await store.setJSON(submissionId, submission);
+    // Use up the invite just before storing. The store has no
+    // compare-and-set, so this narrows the window for two concurrent
+    // submissions with one code rather than closing it
+    if (form.settings?.requireInvite && !await redeemInvite(formId, nullifier)) {
+      return errorResponse(ErrorCodes.INVITE_USED, headers);
+    }
+
+    await saveSubmission(formId, submission);
+
+    if (submission.blindIndex) {
+      await addToBlindIndex(formId, submissionId, submission.blindIndex);
+    }
 
-    // Update submission index
-    await updateIndex(store, submissionId, submission.timestamp);
+    for (const { uploadId } of attachmentRecords) {
+      await attachUpload(formId, uploadId);
+    }
 
     // Increment form submission count
     await updateForm(formId, {
@@ -256,11 +345,21 @@ export default async function handler(req, context) {
       });
     }
 
+    // Signed proof for the respondent that this ciphertext was accepted;
+    // a failure here must not fail a submission that is already stored
+    let receipt = null;
+    try {
+      receipt = await signReceipt(submission);
+    } catch (receiptError) {
+      console.error('Receipt signing failed:', receiptError);
+    }
+
     // Prepare success response
     const successResponse = {
       success: true,
       submissionId,
-      timestamp: submission.timestamp
+      timestamp: submission.timestamp,
+      ...(receipt && { receipt })
     };
 
     // Store idempotency key if provided (24hr TTL)
@@ -278,33 +377,6 @@ export default async function handler(req, context) {
   }
 }
 
-/**
- * Update submission index for efficient listing
- */
-async function updateIndex(store, submissionId, timestamp) {
-  const indexKey = '_index';
-
-  try {
-    let index = await store.get(indexKey, { type: 'json' }) || { submissions: [] };
-
-    // Add new submission to index (newest first)
-    index.submissions.unshift({
-      id: submissionId,
-      ts: timestamp
-    });
-
-    // Keep index manageable (last 10000 entries)
-    if (index.submissions.length > 10000) {
-      index.submissions = index.submissions.slice(0, 10000);
-    }
-
-    await store.setJSON(indexKey, index);
-  } catch (e) {
-    console.warn('Index update failed:', e);
-  }
-}
-
-
 /**
  * Verify reCAPTCHA v3 token with Google
  */
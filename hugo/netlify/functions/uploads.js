@@ -0,0 +1,291 @@
+/**
+ * VeilForms - Encrypted File Upload Endpoint
+ * POST /api/uploads/:formId - Start an upload (encrypted header, chunk count)
+ * GET /api/uploads/:formId/:uploadId - Upload status and received chunks
+ * PUT /api/uploads/:formId/:uploadId/chunks/:index - Store one encrypted chunk
+ * POST /api/uploads/:formId/:uploadId/complete - Finish an upload
+ * GET /api/uploads/:formId/:uploadId/chunks/:index - Download a chunk (form owner)
+ *
+ * Files are encrypted in the browser in vf-c1 chunks; each chunk is stored as
+ * its own blob, so uploads resume from the first missing chunk. A completed
+ * upload is linked to its submission through the submission's `attachments`
+ */
+
+import { authenticateRequest } from './lib/auth.js';
+import { getForm, createUpload, getUpload, countOpenUploads, saveUploadChunk, getUploadChunk, getUploadedChunks, completeUpload } from './lib/storage.js';
+import { checkRateLimit, getRateLimitHeaders } from './lib/rate-limit.js';
+import { getCorsHeaders } from './lib/cors.js';
+import { resolvePayloadKeyId } from './lib/key-utils.js';
+import * as response from './lib/responses.js';
+import { isValidFormId, isValidSubmissionId, isValidUploadId, validateEncryptedPayload, parseUrlPath } from './lib/validation.js';
+
+// Matches FILE_CHUNK_SIZE in the client file-encryption module, plus the GCM tag
+export const MAX_CHUNK_BYTES = 512 * 1024 + 16;
+
+// 100 chunks of 512KB: 50MB per file
+export const MAX_CHUNKS = 100;
+
+// Encrypted file headers are small; anything larger isn't one
+const MAX_HEADER_SIZE = 16 * 1024;
+
+// Uploads not yet attached to a submission, per form. Unattached uploads are
+// deleted after a day, so this caps what anonymous clients can park in a
+// form's store at 100 x 50MB until then
+export const MAX_OPEN_UPLOADS = 100;
+
+export default async function handler(req, context) {
+  const origin = req.headers.get('origin') || '*';
+  const pathParts = parseUrlPath(req.url, '/api/uploads/');
+  const [formId, uploadId, action, index] = pathParts;
+
+  // Chunk downloads are for the form owner; everything else is public like /api/submit
+  const isDownload = req.method === 'GET' && action === 'chunks';
+  const headers = isDownload
+    ? getCorsHeaders(origin, { methods: ['GET', 'OPTIONS'] })
+    : {
+      'Access-Control-Allow-Origin': origin,
+      'Access-Control-Allow-Headers': 'Content-Type',
+      'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS',
+      'Content-Type': 'application/json'
+    };
+
+  if (req.method === 'OPTIONS') {
+    return response.noContent(headers);
+  }
+
+  // Chunks are small, so a 50MB file takes up to 100 requests
+  const rateLimit = await checkRateLimit(req, { keyPrefix: 'uploads', maxRequests: 300 });
+  if (!rateLimit.allowed) {
+    return response.tooManyRequests(
+      { ...headers, ...getRateLimitHeaders(rateLimit) },
+      rateLimit.retryAfter
+    );
+  }
+
+  if (!isValidFormId(formId)) {
+    return response.badRequest('Invalid form ID', headers);
+  }
+  if (uploadId !== undefined && !isValidUploadId(uploadId)) {
+    return response.badRequest('Invalid upload ID', headers);
+  }
+
+  try {
+    const form = await getForm(formId);
+    if (!form || form.status === 'deleted') {
+      return response.notFound('Form not found', headers);
+    }
+
+    if (isDownload) {
+      return handleDownloadChunk(req, form, uploadId, index, headers);
+    }
+
+    // Uploads are only accepted where submissions are
+    if (form.status === 'paused') {
+      return response.forbidden('Form is not accepting submissions', headers);
+    }
+    if (form.settings?.allowedOrigins && !form.settings.allowedOrigins.includes('*')) {
+      if (!form.settings.allowedOrigins.includes(origin)) {
+        return response.forbidden('Origin not allowed', headers);
+      }
+    }
+
+    if (req.method === 'POST' && !uploadId) {
+      return handleCreate(req, form, headers);
+    }
+    if (req.method === 'GET' && uploadId && !action) {
+      return handleStatus(formId, uploadId, headers);
+    }
+    if (req.method === 'PUT' && action === 'chunks') {
+      return handleUploadChunk(req, formId, uploadId, index, headers);
+    }
+    if (req.method === 'POST' && action === 'complete') {
+      return handleComplete(formId, uploadId, headers);
+    }
+
+    return response.methodNotAllowed(headers);
+  } catch (err) {
+    console.error('Upload error:', err);
+    return response.serverError(headers);
+  }
+}
+
+/**
+ * POST /api/uploads/:formId - Start an upload
+ * Body: { uploadId, submissionId, header, chunkCount }. The header is the
+ * vf-c1 file header, encrypted for the form and bound to the submission.
+ * Starting an upload that already exists for the same submission returns
+ * it, so a client can pick up where it left off. New uploads are refused
+ * while the form has MAX_OPEN_UPLOADS unattached ones
+ */
+async function handleCreate(req, form, headers) {
+  const body = await req.json();
+  const { uploadId, submissionId, header, chunkCount } = body;
+
+  if (!isValidUploadId(uploadId)) {
+    return response.badRequest('Invalid upload ID', headers);
+  }
+  if (!isValidSubmissionId(submissionId)) {
+    return response.badRequest('Invalid submission ID', headers);
+  }
+  if (!Number.isInteger(chunkCount) || chunkCount < 1 || chunkCount > MAX_CHUNKS) {
+    return response.badRequest(`chunkCount must be between 1 and ${MAX_CHUNKS}`, headers);
+  }
+  if (JSON.stringify(header || null).length > MAX_HEADER_SIZE) {
+    return response.badRequest('File header is too large', headers);
+  }
+
+  const headerValidation = validateEncryptedPayload(header, { formId: form.id, submissionId });
+  if (!headerValidation.valid) {
+    return response.badRequest(`Invalid file header: ${headerValidation.error}`, headers);
+  }
+
+  const keyResolution = await resolvePayloadKeyId(form, header);
+  if (keyResolution.error) {
+    return response.badRequest(keyResolution.error, headers);
+  }
+
+  const existing = await getUpload(form.id, uploadId);
+  if (existing) {
+    if (existing.submissionId !== submissionId || existing.status === 'attached') {
+      return response.error('Upload already exists', headers, 409);
+    }
+    return response.success({
+      uploadId,
+      status: existing.status,
+      chunkCount: existing.chunkCount,
+      received: await getUploadedChunks(form.id, uploadId)
+    }, headers);
+  }
+
+  // Counted before creating, so concurrent starts can overshoot a little
+  if (await countOpenUploads(form.id) >= MAX_OPEN_UPLOADS) {
+    return response.error('Too many uploads in progress for this form. Try again later.', headers, 429);
+  }
+
+  await createUpload(form.id, {
+    uploadId,
+    submissionId,
+    header: keyResolution.kid ? { ...header, kid: keyResolution.kid } : header,
+    chunkCount
+  });
+
+  return response.created({ uploadId, chunkCount, received: [] }, headers);
+}
+
+/**
+ * GET /api/uploads/:formId/:uploadId - Upload status
+ */
+async function handleStatus(formId, uploadId, headers) {
+  const upload = await getUpload(formId, uploadId);
+  if (!upload) {
+    return response.notFound('Upload not found', headers);
+  }
+
+  return response.success({
+    uploadId,
+    status: upload.status,
+    chunkCount: upload.chunkCount,
+    received: await getUploadedChunks(formId, uploadId)
+  }, headers);
+}
+
+/**
+ * PUT /api/uploads/:formId/:uploadId/chunks/:index - Store one encrypted chunk
+ * Body is the raw ciphertext. Re-sending a chunk replaces it, which is how a
+ * failed chunk is retried
+ */
+async function handleUploadChunk(req, formId, uploadId, indexParam, headers) {
+  const upload = await getUpload(formId, uploadId);
+  if (!upload) {
+    return response.notFound('Upload not found', headers);
+  }
+  if (upload.status !== 'pending') {
+    return response.error('Upload is already complete', headers, 409);
+  }
+
+  const index = Number(indexParam);
+  if (!Number.isInteger(index) || index < 0 || index >= upload.chunkCount) {
+    return response.badRequest('Invalid chunk index', headers);
+  }
+
+  const contentLength = req.headers.get('content-length');
+  if (contentLength && parseInt(contentLength) > MAX_CHUNK_BYTES) {
+    return response.error('Chunk too large', headers, 413);
+  }
+
+  // Double-check actual size in case Content-Length header was missing/wrong
+  const data = await req.arrayBuffer();
+  if (data.byteLength > MAX_CHUNK_BYTES) {
+    return response.error('Chunk too large', headers, 413);
+  }
+  if (data.byteLength < 16) {
+    return response.badRequest('Chunk is too short to be encrypted', headers);
+  }
+
+  await saveUploadChunk(formId, uploadId, index, data);
+
+  return response.success({ uploadId, index, size: data.byteLength }, headers);
+}
+
+/**
+ * POST /api/uploads/:formId/:uploadId/complete - Finish an upload
+ * Fails with the missing chunk indexes until every chunk is stored
+ */
+async function handleComplete(formId, uploadId, headers) {
+  const upload = await getUpload(formId, uploadId);
+  if (!upload) {
+    return response.notFound('Upload not found', headers);
+  }
+  if (upload.status !== 'pending') {
+    return response.success({ uploadId, status: upload.status }, headers);
+  }
+
+  const received = new Set(await getUploadedChunks(formId, uploadId));
+  const missing = [];
+  for (let i = 0; i < upload.chunkCount; i++) {
+    if (!received.has(i)) missing.push(i);
+  }
+  if (missing.length > 0) {
+    return response.error('Upload is missing chunks', headers, 409, { missing });
+  }
+
+  const completed = await completeUpload(formId, uploadId);
+  return response.success({ uploadId, status: completed.status }, headers);
+}
+
+/**
+ * GET /api/uploads/:formId/:uploadId/chunks/:index - Download a chunk
+ * Only the form owner can read chunks back; they are decrypted in the dashboard
+ */
+async function handleDownloadChunk(req, form, uploadId, indexParam, headers) {
+  const auth = await authenticateRequest(req);
+  if (auth.error) {
+    return response.error(auth.error, headers, auth.status);
+  }
+  if (form.userId !== auth.user.id) {
+    return response.forbidden('Access denied', headers);
+  }
+
+  const index = Number(indexParam);
+  if (!Number.isInteger(index) || index < 0) {
+    return response.badRequest('Invalid chunk index', headers);
+  }
+
+  const data = await getUploadChunk(form.id, uploadId, index);
+  if (!data) {
+    return response.notFound('Chunk not found', headers);
+  }
+
+  return new Response(data, {
+    status: 200,
+    headers: {
+      ...headers,
+      'Content-Type': 'application/octet-stream',
+      'Cache-Control': 'private, no-store'
+    }
+  });
+}
+
+export const config = {
+  path: '/api/uploads/*'
+};
@@ -9,9 +9,15 @@
  * @see https://veilforms.com/docs
  */
 
-import { encryptSubmission, hashField } from '../core/encryption.js';
-import { createAnonymousId } from '../core/identity.js';
-import { detectPII, stripPII } from '../core/pii.js';
+import { encryptSubmission, hashField, createBlindIndexes, getKeyId } from '../core/encryption.js';
+import { verifyKeyLog, getKeyLogHead } from '../core/key-log.js';
+import { verifyReceipt } from '../core/receipts.js';
+import { createFileEncryptor, resumeFileEncryptor, encryptFileChunk } from '../core/file-encryption.js';
+import { createSubmissionId, deriveNullifier } from '../core/identity.js';
+import { detectPII, stripPII, resolvePIILocales, compilePIIPolicy, applyPIIPolicy } from '../core/pii.js';
+import { createOutbox, openOutboxStore, generateIdempotencyKey } from '../core/outbox.js';
+import { renderForm } from '../core/form-renderer.js';
+import { applyFormLogic } from '../core/conditions.js';
 
 const VeilForms = (function() {
   'use strict';
@@ -23,12 +29,41 @@ const VeilForms = (function() {
     endpoint: null,
     formId: null,
     publicKey: null,
+    keyFingerprint: null,
+    keyLogEndpoint: null,
+    uploadEndpoint: null,
+    schemaEndpoint: null,
+    recipients: [],
+    searchableFields: [],
+    searchIndexKey: null,
     debug: false,
     encryption: true,
     piiWarning: true,
     piiStrip: false,
+    piiLocales: null,
+    piiPolicy: null,
+    inviteCode: null,
+    offlineQueue: true,
   };
 
+  // Attempts per file chunk before an upload gives up
+  const CHUNK_RETRIES = 3;
+
+  // Result of checking the public key against the key log, shared by every
+  // submission until init() is called again
+  let keyCheck = null;
+
+  // Encrypted submissions waiting for a connection, kept across page loads,
+  // and the form elements of the ones queued on this page
+  let outbox = null;
+  const queuedForms = new Map();
+
+  // Unfinished file uploads per form, mirrored to sessionStorage
+  const uploadSessions = new Map();
+
+  // Schema fields of the forms drawn by render(), for applying their conditions
+  const renderedForms = new WeakMap();
+
   /**
    * Initialize VeilForms
    * @param {string} formId - Your form ID
@@ -38,13 +73,39 @@ const VeilForms = (function() {
     config.formId = formId;
     config.endpoint = options.endpoint || 'https://veilforms.com/api/submit';
     config.publicKey = options.publicKey || null;
+    config.keyFingerprint = options.keyFingerprint || null;
+    config.keyLogEndpoint = options.keyLogEndpoint || config.endpoint.replace(/\/submit\/?$/, '/key-log');
+    config.uploadEndpoint = options.uploadEndpoint || config.endpoint.replace(/\/submit\/?$/, '/uploads');
+    config.schemaEndpoint = options.schemaEndpoint || config.endpoint.replace(/\/submit\/?$/, '/form-schema');
+    config.recipients = Array.isArray(options.recipients) ? options.recipients : [];
+    config.searchableFields = Array.isArray(options.searchableFields) ? options.searchableFields : [];
+    config.searchIndexKey = options.searchIndexKey || null;
     config.debug = options.debug || false;
     config.encryption = options.encryption !== false;
     config.piiWarning = options.piiWarning !== false;
     config.piiStrip = options.piiStrip || false;
+    // Throws on an unknown locale rather than silently checking less
+    config.piiLocales = options.locales ? resolvePIILocales(options.locales) : null;
+    config.piiPolicy = options.piiPolicy || null;
+    config.inviteCode = options.inviteCode || null;
+    config.offlineQueue = options.offlineQueue !== false;
+    if (config.piiPolicy) {
+      compilePIIPolicy(config.piiPolicy);
+    }
+    keyCheck = null;
 
     log('Initialized with form:', formId);
 
+    if (config.offlineQueue) {
+      // Check the key now, so a respondent who loses their connection while
+      // filling in the form can still encrypt and queue their answers
+      if (config.encryption && config.publicKey) {
+        checkPublicKey().catch(() => {});
+      }
+      // Send anything left over from an earlier visit
+      getOutbox().flush({ all: true }).catch(err => log('Outbox flush failed:', err.message));
+    }
+
     // Auto-bind forms with data-veilform attribute
     if (options.autoBind !== false) {
       bindForms();
@@ -61,6 +122,42 @@ const VeilForms = (function() {
     });
   }
 
+  /**
+   * Render the form built in the dashboard
+   * Loads the form's published schema and draws it into the container;
+   * submitting it encrypts and sends the answers like any bound form
+   * @param {string|Element} container - Element, or CSS selector for it
+   * @param {object} [options] - `{ submitLabel }`
+   * @returns {Promise<HTMLFormElement>} - The rendered form
+   */
+  async function render(container, options = {}) {
+    if (!config.formId) {
+      throw new Error('VeilForms not initialized. Call VeilForms.init() first.');
+    }
+
+    const target = typeof container === 'string' ? document.querySelector(container) : container;
+    if (!target) {
+      throw new Error(`Render container not found: ${container}`);
+    }
+
+    const response = await fetch(`${config.schemaEndpoint}/${encodeURIComponent(config.formId)}`);
+    if (!response.ok) {
+      throw new Error(`Could not load the form: ${response.status}`);
+    }
+
+    const schema = await response.json();
+    const form = renderForm(schema, {
+      document: target.ownerDocument,
+      submitLabel: options.submitLabel,
+    });
+    form.addEventListener('submit', handleFormSubmit);
+    renderedForms.set(form, schema.fields);
+    target.replaceChildren(form);
+
+    log('Rendered form:', config.formId, `(${schema.fields.length} fields)`);
+    return form;
+  }
+
   /**
    * Handle form submission
    * @param {Event} e - Submit event
@@ -78,18 +175,20 @@ const VeilForms = (function() {
         formElement: form,
       });
 
-      // Trigger success callback
-      const successEvent = new CustomEvent('veilforms:success', {
-        detail: result,
-      });
-      form.dispatchEvent(successEvent);
+      // Queued submissions get veilforms:queued now and veilforms:sent later
+      if (!result.queued) {
+        const successEvent = new CustomEvent('veilforms:success', {
+          detail: result,
+        });
+        form.dispatchEvent(successEvent);
+      }
 
-      // Clear form if configured
+      // Clear form if configured; queued answers are safe in the outbox
       if (form.dataset.veilformReset !== 'false') {
         form.reset();
       }
 
-      log('Submission successful:', result.submissionId);
+      log(result.queued ? 'Submission queued:' : 'Submission successful:', result.submissionId);
     } catch (error) {
       // Trigger error callback
       const errorEvent = new CustomEvent('veilforms:error', {
@@ -129,23 +228,49 @@ const VeilForms = (function() {
   /**
    * Submit form data to VeilForms
    * @param {object} formData - The form data
-   * @param {object} options - Submission options
-   * @returns {Promise<object>} - Submission result
+   * @param {object} options - Submission options; `inviteCode` for invite-only forms
+   * @returns {Promise<object>} - Submission result, with the server's signed
+   *   receipt when it issues one and the PII policy rules that fired. An
+   *   encrypted submission that can't reach the server is queued instead and
+   *   resolves with `{ success: false, queued: true }`
+   * @throws {Error} With code `PII_BLOCKED` if the form's PII policy blocks the data,
+   *   or the server's error code (e.g. `INVITE_USED`) if it rejects the submission
    */
   async function submit(formData, options = {}) {
     if (!config.formId) {
       throw new Error('VeilForms not initialized. Call VeilForms.init() first.');
     }
 
-    let processedData = { ...formData };
-
-    // PII detection/handling
-    if (config.piiWarning || config.piiStrip) {
-      const detection = detectPII(processedData);
+    // Answers to fields hidden by the form's conditions are never sent, and
+    // hidden fields get the values the conditions set
+    const fields = options.formElement && renderedForms.get(options.formElement);
+    const visibleData = fields ? applyFormLogic(fields, formData) : formData;
+
+    // Files are encrypted and uploaded separately; the submission only
+    // carries a reference to each upload
+    const { data, files } = extractFiles(visibleData);
+    let processedData = data;
+
+    // PII detection/handling. A form's PII policy replaces piiWarning and piiStrip.
+    // Fields to pseudonymize are encrypted as entered; the owner's dashboard
+    // pseudonymizes them after decryption, so its key stays out of the page
+    let piiRules;
+    if (config.piiPolicy) {
+      const applied = applyPIIPolicy(processedData, config.piiPolicy, {
+        locales: config.piiLocales || undefined,
+      });
+      processedData = applied.data;
+      piiRules = applied.rules;
+      if (piiRules.length > 0) {
+        log('PII policy rules fired:', piiRules);
+      }
+    } else if (config.piiWarning || config.piiStrip) {
+      const piiOptions = config.piiLocales ? { locales: config.piiLocales } : {};
+      const detection = detectPII(processedData, piiOptions);
 
       if (detection.hasPII) {
         if (config.piiStrip) {
-          const stripped = stripPII(processedData);
+          const stripped = stripPII(processedData, piiOptions);
           processedData = stripped.data;
           log('PII stripped from fields:', stripped.strippedFields);
         } else if (config.piiWarning) {
@@ -154,14 +279,53 @@ const VeilForms = (function() {
       }
     }
 
-    // Generate anonymous submission ID
-    const submissionId = createAnonymousId(config.formId);
+    // Anonymous, time-sortable submission ID. A submission whose files were
+    // partly uploaded before (a failed submit or a reload) keeps its ID, as
+    // the uploads are bound to it
+    const fingerprints = fileFingerprints(files);
+    const submissionId = resumableSubmissionId(fingerprints) || createSubmissionId();
+
+    // Invite-only forms: the nullifier proves an unused invite without
+    // revealing the code, so the response can't be traced to an invitee
+    const inviteCode = options.inviteCode || config.inviteCode;
+    const nullifier = inviteCode ? await deriveNullifier(config.formId, inviteCode) : undefined;
+
+    // Blind indexes let the owner look up searchable fields without the
+    // server learning their values (the index key never leaves the page)
+    let blindIndex;
+    if (config.searchIndexKey && config.searchableFields.length > 0) {
+      blindIndex = await createBlindIndexes(processedData, config.searchableFields, config.searchIndexKey);
+    }
 
     // Encrypt if enabled and public key available
     let payload;
+    const attachments = [];
+    let keyCheckError = null;
     if (config.encryption && config.publicKey) {
-      payload = await encryptSubmission(processedData, config.publicKey);
+      try {
+        await checkPublicKey();
+      } catch (err) {
+        // Key log out of reach: encrypt and queue anyway. The key is checked
+        // before the queued submission is sent, so nothing leaves unchecked.
+        // Files would be uploaded now, so they can't wait
+        if (!err.retryable || !config.offlineQueue || files.length > 0) throw err;
+        keyCheckError = err;
+      }
+
+      // Binding the IDs (vf-e3) stops the ciphertext being moved to another submission
+      const keys = [config.publicKey, ...config.recipients];
+      const context = { formId: config.formId, submissionId };
+
+      for (const [i, { field, file }] of files.entries()) {
+        const uploadId = await uploadFile(file, keys, context, fingerprints[i]);
+        attachments.push(uploadId);
+        addFieldValue(processedData, field, { _file: uploadId, name: file.name || 'file', size: file.size });
+      }
+
+      payload = await encryptSubmission(processedData, keys, context);
       log('Data encrypted client-side');
+    } else if (files.length > 0) {
+      throw new Error('File fields can only be submitted encrypted. Set a publicKey in VeilForms.init().');
     } else {
       payload = { encrypted: false, data: processedData };
     }
@@ -171,6 +335,9 @@ const VeilForms = (function() {
       formId: config.formId,
       submissionId,
       payload,
+      ...(blindIndex && Object.keys(blindIndex).length > 0 && { blindIndex }),
+      ...(attachments.length > 0 && { attachments }),
+      ...(nullifier && { nullifier }),
       timestamp: Date.now(),
       // No PII metadata - just SDK version
       meta: {
@@ -179,27 +346,471 @@ const VeilForms = (function() {
       },
     };
 
-    // Send to server
-    const response = await fetch(config.endpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
+    // The idempotency key stays with the submission through every retry, so
+    // the server stores it once even if a response was lost on the way back
+    const request = {
+      id: submissionId,
+      formId: config.formId,
+      endpoint: config.endpoint,
+      idempotencyKey: generateIdempotencyKey(),
       body: JSON.stringify(submission),
-    });
+      ...(keyCheckError && {
+        keyCheck: { keyLogEndpoint: config.keyLogEndpoint, kids: await getEncryptionKeyIds() },
+      }),
+    };
 
-    if (!response.ok) {
-      const error = await response.json().catch(() => ({}));
-      throw new Error(error.message || `Submission failed: ${response.status}`);
+    let result;
+    try {
+      if (keyCheckError) throw keyCheckError;
+      result = await sendSubmission(request);
+    } catch (err) {
+      // Only ciphertext is kept on the device
+      if (!err.retryable || !config.offlineQueue || !payload.encrypted) {
+        throw err;
+      }
+
+      try {
+        await getOutbox().add(request);
+      } catch (storeError) {
+        log('Could not queue submission:', storeError.message);
+        throw err;
+      }
+      forgetUploadSessions(submissionId);
+      if (options.formElement) {
+        queuedForms.set(submissionId, options.formElement);
+      }
+      emit('veilforms:queued', { submissionId, formId: config.formId, error: err.message }, options.formElement);
+      log('Submission queued:', submissionId, err.message);
+
+      return {
+        success: false,
+        queued: true,
+        submissionId,
+        timestamp: submission.timestamp,
+        ...(piiRules && { piiRules }),
+      };
     }
 
+    forgetUploadSessions(submissionId);
+
     return {
       success: true,
       submissionId,
       timestamp: submission.timestamp,
+      ...(result.receipt && { receipt: result.receipt }),
+      ...(piiRules && { piiRules }),
     };
   }
 
+  /**
+   * Send a submission to the server
+   * @param {object} request - `{ endpoint, idempotencyKey, body }`
+   * @returns {Promise<object>} - Server response
+   * @throws {Error} With `retryable` set for network errors, timeouts, rate
+   *   limits and server errors, and the server's error code otherwise
+   */
+  async function sendSubmission(request) {
+    let response;
+    try {
+      response = await fetch(request.endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Idempotency-Key': request.idempotencyKey,
+        },
+        body: request.body,
+      });
+    } catch (networkError) {
+      const err = new Error(`Submission could not be sent: ${networkError.message}`);
+      err.retryable = true;
+      throw err;
+    }
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      const err = new Error(error.message || error.error || `Submission failed: ${response.status}`);
+      if (error.code) err.code = error.code;
+      err.retryable = response.status === 408 || response.status === 429 || response.status >= 500;
+      throw err;
+    }
+
+    // Keep the receipt: it is the respondent's proof of what was filed and when
+    return response.json().catch(() => ({}));
+  }
+
+  /**
+   * Send a queued submission
+   * One queued before its key could be checked against the key log is only
+   * sent once the check passes; if it fails for good, the item is dropped
+   * @param {object} item - Outbox item
+   * @returns {Promise<object>} - Server response
+   */
+  async function sendQueuedSubmission(item) {
+    if (item.keyCheck) {
+      await verifyLoggedKeys(item.formId, item.keyCheck);
+    }
+    return sendSubmission(item);
+  }
+
+  /**
+   * The outbox, opened on first use
+   * It retries on its own with backoff, and at once when the browser is back online
+   */
+  function getOutbox() {
+    if (!outbox) {
+      outbox = createOutbox({
+        store: openOutboxStore(),
+        send: sendQueuedSubmission,
+        onSent: (item, result) => {
+          emit('veilforms:sent', {
+            submissionId: item.id,
+            formId: item.formId,
+            queuedAt: item.queuedAt,
+            ...(result.receipt && { receipt: result.receipt }),
+          }, queuedForms.get(item.id));
+          queuedForms.delete(item.id);
+          log('Queued submission sent:', item.id);
+        },
+        onDropped: (item, err) => {
+          emit('veilforms:error', {
+            submissionId: item.id,
+            formId: item.formId,
+            error: err.message,
+            ...(err.code && { code: err.code }),
+          }, queuedForms.get(item.id));
+          queuedForms.delete(item.id);
+          log('Queued submission rejected:', item.id, err.message);
+        },
+      });
+
+      if (typeof window !== 'undefined') {
+        window.addEventListener('online', () => {
+          outbox.flush({ all: true }).catch(err => log('Outbox flush failed:', err.message));
+        });
+      }
+    }
+    return outbox;
+  }
+
+  /**
+   * Send queued submissions now, without waiting for their next retry
+   * @returns {Promise<void>}
+   */
+  function flushQueue() {
+    return getOutbox().flush({ all: true });
+  }
+
+  /**
+   * Dispatch a VeilForms event
+   * Events bubble from the form element, or go to the document when there is
+   * none, e.g. for a submission queued on an earlier page load
+   */
+  function emit(name, detail, target) {
+    const el = target || (typeof document !== 'undefined' ? document : null);
+    if (el) {
+      el.dispatchEvent(new CustomEvent(name, { detail, bubbles: true }));
+    }
+  }
+
+  /**
+   * Split File and Blob values out of form data
+   * Empty file inputs (no file chosen) are dropped
+   * @param {object} formData - The form data
+   * @returns {{ data: object, files: Array<{ field: string, file: Blob }> }}
+   */
+  function extractFiles(formData) {
+    const data = {};
+    const files = [];
+    const isFile = value => typeof Blob !== 'undefined' && value instanceof Blob;
+
+    for (const [field, value] of Object.entries(formData)) {
+      const values = Array.isArray(value) ? value : [value];
+      if (!values.some(isFile)) {
+        data[field] = value;
+        continue;
+      }
+
+      for (const item of values) {
+        if (!isFile(item)) {
+          addFieldValue(data, field, item);
+        } else if (item.size > 0 || item.name) {
+          files.push({ field, file: item });
+        }
+      }
+    }
+
+    return { data, files };
+  }
+
+  // Add a value to a field, turning it into a list if it already has one
+  function addFieldValue(data, field, value) {
+    if (data[field] === undefined) {
+      data[field] = value;
+    } else {
+      data[field] = [data[field], value].flat();
+    }
+  }
+
+  /**
+   * Encrypt and upload a file in chunks
+   * Failed chunks are retried, and the server is asked which chunks it is
+   * missing before the upload is finished. An upload of the same file for
+   * the same submission that was cut short resumes from the chunks the
+   * server already has
+   * @param {Blob} file - File to upload
+   * @param {Array<object>} keys - Public keys to encrypt the file header for
+   * @param {object} context - `{ formId, submissionId }` the file belongs to
+   * @param {string} fingerprint - From fileFingerprints
+   * @returns {Promise<string>} - Upload ID
+   */
+  async function uploadFile(file, keys, context, fingerprint) {
+    const sessions = loadUploadSessions();
+    const saved = sessions[fingerprint]?.submissionId === context.submissionId ? sessions[fingerprint] : null;
+    const encryptor = saved
+      ? await resumeFileEncryptor(saved.state)
+      : await createFileEncryptor(file, keys, context);
+    if (!saved) {
+      saveUploadSessions({ ...sessions, [fingerprint]: { submissionId: context.submissionId, state: encryptor.state } });
+    }
+
+    const uploadUrl = `${config.uploadEndpoint}/${encodeURIComponent(config.formId)}`;
+    const fileUrl = `${uploadUrl}/${encryptor.uploadId}`;
+
+    let started;
+    try {
+      started = await uploadRequest(uploadUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          uploadId: encryptor.uploadId,
+          submissionId: context.submissionId,
+          header: encryptor.header,
+          chunkCount: encryptor.chunkCount,
+        }),
+      });
+    } catch (err) {
+      // The earlier upload can't be picked up (e.g. the form key changed
+      // since): start this file again
+      if (!saved || !err.status || err.status === 429 || err.status >= 500) throw err;
+      const others = { ...loadUploadSessions() };
+      delete others[fingerprint];
+      saveUploadSessions(others);
+      return uploadFile(file, keys, context, fingerprint);
+    }
+    if (saved) {
+      log('Resuming upload:', encryptor.uploadId, `(${started.received?.length || 0} of ${encryptor.chunkCount} chunks received)`);
+    }
+
+    let pending = missingChunks(encryptor.chunkCount, started.received);
+    for (let round = 0; ; round++) {
+      for (const index of pending) {
+        await uploadRequest(`${fileUrl}/chunks/${index}`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/octet-stream' },
+          body: await encryptFileChunk(file, encryptor, index),
+        });
+      }
+
+      // A chunk the server lost is sent again; a second miss is an error
+      const completed = await fetch(`${fileUrl}/complete`, { method: 'POST' });
+      const result = await completed.json().catch(() => ({}));
+      if (completed.ok) break;
+      if (completed.status !== 409 || !result.missing || round > 0) {
+        throw new Error(result.error || `File upload failed: ${completed.status}`);
+      }
+      pending = result.missing;
+    }
+
+    log('File uploaded:', encryptor.uploadId, `(${encryptor.chunkCount} chunks)`);
+    return encryptor.uploadId;
+  }
+
+  // Identify each file by its field, its place in the field and what the
+  // browser reports about it, so the same file picked again is recognised
+  function fileFingerprints(files) {
+    const seen = {};
+    return files.map(({ field, file }) => {
+      seen[field] = (seen[field] || 0) + 1;
+      return JSON.stringify([field, seen[field], file.name || '', file.size, file.type || '', file.lastModified || 0]);
+    });
+  }
+
+  // Unfinished uploads of this form, by file fingerprint. Each holds the
+  // submission ID and the encryptor state, which includes the file key, so
+  // they are kept per tab and dropped once the submission is sent or queued
+  function uploadSessionsStorageKey() {
+    return `veilforms_uploads_${config.formId}`;
+  }
+
+  function loadUploadSessions() {
+    if (!uploadSessions.has(config.formId)) {
+      let stored = {};
+      try {
+        stored = JSON.parse(sessionStorage.getItem(uploadSessionsStorageKey()) || '{}');
+      } catch {
+        // No storage: uploads resume within this page only
+      }
+      uploadSessions.set(config.formId, stored);
+    }
+    return uploadSessions.get(config.formId);
+  }
+
+  function saveUploadSessions(sessions) {
+    uploadSessions.set(config.formId, sessions);
+    try {
+      if (Object.keys(sessions).length > 0) {
+        sessionStorage.setItem(uploadSessionsStorageKey(), JSON.stringify(sessions));
+      } else {
+        sessionStorage.removeItem(uploadSessionsStorageKey());
+      }
+    } catch {
+      // No storage: uploads resume within this page only
+    }
+  }
+
+  function resumableSubmissionId(fingerprints) {
+    const sessions = loadUploadSessions();
+    const saved = fingerprints.find(fingerprint => sessions[fingerprint]);
+    return saved ? sessions[saved].submissionId : null;
+  }
+
+  function forgetUploadSessions(submissionId) {
+    const sessions = loadUploadSessions();
+    const kept = Object.fromEntries(
+      Object.entries(sessions).filter(([, session]) => session.submissionId !== submissionId)
+    );
+    if (Object.keys(kept).length !== Object.keys(sessions).length) {
+      saveUploadSessions(kept);
+    }
+  }
+
+  function missingChunks(chunkCount, received = []) {
+    const have = new Set(received);
+    return Array.from({ length: chunkCount }, (_, i) => i).filter(i => !have.has(i));
+  }
+
+  /**
+   * Make an upload request, retrying network errors, rate limits and
+   * server errors with backoff
+   * @returns {Promise<object>} - Parsed JSON response
+   */
+  async function uploadRequest(url, init) {
+    let lastError;
+    for (let attempt = 0; attempt < CHUNK_RETRIES; attempt++) {
+      if (attempt > 0) {
+        await new Promise(resolve => setTimeout(resolve, 500 * 2 ** attempt));
+      }
+
+      let response;
+      try {
+        response = await fetch(url, init);
+      } catch (err) {
+        lastError = err;
+        continue;
+      }
+
+      const result = await response.json().catch(() => ({}));
+      if (response.ok) return result;
+
+      lastError = new Error(result.error || `File upload failed: ${response.status}`);
+      lastError.status = response.status;
+      if (response.status !== 429 && response.status < 500) break;
+    }
+    throw lastError;
+  }
+
+  /**
+   * Check the public key and recipients before encrypting for them
+   * The public key must match the keyFingerprint pin, if one was given, and
+   * every key must appear in the form's key transparency log, so a key
+   * swapped or added in by a compromised server or page is refused
+   * @returns {Promise<void>}
+   */
+  function checkPublicKey() {
+    if (!keyCheck) {
+      const check = verifyPublicKey();
+      keyCheck = check;
+      // Let a failed check (e.g. offline) be retried on the next submit
+      check.catch(() => {
+        if (keyCheck === check) keyCheck = null;
+      });
+    }
+    return keyCheck;
+  }
+
+  async function verifyPublicKey() {
+    const kid = await getKeyId(config.publicKey);
+
+    if (config.keyFingerprint && config.keyFingerprint !== kid) {
+      throw new Error('Public key does not match the pinned keyFingerprint. Refusing to encrypt.');
+    }
+
+    const kids = await getEncryptionKeyIds();
+    await verifyLoggedKeys(config.formId, { keyLogEndpoint: config.keyLogEndpoint, kids });
+
+    log('Encryption keys verified against key log:', kids);
+  }
+
+  // Thumbprints of the public key and every recipient, as the key log lists them
+  function getEncryptionKeyIds() {
+    return Promise.all([config.publicKey, ...config.recipients].map(key => getKeyId(key.publicKey || key)));
+  }
+
+  /**
+   * Check that keys are in a form's key log
+   * The log must extend the one this browser saw last time, so the server
+   * can't show this page a different history from the one it showed before
+   * @param {string} formId - Form ID
+   * @param {object} keyCheck - `{ keyLogEndpoint, kids }`
+   * @returns {Promise<void>}
+   * @throws {Error} With `retryable` set when the log could not be loaded
+   */
+  async function verifyLoggedKeys(formId, { keyLogEndpoint, kids }) {
+    let response;
+    try {
+      response = await fetch(`${keyLogEndpoint}/${encodeURIComponent(formId)}`);
+    } catch (networkError) {
+      const err = new Error(`Could not load the form key log: ${networkError.message}`);
+      err.retryable = true;
+      throw err;
+    }
+
+    if (!response.ok) {
+      const err = new Error(`Could not load the form key log: ${response.status}`);
+      err.retryable = response.status === 408 || response.status === 429 || response.status >= 500;
+      throw err;
+    }
+
+    const { entries } = await response.json();
+    const logged = await verifyKeyLog(entries, { since: loadKeyLogHead(formId) });
+    const missing = kids.filter(kid => !logged.has(kid));
+    if (missing.length > 0) {
+      throw new Error(`Key ${missing.join(', ')} is not in the form key log. Refusing to encrypt for it.`);
+    }
+    saveKeyLogHead(formId, getKeyLogHead(entries));
+  }
+
+  // Last key log head seen for a form, kept in localStorage where it exists
+  function keyLogHeadStorageKey(formId) {
+    return `veilforms_keylog_head_${formId}`;
+  }
+
+  function loadKeyLogHead(formId) {
+    try {
+      return JSON.parse(localStorage.getItem(keyLogHeadStorageKey(formId)) || 'null');
+    } catch {
+      return null;
+    }
+  }
+
+  function saveKeyLogHead(formId, head) {
+    try {
+      localStorage.setItem(keyLogHeadStorageKey(formId), JSON.stringify(head));
+    } catch {
+      // No storage (e.g. some private modes): each page load checks afresh
+    }
+  }
+
   /**
    * Manually submit data (not from form element)
    * @param {object} data - Data to submit
@@ -228,11 +839,14 @@ const VeilForms = (function() {
     submit,
     track,
     bindForms,
+    render,
+    flushQueue,
     // Expose utilities for advanced use
     utils: {
       collectFormData,
       hashField,
       detectPII,
+      verifyReceipt,
     },
   };
 })();
@@ -1,8 +1,50 @@
+/**
+ * @jest-environment node
+ */
+
 /**
  * API Submit Endpoint Tests
  * Tests for /api/submit functionality
  */
 
+import { jest } from '@jest/globals';
+
+// Storage and the other side effects are stubbed; key checks run for real
+const mockForms = new Map();
+const saveSubmission = jest.fn(async () => {});
+
+jest.unstable_mockModule('../../../netlify/functions/lib/storage.js', () => ({
+  getForm: jest.fn(async (id) => mockForms.get(id) || null),
+  updateForm: jest.fn(async () => {}),
+  getUserById: jest.fn(async () => ({ subscription: 'free' })),
+  saveSubmission,
+  isSubmissionIdTimeValid: jest.fn(() => true),
+  addToBlindIndex: jest.fn(async () => {}),
+  getUpload: jest.fn(async () => null),
+  attachUpload: jest.fn(async () => {}),
+  getInvite: jest.fn(async () => null),
+  redeemInvite: jest.fn(async () => true)
+}));
+jest.unstable_mockModule('../../../netlify/functions/lib/rate-limit.js', () => ({
+  checkRateLimit: jest.fn(async () => ({ allowed: true })),
+  getRateLimitHeaders: jest.fn(() => ({}))
+}));
+jest.unstable_mockModule('../../../netlify/functions/lib/idempotency.js', () => ({
+  checkIdempotencyKey: jest.fn(),
+  storeIdempotencyKey: jest.fn(),
+  getIdempotencyKeyFromRequest: jest.fn(() => null),
+  getIdempotencyHeaders: jest.fn(() => ({}))
+}));
+jest.unstable_mockModule('../../../netlify/functions/lib/webhook-retry.js', () => ({
+  fireWebhookWithRetry: jest.fn(async () => {})
+}));
+jest.unstable_mockModule('../../../netlify/functions/lib/receipts.js', () => ({
+  signReceipt: jest.fn(async () => null)
+}));
+
+const { default: submitHandler } = await import('../../../netlify/functions/submit.js');
+const { getKeyId } = await import('../../../netlify/functions/lib/key-utils.js');
+
 describe('Submit API', () => {
   describe('Input Validation', () => {
     it('should require formId', () => {
@@ -213,4 +255,63 @@ describe('Submit API', () => {
       expect(webhookHeaders['X-VeilForms-Signature'].length).toBeGreaterThan(0);
     });
   });
+
+  describe('Form Keys', () => {
+    const oldKey = { kty: 'RSA', n: 'old-modulus', e: 'AQAB' };
+    const newKey = { kty: 'RSA', n: 'new-modulus', e: 'AQAB' };
+    const submissionId = 'vf-12345678-1234-4123-8123-123456789abc';
+    let oldKid;
+    let newKid;
+
+    beforeAll(async () => {
+      oldKid = await getKeyId(oldKey);
+      newKid = await getKeyId(newKey);
+      mockForms.set('vf_rotated', {
+        id: 'vf_rotated',
+        userId: 'user_1',
+        status: 'active',
+        publicKey: newKey,
+        keyId: newKid,
+        keyring: [
+          { kid: oldKid, publicKey: oldKey, createdAt: '2024-01-01T00:00:00.000Z', retiredAt: '2024-06-01T00:00:00.000Z' },
+          { kid: newKid, publicKey: newKey, createdAt: '2024-06-01T00:00:00.000Z', retiredAt: null }
+        ]
+      });
+    });
+
+    beforeEach(() => {
+      saveSubmission.mockClear();
+    });
+
+    function submit(kid) {
+      return submitHandler(new Request('https://veilforms.com/api/submit', {
+        method: 'POST',
+        body: JSON.stringify({
+          formId: 'vf_rotated',
+          submissionId,
+          payload: { encrypted: 'data', key: 'key', iv: 'iv', version: 'vf-e1', kid }
+        })
+      }), {});
+    }
+
+    it('should store submissions for the current key', async () => {
+      const res = await submit(newKid);
+
+      expect(res.status).toBe(200);
+      expect(saveSubmission).toHaveBeenCalledWith('vf_rotated', expect.objectContaining({
+        payload: expect.objectContaining({ kid: newKid })
+      }));
+    });
+
+    it('should reject submissions for a retired key', async () => {
+      const res = await submit(oldKid);
+      const body = await res.json();
+
+      expect(res.status).toBe(400);
+      expect(body.code).toBe('ENCRYPTION_INVALID_KEY');
+      expect(body.error).toMatch('retired key');
+      expect(body.hint).toMatch('current public key');
+      expect(saveSubmission).not.toHaveBeenCalled();
+    });
+  });
 });
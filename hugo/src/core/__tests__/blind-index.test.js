@@ -0,0 +1,56 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Blind index tests
+ * Keyed HMAC lookups over searchable fields
+ */
+
+import { describe, it, expect } from '@jest/globals';
+
+const {
+  generateIndexKey,
+  createBlindIndex,
+  createBlindIndexes
+} = await import('../encryption.js');
+
+describe('Blind indexes', () => {
+  const indexKey = generateIndexKey();
+
+  it('should generate 256-bit base64url index keys', () => {
+    expect(indexKey).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(generateIndexKey()).not.toBe(indexKey);
+  });
+
+  it('should be deterministic for the same field, value and key', async () => {
+    const first = await createBlindIndex('order_number', 'A-1001', indexKey);
+    const second = await createBlindIndex('order_number', 'A-1001', indexKey);
+
+    expect(first).toBe(second);
+    expect(first).toMatch(/^[A-Za-z0-9_-]{43}$/);
+  });
+
+  it('should normalize case and surrounding whitespace like hashField', async () => {
+    expect(await createBlindIndex('email', '  Ada@Example.com ', indexKey))
+      .toBe(await createBlindIndex('email', 'ada@example.com', indexKey));
+  });
+
+  it('should differ across fields and keys', async () => {
+    const base = await createBlindIndex('order_number', '42', indexKey);
+
+    expect(await createBlindIndex('ticket_id', '42', indexKey)).not.toBe(base);
+    expect(await createBlindIndex('order_number', '42', generateIndexKey())).not.toBe(base);
+  });
+
+  it('should index only present scalar searchable fields', async () => {
+    const indexes = await createBlindIndexes(
+      { order_number: 1001, note: 'hi', empty: '  ', tags: ['a'] },
+      ['order_number', 'empty', 'tags', 'missing'],
+      indexKey
+    );
+
+    expect(Object.keys(indexes)).toEqual(['order_number']);
+    expect(indexes.order_number).toBe(await createBlindIndex('order_number', '1001', indexKey));
+  });
+});
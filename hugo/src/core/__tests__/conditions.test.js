@@ -0,0 +1,345 @@
+/**
+ * Conditional Logic Tests
+ * Covers the rule operators, all/any logic and nested groups, chained and
+ * page-level conditions, the require, jump and set_value actions, upgrading
+ * older conditions, and applying the logic to submitted answers
+ */
+
+import { describe, it, expect } from '@jest/globals';
+
+const {
+  FORM_SCHEMA_VERSION,
+  createConditions,
+  upgradeConditions,
+  upgradeFields,
+  getOperatorValueType,
+  isEmptyValue,
+  evaluateRule,
+  matchConditions,
+  evaluateForm,
+  getHiddenFields,
+  applyFormLogic,
+} = await import('../conditions.js');
+
+const rule = (field, operator, value) => ({ field, operator, value });
+
+describe('isEmptyValue', () => {
+  it('should treat missing, blank and unchecked values as empty', () => {
+    expect([undefined, null, '', '  ', [], ['']].every(isEmptyValue)).toBe(true);
+    expect([' a ', ['A'], 0, '0'].some(isEmptyValue)).toBe(false);
+  });
+});
+
+describe('evaluateRule', () => {
+  it('should compare text exactly for equals and not_equals', () => {
+    expect(evaluateRule(rule('f', 'equals', 'Yes'), 'Yes')).toBe(true);
+    expect(evaluateRule(rule('f', 'equals', 'Yes'), 'yes')).toBe(false);
+    expect(evaluateRule(rule('f', 'not_equals', 'Yes'), 'No')).toBe(true);
+    expect(evaluateRule(rule('f', 'not_equals', 'Yes'), undefined)).toBe(true);
+  });
+
+  it('should match contains without regard to case', () => {
+    expect(evaluateRule(rule('f', 'contains', 'urgent'), 'This is URGENT')).toBe(true);
+    expect(evaluateRule(rule('f', 'contains', 'urgent'), undefined)).toBe(false);
+  });
+
+  it('should match any checked option of a checkbox group', () => {
+    expect(evaluateRule(rule('f', 'equals', 'B'), ['A', 'B'])).toBe(true);
+    expect(evaluateRule(rule('f', 'not_equals', 'B'), ['A', 'B'])).toBe(false);
+    expect(evaluateRule(rule('f', 'contains', 'b'), ['A', 'B'])).toBe(true);
+  });
+
+  it('should check emptiness', () => {
+    expect(evaluateRule(rule('f', 'is_empty'), '')).toBe(true);
+    expect(evaluateRule(rule('f', 'is_not_empty'), 'x')).toBe(true);
+    expect(evaluateRule(rule('f', 'is_not_empty'), [])).toBe(false);
+  });
+
+  it('should compare numbers and dates', () => {
+    expect(evaluateRule(rule('f', 'greater_than', '10'), '10.5')).toBe(true);
+    expect(evaluateRule(rule('f', 'greater_than', '10'), '9')).toBe(false);
+    expect(evaluateRule(rule('f', 'less_than', '10'), '-1')).toBe(true);
+    expect(evaluateRule(rule('f', 'before', '2026-01-01'), '2025-12-31')).toBe(true);
+    expect(evaluateRule(rule('f', 'after', '2026-01-01'), '2025-12-31')).toBe(false);
+  });
+
+  it('should not match numbers or dates that do not parse', () => {
+    expect(evaluateRule(rule('f', 'greater_than', '10'), '')).toBe(false);
+    expect(evaluateRule(rule('f', 'greater_than', '10'), 'lots')).toBe(false);
+    expect(evaluateRule(rule('f', 'after', 'someday'), '2026-01-01')).toBe(false);
+  });
+
+  it('should match regular expressions', () => {
+    expect(evaluateRule(rule('f', 'matches', '^[A-Z]{2}\\d+$'), 'AB123')).toBe(true);
+    expect(evaluateRule(rule('f', 'matches', '^[A-Z]{2}\\d+$'), 'ab123')).toBe(false);
+    expect(evaluateRule(rule('f', 'matches', '('), '(')).toBe(false);
+  });
+
+  it('should check every checked option for is_one_of', () => {
+    expect(evaluateRule(rule('f', 'is_one_of', ['A', 'B']), 'A')).toBe(true);
+    expect(evaluateRule(rule('f', 'is_one_of', ['A', 'B']), ['A', 'B'])).toBe(true);
+    expect(evaluateRule(rule('f', 'is_one_of', ['A', 'B']), ['A', 'C'])).toBe(false);
+    expect(evaluateRule(rule('f', 'is_one_of', ['A', 'B']), [])).toBe(false);
+  });
+
+  it('should match any listed value for contains_any', () => {
+    expect(evaluateRule(rule('f', 'contains_any', ['B', 'C']), ['A', 'C'])).toBe(true);
+    expect(evaluateRule(rule('f', 'contains_any', ['B', 'C']), ['A'])).toBe(false);
+    expect(evaluateRule(rule('f', 'contains_any', ['refund', 'broken']), 'It arrived BROKEN')).toBe(true);
+  });
+
+  it('should not match operators it does not know', () => {
+    expect(evaluateRule(rule('f', 'resembles', 'x'), 'x')).toBe(false);
+  });
+});
+
+describe('getOperatorValueType', () => {
+  it('should give the kind of value each operator needs', () => {
+    expect(getOperatorValueType('equals')).toBe('text');
+    expect(getOperatorValueType('less_than')).toBe('number');
+    expect(getOperatorValueType('before')).toBe('date');
+    expect(getOperatorValueType('matches')).toBe('pattern');
+    expect(getOperatorValueType('contains_any')).toBe('list');
+    expect(getOperatorValueType('is_empty')).toBe('none');
+  });
+});
+
+describe('matchConditions', () => {
+  const values = { a: 'Yes', b: 'No' };
+  const getValue = id => values[id];
+
+  it('should combine rules with all or any', () => {
+    const rules = [rule('a', 'equals', 'Yes'), rule('b', 'equals', 'Yes')];
+
+    expect(matchConditions({ logic: 'all', rules }, getValue)).toBe(false);
+    expect(matchConditions({ logic: 'any', rules }, getValue)).toBe(true);
+  });
+
+  it('should ignore rules with no field chosen', () => {
+    expect(matchConditions({ ...createConditions(), rules: [rule('', 'equals', '')] }, getValue)).toBeNull();
+    expect(matchConditions(createConditions(), getValue)).toBeNull();
+  });
+  it('should evaluate nested groups', () => {
+    // (a is Yes and b is Yes) or a is not empty
+    const conditions = {
+      logic: 'any',
+      rules: [
+        { logic: 'all', rules: [rule('a', 'equals', 'Yes'), rule('b', 'equals', 'Yes')] },
+        rule('a', 'is_not_empty'),
+      ],
+    };
+    expect(matchConditions(conditions, getValue)).toBe(true);
+
+    conditions.logic = 'all';
+    expect(matchConditions(conditions, getValue)).toBe(false);
+  });
+
+  it('should ignore empty nested groups', () => {
+    const conditions = { logic: 'all', rules: [{ logic: 'any', rules: [] }, rule('a', 'equals', 'Yes')] };
+
+    expect(matchConditions(conditions, getValue)).toBe(true);
+  });
+
+  it('should skip conditions from a newer builder', () => {
+    const conditions = { version: FORM_SCHEMA_VERSION + 1, logic: 'all', rules: [rule('a', 'equals', 'Yes')] };
+
+    expect(matchConditions(conditions, getValue)).toBeNull();
+  });
+});
+
+describe('upgradeConditions', () => {
+  it('should add the version and defaults to older conditions', () => {
+    const old = { action: 'hide', rules: [rule('a', 'equals', 'Yes')] };
+
+    expect(upgradeConditions(old)).toEqual({
+      version: FORM_SCHEMA_VERSION,
+      action: 'hide',
+      logic: 'all',
+      rules: [rule('a', 'equals', 'Yes')],
+    });
+  });
+
+  it('should leave newer and missing conditions alone', () => {
+    const newer = { version: FORM_SCHEMA_VERSION + 1, action: 'teleport', rules: [] };
+
+    expect(upgradeConditions(newer)).toBe(newer);
+    expect(upgradeConditions(undefined)).toBeNull();
+  });
+
+  it('should upgrade copies of every field', () => {
+    const fields = [{ id: 'a', type: 'text', conditions: { action: 'show', logic: 'any', rules: [] } }];
+    const upgraded = upgradeFields(fields);
+
+    expect(upgraded[0].conditions.version).toBe(FORM_SCHEMA_VERSION);
+    expect(fields[0].conditions.version).toBeUndefined();
+    expect(createConditions().version).toBe(FORM_SCHEMA_VERSION);
+  });
+});
+
+describe('getHiddenFields', () => {
+  const fields = [
+    { id: 'f1', type: 'radio', name: 'contact', options: ['Yes', 'No'] },
+    {
+      id: 'f2',
+      type: 'email',
+      name: 'email',
+      conditions: { action: 'show', logic: 'all', rules: [rule('f1', 'equals', 'Yes')] },
+    },
+    {
+      id: 'f3',
+      type: 'checkbox',
+      name: 'newsletter',
+      options: ['Weekly'],
+      conditions: { action: 'show', logic: 'all', rules: [rule('f2', 'is_not_empty')] },
+    },
+    {
+      id: 'f4',
+      type: 'textarea',
+      name: 'why',
+      conditions: { action: 'hide', logic: 'any', rules: [rule('f1', 'equals', 'Yes'), rule('f1', 'is_empty')] },
+    },
+    {
+      id: 'p1',
+      type: 'page_break',
+      conditions: { action: 'show', logic: 'all', rules: [rule('f1', 'equals', 'Yes')] },
+    },
+    { id: 'f5', type: 'text', name: 'company' },
+  ];
+
+  it('should show and hide fields from the answers', () => {
+    expect([...getHiddenFields(fields, { contact: 'Yes', email: 'a@b.c' })]).toEqual(['f4']);
+    expect([...getHiddenFields(fields, { contact: 'No' })]).toEqual(['f2', 'f3', 'p1', 'f5']);
+  });
+
+  it('should apply the hide action', () => {
+    expect(getHiddenFields(fields, {}).has('f4')).toBe(true);
+    expect(getHiddenFields(fields, { contact: 'No' }).has('f4')).toBe(false);
+  });
+
+  it('should treat hidden fields as empty for the fields that depend on them', () => {
+    // The email is filled in but hidden, so the newsletter question goes too
+    const hidden = getHiddenFields(fields, { contact: 'No', email: 'a@b.c' });
+
+    expect(hidden.has('f2')).toBe(true);
+    expect(hidden.has('f3')).toBe(true);
+  });
+
+  it('should hide every field on a hidden page', () => {
+    expect(getHiddenFields(fields, { contact: 'No', company: 'Acme' }).has('f5')).toBe(true);
+  });
+
+  it('should use the entered values for rules that refer to each other', () => {
+    const loop = [
+      { id: 'a', type: 'text', name: 'a', conditions: { action: 'hide', logic: 'all', rules: [rule('b', 'is_empty')] } },
+      { id: 'b', type: 'text', name: 'b', conditions: { action: 'hide', logic: 'all', rules: [rule('a', 'is_empty')] } },
+    ];
+
+    expect([...getHiddenFields(loop, {})]).toEqual(['a', 'b']);
+    expect([...getHiddenFields(loop, { a: 'x' })]).toEqual(['a']);
+  });
+});
+
+describe('evaluateForm', () => {
+  const conditions = (action, rules, extra = {}) => ({ version: 2, action, logic: 'all', rules, ...extra });
+
+  it('should require fields when their conditions match', () => {
+    const fields = [
+      { id: 'f1', type: 'number', name: 'amount' },
+      { id: 'f2', type: 'textarea', name: 'reason', conditions: conditions('require', [rule('f1', 'greater_than', '500')]) },
+    ];
+
+    expect(evaluateForm(fields, { amount: '900' }).required.has('f2')).toBe(true);
+    expect(evaluateForm(fields, { amount: '100' }).required.has('f2')).toBe(false);
+    expect(evaluateForm(fields, { amount: '900' }).hidden.size).toBe(0);
+  });
+
+  describe('jumps', () => {
+    const fields = [
+      { id: 'f1', type: 'radio', name: 'type', options: ['Personal', 'Business'] },
+      {
+        id: 'f2',
+        type: 'hidden',
+        name: 'skip',
+        conditions: conditions('jump', [rule('f1', 'equals', 'Personal')], { target: 'p2' }),
+      },
+      { id: 'p1', type: 'page_break', stepTitle: 'Company' },
+      { id: 'f3', type: 'text', name: 'company' },
+      { id: 'p2', type: 'page_break', stepTitle: 'Contact' },
+      { id: 'f4', type: 'email', name: 'email' },
+    ];
+
+    it('should skip the pages between the jump and its target', () => {
+      const result = evaluateForm(fields, { type: 'Personal', company: 'Acme' });
+
+      expect(result.jumps).toEqual([{ from: null, to: 'p2' }]);
+      expect([...result.hidden]).toEqual(['p1', 'f3']);
+    });
+
+    it('should go through every page when the jump does not fire', () => {
+      const result = evaluateForm(fields, { type: 'Business' });
+
+      expect(result.jumps).toEqual([]);
+      expect(result.hidden.size).toBe(0);
+    });
+
+    it('should ignore jumps on pages that are skipped', () => {
+      const chained = [
+        ...fields.slice(0, 4),
+        { id: 'f5', type: 'hidden', name: 'back', conditions: conditions('jump', [rule('f3', 'is_not_empty')], { target: 'p3' }) },
+        ...fields.slice(4),
+        { id: 'p3', type: 'page_break', stepTitle: 'Done' },
+      ];
+
+      expect(evaluateForm(chained, { type: 'Business', company: 'Acme' }).hidden.has('p2')).toBe(true);
+      expect(evaluateForm(chained, { type: 'Personal', company: 'Acme' }).hidden.has('p2')).toBe(false);
+    });
+  });
+
+  it('should set the values of hidden fields', () => {
+    const fields = [
+      { id: 'f1', type: 'number', name: 'budget' },
+      {
+        id: 'f2',
+        type: 'hidden',
+        name: 'tier',
+        defaultValue: 'standard',
+        conditions: conditions('set_value', [rule('f1', 'greater_than', '10000')], { value: 'enterprise' }),
+      },
+      { id: 'f3', type: 'text', name: 'contact', conditions: conditions('show', [rule('f2', 'equals', 'enterprise')]) },
+    ];
+
+    expect(evaluateForm(fields, { budget: '50000' }).values).toEqual({ tier: 'enterprise' });
+    expect(evaluateForm(fields, { budget: '50' }).values).toEqual({ tier: 'standard' });
+    expect(evaluateForm(fields, { budget: '50000' }).hidden.has('f3')).toBe(false);
+    expect(evaluateForm(fields, { budget: '50' }).hidden.has('f3')).toBe(true);
+  });
+});
+
+describe('applyFormLogic', () => {
+  it('should drop the answers to hidden fields only', () => {
+    const fields = [
+      { id: 'f1', type: 'radio', name: 'contact' },
+      { id: 'f2', type: 'email', name: 'email', conditions: { action: 'show', logic: 'all', rules: [rule('f1', 'equals', 'Yes')] } },
+    ];
+    const data = { contact: 'No', email: 'a@b.c', extra: 'kept' };
+
+    expect(applyFormLogic(fields, data)).toEqual({ contact: 'No', extra: 'kept' });
+    expect(data.email).toBe('a@b.c');
+  });
+
+  it('should send the values set by conditions', () => {
+    const fields = [
+      { id: 'f1', type: 'radio', name: 'plan' },
+      {
+        id: 'f2',
+        type: 'hidden',
+        name: 'source',
+        defaultValue: 'web',
+        conditions: { version: 2, action: 'set_value', logic: 'all', value: 'sales', rules: [rule('f1', 'equals', 'Team')] },
+      },
+    ];
+
+    expect(applyFormLogic(fields, { plan: 'Team', source: 'web' })).toEqual({ plan: 'Team', source: 'sales' });
+    expect(applyFormLogic(fields, { plan: 'Solo', source: 'tampered' })).toEqual({ plan: 'Solo', source: 'web' });
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Bound envelope tests (vf-e3)
+ * Form ID, submission ID and recipient key IDs are AES-GCM additional data
+ */
+
+import { describe, it, expect, beforeAll } from '@jest/globals';
+
+const {
+  generateKeyPair,
+  encryptSubmission,
+  decryptSubmission,
+  BOUND_PAYLOAD_VERSIONS
+} = await import('../encryption.js');
+
+describe('Bound encryption (vf-e3)', () => {
+  const context = { formId: 'vf_contact', submissionId: 'vf-11111111-1111-4111-8111-111111111111' };
+  let owner;
+  let reviewer;
+
+  beforeAll(async () => {
+    [owner, reviewer] = await Promise.all([generateKeyPair(), generateKeyPair()]);
+  });
+
+  it('should produce a vf-e3 payload naming its form and submission', async () => {
+    const payload = await encryptSubmission({ a: 1 }, owner.publicKey, context);
+
+    expect(payload).toMatchObject({
+      encrypted: true,
+      version: 'vf-e3',
+      formId: context.formId,
+      submissionId: context.submissionId
+    });
+    expect(payload.recipients).toHaveLength(1);
+  });
+
+  it('should list every version it binds as bound', async () => {
+    const ecOwner = await generateKeyPair('ECDH-P256');
+    const versions = await Promise.all([owner, ecOwner].map(async (keys) =>
+      (await encryptSubmission({ a: 1 }, keys.publicKey, context)).version
+    ));
+
+    expect(versions).toEqual(['vf-e3', 'vf-e4']);
+    expect([...BOUND_PAYLOAD_VERSIONS]).toEqual(versions);
+  });
+
+  it('should require both IDs', async () => {
+    await expect(encryptSubmission({ a: 1 }, owner.publicKey, { formId: 'vf_contact' }))
+      .rejects.toThrow('Both formId and submissionId are required');
+  });
+
+  it('should round-trip for every recipient with the matching context', async () => {
+    const formData = { message: 'hello' };
+    const payload = await encryptSubmission(formData, [owner.publicKey, reviewer.publicKey], context);
+
+    await expect(decryptSubmission(payload, owner.privateKey, context)).resolves.toEqual(formData);
+    await expect(decryptSubmission(payload, reviewer.privateKey, context)).resolves.toEqual(formData);
+  });
+
+  it('should refuse to decrypt without a context rather than trust the payload\'s IDs', async () => {
+    const payload = await encryptSubmission({ ok: true }, owner.publicKey, context);
+    // Copied into another submission's record, IDs and all
+    const swapped = { id: 'vf-22222222-2222-4222-8222-222222222222', payload };
+
+    await expect(decryptSubmission(swapped.payload, owner.privateKey)).rejects.toThrow('need the form and submission ID');
+    await expect(decryptSubmission(swapped.payload, owner.privateKey, { formId: context.formId }))
+      .rejects.toThrow('need the form and submission ID');
+    await expect(decryptSubmission(swapped.payload, owner.privateKey, { formId: context.formId, submissionId: swapped.id }))
+      .rejects.toThrow('belongs to submission');
+  });
+
+  it('should reject a payload stored under another submission', async () => {
+    const payload = await encryptSubmission({ a: 1 }, owner.publicKey, context);
+
+    await expect(decryptSubmission(payload, owner.privateKey, { ...context, submissionId: 'vf-other' }))
+      .rejects.toThrow(`belongs to submission ${context.submissionId}, not vf-other`);
+  });
+
+  it('should reject a payload stored under another form', async () => {
+    const payload = await encryptSubmission({ a: 1 }, owner.publicKey, context);
+
+    await expect(decryptSubmission(payload, owner.privateKey, { ...context, formId: 'vf_other' }))
+      .rejects.toThrow('belongs to form vf_contact, not vf_other');
+  });
+
+  it('should reject a payload whose bound IDs were rewritten', async () => {
+    const payload = await encryptSubmission({ a: 1 }, owner.publicKey, context);
+    const moved = { ...payload, submissionId: 'vf-other' };
+
+    await expect(decryptSubmission(moved, owner.privateKey, { ...context, submissionId: 'vf-other' }))
+      .rejects.toThrow('failed authentication');
+  });
+
+  it('should reject a payload whose recipient list was tampered with', async () => {
+    const payload = await encryptSubmission({ a: 1 }, [owner.publicKey, reviewer.publicKey], context);
+    const trimmed = { ...payload, recipients: payload.recipients.slice(0, 1) };
+
+    await expect(decryptSubmission(trimmed, owner.privateKey, context))
+      .rejects.toThrow('failed authentication');
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Elliptic-curve envelope tests (vf-e4)
+ * The AES key is wrapped with ECIES (ephemeral ECDH + HKDF + AES-GCM) for
+ * P-256 and X25519 recipients
+ */
+
+import { describe, it, expect, beforeAll } from '@jest/globals';
+
+const {
+  generateKeyPair,
+  getKeyId,
+  getKeyAlgorithm,
+  encryptSubmission,
+  decryptSubmission
+} = await import('../encryption.js');
+
+const context = { formId: 'vf_contact', submissionId: 'vf-11111111-1111-4111-8111-111111111111' };
+const data = { message: 'hello' };
+
+describe.each(['ECDH-P256', 'ECDH-X25519'])('%s keys', (algorithm) => {
+  let owner;
+
+  beforeAll(async () => {
+    owner = await generateKeyPair(algorithm);
+  });
+
+  it('should generate a key pair for the algorithm', () => {
+    expect(getKeyAlgorithm(owner.publicKey)).toBe(algorithm);
+    expect(getKeyAlgorithm(owner.privateKey)).toBe(algorithm);
+    expect(owner.privateKey.d).toBeDefined();
+  });
+
+  it('should round-trip a vf-e4 payload', async () => {
+    const payload = await encryptSubmission(data, owner.publicKey, context);
+
+    expect(payload.version).toBe('vf-e4');
+    expect(payload.recipients[0]).toMatchObject({ kid: await getKeyId(owner.publicKey) });
+    expect(payload.recipients[0].epk.d).toBeUndefined();
+    await expect(decryptSubmission(payload, owner.privateKey, context)).resolves.toEqual(data);
+  });
+
+  it('should use a fresh ephemeral key for every payload', async () => {
+    const first = await encryptSubmission(data, owner.publicKey, context);
+    const second = await encryptSubmission(data, owner.publicKey, context);
+
+    expect(first.recipients[0].epk.x).not.toBe(second.recipients[0].epk.x);
+  });
+
+  it('should reject a payload moved to another submission', async () => {
+    const payload = await encryptSubmission(data, owner.publicKey, context);
+
+    await expect(decryptSubmission({ ...payload, submissionId: 'vf-other' }, owner.privateKey, { ...context, submissionId: 'vf-other' }))
+      .rejects.toThrow('failed authentication');
+  });
+});
+
+describe('vf-e4 envelopes', () => {
+  let ec;
+  let rsa;
+
+  beforeAll(async () => {
+    [ec, rsa] = await Promise.all([generateKeyPair('ECDH-P256'), generateKeyPair()]);
+  });
+
+  it('should let RSA and EC recipients decrypt the same payload', async () => {
+    const payload = await encryptSubmission(data, [ec.publicKey, rsa.publicKey], context);
+
+    expect(payload.version).toBe('vf-e4');
+    await expect(decryptSubmission(payload, ec.privateKey, context)).resolves.toEqual(data);
+    await expect(decryptSubmission(payload, rsa.privateKey, context)).resolves.toEqual(data);
+  });
+
+  it('should keep RSA-only payloads on vf-e3', async () => {
+    const payload = await encryptSubmission(data, rsa.publicKey, context);
+
+    expect(payload.version).toBe('vf-e3');
+  });
+
+  it('should not decrypt with an entry copied from another recipient', async () => {
+    const other = await generateKeyPair('ECDH-P256');
+    const payload = await encryptSubmission(data, [ec.publicKey, other.publicKey], context);
+    const [mine, theirs] = payload.recipients;
+    const swapped = { ...payload, recipients: [{ ...theirs, kid: mine.kid }, { ...mine, kid: theirs.kid }] };
+
+    await expect(decryptSubmission(swapped, ec.privateKey, context)).rejects.toThrow();
+  });
+
+  it('should use smaller keys and key blobs than RSA', async () => {
+    const ecPayload = await encryptSubmission(data, ec.publicKey, context);
+    const rsaPayload = await encryptSubmission(data, rsa.publicKey, context);
+
+    expect(JSON.stringify(ecPayload).length).toBeLessThan(JSON.stringify(rsaPayload).length);
+    expect(JSON.stringify(ec.publicKey).length).toBeLessThan(JSON.stringify(rsa.publicKey).length / 2);
+  });
+
+  it('should refuse EC keys without a bound context', async () => {
+    await expect(encryptSubmission(data, ec.publicKey)).rejects.toThrow('bound payloads');
+    await expect(encryptSubmission(data, [ec.publicKey])).rejects.toThrow('bound payloads');
+  });
+
+  it('should reject unknown algorithms and key types', async () => {
+    await expect(generateKeyPair('DSA')).rejects.toThrow('Unsupported key algorithm');
+    expect(() => getKeyAlgorithm({ kty: 'EC', crv: 'P-384' })).toThrow('Unsupported key type: EC (P-384)');
+  });
+
+  it('should compute RFC 8037 thumbprints for OKP keys', async () => {
+    const okp = { kty: 'OKP', crv: 'Ed25519', x: '11qYAYKxCrfVS_7TyWQHOg7hcvPapiMlrwIaaPcHURo' };
+
+    expect(await getKeyId(okp)).toBe('kPrK_qmxVWaYVA9wwBF6Iuo3vVzz7TxHCTwXBygrS4k');
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Multi-recipient envelope tests (vf-e2)
+ * Uses the real Web Crypto implementation so payloads round-trip
+ */
+
+import { describe, it, expect, beforeAll } from '@jest/globals';
+
+const {
+  generateKeyPair,
+  encryptSubmission,
+  decryptSubmission,
+  getKeyId
+} = await import('../encryption.js');
+
+describe('Multi-recipient encryption (vf-e2)', () => {
+  let owner;
+  let reviewer;
+  let outsider;
+
+  beforeAll(async () => {
+    [owner, reviewer, outsider] = await Promise.all([
+      generateKeyPair(),
+      generateKeyPair(),
+      generateKeyPair()
+    ]);
+  });
+
+  describe('getKeyId', () => {
+    it('should give the same ID for a public key and its private key', async () => {
+      const publicKid = await getKeyId(owner.publicKey);
+      const privateKid = await getKeyId(owner.privateKey);
+
+      expect(publicKid).toBe(privateKid);
+      expect(publicKid).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    });
+
+    it('should give different IDs for different keys', async () => {
+      expect(await getKeyId(owner.publicKey)).not.toBe(await getKeyId(reviewer.publicKey));
+    });
+
+    it('should reject unsupported key types', async () => {
+      await expect(getKeyId({ kty: 'oct', k: 'abc' })).rejects.toThrow('Unsupported key type');
+    });
+  });
+
+  describe('encryptSubmission with a recipient list', () => {
+    it('should wrap the data key once per recipient', async () => {
+      const payload = await encryptSubmission({ message: 'hello' }, [
+        owner.publicKey,
+        { kid: 'reviewer-1', publicKey: reviewer.publicKey }
+      ]);
+
+      expect(payload).toMatchObject({ encrypted: true, version: 'vf-e2' });
+      expect(payload.key).toBeUndefined();
+      expect(payload.recipients).toHaveLength(2);
+      expect(payload.recipients[0].kid).toBe(await getKeyId(owner.publicKey));
+      expect(payload.recipients[1].kid).toBe('reviewer-1');
+    });
+
+    it('should skip duplicate recipients', async () => {
+      const payload = await encryptSubmission({ a: 1 }, [owner.publicKey, owner.publicKey]);
+
+      expect(payload.recipients).toHaveLength(1);
+    });
+
+    it('should reject an empty recipient list', async () => {
+      await expect(encryptSubmission({ a: 1 }, [])).rejects.toThrow('At least one recipient');
+    });
+  });
+
+  describe('decryptSubmission', () => {
+    it('should let every recipient decrypt the same payload', async () => {
+      const formData = { name: 'Ada', answers: ['x', 'y'] };
+      const payload = await encryptSubmission(formData, [owner.publicKey, reviewer.publicKey]);
+
+      await expect(decryptSubmission(payload, owner.privateKey)).resolves.toEqual(formData);
+      await expect(decryptSubmission(payload, reviewer.privateKey)).resolves.toEqual(formData);
+    });
+
+    it('should match an explicit kid on the private key', async () => {
+      const payload = await encryptSubmission({ ok: true }, [
+        { kid: 'team-lead', publicKey: reviewer.publicKey }
+      ]);
+
+      const result = await decryptSubmission(payload, { ...reviewer.privateKey, kid: 'team-lead' });
+
+      expect(result).toEqual({ ok: true });
+    });
+
+    it('should reject a key that is not a recipient', async () => {
+      const payload = await encryptSubmission({ secret: 1 }, [owner.publicKey]);
+
+      await expect(decryptSubmission(payload, outsider.privateKey))
+        .rejects.toThrow('not a recipient');
+    });
+
+    it('should still decrypt single-recipient vf-e1 payloads', async () => {
+      const payload = await encryptSubmission({ legacy: true }, owner.publicKey);
+
+      expect(payload.version).toBe('vf-e1');
+      expect(payload.kid).toBe(await getKeyId(owner.publicKey));
+      await expect(decryptSubmission(payload, owner.privateKey)).resolves.toEqual({ legacy: true });
+    });
+
+    it('should accept vf-e1 payloads stored with encryptedKey', async () => {
+      const { key, ...rest } = await encryptSubmission({ stored: true }, owner.publicKey);
+
+      const result = await decryptSubmission({ ...rest, encryptedKey: key }, owner.privateKey);
+
+      expect(result).toEqual({ stored: true });
+    });
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Chunked file encryption tests (vf-c1)
+ * Files are encrypted chunk by chunk under a per-file key, with the key in a
+ * header bound to the submission
+ */
+
+import { jest, describe, it, expect, beforeAll, afterEach } from '@jest/globals';
+
+const { generateKeyPair, getKeyId } = await import('../encryption.js');
+const { hashKeyLogEntry } = await import('../key-log.js');
+const { default: VeilForms } = await import('../../client/veilforms.js');
+const {
+  FILE_CHUNK_SIZE,
+  generateUploadId,
+  createFileEncryptor,
+  resumeFileEncryptor,
+  encryptFileChunk,
+  createFileDecryptor,
+  createDecryptionStream
+} = await import('../file-encryption.js');
+
+const context = { formId: 'vf_contact', submissionId: 'vf-11111111-1111-4111-8111-111111111111' };
+
+function makeFile(size) {
+  const bytes = new Uint8Array(size).map((_, i) => i % 251);
+  return new File([bytes], 'scan.pdf', { type: 'application/pdf' });
+}
+
+async function encryptAll(file, encryptor) {
+  const chunks = [];
+  for (let i = 0; i < encryptor.chunkCount; i++) {
+    chunks.push(await encryptFileChunk(file, encryptor, i));
+  }
+  return chunks;
+}
+
+async function readAll(stream) {
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+describe('chunked file encryption', () => {
+  let keys;
+
+  beforeAll(async () => {
+    keys = await generateKeyPair();
+  });
+
+  it('should generate 22-character base64url upload IDs', () => {
+    const id = generateUploadId();
+    expect(id).toMatch(/^[A-Za-z0-9_-]{22}$/);
+    expect(generateUploadId()).not.toBe(id);
+  });
+
+  it('should split files into 512KB chunks by default', async () => {
+    const encryptor = await createFileEncryptor({ name: 'a', size: FILE_CHUNK_SIZE * 2 + 1 }, keys.publicKey, context);
+    expect(encryptor.chunkCount).toBe(3);
+    expect(encryptor.header.version).toBe('vf-e3');
+  });
+
+  it('should round-trip a multi-chunk file through a stream', async () => {
+    const file = makeFile(2500);
+    const encryptor = await createFileEncryptor(file, keys.publicKey, context, { chunkSize: 1000 });
+    const chunks = await encryptAll(file, encryptor);
+
+    expect(chunks.map(c => c.byteLength)).toEqual([1016, 1016, 516]);
+
+    const decryptor = await createFileDecryptor(encryptor.header, keys.privateKey, context, encryptor.uploadId);
+    expect(decryptor).toMatchObject({ name: 'scan.pdf', type: 'application/pdf', size: 2500, chunkCount: 3 });
+
+    const output = await readAll(createDecryptionStream(decryptor, async i => chunks[i]));
+    expect(output).toEqual(new Uint8Array(await file.arrayBuffer()));
+  });
+
+  it('should resume from the state of an earlier encryptor', async () => {
+    const file = makeFile(2500);
+    const first = await createFileEncryptor(file, keys.publicKey, context, { chunkSize: 1000 });
+    const firstChunk = await encryptFileChunk(file, first, 0);
+
+    // As after a reload: only the stored state is left
+    const resumed = await resumeFileEncryptor(JSON.parse(JSON.stringify(first.state)));
+    const chunks = [firstChunk, await encryptFileChunk(file, resumed, 1), await encryptFileChunk(file, resumed, 2)];
+
+    expect(resumed).toMatchObject({ uploadId: first.uploadId, header: first.header, chunkCount: 3 });
+    const decryptor = await createFileDecryptor(resumed.header, keys.privateKey, context, resumed.uploadId);
+    const output = await readAll(createDecryptionStream(decryptor, async i => chunks[i]));
+    expect(output).toEqual(new Uint8Array(await file.arrayBuffer()));
+  });
+
+  it('should encrypt an empty file as one final chunk', async () => {
+    const file = makeFile(0);
+    const encryptor = await createFileEncryptor(file, keys.publicKey, context);
+    const chunks = await encryptAll(file, encryptor);
+
+    const decryptor = await createFileDecryptor(encryptor.header, keys.privateKey, context, encryptor.uploadId);
+    const output = await readAll(createDecryptionStream(decryptor, async i => chunks[i]));
+    expect(output.byteLength).toBe(0);
+  });
+
+  describe('tampering', () => {
+    let file, encryptor, chunks, decryptor;
+
+    beforeAll(async () => {
+      file = makeFile(3000);
+      encryptor = await createFileEncryptor(file, keys.publicKey, context, { chunkSize: 1000 });
+      chunks = await encryptAll(file, encryptor);
+      decryptor = await createFileDecryptor(encryptor.header, keys.privateKey, context, encryptor.uploadId);
+    });
+
+    it('should reject reordered chunks', async () => {
+      await expect(decryptor.decryptChunk(1, chunks[0])).rejects.toThrow('File chunk 1 failed authentication');
+    });
+
+    it('should reject a non-final chunk in the final position', async () => {
+      // An earlier chunk can't stand in for the last one to cut the file short
+      await expect(decryptor.decryptChunk(2, chunks[1])).rejects.toThrow('failed authentication');
+    });
+
+    it('should reject altered chunks', async () => {
+      const altered = chunks[0].slice();
+      altered[10] ^= 1;
+      await expect(decryptor.decryptChunk(0, altered)).rejects.toThrow('failed authentication');
+    });
+
+    it('should reject chunks from another upload of the same file', async () => {
+      const other = await createFileEncryptor(file, keys.publicKey, context, { chunkSize: 1000 });
+      const otherChunk = await encryptFileChunk(file, other, 0);
+      await expect(decryptor.decryptChunk(0, otherChunk)).rejects.toThrow('failed authentication');
+    });
+
+    it('should fail the stream when a chunk is missing', async () => {
+      const stream = createDecryptionStream(decryptor, async i => {
+        if (i === 2) throw new Error('Chunk not found');
+        return chunks[i];
+      });
+      await expect(readAll(stream)).rejects.toThrow('Chunk not found');
+    });
+
+    it('should reject a header opened for a different upload ID', async () => {
+      await expect(
+        createFileDecryptor(encryptor.header, keys.privateKey, context, generateUploadId())
+      ).rejects.toThrow('File header does not belong to this upload');
+    });
+
+    it('should reject a header moved to another submission', async () => {
+      const moved = { ...context, submissionId: 'vf-22222222-2222-4222-8222-222222222222' };
+      await expect(
+        createFileDecryptor(encryptor.header, keys.privateKey, moved, encryptor.uploadId)
+      ).rejects.toThrow('belongs to submission');
+    });
+
+    it('should reject out-of-range chunk indexes', async () => {
+      await expect(decryptor.decryptChunk(3, chunks[2])).rejects.toThrow('out of range');
+      await expect(encryptor.encryptChunk(-1, new Uint8Array(1))).rejects.toThrow('out of range');
+    });
+  });
+});
+
+describe('VeilForms file uploads', () => {
+  const realFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = realFetch;
+  });
+
+  it('should resume an upload cut short when the form is submitted again', async () => {
+    const { publicKey } = await generateKeyPair();
+    const entry = { seq: 0, kid: await getKeyId(publicKey), addedAt: '2024-01-15T10:30:00.000Z', prevHash: null };
+    entry.hash = await hashKeyLogEntry(entry);
+
+    // Stands in for the uploads endpoint, which keeps chunks between attempts
+    const uploads = new Map();
+    let completeFails = true;
+    let submitted = null;
+    global.fetch = jest.fn(async (url, options = {}) => {
+      const reply = body => ({ ok: true, status: 200, json: async () => body });
+      if (url.includes('/api/key-log/')) {
+        return reply({ entries: [{ ...entry, publicKey }] });
+      }
+      if (url.endsWith('/complete')) {
+        if (completeFails) {
+          completeFails = false;
+          throw new Error('Network down');
+        }
+        return reply({ status: 'complete' });
+      }
+      const chunk = url.match(/\/api\/uploads\/vf_contact\/([^/]+)\/chunks\/(\d+)$/);
+      if (chunk) {
+        uploads.get(chunk[1]).received.push(Number(chunk[2]));
+        return reply({});
+      }
+      if (url.endsWith('/api/uploads/vf_contact')) {
+        const { uploadId, submissionId } = JSON.parse(options.body);
+        if (!uploads.has(uploadId)) uploads.set(uploadId, { submissionId, received: [] });
+        return reply({ uploadId, received: uploads.get(uploadId).received });
+      }
+      submitted = JSON.parse(options.body);
+      return reply({});
+    });
+
+    VeilForms.init('vf_contact', { publicKey, autoBind: false, offlineQueue: false });
+    const file = makeFile(100);
+
+    await expect(VeilForms.submit({ scan: file })).rejects.toThrow('Network down');
+    const result = await VeilForms.submit({ scan: file });
+
+    const [[uploadId, upload]] = [...uploads];
+    expect(uploads.size).toBe(1);
+    expect(upload.received).toEqual([0]);
+    expect(result.submissionId).toBe(upload.submissionId);
+    expect(submitted.attachments).toEqual([uploadId]);
+  });
+});
@@ -0,0 +1,425 @@
+/**
+ * Form Renderer Tests
+ * Covers drawing builder schemas as accessible HTML, multi-step navigation,
+ * conditional fields and pages, and VeilForms.render() submitting through
+ * the normal SDK path
+ */
+
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { webcrypto } from 'node:crypto';
+
+if (!globalThis.crypto?.subtle) {
+  Object.defineProperty(globalThis, 'crypto', { value: webcrypto, configurable: true });
+}
+
+const { renderForm, splitSteps } = await import('../form-renderer.js');
+const { default: VeilForms } = await import('../../client/veilforms.js');
+
+const contactSchema = {
+  formId: 'vf_contact',
+  name: 'Contact',
+  fields: [
+    { id: 'f1', type: 'heading', content: 'About you', level: 'h2' },
+    { id: 'f2', type: 'text', name: 'name', label: 'Your name', required: true, placeholder: 'Jane' },
+    { id: 'f3', type: 'email', name: 'email', label: 'Email' },
+    { id: 'f4', type: 'phone', name: 'phone', label: 'Phone' },
+    { id: 'f5', type: 'number', name: 'age', label: 'Age', min: '18', max: '120' },
+    { id: 'f6', type: 'select', name: 'topic', label: 'Topic', options: ['Sales', 'Support'], required: true },
+    { id: 'f7', type: 'radio', name: 'plan', label: 'Plan', options: ['Free', 'Pro'], required: true },
+    { id: 'f8', type: 'checkbox', name: 'tags', label: 'Tags', options: ['A', 'B'], required: true },
+    { id: 'f9', type: 'textarea', name: 'message', label: 'Message' },
+    { id: 'f10', type: 'hidden', name: 'source', defaultValue: 'landing' },
+    { id: 'f11', type: 'paragraph', content: '<b>not html</b>' },
+    { id: 'f12', type: 'divider' },
+    { id: 'f13', type: 'payment', name: 'pay', label: 'Pay' },
+  ],
+};
+
+const stepsSchema = {
+  formId: 'vf_survey',
+  name: 'Survey',
+  fields: [
+    { id: 's1', type: 'text', name: 'first', label: 'First', required: true },
+    { id: 's2', type: 'page_break', stepTitle: 'Details', stepDescription: 'A bit more' },
+    { id: 's3', type: 'text', name: 'second', label: 'Second' },
+    { id: 's4', type: 'page_break', stepTitle: 'Last' },
+    { id: 's5', type: 'date', name: 'when', label: 'When' },
+  ],
+};
+
+// Asks for an email only if the respondent wants a reply, and skips the
+// follow-up page for anonymous feedback
+const conditionalSchema = {
+  formId: 'vf_feedback',
+  fields: [
+    { id: 'c1', type: 'radio', name: 'reply', label: 'Want a reply?', options: ['Yes', 'No'], required: true },
+    {
+      id: 'c2',
+      type: 'email',
+      name: 'email',
+      label: 'Email',
+      required: true,
+      conditions: { action: 'show', logic: 'all', rules: [{ field: 'c1', operator: 'equals', value: 'Yes' }] },
+    },
+    {
+      id: 'c3',
+      type: 'page_break',
+      stepTitle: 'Follow-up',
+      conditions: { action: 'hide', logic: 'all', rules: [{ field: 'c1', operator: 'equals', value: 'No' }] },
+    },
+    { id: 'c4', type: 'text', name: 'phone', label: 'Phone' },
+    { id: 'c5', type: 'page_break', stepTitle: 'Feedback' },
+    { id: 'c6', type: 'textarea', name: 'message', label: 'Message' },
+  ],
+};
+
+function choose(form, name, value) {
+  const input = form.querySelector(`input[name="${name}"][value="${value}"]`);
+  input.checked = true;
+  input.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+describe('splitSteps', () => {
+  it('should start a step at each page break', () => {
+    const steps = splitSteps(stepsSchema.fields);
+
+    expect(steps.map(step => step.title)).toEqual(['Step 1', 'Details', 'Last']);
+    expect(steps[1]).toMatchObject({ description: 'A bit more', fields: [{ id: 's3' }] });
+  });
+
+  it('should drop steps left empty by a leading or trailing page break', () => {
+    const steps = splitSteps([
+      { id: 'a', type: 'page_break', stepTitle: 'Intro' },
+      { id: 'b', type: 'text', name: 'b' },
+      { id: 'c', type: 'page_break' },
+    ]);
+
+    expect(steps).toHaveLength(1);
+    expect(steps[0].title).toBe('Intro');
+  });
+});
+
+describe('renderForm', () => {
+  it('should label every control', () => {
+    const form = renderForm(contactSchema);
+    document.body.replaceChildren(form);
+
+    for (const control of form.querySelectorAll('input:not([type=hidden]), select, textarea')) {
+      expect(control.labels.length).toBeGreaterThan(0);
+    }
+    expect(form.querySelector('#vf-vf_contact-f2').labels[0].textContent).toBe('Your name *');
+    expect(form.querySelector('.vf-required').getAttribute('aria-hidden')).toBe('true');
+  });
+
+  it('should render each builder field type', () => {
+    const form = renderForm(contactSchema);
+
+    expect(form.querySelector('h2.vf-heading').textContent).toBe('About you');
+    expect(form.elements.name).toMatchObject({ type: 'text', required: true, placeholder: 'Jane' });
+    expect(form.elements.email.type).toBe('email');
+    expect(form.elements.phone.type).toBe('tel');
+    expect(form.elements.age).toMatchObject({ type: 'number', min: '18', max: '120' });
+    expect([...form.elements.topic.options].map(o => o.value)).toEqual(['', 'Sales', 'Support']);
+    expect(form.elements.message.tagName).toBe('TEXTAREA');
+    expect(form.elements.source).toMatchObject({ type: 'hidden', value: 'landing' });
+    expect(form.querySelector('hr.vf-divider')).not.toBeNull();
+    expect(form.querySelector('[data-field-name="plan"]').dataset.fieldId).toBe('f7');
+  });
+
+  it('should group options in a fieldset with a legend', () => {
+    const form = renderForm(contactSchema);
+    const group = form.querySelector('[data-field-name="plan"] fieldset');
+
+    expect(group.querySelector('legend').textContent).toBe('Plan *');
+    expect([...group.querySelectorAll('input')].map(input => input.value)).toEqual(['Free', 'Pro']);
+  });
+
+  it('should require one checkbox of a required group, not all of them', () => {
+    const form = renderForm(contactSchema);
+    const [a, b] = form.querySelectorAll('input[name="tags"]');
+
+    expect(a.checkValidity()).toBe(false);
+    b.checked = true;
+    b.dispatchEvent(new Event('change'));
+    expect(a.checkValidity()).toBe(true);
+    expect(b.required).toBe(false);
+  });
+
+  it('should treat schema text as text', () => {
+    const form = renderForm(contactSchema);
+
+    expect(form.querySelector('.vf-paragraph').textContent).toBe('<b>not html</b>');
+    expect(form.querySelector('b')).toBeNull();
+  });
+
+  it('should skip payment fields', () => {
+    const form = renderForm(contactSchema);
+
+    expect(form.elements.pay).toBeUndefined();
+  });
+
+  it('should render a single step without navigation', () => {
+    const form = renderForm(contactSchema);
+
+    expect(form.querySelector('.vf-progress')).toBeNull();
+    expect(form.querySelector('.vf-next')).toBeNull();
+    expect(form.querySelector('.vf-submit').hidden).toBe(false);
+  });
+});
+
+describe('renderForm with page breaks', () => {
+  let form;
+
+  beforeEach(() => {
+    form = renderForm(stepsSchema, { submitLabel: 'Send' });
+    document.body.replaceChildren(form);
+  });
+
+  const visibleSteps = () => [...form.querySelectorAll('.vf-step')].filter(step => !step.hidden);
+  const progressLabel = () => form.querySelector('.vf-progress-label').textContent;
+
+  it('should show the first step with progress', () => {
+    expect(visibleSteps().map(step => step.querySelector('h2').textContent)).toEqual(['Step 1']);
+    expect(progressLabel()).toBe('Step 1 of 3: Step 1');
+    expect(form.querySelector('.vf-progress-label').getAttribute('aria-live')).toBe('polite');
+    expect(form.querySelector('progress')).toMatchObject({ value: 1, max: 3 });
+    expect(form.querySelector('.vf-back').hidden).toBe(true);
+    expect(form.querySelector('.vf-submit').hidden).toBe(true);
+  });
+
+  it('should not move on until the step is valid', () => {
+    form.querySelector('.vf-next').click();
+    expect(progressLabel()).toBe('Step 1 of 3: Step 1');
+
+    form.elements.first.value = 'yes';
+    form.querySelector('.vf-next').click();
+
+    expect(progressLabel()).toBe('Step 2 of 3: Details');
+    expect(visibleSteps()[0].querySelector('.vf-step-description').textContent).toBe('A bit more');
+    expect(document.activeElement.textContent).toBe('Details');
+  });
+
+  it('should go back and show submit on the last step', () => {
+    form.elements.first.value = 'yes';
+    form.querySelector('.vf-next').click();
+    form.querySelector('.vf-next').click();
+
+    expect(form.querySelector('.vf-submit')).toMatchObject({ hidden: false, textContent: 'Send' });
+    expect(form.querySelector('.vf-next').hidden).toBe(true);
+
+    form.querySelector('.vf-back').click();
+    expect(progressLabel()).toBe('Step 2 of 3: Details');
+  });
+
+  it('should turn an early submit into the next step', () => {
+    const submitted = jest.fn();
+    form.addEventListener('submit', submitted);
+    form.elements.first.value = 'yes';
+
+    form.dispatchEvent(new Event('submit', { cancelable: true }));
+
+    expect(submitted).not.toHaveBeenCalled();
+    expect(progressLabel()).toBe('Step 2 of 3: Details');
+  });
+
+  it('should return to the first step on reset', () => {
+    form.elements.first.value = 'yes';
+    form.querySelector('.vf-next').click();
+
+    form.reset();
+
+    expect(progressLabel()).toBe('Step 1 of 3: Step 1');
+  });
+});
+
+describe('renderForm with conditions', () => {
+  let form;
+
+  beforeEach(() => {
+    form = renderForm(conditionalSchema);
+    document.body.replaceChildren(form);
+  });
+
+  const field = name => form.querySelector(`[data-field-name="${name}"]`);
+  const progressLabel = () => form.querySelector('.vf-progress-label').textContent;
+
+  it('should show a field once its condition matches', () => {
+    expect(field('email').hidden).toBe(true);
+    expect(form.elements.email.disabled).toBe(true);
+
+    choose(form, 'reply', 'Yes');
+
+    expect(field('email').hidden).toBe(false);
+    expect(form.elements.email.disabled).toBe(false);
+  });
+
+  it('should leave hidden fields out of validation', () => {
+    choose(form, 'reply', 'No');
+    form.querySelector('.vf-next').click();
+
+    expect(progressLabel()).toBe('Step 2 of 2: Feedback');
+  });
+
+  it('should skip pages hidden by a page break condition', () => {
+    choose(form, 'reply', 'Yes');
+    expect(progressLabel()).toBe('Step 1 of 3: Step 1');
+
+    form.elements.email.value = 'a@example.com';
+    form.querySelector('.vf-next').click();
+    expect(progressLabel()).toBe('Step 2 of 3: Follow-up');
+
+    form.querySelector('.vf-back').click();
+    choose(form, 'reply', 'No');
+    form.querySelector('.vf-next').click();
+    expect(progressLabel()).toBe('Step 2 of 2: Feedback');
+
+    form.querySelector('.vf-back').click();
+    expect(progressLabel()).toBe('Step 1 of 2: Step 1');
+  });
+});
+
+describe('renderForm with condition actions', () => {
+  // Business customers give a company and budget; a large budget needs a
+  // reason and flags the lead, and personal customers skip to the contact page
+  const actionsSchema = {
+    formId: 'vf_quote',
+    schemaVersion: 2,
+    fields: [
+      { id: 'a1', type: 'radio', name: 'type', label: 'For', options: ['Personal', 'Business'], required: true },
+      {
+        id: 'a2',
+        type: 'hidden',
+        name: 'route',
+        conditions: { version: 2, action: 'jump', logic: 'all', target: 'a6', rules: [{ field: 'a1', operator: 'equals', value: 'Personal' }] },
+      },
+      { id: 'a3', type: 'page_break', stepTitle: 'Company' },
+      { id: 'a4', type: 'number', name: 'budget', label: 'Budget' },
+      {
+        id: 'a5',
+        type: 'textarea',
+        name: 'reason',
+        label: 'Why this budget?',
+        conditions: { version: 2, action: 'require', logic: 'all', rules: [{ field: 'a4', operator: 'greater_than', value: '10000' }] },
+      },
+      { id: 'a6', type: 'page_break', stepTitle: 'Contact' },
+      { id: 'a7', type: 'email', name: 'email', label: 'Email' },
+      {
+        id: 'a8',
+        type: 'hidden',
+        name: 'lead',
+        defaultValue: 'normal',
+        conditions: { version: 2, action: 'set_value', logic: 'all', value: 'priority', rules: [{ field: 'a4', operator: 'greater_than', value: '10000' }] },
+      },
+    ],
+  };
+
+  let form;
+
+  beforeEach(() => {
+    form = renderForm(actionsSchema);
+    document.body.replaceChildren(form);
+  });
+
+  const progressLabel = () => form.querySelector('.vf-progress-label').textContent;
+  const type = (name, value) => {
+    form.elements[name].value = value;
+    form.elements[name].dispatchEvent(new Event('input', { bubbles: true }));
+  };
+
+  it('should jump over the pages a condition skips', () => {
+    choose(form, 'type', 'Personal');
+    expect(progressLabel()).toBe('Step 1 of 2: Step 1');
+
+    form.querySelector('.vf-next').click();
+    expect(progressLabel()).toBe('Step 2 of 2: Contact');
+  });
+
+  it('should require a field once its condition matches', () => {
+    choose(form, 'type', 'Business');
+    form.querySelector('.vf-next').click();
+    expect(form.elements.reason.required).toBe(false);
+
+    type('budget', '50000');
+
+    expect(form.elements.reason.required).toBe(true);
+    expect(form.querySelector('[data-field-name="reason"] .vf-required')).not.toBeNull();
+    form.querySelector('.vf-next').click();
+    expect(progressLabel()).toBe('Step 2 of 3: Company');
+
+    type('budget', '500');
+    expect(form.elements.reason.required).toBe(false);
+    expect(form.querySelector('[data-field-name="reason"] .vf-required')).toBeNull();
+  });
+
+  it('should set hidden values from the answers', () => {
+    expect(form.elements.lead.value).toBe('normal');
+
+    choose(form, 'type', 'Business');
+    type('budget', '50000');
+
+    expect(form.elements.lead.value).toBe('priority');
+  });
+});
+
+describe('VeilForms.render', () => {
+  const realFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = realFetch;
+  });
+
+  it('should fetch the schema and submit through the SDK', async () => {
+    global.fetch = jest.fn(async (url) => {
+      if (url.includes('/api/form-schema/')) {
+        return { ok: true, json: async () => contactSchema };
+      }
+      return { ok: true, json: async () => ({ success: true }) };
+    });
+    VeilForms.init('vf_contact', { endpoint: 'https://example.com/api/submit', encryption: false, autoBind: false, piiWarning: false });
+    document.body.innerHTML = '<div id="veilform"><p>Loading…</p></div>';
+
+    const form = await VeilForms.render('#veilform');
+
+    expect(global.fetch).toHaveBeenCalledWith('https://example.com/api/form-schema/vf_contact');
+    expect(document.querySelector('#veilform').firstElementChild).toBe(form);
+
+    const success = new Promise(resolve => form.addEventListener('veilforms:success', resolve));
+    form.elements.name.value = 'Ada';
+    form.dispatchEvent(new Event('submit', { cancelable: true }));
+    await success;
+
+    const [, options] = global.fetch.mock.calls.find(([url]) => url === 'https://example.com/api/submit');
+    expect(JSON.parse(options.body).payload.data).toMatchObject({ name: 'Ada', source: 'landing' });
+  });
+
+  it('should not send answers to fields its conditions hide', async () => {
+    global.fetch = jest.fn(async (url) => {
+      if (url.includes('/api/form-schema/')) {
+        return { ok: true, json: async () => conditionalSchema };
+      }
+      return { ok: true, json: async () => ({ success: true }) };
+    });
+    VeilForms.init('vf_feedback', { endpoint: 'https://example.com/api/submit', encryption: false, autoBind: false, piiWarning: false });
+    document.body.innerHTML = '<div id="veilform"></div>';
+    const form = await VeilForms.render('#veilform');
+
+    choose(form, 'reply', 'Yes');
+    form.elements.email.value = 'a@example.com';
+    form.elements.phone.value = '555-0100';
+    choose(form, 'reply', 'No');
+
+    await VeilForms.submit({ reply: 'No', email: 'a@example.com', phone: '555-0100', message: 'Hi' }, { formElement: form });
+
+    const [, options] = global.fetch.mock.calls.find(([url]) => url === 'https://example.com/api/submit');
+    expect(JSON.parse(options.body).payload.data).toEqual({ reply: 'No', message: 'Hi' });
+  });
+
+  it('should reject when the schema cannot be loaded', async () => {
+    global.fetch = jest.fn(async () => ({ ok: false, status: 404, json: async () => ({}) }));
+    VeilForms.init('vf_missing', { autoBind: false, piiWarning: false });
+    document.body.innerHTML = '<div id="veilform"></div>';
+
+    await expect(VeilForms.render('#veilform')).rejects.toThrow('Could not load the form: 404');
+    await expect(VeilForms.render('#nowhere')).rejects.toThrow('container not found');
+  });
+});
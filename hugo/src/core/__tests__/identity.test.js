@@ -37,6 +37,8 @@ global.TextDecoder = TextDecoder;
 const {
   createIdentityHash,
   createAnonymousId,
+  createSubmissionId,
+  getSubmissionIdTime,
   isValidSubmissionId
 } = await import('../identity.js');
 
@@ -209,7 +211,56 @@ describe('Identity Module', () => {
     });
   });
 
+  describe('createSubmissionId', () => {
+    it('should put the timestamp ahead of the random part', () => {
+      const id = createSubmissionId(1767225600000);
+
+      expect(id).toMatch(/^vf-[0-9a-hjkmnp-tv-z]{26}$/);
+      expect(getSubmissionIdTime(id)).toBe(1767225600000);
+    });
+
+    it('should default to the current time', () => {
+      const before = Date.now();
+      const time = getSubmissionIdTime(createSubmissionId());
+
+      expect(time).toBeGreaterThanOrEqual(before);
+      expect(time).toBeLessThanOrEqual(Date.now());
+    });
+
+    it('should sort by creation time as plain strings', () => {
+      const times = [0, 31, 32, 1699920000000, 1767225600000, 1767225600001, 2 ** 48 - 1];
+      const ids = times.map(time => createSubmissionId(time));
+
+      expect([...ids].reverse().sort()).toEqual(ids);
+    });
+
+    it('should reject timestamps that do not fit in 48 bits', () => {
+      expect(() => createSubmissionId(-1)).toThrow('48-bit');
+      expect(() => createSubmissionId(2 ** 48)).toThrow('48-bit');
+      expect(() => createSubmissionId(1.5)).toThrow('48-bit');
+    });
+
+    it('should not read a time out of other ID formats', () => {
+      expect(getSubmissionIdTime(createAnonymousId('form_test'))).toBeNull();
+      expect(getSubmissionIdTime('0123456789abcdef0123456789abcdef')).toBeNull();
+      expect(getSubmissionIdTime('vf-zzzzzzzzzzzzzzzzzzzzzzzzzz')).toBeNull();
+      expect(getSubmissionIdTime(undefined)).toBeNull();
+    });
+  });
+
   describe('isValidSubmissionId', () => {
+    describe('Time-Sortable Format', () => {
+      it('should accept IDs from createSubmissionId', () => {
+        expect(isValidSubmissionId(createSubmissionId())).toBe(true);
+      });
+
+      it('should reject upper case and letters outside Crockford base32', () => {
+        expect(isValidSubmissionId('vf-01JC6Q2M8X4BVD7K3ZTN5HRW9P')).toBe(false);
+        expect(isValidSubmissionId('vf-01jc6q2m8x4bvd7k3ztn5hrw9u')).toBe(false);
+        expect(isValidSubmissionId('vf-01jc6q2m8x4bvd7k3ztn5hrw9')).toBe(false);
+      });
+    });
+
     describe('Hash Format (32 hex characters)', () => {
       it('should accept valid 32-char hex string', () => {
         const validHash = '0123456789abcdef0123456789abcdef';
@@ -0,0 +1,100 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Invite Code Tests
+ * One-response-per-invitee codes and the nullifiers the server sees
+ */
+
+import { jest, describe, it, expect, afterEach } from '@jest/globals';
+import { createHash } from 'node:crypto';
+import { generateInviteCodes, normalizeInviteCode, deriveNullifier } from '../identity.js';
+import VeilForms from '../../client/veilforms.js';
+
+describe('Invite Codes', () => {
+  describe('generateInviteCodes', () => {
+    it('should generate distinct grouped base32 codes', () => {
+      const codes = generateInviteCodes(100);
+
+      expect(codes).toHaveLength(100);
+      expect(new Set(codes).size).toBe(100);
+      codes.forEach(code => expect(code).toMatch(/^[0-9A-HJKMNP-TV-Z]{5}(-[0-9A-HJKMNP-TV-Z]{5}){3}$/));
+    });
+
+    it('should reject a bad count', () => {
+      expect(() => generateInviteCodes(0)).toThrow('positive integer');
+      expect(() => generateInviteCodes(1.5)).toThrow('positive integer');
+    });
+  });
+
+  describe('normalizeInviteCode', () => {
+    it('should ignore case, spaces and dashes and read look-alike letters as digits', () => {
+      expect(normalizeInviteCode('7f3kq 9zd2m-xw4hb-r8tnc')).toBe('7F3KQ9ZD2MXW4HBR8TNC');
+      expect(normalizeInviteCode('O0OOO-IIIII-LLLLL-00000')).toBe('00000111111111100000');
+    });
+
+    it('should reject codes of the wrong length or alphabet', () => {
+      expect(() => normalizeInviteCode('7F3KQ-9ZD2M')).toThrow('Invite code is not valid');
+      expect(() => normalizeInviteCode('UUUUU-UUUUU-UUUUU-UUUUU')).toThrow('Invite code is not valid');
+      expect(() => normalizeInviteCode(undefined)).toThrow('Invite code is not valid');
+    });
+  });
+
+  describe('deriveNullifier', () => {
+    const code = '7F3KQ-9ZD2M-XW4HB-R8TNC';
+
+    it('should hash the form ID and normalized code', async () => {
+      const expected = createHash('sha256')
+        .update('vf-nullifier-v1\0vf_survey\0' + '7F3KQ9ZD2MXW4HBR8TNC')
+        .digest('base64url');
+
+      expect(await deriveNullifier('vf_survey', code)).toBe(expected);
+      expect(await deriveNullifier('vf_survey', code.toLowerCase())).toBe(expected);
+    });
+
+    it('should differ per form so codes cannot be linked across forms', async () => {
+      expect(await deriveNullifier('vf_survey', code)).not.toBe(await deriveNullifier('vf_other', code));
+    });
+  });
+
+  describe('VeilForms.submit', () => {
+    const realFetch = global.fetch;
+
+    afterEach(() => {
+      global.fetch = realFetch;
+    });
+
+    it('should send the nullifier and never the code', async () => {
+      global.fetch = jest.fn(async () => ({ ok: true, json: async () => ({ success: true }) }));
+      const code = generateInviteCodes(1)[0];
+      VeilForms.init('vf_survey', { encryption: false, autoBind: false, piiWarning: false });
+
+      await VeilForms.submit({ rating: '4' }, { inviteCode: code });
+      const body = global.fetch.mock.calls[0][1].body;
+
+      expect(JSON.parse(body).nullifier).toBe(await deriveNullifier('vf_survey', code));
+      expect(body).not.toContain(code);
+      expect(body).not.toContain(normalizeInviteCode(code));
+    });
+
+    it('should surface the server error code for a used invite', async () => {
+      global.fetch = jest.fn(async () => ({
+        ok: false,
+        status: 409,
+        json: async () => ({ error: 'This invite code has already been used', code: 'INVITE_USED' })
+      }));
+      VeilForms.init('vf_survey', {
+        encryption: false,
+        autoBind: false,
+        piiWarning: false,
+        inviteCode: generateInviteCodes(1)[0]
+      });
+
+      await expect(VeilForms.submit({ rating: '4' })).rejects.toMatchObject({
+        code: 'INVITE_USED',
+        message: 'This invite code has already been used'
+      });
+    });
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Key transparency log tests
+ * Covers verifying the log and the SDK refusing keys it can't find there
+ */
+
+import { jest, describe, it, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+
+const { generateKeyPair, getKeyId } = await import('../encryption.js');
+const { hashKeyLogEntry, verifyKeyLog, getKeyLogHead } = await import('../key-log.js');
+const { default: VeilForms } = await import('../../client/veilforms.js');
+
+// Build a log the way the server does
+async function buildLog(publicKeys) {
+  const entries = [];
+  for (const publicKey of publicKeys) {
+    const entry = {
+      seq: entries.length,
+      kid: await getKeyId(publicKey),
+      addedAt: new Date().toISOString(),
+      prevHash: entries.length ? entries[entries.length - 1].hash : null
+    };
+    entry.hash = await hashKeyLogEntry(entry);
+    entries.push({ ...entry, publicKey });
+  }
+  return entries;
+}
+
+let keyA;
+let keyB;
+
+beforeAll(async () => {
+  keyA = (await generateKeyPair()).publicKey;
+  keyB = (await generateKeyPair()).publicKey;
+});
+
+describe('hashKeyLogEntry', () => {
+  it('should match the server test vector', async () => {
+    expect(await hashKeyLogEntry({
+      seq: 0,
+      kid: 'NzbLsXh8uDCcd-6MNwXF4W_7noWXFZAfHkxZsRGC9Xs',
+      addedAt: '2024-01-15T10:30:00.000Z',
+      prevHash: null
+    })).toBe('LVd0Jqh7lLFCiXs_cYKoKMARxf-evaiR5xkHZEBItOE');
+  });
+});
+
+describe('verifyKeyLog', () => {
+  it('should return the key IDs of a valid log', async () => {
+    const entries = await buildLog([keyA, keyB]);
+
+    const kids = await verifyKeyLog(entries);
+
+    expect([...kids]).toEqual([entries[0].kid, entries[1].kid]);
+  });
+
+  it('should reject a log with an entry removed', async () => {
+    const entries = await buildLog([keyA, keyB, keyA]);
+
+    await expect(verifyKeyLog([entries[0], entries[2]])).rejects.toThrow('broken at entry 1');
+  });
+
+  it('should reject an entry whose public key was swapped', async () => {
+    const entries = await buildLog([keyA]);
+    entries[0].publicKey = keyB;
+
+    await expect(verifyKeyLog(entries)).rejects.toThrow('does not match its public key');
+  });
+
+  it('should reject a rewritten entry', async () => {
+    const entries = await buildLog([keyA]);
+    entries[0].addedAt = '2020-01-01T00:00:00.000Z';
+
+    await expect(verifyKeyLog(entries)).rejects.toThrow('does not match its hash');
+    await expect(verifyKeyLog([])).rejects.toThrow('empty');
+  });
+
+  it('should accept a log that extends the head seen before', async () => {
+    const entries = await buildLog([keyA, keyB]);
+
+    const kids = await verifyKeyLog(entries, { since: getKeyLogHead(entries.slice(0, 1)) });
+
+    expect(kids.size).toBe(2);
+  });
+
+  it('should reject a log rewritten since the head seen before', async () => {
+    const seen = getKeyLogHead(await buildLog([keyA]));
+    const rewritten = await buildLog([keyB, keyA]);
+
+    await expect(verifyKeyLog(rewritten, { since: seen })).rejects.toThrow('rewritten since entry 0');
+    await expect(verifyKeyLog(rewritten.slice(0, 1), { since: { seq: 1, hash: rewritten[1].hash } }))
+      .rejects.toThrow('rewritten since entry 1');
+  });
+});
+
+describe('VeilForms key checks', () => {
+  const realFetch = global.fetch;
+  let submitted;
+
+  function mockServer(entries) {
+    global.fetch = jest.fn(async (url, options) => {
+      if (url.includes('/api/key-log/')) {
+        return { ok: true, json: async () => ({ entries }) };
+      }
+      submitted = JSON.parse(options.body);
+      return { ok: true, json: async () => ({}) };
+    });
+  }
+
+  beforeEach(() => {
+    submitted = null;
+  });
+
+  afterEach(() => {
+    global.fetch = realFetch;
+  });
+
+  it('should encrypt for a logged key that matches the pin', async () => {
+    mockServer(await buildLog([keyA]));
+    VeilForms.init('vf_contact', { publicKey: keyA, keyFingerprint: await getKeyId(keyA), autoBind: false });
+
+    await VeilForms.submit({ message: 'hi' });
+
+    expect(global.fetch.mock.calls[0][0]).toBe('https://veilforms.com/api/key-log/vf_contact');
+    expect(submitted.payload.encrypted).toBe(true);
+  });
+
+  it('should refuse a key that is not in the log', async () => {
+    mockServer(await buildLog([keyA]));
+    VeilForms.init('vf_contact', { publicKey: keyB, autoBind: false });
+
+    await expect(VeilForms.submit({ message: 'hi' })).rejects.toThrow('not in the form key log');
+    expect(submitted).toBeNull();
+  });
+
+  it('should refuse a recipient that is not in the log', async () => {
+    mockServer(await buildLog([keyA]));
+    VeilForms.init('vf_contact', {
+      publicKey: keyA,
+      recipients: [{ kid: 'legal-team', publicKey: keyB }],
+      autoBind: false
+    });
+
+    await expect(VeilForms.submit({ message: 'hi' })).rejects.toThrow(`Key ${await getKeyId(keyB)} is not in the form key log`);
+    expect(submitted).toBeNull();
+  });
+
+  it('should encrypt for logged recipients', async () => {
+    mockServer(await buildLog([keyA, keyB]));
+    VeilForms.init('vf_contact', { publicKey: keyA, recipients: [keyB], autoBind: false });
+
+    await VeilForms.submit({ message: 'hi' });
+
+    expect(submitted.payload.recipients).toHaveLength(2);
+  });
+
+  it('should remember the log head and refuse a rewritten log later', async () => {
+    const stored = new Map();
+    global.localStorage = {
+      getItem: key => stored.get(key) ?? null,
+      setItem: (key, value) => stored.set(key, value)
+    };
+
+    try {
+      const original = await buildLog([keyA]);
+      mockServer(original);
+      VeilForms.init('vf_contact', { publicKey: keyA, autoBind: false });
+      await VeilForms.submit({ message: 'hi' });
+
+      expect(JSON.parse(stored.get('veilforms_keylog_head_vf_contact'))).toEqual(getKeyLogHead(original));
+
+      // Key A is still logged, but history changed: only a returning browser can tell
+      mockServer(await buildLog([keyB, keyA]));
+      submitted = null;
+      VeilForms.init('vf_contact', { publicKey: keyA, autoBind: false });
+
+      await expect(VeilForms.submit({ message: 'hi' })).rejects.toThrow('rewritten');
+      expect(submitted).toBeNull();
+    } finally {
+      delete global.localStorage;
+    }
+  });
+
+  it('should refuse a key that does not match the pin', async () => {
+    mockServer(await buildLog([keyA, keyB]));
+    VeilForms.init('vf_contact', { publicKey: keyB, keyFingerprint: await getKeyId(keyA), autoBind: false });
+
+    await expect(VeilForms.submit({ message: 'hi' })).rejects.toThrow('pinned keyFingerprint');
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
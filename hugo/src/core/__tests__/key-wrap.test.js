@@ -0,0 +1,178 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Key bundle wrapping tests
+ * Covers re-wrapping bundles without the password, as the key vault does,
+ * the versioned bundle format with its PBKDF2 and scrypt KDFs, and the key
+ * documents kept inside bundles
+ */
+
+import { describe, it, expect } from '@jest/globals';
+
+const {
+  generateKeyPair,
+  createKeyWrap,
+  wrapPrivateKeys,
+  unwrapPrivateKeys,
+  exportPrivateKeys,
+  importPrivateKeys,
+  keyBundleNeedsUpgrade,
+  createKeyData,
+  validateKeyData,
+  addKeysToKeyData
+} = await import('../encryption.js');
+
+// Small scrypt cost so tests stay fast
+const fastScrypt = { kdf: 'scrypt', params: { N: 1024, r: 8, p: 1 } };
+
+const keys = { keys: [{ formId: 'vf_contact', privateKey: { kty: 'RSA', d: 'secret' } }] };
+
+describe('createKeyWrap / wrapPrivateKeys / unwrapPrivateKeys', () => {
+  it('should round-trip keys', async () => {
+    const wrap = await createKeyWrap('vault passphrase');
+    const bundle = await wrapPrivateKeys(keys, wrap);
+
+    expect(bundle).toMatchObject({
+      version: '2.0',
+      kdf: { name: 'PBKDF2-SHA-256', iterations: 600000 },
+      cipher: { name: 'AES-GCM-256' }
+    });
+    await expect(unwrapPrivateKeys(bundle, wrap)).resolves.toEqual(keys);
+  });
+
+  it('should keep a non-extractable wrapping key', async () => {
+    const wrap = await createKeyWrap('vault passphrase');
+
+    expect(wrap.key.extractable).toBe(false);
+  });
+
+  it('should re-wrap updated keys that the password still opens', async () => {
+    const first = await wrapPrivateKeys(keys, await createKeyWrap('vault passphrase'));
+    const wrap = await createKeyWrap('vault passphrase', first);
+    const updated = { keys: [...keys.keys, { formId: 'vf_survey', privateKey: { kty: 'RSA' } }] };
+
+    const second = await wrapPrivateKeys(updated, wrap);
+
+    expect(second.kdf).toEqual(first.kdf);
+    expect(second.cipher.iv).not.toBe(first.cipher.iv);
+    await expect(importPrivateKeys(second, 'vault passphrase')).resolves.toEqual(updated);
+  });
+
+  it('should reject the wrong password', async () => {
+    const bundle = await exportPrivateKeys(keys, 'vault passphrase');
+    const wrong = await createKeyWrap('not the passphrase', bundle);
+
+    await expect(unwrapPrivateKeys(bundle, wrong)).rejects.toThrow('Invalid password');
+  });
+});
+
+describe('versioned key bundles', () => {
+  // Version 1.0 bundle as exportPrivateKeys wrote it before bundles were
+  // versioned: PBKDF2 with 100,000 iterations, base64 fields
+  async function legacyBundle(data, password, { arrays = false } = {}) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const passwordKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveKey']);
+    const key = await crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations: 100000, hash: 'SHA-256' },
+      passwordKey,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt']
+    );
+    const ciphertext = new Uint8Array(await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      key,
+      new TextEncoder().encode(JSON.stringify(data))
+    ));
+
+    // The dashboard's own exports stored bytes as number arrays
+    const encode = bytes => arrays ? Array.from(bytes) : Buffer.from(bytes).toString('base64');
+    return {
+      version: '1.0',
+      algorithm: 'PBKDF2-AES-GCM-256',
+      iterations: 100000,
+      salt: encode(salt),
+      iv: encode(iv),
+      ciphertext: encode(ciphertext)
+    };
+  }
+
+  it('should import version 1.0 bundles with base64 fields', async () => {
+    const bundle = await legacyBundle(keys, 'old password');
+    await expect(importPrivateKeys(bundle, 'old password')).resolves.toEqual(keys);
+  });
+
+  it('should import version 1.0 dashboard exports with byte arrays', async () => {
+    const bundle = await legacyBundle(keys, 'old password', { arrays: true });
+    await expect(importPrivateKeys(bundle, 'old password')).resolves.toEqual(keys);
+  });
+
+  it('should import version 1.0 bundles without an iteration count', async () => {
+    const { iterations, ...bundle } = await legacyBundle(keys, 'old password');
+
+    expect(iterations).toBe(100000);
+    await expect(importPrivateKeys(bundle, 'old password')).resolves.toEqual(keys);
+  });
+
+  it('should round-trip scrypt bundles', async () => {
+    const bundle = await exportPrivateKeys(keys, 'vault passphrase', fastScrypt);
+
+    expect(bundle.kdf).toMatchObject({ name: 'scrypt', N: 1024, r: 8, p: 1 });
+    await expect(importPrivateKeys(bundle, 'vault passphrase')).resolves.toEqual(keys);
+  });
+
+  it('should fill in scrypt defaults for parameters not given', async () => {
+    const wrap = await createKeyWrap('vault passphrase', null, { kdf: 'scrypt', params: { N: 1024 } });
+    expect(wrap.kdf).toMatchObject({ r: 8, p: 1 });
+    expect(wrap.kdf.salt).toEqual(expect.any(String));
+  });
+
+  it('should authenticate the KDF header', async () => {
+    const bundle = await exportPrivateKeys(keys, 'vault passphrase', fastScrypt);
+    const tampered = { ...bundle, kdf: { ...bundle.kdf, r: 9 } };
+
+    await expect(importPrivateKeys(tampered, 'vault passphrase')).rejects.toThrow('Invalid password');
+  });
+
+  it('should refuse unknown versions, KDFs and out-of-range parameters', async () => {
+    const bundle = await exportPrivateKeys(keys, 'vault passphrase', fastScrypt);
+
+    await expect(importPrivateKeys({ ...bundle, version: '3.0' }, 'vault passphrase')).rejects.toThrow('Unsupported key bundle version');
+    await expect(importPrivateKeys({ ...bundle, kdf: { ...bundle.kdf, name: 'argon2id' } }, 'vault passphrase'))
+      .rejects.toThrow('Unsupported key derivation function');
+    await expect(importPrivateKeys({ ...bundle, kdf: { ...bundle.kdf, N: 2 ** 24 } }, 'vault passphrase'))
+      .rejects.toThrow('scrypt N must be between');
+  });
+
+  it('should flag bundles that need re-wrapping', async () => {
+    expect(keyBundleNeedsUpgrade(await legacyBundle(keys, 'old password'))).toBe(true);
+    expect(keyBundleNeedsUpgrade(await exportPrivateKeys(keys, 'vault passphrase', fastScrypt))).toBe(false);
+    expect(keyBundleNeedsUpgrade(await exportPrivateKeys(keys, 'vault passphrase', { params: { iterations: 100000 } }))).toBe(true);
+    expect(keyBundleNeedsUpgrade({ version: '1.0', algorithm: 'SHAMIR-AES-GCM-256' })).toBe(false);
+  });
+});
+
+describe('key documents', () => {
+  it('should add keys and keep everything else in the document', async () => {
+    const { privateKey } = await generateKeyPair();
+    const existing = createKeyData({ indexKeys: { vf_contact: 'index' }, masterKey: { kty: 'EC' } });
+
+    const updated = await addKeysToKeyData(existing, [{ formId: 'vf_contact', privateKey }]);
+    const again = await addKeysToKeyData(updated, [{ formId: 'vf_contact', privateKey }]);
+
+    expect(updated).toMatchObject({ version: '1.0', indexKeys: { vf_contact: 'index' }, masterKey: { kty: 'EC' } });
+    expect(updated.keys).toEqual([expect.objectContaining({ formId: 'vf_contact', algorithm: 'RSA-OAEP-2048', privateKey })]);
+    expect(again.keys).toHaveLength(1);
+    expect(() => validateKeyData(again)).not.toThrow();
+  });
+
+  it('should reject anything that is not a key document', () => {
+    // A bare formId -> JWK map, as older clients wrote
+    expect(() => validateKeyData({ vf_contact: { kty: 'RSA' } })).toThrow('Invalid key file format');
+    expect(() => validateKeyData({ keys: [{ formId: 'vf_contact', privateKey: { kty: 'oct' } }] }))
+      .toThrow("Key for form vf_contact can't be used");
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Account master key tests
+ * Covers wrapping form private keys so the server can store them
+ */
+
+import { describe, it, expect, beforeAll } from '@jest/globals';
+
+const {
+  generateKeyPair,
+  getKeyId,
+  wrapFormKey,
+  unwrapFormKey
+} = await import('../encryption.js');
+
+describe('wrapFormKey / unwrapFormKey', () => {
+  let master;
+  let formKey;
+  let kid;
+
+  beforeAll(async () => {
+    master = await generateKeyPair();
+    formKey = await generateKeyPair();
+    kid = await getKeyId(formKey.publicKey);
+  });
+
+  it('should round-trip a form key through the master key', async () => {
+    const wrapped = await wrapFormKey(formKey.privateKey, master.publicKey);
+
+    expect(wrapped).toMatchObject({ version: 'vf-e3', formId: 'vf-form-key', submissionId: kid });
+    await expect(unwrapFormKey(wrapped, master.privateKey, kid)).resolves.toEqual(formKey.privateKey);
+  });
+
+  it('should refuse a wrapped key stored under another key ID', async () => {
+    const other = await generateKeyPair();
+    const wrapped = await wrapFormKey(other.privateKey, master.publicKey);
+
+    await expect(unwrapFormKey(wrapped, master.privateKey, kid)).rejects.toThrow();
+  });
+
+  it('should not unwrap without the master private key', async () => {
+    const wrapped = await wrapFormKey(formKey.privateKey, master.publicKey);
+
+    await expect(unwrapFormKey(wrapped, formKey.privateKey, kid)).rejects.toThrow();
+  });
+});
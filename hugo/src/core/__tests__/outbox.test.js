@@ -0,0 +1,268 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Offline outbox tests
+ * Covers queueing, retrying with backoff and the SDK queueing submissions
+ * it could not send
+ */
+
+import { jest, describe, it, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+
+const { createOutbox, createMemoryOutboxStore, generateIdempotencyKey, getRetryDelay } = await import('../outbox.js');
+const { generateKeyPair, getKeyId } = await import('../encryption.js');
+const { hashKeyLogEntry } = await import('../key-log.js');
+const { default: VeilForms } = await import('../../client/veilforms.js');
+
+function retryableError(message = 'offline') {
+  const err = new Error(message);
+  err.retryable = true;
+  return err;
+}
+
+describe('generateIdempotencyKey', () => {
+  it('should make keys the server accepts', () => {
+    const keys = new Set(Array.from({ length: 50 }, generateIdempotencyKey));
+
+    expect(keys.size).toBe(50);
+    keys.forEach(key => expect(key).toMatch(/^[A-Za-z0-9_-]{32}$/));
+  });
+});
+
+describe('getRetryDelay', () => {
+  it('should double the delay up to a cap, with some jitter', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+
+    expect([1, 2, 3, 4].map(getRetryDelay)).toEqual([5000, 10000, 20000, 40000]);
+    expect(getRetryDelay(20)).toBe(5 * 60 * 1000);
+
+    Math.random.mockReturnValue(0.999);
+    expect(getRetryDelay(1)).toBeGreaterThan(4000);
+
+    Math.random.mockRestore();
+  });
+});
+
+describe('createOutbox', () => {
+  let store;
+  let send;
+  let sent;
+  let dropped;
+  let outbox;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: Date.UTC(2026, 0, 1) });
+    store = createMemoryOutboxStore();
+    send = jest.fn();
+    sent = [];
+    dropped = [];
+    outbox = createOutbox({
+      store,
+      send,
+      onSent: (item, result) => sent.push([item.id, result]),
+      onDropped: (item, error) => dropped.push([item.id, error.message]),
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should keep an item until it is sent', async () => {
+    const queued = await outbox.add({ id: 'vf-a', body: '{}' });
+
+    expect(queued).toMatchObject({ id: 'vf-a', attempts: 1 });
+    expect(queued.nextAttemptAt).toBeGreaterThan(Date.now());
+
+    send.mockResolvedValue({ success: true });
+    await outbox.flush({ all: true });
+
+    expect(send).toHaveBeenCalledWith(expect.objectContaining({ id: 'vf-a', body: '{}' }));
+    expect(sent).toEqual([['vf-a', { success: true }]]);
+    expect(await outbox.pending()).toEqual([]);
+  });
+
+  it('should leave items alone until their retry is due', async () => {
+    await outbox.add({ id: 'vf-a' });
+    send.mockResolvedValue({});
+
+    await outbox.flush();
+    expect(send).not.toHaveBeenCalled();
+
+    jest.setSystemTime(Date.now() + 5000);
+    await outbox.flush();
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  it('should back off further after each failed retry', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    await outbox.add({ id: 'vf-a' });
+    send.mockRejectedValue(retryableError());
+
+    await outbox.flush({ all: true });
+    const [item] = await outbox.pending();
+
+    expect(item.attempts).toBe(2);
+    expect(item.nextAttemptAt).toBe(Date.now() + 10000);
+    expect(sent).toEqual([]);
+    Math.random.mockRestore();
+  });
+
+  it('should retry on its own when the next attempt is due', async () => {
+    send.mockResolvedValue({});
+    await outbox.add({ id: 'vf-a' });
+
+    await jest.advanceTimersByTimeAsync(5000);
+
+    expect(sent.map(([id]) => id)).toEqual(['vf-a']);
+  });
+
+  it('should drop items the server rejects', async () => {
+    await outbox.add({ id: 'vf-a' });
+    send.mockRejectedValue(new Error('This invite code has already been used'));
+
+    await outbox.flush({ all: true });
+
+    expect(dropped).toEqual([['vf-a', 'This invite code has already been used']]);
+    expect(await outbox.pending()).toEqual([]);
+  });
+});
+
+describe('VeilForms offline queue', () => {
+  const realFetch = global.fetch;
+  let publicKey;
+  let keyLog;
+
+  beforeAll(async () => {
+    publicKey = (await generateKeyPair()).publicKey;
+    const entry = { seq: 0, kid: await getKeyId(publicKey), addedAt: new Date().toISOString(), prevHash: null };
+    entry.hash = await hashKeyLogEntry(entry);
+    keyLog = [{ ...entry, publicKey }];
+  });
+
+  afterEach(() => {
+    global.fetch = realFetch;
+  });
+
+  // Key log requests succeed; submissions get `submitResponse()`
+  function mockServer(submitResponse) {
+    global.fetch = jest.fn(async (url) => {
+      if (url.includes('/api/key-log/')) {
+        return { ok: true, json: async () => ({ entries: keyLog }) };
+      }
+      return submitResponse();
+    });
+  }
+
+  function submitCalls() {
+    return global.fetch.mock.calls.filter(([url]) => url.endsWith('/api/submit'));
+  }
+
+  function listen(target, name) {
+    const events = [];
+    target.addEventListener(name, event => events.push(event.detail));
+    return events;
+  }
+
+  it('should queue an encrypted submission it could not send and send it later', async () => {
+    mockServer(async () => {
+      throw new TypeError('Failed to fetch');
+    });
+    VeilForms.init('vf_contact', { publicKey, autoBind: false, piiWarning: false });
+    const form = new EventTarget();
+    const queued = listen(form, 'veilforms:queued');
+    const sent = listen(form, 'veilforms:sent');
+
+    const result = await VeilForms.submit({ message: 'hi' }, { formElement: form });
+
+    expect(result).toMatchObject({ success: false, queued: true });
+    expect(queued).toEqual([expect.objectContaining({ submissionId: result.submissionId, formId: 'vf_contact' })]);
+
+    mockServer(async () => ({ ok: true, json: async () => ({ success: true, receipt: { kid: 'r1' } }) }));
+    await VeilForms.flushQueue();
+
+    expect(sent).toEqual([expect.objectContaining({ submissionId: result.submissionId, receipt: { kid: 'r1' } })]);
+    const [[, retry]] = submitCalls();
+    expect(JSON.parse(retry.body).payload.encrypted).toBe(true);
+    expect(retry.headers['Idempotency-Key']).toMatch(/^[A-Za-z0-9_-]{32}$/);
+  });
+
+  it('should reuse the idempotency key on every attempt', async () => {
+    const keys = [];
+    global.fetch = jest.fn(async (url, options) => {
+      if (url.includes('/api/key-log/')) {
+        return { ok: true, json: async () => ({ entries: keyLog }) };
+      }
+      keys.push(options.headers['Idempotency-Key']);
+      return keys.length === 1
+        ? { ok: false, status: 503, json: async () => ({ error: 'Service unavailable' }) }
+        : { ok: true, json: async () => ({ success: true }) };
+    });
+    VeilForms.init('vf_contact', { publicKey, autoBind: false, piiWarning: false });
+
+    expect((await VeilForms.submit({ message: 'hi' })).queued).toBe(true);
+    await VeilForms.flushQueue();
+
+    expect(keys).toHaveLength(2);
+    expect(keys[1]).toBe(keys[0]);
+  });
+
+  it('should queue when the key log is out of reach and check the key before sending', async () => {
+    global.fetch = jest.fn(async () => {
+      throw new TypeError('Failed to fetch');
+    });
+    VeilForms.init('vf_contact', { publicKey, autoBind: false, piiWarning: false });
+
+    const result = await VeilForms.submit({ message: 'hi' });
+
+    expect(result).toMatchObject({ success: false, queued: true });
+    expect(submitCalls()).toHaveLength(0);
+
+    mockServer(async () => ({ ok: true, json: async () => ({ success: true }) }));
+    await VeilForms.flushQueue();
+
+    const urls = global.fetch.mock.calls.map(([url]) => url);
+    expect(urls).toEqual(['https://veilforms.com/api/key-log/vf_contact', 'https://veilforms.com/api/submit']);
+  });
+
+  it('should drop a queued submission whose key is not in the log', async () => {
+    global.fetch = jest.fn(async () => {
+      throw new TypeError('Failed to fetch');
+    });
+    const otherKey = (await generateKeyPair()).publicKey;
+    VeilForms.init('vf_contact', { publicKey: otherKey, autoBind: false, piiWarning: false });
+    const form = new EventTarget();
+    const errors = listen(form, 'veilforms:error');
+
+    const result = await VeilForms.submit({ message: 'hi' }, { formElement: form });
+    mockServer(async () => ({ ok: true, json: async () => ({ success: true }) }));
+    await VeilForms.flushQueue();
+
+    expect(submitCalls()).toHaveLength(0);
+    expect(errors).toEqual([expect.objectContaining({ submissionId: result.submissionId, error: expect.stringContaining('not in the form key log') })]);
+  });
+
+  it('should not queue submissions the server rejects', async () => {
+    mockServer(async () => ({
+      ok: false,
+      status: 409,
+      json: async () => ({ error: 'This invite code has already been used', code: 'INVITE_USED' }),
+    }));
+    VeilForms.init('vf_contact', { publicKey, autoBind: false, piiWarning: false });
+
+    await expect(VeilForms.submit({ message: 'hi' })).rejects.toMatchObject({ code: 'INVITE_USED' });
+  });
+
+  it('should throw instead of queueing when the queue is off or the data is not encrypted', async () => {
+    mockServer(async () => {
+      throw new TypeError('Failed to fetch');
+    });
+
+    VeilForms.init('vf_contact', { publicKey, autoBind: false, piiWarning: false, offlineQueue: false });
+    await expect(VeilForms.submit({ message: 'hi' })).rejects.toThrow('could not be sent');
+
+    VeilForms.init('vf_contact', { encryption: false, autoBind: false, piiWarning: false });
+    await expect(VeilForms.submit({ message: 'hi' })).rejects.toThrow('could not be sent');
+  });
+});
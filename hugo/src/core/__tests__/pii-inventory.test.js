@@ -0,0 +1,66 @@
+/**
+ * @jest-environment node
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { buildPIIInventory, piiInventoryToCSV, PII_INVENTORY_VERSION } from '../pii-inventory.js';
+
+describe('PII Inventory', () => {
+  const records = [
+    { data: { email: 'jane@example.com', message: 'Call 555-123-4567' }, receivedAt: '2026-03-02T10:00:00Z' },
+    { data: { email: 'sam@example.com', message: 'Thanks!' }, receivedAt: 1767225600000 },
+    { data: { message: 'Mail jo@example.com or jo@example.org', tags: ['a'] }, receivedAt: '2026-05-01T00:00:00Z' },
+    { data: null, receivedAt: '2026-06-01T00:00:00Z' },
+  ];
+
+  it('should count PII types per field without keeping values', () => {
+    const inventory = buildPIIInventory(records, { formId: 'vf_contact', formName: 'Contact' });
+
+    expect(inventory).toMatchObject({
+      version: PII_INVENTORY_VERSION,
+      formId: 'vf_contact',
+      formName: 'Contact',
+      locales: ['us'],
+      records: { total: 4, scanned: 3, skipped: 1, withPII: 3 },
+      dateRange: { from: '2026-01-01T00:00:00.000Z', to: '2026-05-01T00:00:00.000Z' },
+    });
+
+    const message = inventory.fields.find(entry => entry.field === 'message');
+    expect(message).toMatchObject({ records: 3, withPII: 2 });
+    expect(message.types).toEqual([
+      { type: 'email', records: 1, firstSeen: '2026-05-01T00:00:00.000Z', lastSeen: '2026-05-01T00:00:00.000Z' },
+      { type: 'phone', records: 1, firstSeen: '2026-03-02T10:00:00.000Z', lastSeen: '2026-03-02T10:00:00.000Z' },
+    ]);
+
+    const email = inventory.fields.find(entry => entry.field === 'email');
+    expect(email.types.map(type => [type.type, type.records])).toEqual([['email', 2], ['field_name', 2]]);
+
+    expect(inventory.fields.find(entry => entry.field === 'tags')).toMatchObject({ records: 1, withPII: 0, types: [] });
+    expect(JSON.stringify(inventory)).not.toContain('example.com');
+  });
+
+  it('should use the given locales and custom patterns', () => {
+    const inventory = buildPIIInventory(
+      [{ data: { badge: 'EMP-123456' }, receivedAt: '2026-01-01' }],
+      { locales: ['uk'], patterns: [{ type: 'employee_id', regex: /EMP-\d{6}/g }] }
+    );
+
+    expect(inventory.locales).toEqual(['uk']);
+    expect(inventory.fields[0].types.map(type => type.type)).toEqual(['employee_id']);
+  });
+
+  it('should export one CSV row per field and type', () => {
+    const csv = piiInventoryToCSV(buildPIIInventory(records));
+    const lines = csv.split('\n');
+
+    expect(lines[0]).toBe('"field","pii_type","records","percent_of_records","first_seen","last_seen"');
+    expect(lines).toContain('"email","email","2","66.7","2026-01-01T00:00:00.000Z","2026-03-02T10:00:00.000Z"');
+    expect(lines).toHaveLength(5);
+  });
+
+  it('should keep field names from being read as formulas', () => {
+    const csv = piiInventoryToCSV(buildPIIInventory([{ data: { '=HYPERLINK("x")': 'jane@example.com' } }]));
+
+    expect(csv.split('\n')[1]).toMatch(/^"'=HYPERLINK\(""x""\)","email"/);
+  });
+});
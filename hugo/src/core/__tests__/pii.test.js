@@ -1,14 +1,22 @@
 /**
- * @jest-environment jsdom
+ * @jest-environment node
  */
 
-import { describe, it, expect } from '@jest/globals';
+import { jest, describe, it, expect, afterEach } from '@jest/globals';
 import {
   detectPII,
   validateNoPII,
   stripPII,
-  createPIISchema
+  createPIISchema,
+  resolvePIILocales,
+  compilePIIPolicy,
+  applyPIIPolicy,
+  generatePseudonymKey,
+  pseudonymize,
+  pseudonymizePIIFields,
+  PII_LOCALES
 } from '../pii.js';
+import VeilForms from '../../client/veilforms.js';
 
 describe('PII Detection Module', () => {
   describe('detectPII', () => {
@@ -462,4 +470,339 @@ describe('PII Detection Module', () => {
       expect(result.hasPII).toBe(true);
     });
   });
+
+  describe('Locale Packs', () => {
+    const types = (value, locales) =>
+      detectPII({ note: value }, { locales }).patterns.map(p => p.type);
+
+    it('should use the US pack by default', () => {
+      expect(types('555-123-4567')).toContain('phone');
+      expect(types('555-123-4567', ['eu'])).not.toContain('phone');
+    });
+
+    it('should reject an unknown locale', () => {
+      expect(() => detectPII({ note: 'x' }, { locales: ['xx'] })).toThrow('Unknown PII locale: xx');
+      expect(resolvePIILocales(['UK', 'de'])).toEqual(['uk', 'de']);
+      expect(PII_LOCALES).toEqual(expect.arrayContaining(['us', 'eu', 'uk', 'ca', 'de', 'es', 'fr', 'it', 'nl']));
+    });
+
+    it('should only flag card numbers that pass the Luhn check', () => {
+      expect(types('Card: 4111 1111 1111 1111', ['eu'])).toContain('creditCard');
+      expect(types('Card: 3782 822463 10005', ['eu'])).toContain('creditCard');
+      expect(types('Order 1234 5678 1234 5678', ['eu'])).not.toContain('creditCard');
+    });
+
+    it('should validate IBAN checksums in every locale', () => {
+      expect(types('Pay to DE89 3704 0044 0532 0130 00', ['us'])).toContain('iban');
+      expect(types('GB82WEST12345698765432', ['eu'])).toContain('iban');
+      expect(types('DE89 3704 0044 0532 0130 01', ['eu'])).not.toContain('iban');
+    });
+
+    it('should detect passports from the MRZ or a label', () => {
+      expect(types('L898902C36UTO7408122F1204159ZE184226B<<<<<10', ['eu'])).toContain('passport');
+      expect(types('L898902C37UTO7408122F1204159ZE184226B<<<<<10', ['eu'])).not.toContain('passport');
+      expect(types('Passport no: X1234567', ['eu'])).toContain('passport');
+      expect(types('A passport is required', ['eu'])).not.toContain('passport');
+    });
+
+    it('should detect EU phone numbers and day-first dates', () => {
+      expect(types('Ring +49 30 1234567', ['eu'])).toContain('phone');
+      expect(types('Born 31.12.1980', ['eu'])).toContain('dob');
+    });
+
+    it('should detect UK identifiers', () => {
+      expect(types('NI: AB 12 34 56 C', ['uk'])).toContain('nationalInsurance');
+      expect(types('NHS 943 476 5919', ['uk'])).toContain('nhsNumber');
+      expect(types('NHS 943 476 5918', ['uk'])).not.toContain('nhsNumber');
+      expect(types('07700 900123', ['uk'])).toContain('phone');
+      expect(types('SW1A 1AA', ['uk'])).toContain('postalCode');
+    });
+
+    it('should validate Canadian SINs with the Luhn check', () => {
+      expect(types('SIN 130 692 544', ['ca'])).toContain('sin');
+      expect(types('SIN 130 692 545', ['ca'])).not.toContain('sin');
+    });
+
+    it('should validate national ID check digits', () => {
+      expect(types('T220001293', ['de'])).toContain('nationalId');
+      expect(types('T220001294', ['de'])).not.toContain('nationalId');
+      expect(types('DNI 12345678Z', ['es'])).toContain('nationalId');
+      expect(types('NIE X1234567L', ['es'])).toContain('nationalId');
+      expect(types('DNI 12345678A', ['es'])).not.toContain('nationalId');
+      expect(types('1 84 12 76 451 089 46', ['fr'])).toContain('nationalId');
+      expect(types('1 84 12 76 451 089 47', ['fr'])).not.toContain('nationalId');
+      expect(types('RSSMRA85T10A562S', ['it'])).toContain('nationalId');
+      expect(types('RSSMRA85T10A562T', ['it'])).not.toContain('nationalId');
+      expect(types('BSN 111222333', ['nl'])).toContain('nationalId');
+      expect(types('BSN 111222334', ['nl'])).not.toContain('nationalId');
+    });
+
+    it('should strip only valid matches for the selected locales', async () => {
+      const result = await stripPII(
+        { note: 'IBAN DE89 3704 0044 0532 0130 00, order 1234567812345678' },
+        { locales: ['eu'] }
+      );
+
+      expect(result.data.note).toBe('IBAN [REDACTED], order 1234567812345678');
+      expect(result.strippedFields).toEqual(['note']);
+    });
+
+    it('should apply locales to schema validation', () => {
+      const validate = createPIISchema({ comment: { noPII: true } }, { locales: ['es'] });
+
+      expect(validate({ comment: 'Mi DNI es 12345678Z' }).errors).toHaveLength(1);
+    });
+  });
+
+  describe('PII Policy', () => {
+    const policy = {
+      patterns: [{ id: 'employee_id', pattern: 'EMP-\\d{6}' }],
+      fieldNames: ['badge'],
+      fields: { email: 'hash', work_email: 'allow', card_number: 'block' }
+    };
+
+    it('should reject malformed policies', () => {
+      expect(() => compilePIIPolicy(null)).toThrow('must be an object');
+      expect(() => compilePIIPolicy({ defaultAction: 'shred' })).toThrow('Unknown PII action');
+      expect(() => compilePIIPolicy({ fields: { email: 'keep' } })).toThrow('Unknown PII action for field email');
+      expect(() => compilePIIPolicy({ patterns: [{ id: 'x', pattern: '(' }] })).toThrow();
+      expect(() => compilePIIPolicy({ locales: ['xx'] })).toThrow('Unknown PII locale');
+    });
+
+    it('should apply each field\'s action', () => {
+      const result = applyPIIPolicy({
+        email: 'jane@example.com',
+        work_email: 'jane@company.com',
+        badge_id: '1234',
+        note: 'Staff EMP-123456 called',
+        message: 'Hello'
+      }, policy);
+
+      expect(result.data.email).toMatch(/^hash:[0-9a-f]{16}$/);
+      expect(result.data.work_email).toBe('jane@company.com');
+      expect(result.data.badge_id).toBe('[REDACTED]');
+      expect(result.data.note).toBe('Staff [REDACTED] called');
+      expect(result.data.message).toBe('Hello');
+    });
+
+    it('should report the rules that fired without values', () => {
+      const result = applyPIIPolicy({ note: 'Staff EMP-123456', badge: 'x' }, policy);
+
+      expect(result.rules).toEqual([
+        { field: 'badge', path: '/badge', rule: 'field_name', action: 'redact' },
+        { field: 'note', path: '/note', rule: 'employee_id', action: 'redact' }
+      ]);
+      expect(JSON.stringify(result.rules)).not.toContain('EMP-123456');
+    });
+
+    it('should block when a field\'s action is block', () => {
+      let error;
+      try {
+        applyPIIPolicy({ card_number: '4111 1111 1111 1111' }, policy);
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).toMatchObject({
+        code: 'PII_BLOCKED',
+        rules: expect.arrayContaining([
+          { field: 'card_number', path: '/card_number', rule: 'field_name', action: 'block' },
+          { field: 'card_number', path: '/card_number', rule: 'creditCard', action: 'block' }
+        ])
+      });
+    });
+
+    it('should use the policy default action', () => {
+      const result = applyPIIPolicy({ note: 'Mail jane@example.com' }, { defaultAction: 'allow' });
+
+      expect(result.data.note).toBe('Mail jane@example.com');
+      expect(result.wasModified).toBe(false);
+    });
+  });
+
+  describe('VeilForms.submit PII policy', () => {
+    const realFetch = global.fetch;
+
+    afterEach(() => {
+      global.fetch = realFetch;
+    });
+
+    it('should enforce the policy before sending', async () => {
+      global.fetch = jest.fn(async () => ({ ok: true, json: async () => ({ success: true }) }));
+      VeilForms.init('vf_contact', {
+        encryption: false,
+        autoBind: false,
+        piiPolicy: { fields: { message: 'redact' } }
+      });
+
+      const result = await VeilForms.submit({ message: 'Call 555-123-4567' });
+      const sent = JSON.parse(global.fetch.mock.calls[0][1].body);
+
+      expect(sent.payload.data.message).toBe('Call [REDACTED]');
+      expect(result.piiRules).toEqual([{ field: 'message', path: '/message', rule: 'phone', action: 'redact' }]);
+    });
+
+    it('should not send a blocked submission', async () => {
+      global.fetch = jest.fn();
+      VeilForms.init('vf_contact', {
+        encryption: false,
+        autoBind: false,
+        piiPolicy: { defaultAction: 'block' }
+      });
+
+      await expect(VeilForms.submit({ message: 'jane@example.com' })).rejects.toMatchObject({ code: 'PII_BLOCKED' });
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should reject an invalid policy at init', () => {
+      expect(() => VeilForms.init('vf_contact', {
+        autoBind: false,
+        piiPolicy: { defaultAction: 'shred' }
+      })).toThrow('Unknown PII action');
+    });
+
+    it('should send fields to pseudonymize as entered, for the owner to pseudonymize', async () => {
+      global.fetch = jest.fn(async () => ({ ok: true, json: async () => ({ success: true }) }));
+      VeilForms.init('vf_contact', {
+        encryption: false,
+        autoBind: false,
+        piiPolicy: { defaultAction: 'redact', fields: { email: 'pseudonymize' } }
+      });
+
+      const result = await VeilForms.submit({ email: 'jane@example.com', phone: '555-123-4567' });
+      const sent = JSON.parse(global.fetch.mock.calls[0][1].body);
+
+      expect(sent.payload.data).toEqual({ email: 'jane@example.com', phone: '[REDACTED]' });
+      expect(result.piiRules).toContainEqual({ field: 'email', path: '/email', rule: 'field_name', action: 'pseudonymize' });
+    });
+  });
+
+  describe('Pseudonymization', () => {
+    const key = generatePseudonymKey();
+
+    it('should give the same pseudonym for the same value and key', () => {
+      const token = pseudonymize('Jane@Example.com', key);
+
+      expect(token).toMatch(/^pn_[0-9a-f]{16}$/);
+      expect(pseudonymize(' jane@example.com ', key)).toBe(token);
+      expect(pseudonymize('sam@example.com', key)).not.toBe(token);
+      expect(pseudonymize('jane@example.com', generatePseudonymKey())).not.toBe(token);
+    });
+
+    it('should keep the email domain', () => {
+      expect(pseudonymize('jane@example.com', key, 'keep-domain')).toMatch(/^pn_[0-9a-f]{16}@example\.com$/);
+    });
+
+    it('should keep the last four digits and the separators', () => {
+      const masked = pseudonymize('4111-1111-1111-1234', key, 'last4');
+
+      expect(masked).toMatch(/^\d{4}-\d{4}-\d{4}-1234$/);
+      expect(pseudonymize('4111-1111-1111-1234', key, 'last4')).toBe(masked);
+      expect(pseudonymize('4111-1111-1111-9999', key, 'last4')).not.toMatch(/^\d{4}-\d{4}-\d{4}-1234$/);
+    });
+
+    it('should reject unknown formats and malformed keys', () => {
+      expect(() => pseudonymize('jane@example.com', key, 'reversible')).toThrow();
+      expect(() => pseudonymize('jane@example.com', 'short')).toThrow('Pseudonym key must be');
+    });
+
+    it('should pseudonymize matches inside free text so records still join', () => {
+      const first = stripPII({ message: 'Reach me at jane@example.com' }, { pseudonymize: { key } });
+      const second = stripPII({ email: 'jane@example.com' }, { pseudonymize: { key } });
+
+      expect(first.data.message).toBe(`Reach me at ${second.data.email}`);
+      expect(first.strippedFields).toEqual(['message']);
+    });
+
+    it('should apply per-field formats from the policy', () => {
+      const result = applyPIIPolicy(
+        { email: 'jane@example.com', card_number: '4111 1111 1111 1111', notes: 'jane@example.com' },
+        { defaultAction: 'redact', fields: { email: 'pseudonymize', card_number: 'pseudonymize' }, formats: { email: 'keep-domain', card_number: 'last4' } },
+        { pseudonymKey: key }
+      );
+
+      expect(result.data.email).toMatch(/@example\.com$/);
+      expect(result.data.card_number).toMatch(/^\d{4} \d{4} \d{4} 1111$/);
+      expect(result.data.notes).toBe('[REDACTED]');
+      expect(result.rules).toContainEqual({ field: 'email', path: '/email', rule: 'field_name', action: 'pseudonymize' });
+    });
+
+    it('should pseudonymize decrypted submissions without touching other fields', () => {
+      const policy = { defaultAction: 'hash', fields: { email: 'pseudonymize' }, formats: { email: 'keep-domain' } };
+      const sent = applyPIIPolicy({ email: 'jane@example.com', phone: '555-123-4567' }, policy).data;
+
+      const result = pseudonymizePIIFields(sent, policy, { pseudonymKey: key });
+
+      expect(result.data.email).toBe(pseudonymize('jane@example.com', key, 'keep-domain'));
+      expect(result.data.phone).toBe(sent.phone);
+      expect(result.fields).toEqual(['email']);
+    });
+  });
+
+  describe('Nested Data', () => {
+    const data = {
+      interests: ['news', 'Email me at jane@example.com'],
+      contacts: [{ email: 'sam@example.com', note: 'Colleague' }],
+      'a/b': { note: 'SSN 123-45-6789' }
+    };
+
+    it('should report JSON pointer paths for nested findings', () => {
+      const result = detectPII(data);
+
+      expect(result.patterns).toContainEqual({ field: 'interests', path: '/interests/1', type: 'email' });
+      expect(result.fields).toContainEqual({ field: 'contacts', path: '/contacts/0/email', reason: 'field_name_suggests_pii' });
+      expect(result.patterns).toContainEqual({ field: 'a/b', path: '/a~1b/note', type: 'ssn' });
+    });
+
+    it('should strip nested values and keep their shape', () => {
+      const result = stripPII(data);
+
+      expect(result.data).toEqual({
+        interests: ['news', 'Email me at [REDACTED]'],
+        contacts: [{ email: '[REDACTED]', note: 'Colleague' }],
+        'a/b': { note: 'SSN [REDACTED]' }
+      });
+      expect(result.strippedFields).toEqual(['interests', 'contacts', 'a/b']);
+      expect(result.strippedPaths).toEqual(['/interests/1', '/contacts/0/email', '/a~1b/note']);
+      expect(data.contacts[0].email).toBe('sam@example.com');
+    });
+
+    it('should hash every value under a PII key', () => {
+      const result = stripPII({ emails: ['a@example.com', 'b@example.com'] }, { hashInsteadOfRedact: true });
+
+      expect(result.data.emails).toHaveLength(2);
+      result.data.emails.forEach(hash => expect(hash).toMatch(/^hash:[0-9a-f]{16}$/));
+      expect(result.data.emails[0]).not.toBe(result.data.emails[1]);
+    });
+
+    it('should match the Web Crypto hash synchronously', async () => {
+      const result = stripPII({ email: ' Jane@Example.com ' }, { hashInsteadOfRedact: true });
+      const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode('jane@example.com'));
+      const hex = Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+
+      expect(result.data.email).toBe('hash:' + hex.substring(0, 16));
+    });
+
+    it('should preserve nested paths by JSON pointer', () => {
+      const result = stripPII(data, { preserveFields: ['/contacts/0'] });
+
+      expect(result.data.contacts[0].email).toBe('sam@example.com');
+      expect(result.data.interests[1]).toBe('Email me at [REDACTED]');
+    });
+
+    it('should check nested values in noPII fields', () => {
+      const validate = createPIISchema({ tags: { noPII: true } });
+
+      expect(validate({ tags: ['ok', 'jane@example.com'] }).errors).toEqual([
+        'Field "tags" contains email but is marked as noPII'
+      ]);
+    });
+
+    it('should apply policies to nested findings', () => {
+      const result = applyPIIPolicy({ contacts: [{ phone: '555-123-4567' }] }, { fields: { contacts: 'hash' } });
+
+      expect(result.data.contacts[0].phone).toMatch(/^hash:/);
+      expect(result.rules).toContainEqual({ field: 'contacts', path: '/contacts/0/phone', rule: 'field_name', action: 'hash' });
+    });
+  });
 });
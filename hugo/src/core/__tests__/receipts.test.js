@@ -0,0 +1,106 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Submission receipt tests
+ * Covers verifying receipts signed by the server and the SDK returning them
+ */
+
+import { jest, describe, it, expect, beforeAll, afterEach } from '@jest/globals';
+
+const signingPair = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+process.env.RECEIPT_SIGNING_KEY = JSON.stringify(await crypto.subtle.exportKey('jwk', signingPair.privateKey));
+
+const { generateKeyPair, encryptSubmission } = await import('../encryption.js');
+const { hashCiphertext, verifyReceipt } = await import('../receipts.js');
+const server = await import('../../../netlify/functions/lib/receipts.js');
+const { default: VeilForms } = await import('../../client/veilforms.js');
+
+const context = { formId: 'vf_contact', submissionId: 'vf-12345678-1234-4123-8123-123456789abc' };
+
+let payload;
+let receipt;
+let keys;
+
+beforeAll(async () => {
+  const { publicKey } = await generateKeyPair();
+  payload = await encryptSubmission({ complaint: 'late delivery' }, publicKey, context);
+  receipt = await server.signReceipt({ id: context.submissionId, formId: context.formId, receivedAt: Date.now(), payload });
+  keys = await server.getReceiptVerificationKeys();
+});
+
+describe('hashCiphertext', () => {
+  it('should match the server', async () => {
+    expect(await hashCiphertext(payload)).toBe(await server.hashCiphertext(payload));
+  });
+});
+
+describe('verifyReceipt', () => {
+  it('should verify a receipt against the published keys', async () => {
+    await expect(verifyReceipt(receipt, keys, { payload })).resolves.toEqual({
+      formId: context.formId,
+      submissionId: context.submissionId,
+      receivedAt: receipt.receivedAt,
+      kid: receipt.kid
+    });
+  });
+
+  it('should accept bare JWKs', async () => {
+    await expect(verifyReceipt(receipt, [keys[0].publicKey])).resolves.toBeTruthy();
+  });
+
+  it('should reject an altered receipt', async () => {
+    await expect(verifyReceipt({ ...receipt, receivedAt: '2020-01-01T00:00:00.000Z' }, keys))
+      .rejects.toThrow('signature is invalid');
+    await expect(verifyReceipt({ ...receipt, submissionId: 'vf-other' }, keys))
+      .rejects.toThrow('signature is invalid');
+  });
+
+  it('should reject a receipt for other ciphertext', async () => {
+    const other = { ...payload, data: btoa('something else') };
+    await expect(verifyReceipt(receipt, keys, { payload: other })).rejects.toThrow('does not match');
+  });
+
+  it('should reject keys that are not published', async () => {
+    const stranger = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign']);
+    const strangerJwk = await crypto.subtle.exportKey('jwk', stranger.publicKey);
+
+    await expect(verifyReceipt(receipt, [strangerJwk])).rejects.toThrow('not published');
+    // A listed kid that isn't the key's thumbprint doesn't count
+    await expect(verifyReceipt(receipt, [{ kid: receipt.kid, publicKey: strangerJwk }])).rejects.toThrow('not published');
+  });
+
+  it('should reject malformed receipts', async () => {
+    await expect(verifyReceipt(null, keys)).rejects.toThrow('missing required fields');
+    await expect(verifyReceipt({ ...receipt, version: 'vf-r9' }, keys)).rejects.toThrow('Unsupported receipt version');
+  });
+});
+
+describe('VeilForms.submit receipts', () => {
+  const realFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = realFetch;
+  });
+
+  it('should return the receipt the server issues', async () => {
+    global.fetch = jest.fn(async () => ({ ok: true, json: async () => ({ success: true, receipt }) }));
+    VeilForms.init('vf_contact', { encryption: false, autoBind: false, piiWarning: false });
+
+    const result = await VeilForms.submit({ message: 'hi' });
+
+    expect(result.receipt).toEqual(receipt);
+    await expect(VeilForms.utils.verifyReceipt(result.receipt, keys)).resolves.toBeTruthy();
+  });
+
+  it('should succeed without a receipt', async () => {
+    global.fetch = jest.fn(async () => ({ ok: true, json: async () => ({ success: true }) }));
+    VeilForms.init('vf_contact', { encryption: false, autoBind: false, piiWarning: false });
+
+    const result = await VeilForms.submit({ message: 'hi' });
+
+    expect(result.success).toBe(true);
+    expect(result.receipt).toBeUndefined();
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * scrypt tests
+ * Test vectors from RFC 7914, section 12
+ */
+
+import { describe, it, expect } from '@jest/globals';
+
+const { scrypt } = await import('../scrypt.js');
+
+const hex = bytes => Buffer.from(bytes).toString('hex');
+const utf8 = text => new TextEncoder().encode(text);
+
+describe('scrypt', () => {
+  it('should match the RFC 7914 vector for an empty password', async () => {
+    const key = await scrypt('', new Uint8Array(0), { N: 16, r: 1, p: 1 }, 64);
+
+    expect(hex(key)).toBe(
+      '77d6576238657b203b19ca42c18a0497f16b4844e3074ae8dfdffa3fede21442' +
+      'fcd0069ded0948f8326a753a0fc81f17e8d3e0fb2e0d3628cf35e20c38d18906'
+    );
+  });
+
+  it('should match the RFC 7914 vector with parallelism', async () => {
+    const key = await scrypt('password', utf8('NaCl'), { N: 1024, r: 8, p: 16 }, 64);
+
+    expect(hex(key)).toBe(
+      'fdbabe1c9d3472007856e7190d01e9fe7c6ad7cbc8237830e77376634b373162' +
+      '2eaf30d92e22a3886ff109279d9830dac727afb94a83ee6d8360cbdfa2cc0640'
+    );
+  });
+
+  it('should default to a 32-byte key', async () => {
+    const key = await scrypt('password', utf8('salt'), { N: 16, r: 1, p: 1 });
+    expect(key.byteLength).toBe(32);
+  });
+
+  it('should reject N that is not a power of two', async () => {
+    await expect(scrypt('password', utf8('salt'), { N: 1000, r: 8, p: 1 })).rejects.toThrow('power of two');
+    await expect(scrypt('password', utf8('salt'), { N: 16, r: 0, p: 1 })).rejects.toThrow('positive integers');
+  });
+});
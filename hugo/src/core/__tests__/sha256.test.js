@@ -0,0 +1,56 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * SHA-256 and HMAC-SHA-256 tests
+ * Test vectors from FIPS 180-4 examples and RFC 4231, checked against node:crypto
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { createHash, createHmac } from 'node:crypto';
+
+const { sha256, hmacSha256 } = await import('../sha256.js');
+
+const hex = bytes => Buffer.from(bytes).toString('hex');
+
+describe('sha256', () => {
+  it('should match the FIPS 180-4 one-block vector', () => {
+    expect(hex(sha256('abc'))).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+  });
+
+  it('should match the FIPS 180-4 two-block vector', () => {
+    expect(hex(sha256('abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq')))
+      .toBe('248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1');
+  });
+
+  it('should hash the empty string', () => {
+    expect(hex(sha256(''))).toBe('e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+  });
+
+  it('should match node:crypto around padding boundaries', () => {
+    for (const length of [55, 56, 63, 64, 65, 1000]) {
+      const bytes = Uint8Array.from({ length }, (_, i) => (i * 31 + 7) & 255);
+      expect(hex(sha256(bytes))).toBe(createHash('sha256').update(bytes).digest('hex'));
+    }
+  });
+
+  it('should UTF-8 encode strings', () => {
+    expect(hex(sha256('héllo'))).toBe(createHash('sha256').update('héllo', 'utf8').digest('hex'));
+  });
+});
+
+describe('hmacSha256', () => {
+  it('should match RFC 4231 test case 1', () => {
+    expect(hex(hmacSha256(new Uint8Array(20).fill(0x0b), 'Hi There')))
+      .toBe('b0344c61d8db38535ca8afceaf0bf12b881dc200c9833da726e9376c2e32cff7');
+  });
+
+  it('should hash keys longer than a block first', () => {
+    const key = new Uint8Array(131).fill(0xaa);
+    const message = 'Test Using Larger Than Block-Size Key - Hash Key First';
+
+    expect(hex(hmacSha256(key, message)))
+      .toBe(createHmac('sha256', key).update(message).digest('hex'));
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Shamir secret sharing and share-protected key bundle tests
+ * Uses the real Web Crypto implementation so bundles round-trip
+ */
+
+import { describe, it, expect, beforeAll } from '@jest/globals';
+
+const {
+  splitSecret,
+  combineShares,
+  createShareSet,
+  recoverSecret,
+  decodeShare
+} = await import('../shamir.js');
+
+const {
+  generateKeyPair,
+  exportPrivateKeys,
+  exportPrivateKeysToShares,
+  importPrivateKeys,
+  importPrivateKeysFromShares
+} = await import('../encryption.js');
+
+const secret = new Uint8Array([0, 1, 2, 127, 128, 200, 255, 42]);
+
+describe('splitSecret / combineShares', () => {
+  it('should recover the secret from any threshold-sized subset', () => {
+    const shares = splitSecret(secret, 5, 3);
+
+    expect(shares).toHaveLength(5);
+    expect(combineShares([shares[0], shares[1], shares[2]])).toEqual(secret);
+    expect(combineShares([shares[4], shares[1], shares[3]])).toEqual(secret);
+    expect(combineShares(shares)).toEqual(secret);
+  });
+
+  it('should not recover the secret from fewer shares than the threshold', () => {
+    const shares = splitSecret(secret, 5, 3);
+
+    expect(combineShares([shares[0], shares[1]])).not.toEqual(secret);
+  });
+
+  it('should reject invalid share counts and thresholds', () => {
+    expect(() => splitSecret(secret, 1, 1)).toThrow('between 2 and 255');
+    expect(() => splitSecret(secret, 3, 4)).toThrow('Threshold');
+    expect(() => splitSecret(new Uint8Array(0), 3, 2)).toThrow('non-empty');
+  });
+
+  it('should reject the same share given twice', () => {
+    const shares = splitSecret(secret, 3, 2);
+
+    expect(() => combineShares([shares[0], shares[0]])).toThrow('twice');
+  });
+});
+
+describe('share strings', () => {
+  it('should only use QR alphanumeric characters', () => {
+    const { shares } = createShareSet(secret, { shares: 3, threshold: 2 });
+
+    for (const share of shares) {
+      expect(share).toMatch(/^VFS1-[A-Z2-7]{8}-2-\d+-[A-Z2-7]+-[0-9A-F]{4}$/);
+    }
+  });
+
+  it('should recover the secret regardless of case and whitespace', () => {
+    const { setId, shares } = createShareSet(secret, { shares: 4, threshold: 2 });
+    const retyped = ` ${shares[3].toLowerCase()}\n`;
+
+    const recovered = recoverSecret([retyped, shares[1]]);
+
+    expect(recovered.setId).toBe(setId);
+    expect(recovered.secret).toEqual(secret);
+  });
+
+  it('should catch typos with the checksum', () => {
+    const { shares } = createShareSet(secret, { shares: 2, threshold: 2 });
+    const parts = shares[0].split('-');
+    parts[4] = (parts[4][0] === 'A' ? 'B' : 'A') + parts[4].slice(1);
+
+    expect(() => decodeShare(parts.join('-'))).toThrow('checksum');
+    expect(() => decodeShare('hello')).toThrow('Not a VeilForms recovery share');
+  });
+
+  it('should refuse to mix share sets or recover from too few shares', () => {
+    const first = createShareSet(secret, { shares: 3, threshold: 2 });
+    const second = createShareSet(secret, { shares: 3, threshold: 2 });
+
+    expect(() => recoverSecret([first.shares[0], second.shares[1]])).toThrow('different share sets');
+    expect(() => recoverSecret([first.shares[0]])).toThrow('2 shares are needed');
+  });
+});
+
+describe('exportPrivateKeysToShares / importPrivateKeysFromShares', () => {
+  let privateKeys;
+
+  beforeAll(async () => {
+    const { privateKey } = await generateKeyPair();
+    privateKeys = { vf_contact: privateKey };
+  });
+
+  it('should round-trip keys through a threshold of shares', async () => {
+    const { bundle, shares } = await exportPrivateKeysToShares(privateKeys, { shares: 5, threshold: 3 });
+
+    expect(bundle).toMatchObject({ version: '1.0', algorithm: 'SHAMIR-AES-GCM-256', shares: 5, threshold: 3 });
+    expect(bundle.salt).toBeUndefined();
+    expect(shares).toHaveLength(5);
+
+    const restored = await importPrivateKeysFromShares(bundle, [shares[4], shares[0], shares[2]]);
+    expect(restored).toEqual(privateKeys);
+  });
+
+  it('should reject shares from another bundle', async () => {
+    const first = await exportPrivateKeysToShares(privateKeys, { shares: 3, threshold: 2 });
+    const second = await exportPrivateKeysToShares(privateKeys, { shares: 3, threshold: 2 });
+
+    await expect(importPrivateKeysFromShares(first.bundle, second.shares.slice(0, 2)))
+      .rejects.toThrow('different key bundle');
+  });
+
+  it('should not be opened as a password bundle, or the reverse', async () => {
+    const { bundle } = await exportPrivateKeysToShares(privateKeys, { shares: 3, threshold: 2 });
+    const passwordBundle = await exportPrivateKeys(privateKeys, 'correct horse battery');
+
+    await expect(importPrivateKeys(bundle, 'anything')).rejects.toThrow('recovery shares');
+    await expect(importPrivateKeysFromShares(passwordBundle, [])).rejects.toThrow('Invalid key bundle format');
+  });
+});
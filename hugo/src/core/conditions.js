@@ -0,0 +1,358 @@
+/**
+ * VeilForms - Conditional Logic
+ * Evaluates the conditions set in the form builder. The SDK renderer, the
+ * dashboard preview and the tests all use this module, so a rule behaves the
+ * same wherever the form is shown
+ *
+ * A field's conditions look like:
+ *   { version: 2, action: 'show', logic: 'all',
+ *     rules: [{ field: '<field id>', operator: 'equals', value: 'Yes' },
+ *             { logic: 'any', rules: [...] }] }
+ * Entries with their own `rules` are nested groups, so (A and B) or C is an
+ * `any` group holding an `all` group and a rule. Actions:
+ *   show / hide  - the field; on a page break, the whole page after it
+ *   require      - the field must be answered
+ *   jump         - after this field's page, go on to the page break `target`
+ *   set_value    - a hidden field gets `value`
+ * Conditions saved before versions were added (version 1) had only show and
+ * hide and one flat list of the first five operators
+ */
+
+export const FORM_SCHEMA_VERSION = 2;
+
+// Operators and the kind of value their rules compare against
+const OPERATOR_VALUE_TYPES = {
+  equals: 'text',
+  not_equals: 'text',
+  contains: 'text',
+  is_empty: 'none',
+  is_not_empty: 'none',
+  greater_than: 'number',
+  less_than: 'number',
+  before: 'date',
+  after: 'date',
+  matches: 'pattern',
+  is_one_of: 'list',
+  contains_any: 'list',
+};
+
+export const CONDITION_OPERATORS = Object.keys(OPERATOR_VALUE_TYPES);
+export const CONDITION_ACTIONS = ['show', 'hide', 'require', 'jump', 'set_value'];
+
+/**
+ * Create conditions for a field that has none yet
+ * @returns {object}
+ */
+export function createConditions() {
+  return { version: FORM_SCHEMA_VERSION, action: 'show', logic: 'all', rules: [] };
+}
+
+/**
+ * Upgrade a field's conditions to the current version
+ * Conditions from a newer builder are returned untouched, so saving the form
+ * again doesn't lose them
+ * @param {object|null} conditions
+ * @returns {object|null}
+ */
+export function upgradeConditions(conditions) {
+  if (!conditions || conditions.version > FORM_SCHEMA_VERSION) return conditions || null;
+  return {
+    ...conditions,
+    version: FORM_SCHEMA_VERSION,
+    action: conditions.action || 'show',
+    logic: conditions.logic || 'all',
+    rules: conditions.rules || [],
+  };
+}
+
+/**
+ * Upgrade every field of a saved form
+ * @param {Array<object>} fields
+ * @returns {Array<object>} - Copies of the fields
+ */
+export function upgradeFields(fields) {
+  return fields.map(field => ({ ...field, conditions: upgradeConditions(field.conditions) }));
+}
+
+/**
+ * Kind of value a rule with this operator needs
+ * @param {string} operator
+ * @returns {string} - 'text', 'number', 'date', 'pattern', 'list' or 'none'
+ */
+export function getOperatorValueType(operator) {
+  return OPERATOR_VALUE_TYPES[operator] || 'text';
+}
+
+/**
+ * Check whether a submitted value counts as empty
+ * @param {*} value - String, array of strings (checkbox groups) or nothing
+ * @returns {boolean}
+ */
+export function isEmptyValue(value) {
+  if (value === undefined || value === null) return true;
+  if (Array.isArray(value)) return value.every(isEmptyValue);
+  return String(value).trim() === '';
+}
+
+/**
+ * Evaluate one rule against the value of the field it refers to
+ * Checkbox groups have several values. `equals`, `contains`, the comparisons
+ * and `matches` match if any checked option does; `is_one_of` needs every
+ * checked option to be listed and `contains_any` just one. `contains` and
+ * `contains_any` ignore case. Numbers, dates and patterns that don't parse
+ * never match
+ * @param {object} rule - `{ operator, value }`; a list for `is_one_of` and `contains_any`
+ * @param {*} value - The field's current value
+ * @returns {boolean} - False for operators this version doesn't know
+ */
+export function evaluateRule(rule, value) {
+  const values = (Array.isArray(value) ? value : [value])
+    .filter(v => v !== undefined && v !== null)
+    .map(String);
+  const expected = String(rule.value ?? '');
+  const list = (Array.isArray(rule.value) ? rule.value : [rule.value])
+    .filter(v => v !== undefined && v !== null)
+    .map(String);
+
+  switch (rule.operator) {
+    case 'equals':
+      return values.some(v => v === expected);
+    case 'not_equals':
+      return !values.some(v => v === expected);
+    case 'contains':
+      return values.some(v => v.toLowerCase().includes(expected.toLowerCase()));
+    case 'is_empty':
+      return isEmptyValue(value);
+    case 'is_not_empty':
+      return !isEmptyValue(value);
+    case 'greater_than':
+      return compare(values, expected, toNumber, (a, b) => a > b);
+    case 'less_than':
+      return compare(values, expected, toNumber, (a, b) => a < b);
+    case 'before':
+      return compare(values, expected, toTime, (a, b) => a < b);
+    case 'after':
+      return compare(values, expected, toTime, (a, b) => a > b);
+    case 'matches': {
+      const pattern = toPattern(expected);
+      return Boolean(pattern) && values.some(v => pattern.test(v));
+    }
+    case 'is_one_of':
+      return !isEmptyValue(value) && values.every(v => list.includes(v));
+    case 'contains_any':
+      return Array.isArray(value)
+        ? values.some(v => list.includes(v))
+        : values.some(v => list.some(item => item !== '' && v.toLowerCase().includes(item.toLowerCase())));
+    default:
+      return false;
+  }
+}
+
+function compare(values, expected, parse, test) {
+  const limit = parse(expected);
+  if (limit === null) return false;
+  return values.some((v) => {
+    const parsed = parse(v);
+    return parsed !== null && test(parsed, limit);
+  });
+}
+
+function toNumber(value) {
+  if (value.trim() === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Dates from date inputs (YYYY-MM-DD) or full ISO timestamps
+function toTime(value) {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+const patterns = new Map();
+function toPattern(source) {
+  if (!patterns.has(source)) {
+    let pattern = null;
+    try {
+      pattern = new RegExp(source);
+    } catch (err) {
+      // An invalid pattern matches nothing
+    }
+    patterns.set(source, pattern);
+  }
+  return patterns.get(source);
+}
+
+/**
+ * Check whether a group of rules matches
+ * Rules the builder left unfinished (no field chosen yet) and empty groups
+ * are ignored
+ * @param {object} group - `{ logic, rules }`, e.g. a field's conditions
+ * @param {function} getValue - `(fieldId) => value` of the field a rule refers to
+ * @returns {boolean|null} - Null if there are no rules to evaluate, or the
+ *   conditions come from a newer builder than this SDK
+ */
+export function matchConditions(group, getValue) {
+  if (group.version > FORM_SCHEMA_VERSION) return null;
+
+  const results = (group.rules || [])
+    .map((entry) => {
+      if (entry && Array.isArray(entry.rules)) return matchConditions(entry, getValue);
+      return entry && entry.field ? evaluateRule(entry, getValue(entry.field)) : null;
+    })
+    .filter(result => result !== null);
+  if (results.length === 0) return null;
+
+  return group.logic === 'any' ? results.some(Boolean) : results.every(Boolean);
+}
+
+/**
+ * Apply every field's conditions to the current answers
+ * A hidden field counts as empty for the rules of other fields, so hiding a
+ * question also hides the follow-ups that depend on its answer. Rules that
+ * refer to each other in a loop use the values as entered. Jumps only go
+ * forward; the pages they skip are hidden like any other
+ * @param {Array<object>} fields - Schema fields, in form order
+ * @param {object} values - Current values by field name
+ * @returns {{ hidden: Set<string>, required: Set<string>, values: object, jumps: Array<object> }} -
+ *   IDs of the hidden fields (including page breaks and every field on a
+ *   hidden page) and of the fields a condition requires, the values of
+ *   hidden fields with a `set_value` action by name, and the jumps that
+ *   fire as `{ from, to }` page break IDs (`from` is null on the first page)
+ */
+export function evaluateForm(fields, values) {
+  const pages = [null, ...fields.filter(field => field.type === 'page_break').map(field => field.id)];
+  let skipped = new Set();
+  let result = evaluateOnce(fields, values, skipped);
+
+  // Skipping a page hides its answers, which can change which jumps fire;
+  // re-evaluate until the skipped pages settle, at most once per page
+  for (let round = 0; round < pages.length; round++) {
+    const next = skippedPages(fields, pages, result);
+    if (next.size === skipped.size && [...next].every(id => skipped.has(id))) break;
+    skipped = next;
+    result = evaluateOnce(fields, values, skipped);
+  }
+
+  return result;
+}
+
+function evaluateOnce(fields, values, skipped) {
+  const byId = new Map(fields.map(field => [field.id, field]));
+
+  // Each field's page break, if it comes after one
+  const pageOf = new Map();
+  let page = null;
+  for (const field of fields) {
+    if (field.type === 'page_break') {
+      page = field.id;
+    } else if (page) {
+      pageOf.set(field.id, page);
+    }
+  }
+
+  const hidden = new Map();
+  const matched = new Map();
+  const evaluating = new Set();
+
+  // Value a rule sees for a field
+  function getValue(id) {
+    const field = byId.get(id);
+    if (!field || isHidden(id)) return undefined;
+    if (field.type === 'hidden' && field.conditions?.action === 'set_value') {
+      return setValue(field);
+    }
+    return values[field.name];
+  }
+
+  function setValue(field) {
+    return isMatched(field) ? (field.conditions.value ?? '') : (field.defaultValue || '');
+  }
+
+  function isMatched(field) {
+    if (!matched.has(field.id)) {
+      matched.set(field.id, field.conditions ? matchConditions(field.conditions, getValue) === true : false);
+    }
+    return matched.get(field.id);
+  }
+
+  function isHidden(id) {
+    if (hidden.has(id)) return hidden.get(id);
+    const field = byId.get(id);
+    if (!field || evaluating.has(id)) return false;
+
+    evaluating.add(id);
+    let result = skipped.has(id) || (pageOf.has(id) && isHidden(pageOf.get(id)));
+    const action = field.conditions?.action;
+    if (!result && (action === 'show' || action === 'hide')) {
+      const match = matchConditions(field.conditions, getValue);
+      if (match !== null) {
+        result = action === 'hide' ? match : !match;
+      }
+    }
+    evaluating.delete(id);
+
+    hidden.set(id, result);
+    return result;
+  }
+
+  const result = { hidden: new Set(), required: new Set(), values: {}, jumps: [] };
+  for (const field of fields) {
+    if (isHidden(field.id)) {
+      result.hidden.add(field.id);
+      continue;
+    }
+    const action = field.conditions?.action;
+    if (action === 'require' && isMatched(field)) {
+      result.required.add(field.id);
+    } else if (action === 'set_value' && field.type === 'hidden') {
+      result.values[field.name] = setValue(field);
+    } else if (action === 'jump' && isMatched(field)) {
+      result.jumps.push({ from: pageOf.get(field.id) || null, to: field.conditions.target });
+    }
+  }
+  return result;
+}
+
+// Pages left out by the jumps that fire, following the form from the start
+function skippedPages(fields, pages, result) {
+  const skipped = new Set();
+  let index = 0;
+  while (index < pages.length) {
+    const jump = result.jumps.find(j => j.from === pages[index] && pages.indexOf(j.to) > index);
+    const next = jump ? pages.indexOf(jump.to) : index + 1;
+    for (let i = index + 1; i < next; i++) {
+      skipped.add(pages[i]);
+    }
+    index = next;
+  }
+  return skipped;
+}
+
+/**
+ * Work out which fields are hidden by conditions
+ * @param {Array<object>} fields - Schema fields, in form order
+ * @param {object} values - Current values by field name
+ * @returns {Set<string>} - IDs of the hidden fields
+ */
+export function getHiddenFields(fields, values) {
+  return evaluateForm(fields, values).hidden;
+}
+
+/**
+ * Apply a form's conditions to the data about to be submitted
+ * @param {Array<object>} fields - Schema fields
+ * @param {object} data - Values by field name
+ * @returns {object} - A copy of `data` without the answers to hidden fields
+ *   and with the values set by `set_value` actions
+ */
+export function applyFormLogic(fields, data) {
+  const { hidden, values } = evaluateForm(fields, data);
+  const result = { ...data, ...values };
+  for (const field of fields) {
+    if (field.name && hidden.has(field.id)) {
+      delete result[field.name];
+    }
+  }
+  return result;
+}
@@ -4,21 +4,52 @@
  * Based on ZTA.io Zero Trust principles
  */
 
+import { createShareSet, recoverSecret } from './shamir.js';
+import { scrypt } from './scrypt.js';
+
+// Form key algorithms. Elliptic-curve keys are much smaller than RSA-2048 and
+// wrap each submission key with ECIES (ephemeral ECDH + HKDF + AES-GCM)
+const KEY_ALGORITHMS = {
+  'RSA-OAEP-2048': {
+    params: {
+      name: 'RSA-OAEP',
+      modulusLength: 2048,
+      publicExponent: new Uint8Array([1, 0, 1]),
+      hash: 'SHA-256',
+    },
+    usages: ['encrypt', 'decrypt'],
+  },
+  'ECDH-P256': {
+    params: { name: 'ECDH', namedCurve: 'P-256' },
+    usages: ['deriveBits'],
+  },
+  'ECDH-X25519': {
+    params: { name: 'X25519' },
+    usages: ['deriveBits'],
+  },
+};
+
+export const DEFAULT_KEY_ALGORITHM = 'RSA-OAEP-2048';
+
+// Envelope versions that bind the form and submission IDs into the ciphertext
+export const BOUND_PAYLOAD_VERSIONS = new Set(['vf-e3', 'vf-e4']);
+
 /**
  * Generate a new encryption key pair for a form
  * Public key encrypts submissions, private key for owner to decrypt
+ * @param {string} [algorithm] - 'RSA-OAEP-2048' (default), 'ECDH-P256' or 'ECDH-X25519'
  * @returns {Promise<object>} - Key pair with public/private keys
  */
-export async function generateKeyPair() {
+export async function generateKeyPair(algorithm = DEFAULT_KEY_ALGORITHM) {
+  const spec = KEY_ALGORITHMS[algorithm];
+  if (!spec) {
+    throw new Error(`Unsupported key algorithm: ${algorithm}`);
+  }
+
   const keyPair = await crypto.subtle.generateKey(
-    {
-      name: 'RSA-OAEP',
-      modulusLength: 2048,
-      publicExponent: new Uint8Array([1, 0, 1]),
-      hash: 'SHA-256',
-    },
+    spec.params,
     true, // extractable
-    ['encrypt', 'decrypt']
+    spec.usages
   );
 
   const publicKey = await crypto.subtle.exportKey('jwk', keyPair.publicKey);
@@ -43,22 +74,78 @@ async function generateSymmetricKey() {
   );
 }
 
+/**
+ * Get the algorithm a form key is used with
+ * @param {object} jwk - Public or private key (JWK format)
+ * @returns {string} - 'RSA-OAEP-2048', 'ECDH-P256' or 'ECDH-X25519'
+ */
+export function getKeyAlgorithm(jwk) {
+  if (jwk?.kty === 'RSA') return 'RSA-OAEP-2048';
+  if (jwk?.kty === 'EC' && jwk.crv === 'P-256') return 'ECDH-P256';
+  if (jwk?.kty === 'OKP' && jwk.crv === 'X25519') return 'ECDH-X25519';
+  throw new Error(`Unsupported key type: ${jwk?.kty}${jwk?.crv ? ` (${jwk.crv})` : ''}`);
+}
+
+/**
+ * Compute a stable key ID for a JWK (RFC 7638 thumbprint)
+ * Works on public and private keys alike, since only the public members are hashed
+ * @param {object} jwk - Key in JWK format
+ * @returns {Promise<string>} - Base64url-encoded SHA-256 thumbprint
+ */
+export async function getKeyId(jwk) {
+  if (!THUMBPRINT_MEMBERS[jwk?.kty]) {
+    throw new Error(`Unsupported key type for key ID: ${jwk?.kty}`);
+  }
+
+  // Members must be in lexicographic order with no whitespace
+  const canonical = JSON.stringify(publicMembers(jwk));
+  const hashBuffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(canonical));
+  return toBase64Url(arrayBufferToBase64(hashBuffer));
+}
+
+// Required public members per key type, already sorted (RFC 7638, RFC 8037)
+const THUMBPRINT_MEMBERS = {
+  RSA: ['e', 'kty', 'n'],
+  EC: ['crv', 'kty', 'x', 'y'],
+  OKP: ['crv', 'kty', 'x'],
+};
+
+function isEcKey(jwk) {
+  return jwk.kty === 'EC' || jwk.kty === 'OKP';
+}
+
+// Just the public members of a key, in thumbprint order
+function publicMembers(jwk) {
+  return Object.fromEntries(THUMBPRINT_MEMBERS[jwk.kty].map(member => [member, jwk[member]]));
+}
+
 /**
  * Encrypt form data client-side before submission
  * Uses hybrid encryption: AES for data, RSA for the AES key
+ * Passing an array of recipients produces a multi-recipient (vf-e2) envelope.
+ * Passing a context produces a vf-e3 envelope, which binds the form ID,
+ * submission ID and recipient key IDs into AES-GCM as additional data.
+ * If any recipient is an elliptic-curve key the envelope is vf-e4, which is
+ * vf-e3 with the AES key wrapped by ECIES for those recipients; EC keys
+ * always need a context
  * @param {object} formData - The form data to encrypt
- * @param {object} publicKeyJwk - Form owner's public key (JWK format)
+ * @param {object|Array<object>} publicKeyJwk - Form owner's public key (JWK format),
+ *   or a list of recipients as `{ kid, publicKey }` entries or bare JWKs
+ * @param {object} [context] - `{ formId, submissionId }` the payload belongs to
  * @returns {Promise<object>} - Encrypted payload
  */
-export async function encryptSubmission(formData, publicKeyJwk) {
+export async function encryptSubmission(formData, publicKeyJwk, context) {
+  if (context) {
+    const recipients = Array.isArray(publicKeyJwk) ? publicKeyJwk : [publicKeyJwk];
+    return encryptForRecipients(formData, recipients, context);
+  }
+
+  if (Array.isArray(publicKeyJwk) || isEcKey(publicKeyJwk)) {
+    return encryptForRecipients(formData, [publicKeyJwk].flat());
+  }
+
   // Import the public key
-  const publicKey = await crypto.subtle.importKey(
-    'jwk',
-    publicKeyJwk,
-    { name: 'RSA-OAEP', hash: 'SHA-256' },
-    false,
-    ['encrypt']
-  );
+  const publicKey = await importPublicKey(publicKeyJwk);
 
   // Generate a one-time symmetric key for this submission
   const symmetricKey = await generateSymmetricKey();
@@ -82,43 +169,138 @@ export async function encryptSubmission(formData, publicKeyJwk) {
     symmetricKeyBytes
   );
 
+  // Key ID lets the owner pick the right private key after rotations
+  const kid = publicKeyJwk.kid
+    || (THUMBPRINT_MEMBERS[publicKeyJwk.kty] ? await getKeyId(publicKeyJwk) : null);
+
   // Return the encrypted payload
   return {
     encrypted: true,
     version: 'vf-e1', // encryption version for future compatibility
+    ...(kid && { kid }),
     data: arrayBufferToBase64(encryptedData),
     key: arrayBufferToBase64(encryptedKey),
     iv: arrayBufferToBase64(iv),
   };
 }
 
+/**
+ * Encrypt form data for several recipients (vf-e2, or vf-e3/vf-e4 with a context)
+ * The data is encrypted once; the AES key is wrapped separately for each recipient
+ * @param {object} formData - The form data to encrypt
+ * @param {Array<object>} recipients - `{ kid, publicKey }` entries or bare public JWKs
+ * @param {object} [context] - `{ formId, submissionId }` to bind as additional data
+ * @returns {Promise<object>} - Encrypted payload
+ */
+async function encryptForRecipients(formData, recipients, context) {
+  if (recipients.length === 0) {
+    throw new Error('At least one recipient is required');
+  }
+
+  if (context && (!context.formId || !context.submissionId)) {
+    throw new Error('Both formId and submissionId are required to bind a submission');
+  }
+
+  // Resolve key IDs first: vf-e3 authenticates them along with the data
+  const resolved = [];
+  for (const recipient of recipients) {
+    const recipientJwk = recipient.publicKey || recipient;
+    const kid = recipient.kid || await getKeyId(recipientJwk);
+
+    if (!resolved.some(entry => entry.kid === kid)) {
+      resolved.push({ kid, publicKeyJwk: recipientJwk }); // Same key may be listed twice
+    }
+  }
+
+  const hasEcRecipient = resolved.some(({ publicKeyJwk }) => isEcKey(publicKeyJwk));
+  if (hasEcRecipient && !context) {
+    throw new Error('Elliptic-curve keys can only encrypt bound payloads: pass { formId, submissionId }');
+  }
+
+  const version = context ? (hasEcRecipient ? 'vf-e4' : 'vf-e3') : 'vf-e2';
+  const symmetricKey = await generateSymmetricKey();
+
+  const encoder = new TextEncoder();
+  const dataBytes = encoder.encode(JSON.stringify(formData));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+
+  const encryptedData = await crypto.subtle.encrypt(
+    context
+      ? { name: 'AES-GCM', iv, additionalData: buildAdditionalData(version, context, resolved.map(r => r.kid)) }
+      : { name: 'AES-GCM', iv },
+    symmetricKey,
+    dataBytes
+  );
+
+  const symmetricKeyBytes = await crypto.subtle.exportKey('raw', symmetricKey);
+
+  const wrapped = [];
+  for (const { kid, publicKeyJwk } of resolved) {
+    wrapped.push(await wrapSymmetricKey(symmetricKeyBytes, kid, publicKeyJwk));
+  }
+
+  return {
+    encrypted: true,
+    version,
+    ...(context && { formId: context.formId, submissionId: context.submissionId }),
+    data: arrayBufferToBase64(encryptedData),
+    iv: arrayBufferToBase64(iv),
+    recipients: wrapped,
+  };
+}
+
 /**
  * Decrypt form submission (form owner only)
+ * For multi-recipient payloads, the entry matching the given key is used.
+ * vf-e3 and vf-e4 payloads are checked against the form and submission they
+ * are stored under, so a payload moved from another submission is rejected.
+ * Those IDs must come from where the payload was found, never from the
+ * payload itself, so the context is required for them
  * @param {object} encryptedPayload - The encrypted submission
  * @param {object} privateKeyJwk - Form owner's private key (JWK format)
+ * @param {object} [context] - `{ formId, submissionId }` the payload was stored under
  * @returns {Promise<object>} - Decrypted form data
+ * @throws {Error} If a bound payload has no context or doesn't match it
  */
-export async function decryptSubmission(encryptedPayload, privateKeyJwk) {
+export async function decryptSubmission(encryptedPayload, privateKeyJwk, context) {
   if (!encryptedPayload.encrypted) {
     return encryptedPayload; // Not encrypted, return as-is
   }
 
-  // Import the private key
-  const privateKey = await crypto.subtle.importKey(
-    'jwk',
-    privateKeyJwk,
-    { name: 'RSA-OAEP', hash: 'SHA-256' },
-    false,
-    ['decrypt']
-  );
+  const isBound = BOUND_PAYLOAD_VERSIONS.has(encryptedPayload.version);
+  let additionalData;
+  if (isBound) {
+    if (!context?.formId || !context?.submissionId) {
+      throw new Error(`${encryptedPayload.version} payloads need the form and submission ID they were stored under to decrypt`);
+    }
+    const expected = { formId: context.formId, submissionId: context.submissionId };
+    if (encryptedPayload.formId !== expected.formId) {
+      throw new Error(`Submission payload belongs to form ${encryptedPayload.formId}, not ${expected.formId}`);
+    }
+    if (encryptedPayload.submissionId !== expected.submissionId) {
+      throw new Error(`Submission payload belongs to submission ${encryptedPayload.submissionId}, not ${expected.submissionId}`);
+    }
+    additionalData = buildAdditionalData(
+      encryptedPayload.version,
+      expected,
+      (encryptedPayload.recipients || []).map(r => r.kid)
+    );
+  }
+
+  // Pick the wrapped key meant for this private key
+  let entry;
+  if (encryptedPayload.version === 'vf-e2' || isBound) {
+    entry = await findRecipientEntry(encryptedPayload.recipients, privateKeyJwk);
+    if (!entry) {
+      throw new Error('This private key is not a recipient of the submission');
+    }
+  } else {
+    // Stored submissions carry `encryptedKey`; the SDK sends `key`
+    entry = { key: encryptedPayload.encryptedKey || encryptedPayload.key };
+  }
 
   // Decrypt the symmetric key
-  const encryptedKeyBytes = base64ToArrayBuffer(encryptedPayload.key);
-  const symmetricKeyBytes = await crypto.subtle.decrypt(
-    { name: 'RSA-OAEP' },
-    privateKey,
-    encryptedKeyBytes
-  );
+  const symmetricKeyBytes = await unwrapSymmetricKey(entry, privateKeyJwk);
 
   // Import the symmetric key
   const symmetricKey = await crypto.subtle.importKey(
@@ -133,16 +315,177 @@ export async function decryptSubmission(encryptedPayload, privateKeyJwk) {
   const iv = base64ToArrayBuffer(encryptedPayload.iv);
   const encryptedData = base64ToArrayBuffer(encryptedPayload.data);
 
-  const decryptedBytes = await crypto.subtle.decrypt(
-    { name: 'AES-GCM', iv },
-    symmetricKey,
-    encryptedData
-  );
+  let decryptedBytes;
+  try {
+    decryptedBytes = await crypto.subtle.decrypt(
+      isBound ? { name: 'AES-GCM', iv, additionalData } : { name: 'AES-GCM', iv },
+      symmetricKey,
+      encryptedData
+    );
+  } catch (err) {
+    if (isBound) {
+      throw new Error('Submission payload failed authentication: it was altered or does not belong to this form and submission');
+    }
+    throw err;
+  }
 
   const decoder = new TextDecoder();
   return JSON.parse(decoder.decode(decryptedBytes));
 }
 
+/**
+ * Build the AES-GCM additional data for a vf-e3 or vf-e4 payload
+ * @param {string} version - Envelope version
+ * @param {object} context - `{ formId, submissionId }`
+ * @param {Array<string>} kids - Recipient key IDs in payload order
+ * @returns {Uint8Array}
+ */
+function buildAdditionalData(version, context, kids) {
+  return new TextEncoder().encode(
+    JSON.stringify([version, context.formId, context.submissionId, kids])
+  );
+}
+
+/**
+ * Wrap the submission's AES key for one recipient
+ * RSA keys use RSA-OAEP. EC keys use ECIES: an ephemeral key pair is agreed
+ * with the recipient key, and the AES key is encrypted under an HKDF-derived
+ * key; the ephemeral public key (`epk`) travels with the entry
+ * @param {ArrayBuffer} symmetricKeyBytes - Raw AES key
+ * @param {string} kid - Recipient key ID
+ * @param {object} publicKeyJwk - Recipient public key (JWK format)
+ * @returns {Promise<object>} - Recipient entry
+ */
+async function wrapSymmetricKey(symmetricKeyBytes, kid, publicKeyJwk) {
+  if (!isEcKey(publicKeyJwk)) {
+    const publicKey = await importPublicKey(publicKeyJwk);
+    const encryptedKey = await crypto.subtle.encrypt(
+      { name: 'RSA-OAEP' },
+      publicKey,
+      symmetricKeyBytes
+    );
+    return { kid, key: arrayBufferToBase64(encryptedKey) };
+  }
+
+  const { params } = KEY_ALGORITHMS[getKeyAlgorithm(publicKeyJwk)];
+  const recipientKey = await crypto.subtle.importKey('jwk', publicMembers(publicKeyJwk), params, false, []);
+  const ephemeral = await crypto.subtle.generateKey(params, true, ['deriveBits']);
+  const epk = publicMembers(await crypto.subtle.exportKey('jwk', ephemeral.publicKey));
+
+  const wrappingKey = await deriveEciesKey(ephemeral.privateKey, recipientKey, kid, epk);
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const encryptedKey = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    wrappingKey,
+    symmetricKeyBytes
+  );
+
+  return { kid, epk, iv: arrayBufferToBase64(iv), key: arrayBufferToBase64(encryptedKey) };
+}
+
+/**
+ * Recover the submission's AES key from a recipient entry
+ * @param {object} entry - Recipient entry (`{ key }`, plus `epk` and `iv` for ECIES)
+ * @param {object} privateKeyJwk - Recipient private key (JWK format)
+ * @returns {Promise<ArrayBuffer>} - Raw AES key
+ */
+async function unwrapSymmetricKey(entry, privateKeyJwk) {
+  if (!entry.epk) {
+    const privateKey = await crypto.subtle.importKey(
+      'jwk',
+      privateKeyJwk,
+      { name: 'RSA-OAEP', hash: 'SHA-256' },
+      false,
+      ['decrypt']
+    );
+    return crypto.subtle.decrypt(
+      { name: 'RSA-OAEP' },
+      privateKey,
+      base64ToArrayBuffer(entry.key)
+    );
+  }
+
+  const { params } = KEY_ALGORITHMS[getKeyAlgorithm(privateKeyJwk)];
+  if (getKeyAlgorithm(entry.epk) !== getKeyAlgorithm(privateKeyJwk)) {
+    throw new Error('Submission key was wrapped for a different key type');
+  }
+
+  const epk = publicMembers(entry.epk);
+  const privateKey = await crypto.subtle.importKey('jwk', privateKeyJwk, params, false, ['deriveBits']);
+  const ephemeralKey = await crypto.subtle.importKey('jwk', epk, params, false, []);
+
+  const wrappingKey = await deriveEciesKey(privateKey, ephemeralKey, entry.kid, epk);
+  return crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: base64ToArrayBuffer(entry.iv) },
+    wrappingKey,
+    base64ToArrayBuffer(entry.key)
+  );
+}
+
+/**
+ * Derive an ECIES wrapping key from an ECDH shared secret
+ * The recipient key ID and the ephemeral public key are bound into the HKDF
+ * info, so an entry can't be replayed for another recipient
+ * @param {CryptoKey} privateKey - Our ECDH/X25519 private key
+ * @param {CryptoKey} publicKey - The other side's public key
+ * @param {string} kid - Recipient key ID
+ * @param {object} epk - Ephemeral public key (public members only)
+ * @returns {Promise<CryptoKey>} - AES-GCM-256 key
+ */
+async function deriveEciesKey(privateKey, publicKey, kid, epk) {
+  const sharedSecret = await crypto.subtle.deriveBits(
+    { name: privateKey.algorithm.name, public: publicKey },
+    privateKey,
+    256
+  );
+  const hkdfKey = await crypto.subtle.importKey('raw', sharedSecret, 'HKDF', false, ['deriveKey']);
+
+  return crypto.subtle.deriveKey(
+    {
+      name: 'HKDF',
+      hash: 'SHA-256',
+      salt: new Uint8Array(0),
+      info: new TextEncoder().encode(JSON.stringify(['vf-e4', kid, epk])),
+    },
+    hkdfKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Find the recipient entry wrapped for a private key
+ * Matches on an explicit `kid` on the JWK first, then on its thumbprint
+ * @param {Array<object>} recipients - Recipient entries from the payload
+ * @param {object} privateKeyJwk - Private key (JWK format)
+ * @returns {Promise<object|undefined>}
+ */
+async function findRecipientEntry(recipients = [], privateKeyJwk) {
+  if (privateKeyJwk.kid) {
+    const entry = recipients.find(r => r.kid === privateKeyJwk.kid);
+    if (entry) return entry;
+  }
+
+  const kid = await getKeyId(privateKeyJwk);
+  return recipients.find(r => r.kid === kid);
+}
+
+/**
+ * Import an RSA-OAEP public key for wrapping
+ * @param {object} publicKeyJwk - Public key (JWK format)
+ * @returns {Promise<CryptoKey>}
+ */
+async function importPublicKey(publicKeyJwk) {
+  return crypto.subtle.importKey(
+    'jwk',
+    publicKeyJwk,
+    { name: 'RSA-OAEP', hash: 'SHA-256' },
+    false,
+    ['encrypt']
+  );
+}
+
 /**
  * Hash sensitive field for anonymous matching
  * (e.g., detect duplicate submissions without storing email)
@@ -152,11 +495,69 @@ export async function decryptSubmission(encryptedPayload, privateKeyJwk) {
  */
 export async function hashField(value, salt = '') {
   const encoder = new TextEncoder();
-  const data = encoder.encode(salt + value.toLowerCase().trim());
+  const data = encoder.encode(salt + normalizeFieldValue(value));
   const hashBuffer = await crypto.subtle.digest('SHA-256', data);
   return arrayBufferToBase64(hashBuffer);
 }
 
+/**
+ * Generate a per-form blind index key
+ * Held by the form owner (dashboard and embed code) and never sent to the server
+ * @returns {string} - Base64url-encoded 256-bit key
+ */
+export function generateIndexKey() {
+  return toBase64Url(arrayBufferToBase64(crypto.getRandomValues(new Uint8Array(32))));
+}
+
+/**
+ * Compute a blind index for a field value
+ * Like hashField, but keyed with HMAC so the server cannot brute-force
+ * values it does not already know. The field name is mixed in, so equal
+ * values in different fields get unrelated indexes
+ * @param {string} field - Field name
+ * @param {string|number|boolean} value - Value to index
+ * @param {string} indexKey - Key from generateIndexKey
+ * @returns {Promise<string>} - Base64url-encoded HMAC-SHA256
+ */
+export async function createBlindIndex(field, value, indexKey) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    base64ToArrayBuffer(fromBase64Url(indexKey)),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+
+  const data = new TextEncoder().encode(`${field}\u0000${normalizeFieldValue(value)}`);
+  const signature = await crypto.subtle.sign('HMAC', key, data);
+  return toBase64Url(arrayBufferToBase64(signature));
+}
+
+/**
+ * Compute blind indexes for the searchable fields of a submission
+ * Only scalar values are indexed; missing and empty fields are skipped
+ * @param {object} formData - Plaintext form data
+ * @param {Array<string>} fields - Searchable field names
+ * @param {string} indexKey - Key from generateIndexKey
+ * @returns {Promise<object>} - Map of field name to blind index
+ */
+export async function createBlindIndexes(formData, fields, indexKey) {
+  const indexes = {};
+  for (const field of fields) {
+    const value = formData[field];
+    if (!['string', 'number', 'boolean'].includes(typeof value) || normalizeFieldValue(value) === '') {
+      continue;
+    }
+    indexes[field] = await createBlindIndex(field, value, indexKey);
+  }
+  return indexes;
+}
+
+// Shared normalization so lookups match regardless of case and padding
+function normalizeFieldValue(value) {
+  return String(value).toLowerCase().trim();
+}
+
 // Utility functions
 function arrayBufferToBase64(buffer) {
   const bytes = new Uint8Array(buffer);
@@ -167,6 +568,15 @@ function arrayBufferToBase64(buffer) {
   return btoa(binary);
 }
 
+function toBase64Url(base64) {
+  return base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(base64url) {
+  const base64 = base64url.replace(/-/g, '+').replace(/_/g, '/');
+  return base64 + '='.repeat((4 - base64.length % 4) % 4);
+}
+
 function base64ToArrayBuffer(base64) {
   const binary = atob(base64);
   const bytes = new Uint8Array(binary.length);
@@ -176,15 +586,39 @@ function base64ToArrayBuffer(base64) {
   return bytes.buffer;
 }
 
+// Password-protected key bundles. Version 2.0 records the KDF, its
+// parameters and the cipher in the bundle, so defaults can be raised without
+// breaking older files; the header is authenticated as AES-GCM additional data.
+// Version 1.0 bundles (PBKDF2, 100,000 iterations) can still be opened
+export const KEY_BUNDLE_VERSION = '2.0';
+
+export const KEY_BUNDLE_KDFS = {
+  'PBKDF2-SHA-256': { defaults: { iterations: 600000 }, limits: { iterations: [100000, 10000000] } },
+  // Memory-hard: N = 2^17, r = 8 needs 128MB
+  'scrypt': { defaults: { N: 2 ** 17, r: 8, p: 1 }, limits: { N: [2 ** 10, 2 ** 20], r: [1, 32], p: [1, 16] } },
+};
+
+export const DEFAULT_KEY_BUNDLE_KDF = 'PBKDF2-SHA-256';
+
+const KEY_BUNDLE_CIPHER = 'AES-GCM-256';
+
 /**
- * Derive an encryption key from a password using PBKDF2
+ * Derive a key bundle wrapping key from a password
  * @param {string} password - User's password
- * @param {Uint8Array} salt - Random salt
- * @param {number} iterations - Number of PBKDF2 iterations (default: 100000)
- * @returns {Promise<CryptoKey>} - Derived encryption key
+ * @param {object} kdf - `{ name, salt, ...params }`
+ * @returns {Promise<CryptoKey>} - Non-extractable AES-GCM key
  */
-async function deriveKeyFromPassword(password, salt, iterations = 100000) {
+async function deriveKeyFromPassword(password, kdf) {
+  const salt = new Uint8Array(base64ToArrayBuffer(kdf.salt));
   const encoder = new TextEncoder();
+
+  if (kdf.name === 'scrypt') {
+    const keyBytes = await scrypt(password, salt, kdf);
+    const key = await crypto.subtle.importKey('raw', keyBytes, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+    keyBytes.fill(0);
+    return key;
+  }
+
   const passwordKey = await crypto.subtle.importKey(
     'raw',
     encoder.encode(password),
@@ -197,7 +631,7 @@ async function deriveKeyFromPassword(password, salt, iterations = 100000) {
     {
       name: 'PBKDF2',
       salt,
-      iterations,
+      iterations: kdf.iterations,
       hash: 'SHA-256',
     },
     passwordKey,
@@ -208,52 +642,244 @@ async function deriveKeyFromPassword(password, salt, iterations = 100000) {
 }
 
 /**
- * Export private keys with password protection
- * Encrypts all private keys using AES-GCM with PBKDF2-derived key
- * @param {Object} privateKeys - Object mapping formId -> privateKey (JWK)
- * @param {string} password - Password to encrypt the keys
- * @returns {Promise<Object>} - Encrypted key bundle ready for download
+ * Read the KDF settings of a key bundle, whatever its version
+ * @param {Object} bundle - Password-protected key bundle
+ * @returns {Object} - `{ name, salt, ...params }`
  */
-export async function exportPrivateKeys(privateKeys, password) {
-  if (!password || password.length < 8) {
-    throw new Error('Password must be at least 8 characters');
+function getBundleKdf(bundle) {
+  if (bundle.version === '1.0') {
+    // Some 1.0 exports left out the iteration count and used the fixed 100,000
+    return { name: 'PBKDF2-SHA-256', iterations: bundle.iterations ?? 100000, salt: bundleBytesToBase64(bundle.salt) };
+  }
+  if (bundle.version !== KEY_BUNDLE_VERSION) {
+    throw new Error('Unsupported key bundle version');
   }
+  return bundle.kdf;
+}
 
-  // Generate random salt and IV
-  const salt = crypto.getRandomValues(new Uint8Array(32));
-  const iv = crypto.getRandomValues(new Uint8Array(12));
-  const iterations = 100000;
+/**
+ * Check KDF settings are ones we support, within sane bounds
+ * Bounds stop a crafted bundle from asking for gigabytes of memory
+ * @param {Object} kdf - `{ name, salt, ...params }`
+ */
+function checkKdf(kdf) {
+  const spec = KEY_BUNDLE_KDFS[kdf?.name];
+  if (!spec) {
+    throw new Error(`Unsupported key derivation function: ${kdf?.name}`);
+  }
+
+  for (const [param, [min, max]] of Object.entries(spec.limits)) {
+    if (!Number.isInteger(kdf[param]) || kdf[param] < min || kdf[param] > max) {
+      throw new Error(`${kdf.name} ${param} must be between ${min} and ${max}`);
+    }
+  }
+}
+
+// Additional data for a 2.0 bundle: everything needed to derive and use the key
+function bundleAdditionalData(kdf) {
+  const params = Object.keys(KEY_BUNDLE_KDFS[kdf.name].defaults).map(param => kdf[param]);
+  return new TextEncoder().encode(
+    JSON.stringify([KEY_BUNDLE_VERSION, kdf.name, params, kdf.salt, KEY_BUNDLE_CIPHER])
+  );
+}
+
+// Version 1.0 exports from the dashboard stored bytes as number arrays
+function bundleBytesToBase64(value) {
+  return Array.isArray(value) ? arrayBufferToBase64(new Uint8Array(value)) : value;
+}
 
-  // Derive encryption key from password
-  const encryptionKey = await deriveKeyFromPassword(password, salt, iterations);
+/**
+ * Derive a key for wrapping private key bundles from a password
+ * Pass an existing bundle to reuse its KDF settings (to open it, or to
+ * re-wrap updated keys under the same password without keeping the password)
+ * @param {string} password - Password or passphrase
+ * @param {Object} [bundle] - Existing bundle from wrapPrivateKeys
+ * @param {Object} [options] - For new bundles: `{ kdf, params }`, where kdf is
+ *   'PBKDF2-SHA-256' (default) or 'scrypt' and params override its defaults
+ * @returns {Promise<Object>} - { key (non-extractable CryptoKey), kdf }
+ */
+export async function createKeyWrap(password, bundle, options = {}) {
+  let kdf;
+  if (bundle) {
+    kdf = getBundleKdf(bundle);
+  } else {
+    const name = options.kdf || DEFAULT_KEY_BUNDLE_KDF;
+    kdf = {
+      name,
+      ...KEY_BUNDLE_KDFS[name]?.defaults,
+      ...options.params,
+      salt: arrayBufferToBase64(crypto.getRandomValues(new Uint8Array(32))),
+    };
+  }
+  checkKdf(kdf);
+
+  return {
+    key: await deriveKeyFromPassword(password, kdf),
+    kdf,
+  };
+}
+
+/**
+ * Encrypt private keys under a wrapping key from createKeyWrap
+ * Always writes a version 2.0 bundle
+ * @param {Object} privateKeys - Keys to wrap (any JSON value)
+ * @param {Object} wrap - Wrapping key from createKeyWrap
+ * @returns {Promise<Object>} - Encrypted key bundle
+ */
+export async function wrapPrivateKeys(privateKeys, wrap) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
 
   // Serialize the private keys
   const encoder = new TextEncoder();
-  const keysJson = JSON.stringify(privateKeys);
-  const keysData = encoder.encode(keysJson);
+  const keysData = encoder.encode(JSON.stringify(privateKeys));
 
   // Encrypt the keys
   const encryptedData = await crypto.subtle.encrypt(
-    { name: 'AES-GCM', iv },
-    encryptionKey,
+    { name: 'AES-GCM', iv, additionalData: bundleAdditionalData(wrap.kdf) },
+    wrap.key,
     keysData
   );
 
-  // Return the encrypted bundle
   return {
-    version: '1.0',
-    algorithm: 'PBKDF2-AES-GCM-256',
-    iterations,
-    salt: arrayBufferToBase64(salt),
-    iv: arrayBufferToBase64(iv),
+    version: KEY_BUNDLE_VERSION,
+    kdf: wrap.kdf,
+    cipher: { name: KEY_BUNDLE_CIPHER, iv: arrayBufferToBase64(iv) },
     ciphertext: arrayBufferToBase64(encryptedData),
     exportedAt: new Date().toISOString(),
   };
 }
 
+/**
+ * Decrypt a key bundle with a wrapping key from createKeyWrap
+ * @param {Object} encryptedBundle - Bundle from wrapPrivateKeys (any version)
+ * @param {Object} wrap - Wrapping key derived with the bundle's KDF settings
+ * @returns {Promise<Object>} - Decrypted private keys
+ */
+export async function unwrapPrivateKeys(encryptedBundle, wrap) {
+  const isLegacy = encryptedBundle.version === '1.0';
+  if (!isLegacy && encryptedBundle.cipher?.name !== KEY_BUNDLE_CIPHER) {
+    throw new Error(`Unsupported key bundle cipher: ${encryptedBundle.cipher?.name}`);
+  }
+
+  const iv = base64ToArrayBuffer(bundleBytesToBase64(isLegacy ? encryptedBundle.iv : encryptedBundle.cipher.iv));
+  const ciphertext = base64ToArrayBuffer(bundleBytesToBase64(encryptedBundle.ciphertext));
+
+  try {
+    const decryptedData = await crypto.subtle.decrypt(
+      isLegacy
+        ? { name: 'AES-GCM', iv: new Uint8Array(iv) }
+        : { name: 'AES-GCM', iv: new Uint8Array(iv), additionalData: bundleAdditionalData(encryptedBundle.kdf) },
+      wrap.key,
+      ciphertext
+    );
+
+    const decoder = new TextDecoder();
+    return JSON.parse(decoder.decode(decryptedData));
+  } catch (error) {
+    // Decryption failure usually means wrong password
+    throw new Error('Invalid password or corrupted key bundle');
+  }
+}
+
+/**
+ * Whether a password-protected bundle should be re-wrapped
+ * True for version 1.0 bundles and for PBKDF2 below the current default
+ * @param {Object} bundle - Key bundle
+ * @returns {boolean}
+ */
+export function keyBundleNeedsUpgrade(bundle) {
+  if (!bundle || bundle.algorithm === SHARES_ALGORITHM) {
+    return false;
+  }
+  if (bundle.version !== KEY_BUNDLE_VERSION) {
+    return true;
+  }
+  return bundle.kdf?.name === 'PBKDF2-SHA-256'
+    && bundle.kdf.iterations < KEY_BUNDLE_KDFS['PBKDF2-SHA-256'].defaults.iterations;
+}
+
+// Key documents: the plaintext inside `.veilkeys` files and the key vault.
+// { version, exportedAt, keys: [{ formId, formName, kid, algorithm, privateKey }],
+//   indexKeys, pseudonymKeys, masterKey }. Every client reads and writes this
+// one format, so a vault saved anywhere unlocks everywhere
+export const KEY_DATA_VERSION = '1.0';
+
+/**
+ * Create a key document
+ * @param {Object} [contents] - `{ keys, indexKeys, pseudonymKeys, masterKey }`
+ * @returns {Object}
+ */
+export function createKeyData({ keys = [], indexKeys = {}, pseudonymKeys = {}, masterKey } = {}) {
+  return {
+    version: KEY_DATA_VERSION,
+    exportedAt: new Date().toISOString(),
+    keys,
+    indexKeys,
+    pseudonymKeys,
+    ...(masterKey && { masterKey })
+  };
+}
+
+/**
+ * Check a decrypted key document before loading anything from it
+ * @param {Object} keyData - Document from createKeyData
+ * @throws {Error} If it isn't a key document or holds a key that can't be used
+ */
+export function validateKeyData(keyData) {
+  if (!keyData || !Array.isArray(keyData.keys)) {
+    throw new Error('Invalid key file format');
+  }
+
+  for (const { formId, privateKey } of keyData.keys) {
+    try {
+      getKeyAlgorithm(privateKey);
+    } catch (err) {
+      throw new Error(`Key for form ${formId} can't be used: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Add form private keys to a key document
+ * Keys the document already holds are skipped, and everything else in it is
+ * kept, so saving from one client never drops another client's keys
+ * @param {Object} keyData - Document from createKeyData
+ * @param {Array<{ formId: string, formName?: string, privateKey: Object }>} entries
+ * @returns {Promise<Object>} - A new document
+ */
+export async function addKeysToKeyData(keyData, entries) {
+  const keys = [...keyData.keys];
+  const known = new Set(keys.map(key => `${key.formId}/${key.kid}`));
+
+  for (const { formId, formName, privateKey } of entries) {
+    const kid = await getKeyId(privateKey);
+    if (known.has(`${formId}/${kid}`)) continue;
+    known.add(`${formId}/${kid}`);
+    keys.push({ formId, formName, kid, algorithm: getKeyAlgorithm(privateKey), privateKey });
+  }
+
+  return { ...keyData, exportedAt: new Date().toISOString(), keys };
+}
+
+/**
+ * Export private keys with password protection
+ * Encrypts all private keys with AES-GCM under a password-derived key
+ * @param {Object} privateKeys - Object mapping formId -> privateKey (JWK)
+ * @param {string} password - Password to encrypt the keys
+ * @param {Object} [options] - `{ kdf, params }` (see createKeyWrap)
+ * @returns {Promise<Object>} - Encrypted key bundle ready for download
+ */
+export async function exportPrivateKeys(privateKeys, password, options = {}) {
+  if (!password || password.length < 8) {
+    throw new Error('Password must be at least 8 characters');
+  }
+
+  return wrapPrivateKeys(privateKeys, await createKeyWrap(password, null, options));
+}
+
 /**
  * Import private keys from encrypted bundle
- * Decrypts keys using the password
+ * Decrypts keys using the password; every bundle version is accepted
  * @param {Object} encryptedBundle - The encrypted key bundle
  * @param {string} password - Password to decrypt the keys
  * @returns {Promise<Object>} - Decrypted private keys object
@@ -268,32 +894,143 @@ export async function importPrivateKeys(encryptedBundle, password) {
   }
 
   // Validate bundle version
-  if (encryptedBundle.version !== '1.0') {
+  if (!['1.0', KEY_BUNDLE_VERSION].includes(encryptedBundle.version)) {
     throw new Error('Unsupported key bundle version');
   }
 
-  // Extract bundle components
-  const salt = base64ToArrayBuffer(encryptedBundle.salt);
-  const iv = base64ToArrayBuffer(encryptedBundle.iv);
-  const ciphertext = base64ToArrayBuffer(encryptedBundle.ciphertext);
-  const iterations = encryptedBundle.iterations || 100000;
+  if (encryptedBundle.algorithm === SHARES_ALGORITHM) {
+    throw new Error('This key bundle is unlocked with recovery shares, not a password');
+  }
+
+  return unwrapPrivateKeys(encryptedBundle, await createKeyWrap(password, encryptedBundle));
+}
+
+// vf-e3 form ID under which form private keys are wrapped for the master key;
+// the submission ID slot carries the wrapped key's own key ID
+const FORM_KEY_CONTEXT = 'vf-form-key';
+
+/**
+ * Wrap a form private key for the account master key
+ * The result is a vf-e3 envelope bound to the form key's ID, so the server
+ * cannot hand back one form's wrapped key as another's
+ * @param {object} formPrivateKey - Form private key (JWK format)
+ * @param {object} masterPublicKey - Account master public key (JWK format)
+ * @returns {Promise<object>} - Wrapped key, safe to store server-side
+ */
+export async function wrapFormKey(formPrivateKey, masterPublicKey) {
+  const kid = await getKeyId(formPrivateKey);
+  return encryptSubmission(formPrivateKey, masterPublicKey, {
+    formId: FORM_KEY_CONTEXT,
+    submissionId: kid,
+  });
+}
+
+/**
+ * Unwrap a form private key with the account master key
+ * @param {object} wrappedKey - Envelope from wrapFormKey
+ * @param {object} masterPrivateKey - Account master private key (JWK format)
+ * @param {string} kid - Key ID the wrapped key is stored under
+ * @returns {Promise<object>} - Form private key (JWK format)
+ */
+export async function unwrapFormKey(wrappedKey, masterPrivateKey, kid) {
+  const privateKey = await decryptSubmission(wrappedKey, masterPrivateKey, {
+    formId: FORM_KEY_CONTEXT,
+    submissionId: kid,
+  });
+
+  if (await getKeyId(privateKey) !== kid) {
+    throw new Error('Wrapped form key does not match its key ID');
+  }
+  return privateKey;
+}
+
+const SHARES_ALGORITHM = 'SHAMIR-AES-GCM-256';
+
+/**
+ * Export private keys for escrow with recovery shares
+ * Keys are encrypted under a random AES key, and that key is split into
+ * `shares` printable strings so that any `threshold` of them unlock the bundle
+ * @param {Object} privateKeys - Object mapping formId -> privateKey (JWK)
+ * @param {Object} options - { shares, threshold }
+ * @returns {Promise<{ bundle: Object, shares: Array<string> }>} - Bundle to download and shares to hand out
+ */
+export async function exportPrivateKeysToShares(privateKeys, { shares, threshold }) {
+  const rawKey = crypto.getRandomValues(new Uint8Array(32));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+
+  // Split first so bad share counts fail before anything is encrypted
+  const shareSet = createShareSet(rawKey, { shares, threshold });
+
+  const encryptionKey = await crypto.subtle.importKey(
+    'raw',
+    rawKey,
+    { name: 'AES-GCM' },
+    false,
+    ['encrypt']
+  );
+  rawKey.fill(0);
+
+  const encoder = new TextEncoder();
+  const encryptedData = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: encoder.encode(shareSet.setId) },
+    encryptionKey,
+    encoder.encode(JSON.stringify(privateKeys))
+  );
+
+  return {
+    bundle: {
+      version: '1.0',
+      algorithm: SHARES_ALGORITHM,
+      shares,
+      threshold,
+      setId: shareSet.setId,
+      iv: arrayBufferToBase64(iv),
+      ciphertext: arrayBufferToBase64(encryptedData),
+      exportedAt: new Date().toISOString(),
+    },
+    shares: shareSet.shares,
+  };
+}
+
+/**
+ * Import private keys from a share-protected bundle
+ * @param {Object} encryptedBundle - Bundle from exportPrivateKeysToShares
+ * @param {Array<string>} shareStrings - At least `threshold` recovery shares
+ * @returns {Promise<Object>} - Decrypted private keys object
+ */
+export async function importPrivateKeysFromShares(encryptedBundle, shareStrings) {
+  if (!encryptedBundle || !encryptedBundle.ciphertext || encryptedBundle.algorithm !== SHARES_ALGORITHM) {
+    throw new Error('Invalid key bundle format');
+  }
+
+  const { setId, secret } = recoverSecret(shareStrings);
+  if (setId !== encryptedBundle.setId) {
+    throw new Error('These shares belong to a different key bundle');
+  }
 
-  // Derive decryption key from password
-  const decryptionKey = await deriveKeyFromPassword(password, new Uint8Array(salt), iterations);
+  const decryptionKey = await crypto.subtle.importKey(
+    'raw',
+    secret,
+    { name: 'AES-GCM' },
+    false,
+    ['decrypt']
+  );
+  secret.fill(0);
 
-  // Decrypt the keys
   try {
     const decryptedData = await crypto.subtle.decrypt(
-      { name: 'AES-GCM', iv: new Uint8Array(iv) },
+      {
+        name: 'AES-GCM',
+        iv: new Uint8Array(base64ToArrayBuffer(encryptedBundle.iv)),
+        additionalData: new TextEncoder().encode(setId),
+      },
       decryptionKey,
-      ciphertext
+      base64ToArrayBuffer(encryptedBundle.ciphertext)
     );
 
-    const decoder = new TextDecoder();
-    const keysJson = decoder.decode(decryptedData);
-    return JSON.parse(keysJson);
+    return JSON.parse(new TextDecoder().decode(decryptedData));
   } catch (error) {
-    // Decryption failure usually means wrong password
-    throw new Error('Invalid password or corrupted key bundle');
+    // Shares with valid checksums that still fail are mismatched or edited
+    throw new Error('Recovery shares do not unlock this key bundle');
   }
 }
@@ -0,0 +1,221 @@
+/**
+ * VeilForms - Chunked File Encryption
+ * Encrypts file uploads in fixed-size chunks so large files never have to be
+ * held in memory or sent in one request
+ *
+ * Format (vf-c1): every file gets its own AES-GCM-256 key. Chunk `i` is
+ * encrypted with the nonce `noncePrefix || uint32be(i)` and the additional
+ * data `["vf-c1", uploadId, i, final]`, so chunks can't be reordered, dropped
+ * or moved between files, and a file cut short after a chunk boundary fails
+ * because its last chunk was never sealed as final. The file key and name
+ * travel in a header encrypted for the form like a submission, bound to the
+ * submission the file belongs to
+ */
+
+import { encryptSubmission, decryptSubmission } from './encryption.js';
+
+export const FILE_FORMAT = 'vf-c1';
+
+// Plaintext bytes per chunk; each encrypted chunk is 16 bytes longer (GCM tag)
+export const FILE_CHUNK_SIZE = 512 * 1024;
+
+/**
+ * Generate an upload ID
+ * @returns {string} - 22-character base64url string (128 random bits)
+ */
+export function generateUploadId() {
+  return toBase64Url(crypto.getRandomValues(new Uint8Array(16)));
+}
+
+/**
+ * Start encrypting a file
+ * @param {object} file - `{ name, type, size }` (a File works)
+ * @param {object|Array<object>} publicKeyJwk - Form public key, or recipients
+ * @param {object} context - `{ formId, submissionId }` the file belongs to
+ * @param {object} [options] - `{ uploadId, chunkSize }`
+ * @returns {Promise<object>} - `{ uploadId, header, chunkCount, chunkSize, state, encryptChunk(index, bytes) }`
+ */
+export async function createFileEncryptor(file, publicKeyJwk, context, options = {}) {
+  const uploadId = options.uploadId || generateUploadId();
+  const chunkSize = options.chunkSize || FILE_CHUNK_SIZE;
+  const chunkCount = Math.max(1, Math.ceil(file.size / chunkSize));
+
+  const fileKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt']);
+  const key = toBase64Url(await crypto.subtle.exportKey('raw', fileKey));
+  const noncePrefix = toBase64Url(crypto.getRandomValues(new Uint8Array(8)));
+
+  const header = await encryptSubmission({
+    format: FILE_FORMAT,
+    uploadId,
+    name: file.name || 'file',
+    type: file.type || 'application/octet-stream',
+    size: file.size,
+    chunkSize,
+    chunkCount,
+    key,
+    noncePrefix,
+  }, publicKeyJwk, context);
+
+  return resumeFileEncryptor({ uploadId, header, chunkCount, chunkSize, key, noncePrefix });
+}
+
+/**
+ * Pick up encrypting a file where an earlier encryptor left off
+ * Chunks encrypted now fit with the ones already uploaded, so an upload can
+ * resume after a reload. The state holds the file key, so keep it only for
+ * as long as the upload needs it
+ * @param {object} state - `state` of the earlier encryptor
+ * @returns {Promise<object>} - Same as createFileEncryptor
+ */
+export async function resumeFileEncryptor(state) {
+  const { uploadId, header, chunkCount, chunkSize } = state;
+  const fileKey = await crypto.subtle.importKey('raw', fromBase64Url(state.key), 'AES-GCM', false, ['encrypt']);
+  const noncePrefix = fromBase64Url(state.noncePrefix);
+
+  return {
+    uploadId,
+    header,
+    chunkCount,
+    chunkSize,
+    state,
+    async encryptChunk(index, bytes) {
+      checkChunkIndex(index, chunkCount);
+      const encrypted = await crypto.subtle.encrypt(
+        chunkParams(noncePrefix, uploadId, index, chunkCount),
+        fileKey,
+        bytes
+      );
+      return new Uint8Array(encrypted);
+    },
+  };
+}
+
+/**
+ * Read and encrypt one chunk of a Blob or File
+ * Only that chunk is read into memory
+ * @param {Blob} blob - File being encrypted
+ * @param {object} encryptor - From createFileEncryptor
+ * @param {number} index - Chunk index
+ * @returns {Promise<Uint8Array>} - Encrypted chunk
+ */
+export async function encryptFileChunk(blob, encryptor, index) {
+  const start = index * encryptor.chunkSize;
+  const bytes = await blob.slice(start, start + encryptor.chunkSize).arrayBuffer();
+  return encryptor.encryptChunk(index, bytes);
+}
+
+/**
+ * Open an encrypted file header
+ * @param {object} header - Encrypted header from createFileEncryptor
+ * @param {object} privateKeyJwk - Form private key (JWK format)
+ * @param {object} context - `{ formId, submissionId }` the file belongs to
+ * @param {string} uploadId - Upload ID the submission refers to
+ * @returns {Promise<object>} - `{ name, type, size, chunkCount, decryptChunk(index, bytes) }`
+ */
+export async function createFileDecryptor(header, privateKeyJwk, context, uploadId) {
+  const meta = await decryptSubmission(header, privateKeyJwk, context);
+
+  if (meta.format !== FILE_FORMAT) {
+    throw new Error(`Unsupported file format: ${meta.format}`);
+  }
+  if (meta.uploadId !== uploadId) {
+    throw new Error('File header does not belong to this upload');
+  }
+
+  const fileKey = await crypto.subtle.importKey(
+    'raw',
+    fromBase64Url(meta.key),
+    { name: 'AES-GCM' },
+    false,
+    ['decrypt']
+  );
+  const noncePrefix = fromBase64Url(meta.noncePrefix);
+
+  return {
+    name: meta.name,
+    type: meta.type,
+    size: meta.size,
+    chunkCount: meta.chunkCount,
+    async decryptChunk(index, bytes) {
+      checkChunkIndex(index, meta.chunkCount);
+      try {
+        const decrypted = await crypto.subtle.decrypt(
+          chunkParams(noncePrefix, uploadId, index, meta.chunkCount),
+          fileKey,
+          bytes
+        );
+        return new Uint8Array(decrypted);
+      } catch (err) {
+        throw new Error(`File chunk ${index} failed authentication: it was altered, reordered or truncated`);
+      }
+    },
+  };
+}
+
+/**
+ * Stream-decrypt a file
+ * Chunks are fetched and decrypted one at a time as the stream is read
+ * @param {object} decryptor - From createFileDecryptor
+ * @param {function(number): Promise<ArrayBuffer|Uint8Array>} fetchChunk - Loads an encrypted chunk
+ * @returns {ReadableStream<Uint8Array>}
+ */
+export function createDecryptionStream(decryptor, fetchChunk) {
+  let index = 0;
+  let received = 0;
+
+  return new ReadableStream({
+    async pull(controller) {
+      if (index >= decryptor.chunkCount) {
+        if (received !== decryptor.size) {
+          controller.error(new Error('Decrypted file size does not match its header'));
+          return;
+        }
+        controller.close();
+        return;
+      }
+
+      try {
+        const chunk = await decryptor.decryptChunk(index, await fetchChunk(index));
+        received += chunk.byteLength;
+        index++;
+        controller.enqueue(chunk);
+      } catch (err) {
+        controller.error(err);
+      }
+    },
+  });
+}
+
+function checkChunkIndex(index, chunkCount) {
+  if (!Number.isInteger(index) || index < 0 || index >= chunkCount) {
+    throw new Error(`Chunk index ${index} is out of range`);
+  }
+}
+
+// Nonce and additional data for one chunk; only the last chunk is final
+function chunkParams(noncePrefix, uploadId, index, chunkCount) {
+  const iv = new Uint8Array(12);
+  iv.set(noncePrefix);
+  new DataView(iv.buffer).setUint32(8, index);
+
+  const final = index === chunkCount - 1;
+  return {
+    name: 'AES-GCM',
+    iv,
+    additionalData: new TextEncoder().encode(JSON.stringify([FILE_FORMAT, uploadId, index, final])),
+  };
+}
+
+function toBase64Url(buffer) {
+  let binary = '';
+  for (const byte of new Uint8Array(buffer)) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(base64url) {
+  const base64 = base64url.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
@@ -0,0 +1,372 @@
+/**
+ * VeilForms - Form Renderer
+ * Builds the HTML for a form schema saved in the dashboard builder: labelled
+ * controls, fieldsets for option groups and, when the schema has page
+ * breaks, one step at a time with a progress indicator. The form's
+ * conditions are applied as the respondent answers: fields and pages they
+ * hide are disabled, so they are neither validated nor submitted, and they
+ * can make fields required, skip ahead or fill in hidden fields. Text from
+ * the schema is only ever set as text, never parsed as HTML
+ */
+
+import { evaluateForm } from './conditions.js';
+
+const HEADING_LEVELS = ['h2', 'h3', 'h4'];
+
+// Builder field types and the input type they render as
+const INPUT_TYPES = {
+  text: 'text',
+  email: 'email',
+  phone: 'tel',
+  url: 'url',
+  number: 'number',
+  date: 'date',
+};
+
+/**
+ * Split a schema's fields into steps at each page break
+ * A page break's title and description belong to the step after it
+ * @param {Array<object>} fields - Schema fields
+ * @returns {Array<{ id: string|null, title: string, description: string, fields: Array<object> }>}
+ *   - `id` is the page break's field ID, null for the first step
+ */
+export function splitSteps(fields) {
+  const steps = [{ id: null, title: 'Step 1', description: '', fields: [] }];
+
+  for (const field of fields) {
+    if (field.type === 'page_break') {
+      steps.push({
+        id: field.id,
+        title: field.stepTitle || `Step ${steps.length + 1}`,
+        description: field.stepDescription || '',
+        fields: [],
+      });
+    } else {
+      steps[steps.length - 1].fields.push(field);
+    }
+  }
+
+  // A page break at the very start or end would leave an empty step
+  return steps.filter(step => step.fields.length > 0);
+}
+
+/**
+ * Render a form schema
+ * @param {object} schema - `{ formId, name, fields }` from the form schema endpoint
+ * @param {object} [options] - `{ document, submitLabel }`
+ * @returns {HTMLFormElement} - Form with one `.vf-step` section per step
+ */
+export function renderForm(schema, options = {}) {
+  const doc = options.document || document;
+  const prefix = `vf-${schema.formId || 'form'}`;
+  const fields = schema.fields || [];
+  const steps = splitSteps(fields);
+  const multiStep = steps.length > 1;
+
+  const form = create(doc, 'form', { className: 'vf-form' });
+  if (schema.name) form.setAttribute('aria-label', schema.name);
+
+  const progress = multiStep ? renderProgress(doc, prefix) : null;
+  if (progress) form.append(progress.element);
+
+  // Rendered element of each field, for showing and hiding it
+  const nodes = new Map();
+
+  const sections = steps.map((step, index) => {
+    const section = create(doc, multiStep ? 'section' : 'div', { className: 'vf-step' });
+
+    if (multiStep) {
+      const titleId = `${prefix}-step-${index + 1}`;
+      const title = create(doc, 'h2', { className: 'vf-step-title', id: titleId, textContent: step.title });
+      title.tabIndex = -1;
+      section.setAttribute('aria-labelledby', titleId);
+      section.append(title);
+      if (step.description) {
+        section.append(create(doc, 'p', { className: 'vf-step-description', textContent: step.description }));
+      }
+    }
+
+    for (const field of step.fields) {
+      const node = renderField(doc, field, prefix, form);
+      if (node) {
+        nodes.set(field.id, node);
+        section.append(node);
+      }
+    }
+
+    form.append(section);
+    return section;
+  });
+
+  const actions = create(doc, 'div', { className: 'vf-actions' });
+  const back = create(doc, 'button', { type: 'button', className: 'vf-back', textContent: 'Back' });
+  const next = create(doc, 'button', { type: 'button', className: 'vf-next', textContent: 'Next' });
+  const submit = create(doc, 'button', { type: 'submit', className: 'vf-submit', textContent: options.submitLabel || 'Submit' });
+  if (multiStep) actions.append(back, next);
+  actions.append(submit);
+  form.append(actions);
+
+  let current = 0;
+  // Steps with something left to show after conditions are applied
+  let activeSteps = steps.map((_, index) => index);
+
+  const showStep = (index, focus) => {
+    current = index;
+    sections.forEach((section, i) => {
+      section.hidden = i !== index;
+    });
+    const position = activeSteps.indexOf(index);
+    back.hidden = position <= 0;
+    next.hidden = position === activeSteps.length - 1;
+    submit.hidden = position !== activeSteps.length - 1;
+    progress.update(position, activeSteps.length, steps[index].title);
+    if (focus) sections[index].querySelector('.vf-step-title').focus();
+  };
+
+  const applyConditions = () => {
+    const { hidden, required, values } = evaluateForm(fields, readValues(form));
+
+    for (const field of fields) {
+      const node = nodes.get(field.id);
+      if (!node) continue;
+
+      const isHidden = hidden.has(field.id);
+      node.hidden = isHidden;
+      // Disabled controls are skipped by validation and left out of the form data
+      const controls = node.matches('input') ? [node] : node.querySelectorAll('input, select, textarea');
+      controls.forEach(control => { control.disabled = isHidden; });
+
+      if (node.matches('input')) {
+        if (field.name in values) node.value = values[field.name];
+      } else if (node.querySelector('.vf-label')) {
+        setRequired(doc, node, Boolean(field.required) || required.has(field.id));
+      }
+    }
+
+    if (multiStep) {
+      activeSteps = steps
+        .map((step, index) => (step.fields.some(field => isShown(nodes.get(field.id))) ? index : -1))
+        .filter(index => index >= 0);
+      if (activeSteps.length === 0) activeSteps = [0];
+      // An answer on this step can't hide it, so the current step stays put
+      showStep(activeSteps.includes(current) ? current : activeSteps[0], false);
+    }
+  };
+
+  form.addEventListener('input', applyConditions);
+  form.addEventListener('change', applyConditions);
+  // Values are reset after the reset event has been handled
+  form.addEventListener('reset', () => setTimeout(() => {
+    current = 0;
+    applyConditions();
+  }, 0));
+
+  if (multiStep) {
+    const step = offset => activeSteps[activeSteps.indexOf(current) + offset];
+
+    next.addEventListener('click', () => {
+      if (reportStepValidity(sections[current])) showStep(step(1), true);
+    });
+    back.addEventListener('click', () => showStep(step(-1), true));
+
+    // Enter in a field moves on a step rather than submitting early; this
+    // listener is added first, so the SDK's submit handler never sees it
+    form.addEventListener('submit', (e) => {
+      if (step(1) !== undefined) {
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        next.click();
+      }
+    });
+    form.addEventListener('reset', () => showStep(activeSteps[0], false));
+  }
+
+  applyConditions();
+
+  return form;
+}
+
+/**
+ * Render one schema field
+ * @returns {Element|null} - Null for types the renderer can't draw
+ */
+function renderField(doc, field, prefix, form) {
+  switch (field.type) {
+    case 'heading':
+      return create(doc, HEADING_LEVELS.includes(field.level) ? field.level : 'h3', {
+        className: 'vf-heading',
+        textContent: field.content || '',
+      });
+    case 'paragraph':
+      return create(doc, 'p', { className: 'vf-paragraph', textContent: field.content || '' });
+    case 'divider':
+      return create(doc, 'hr', { className: 'vf-divider' });
+    case 'hidden':
+      return create(doc, 'input', { type: 'hidden', name: field.name, value: field.defaultValue || '' });
+    case 'radio':
+    case 'checkbox':
+      return wrap(doc, field, renderOptionGroup(doc, field, `${prefix}-${field.id}`, form));
+    case 'select':
+    case 'textarea':
+    case 'text':
+    case 'email':
+    case 'phone':
+    case 'url':
+    case 'number':
+    case 'date':
+      return wrap(doc, field, renderControl(doc, field, `${prefix}-${field.id}`));
+    default:
+      // Payment fields need a payment provider the SDK doesn't have
+      return null;
+  }
+}
+
+// A field's container; conditions and styles find fields by these attributes
+function wrap(doc, field, content) {
+  const wrapper = create(doc, 'div', { className: `vf-field vf-field-${field.type}` });
+  wrapper.dataset.fieldId = field.id;
+  wrapper.dataset.fieldName = field.name;
+  wrapper.append(...content);
+  return wrapper;
+}
+
+function renderControl(doc, field, id) {
+  const label = create(doc, 'label', { className: 'vf-label', htmlFor: id });
+  appendLabelText(doc, label, field);
+
+  let control;
+  if (field.type === 'textarea') {
+    control = create(doc, 'textarea', { rows: 4 });
+  } else if (field.type === 'select') {
+    control = create(doc, 'select');
+    // Empty first choice, so a required dropdown must be changed
+    control.append(create(doc, 'option', { value: '', textContent: field.placeholder || 'Select an option' }));
+    for (const option of field.options || []) {
+      control.append(create(doc, 'option', { value: option, textContent: option }));
+    }
+  } else {
+    control = create(doc, 'input', { type: INPUT_TYPES[field.type] });
+    if (field.min !== undefined && field.min !== '') control.min = String(field.min);
+    if (field.max !== undefined && field.max !== '') control.max = String(field.max);
+  }
+
+  control.id = id;
+  control.name = field.name;
+  control.className = 'vf-input';
+  if (field.placeholder && field.type !== 'select') control.placeholder = field.placeholder;
+
+  return [label, control];
+}
+
+function renderOptionGroup(doc, field, id, form) {
+  const fieldset = create(doc, 'fieldset', { className: 'vf-options' });
+  const legend = create(doc, 'legend', { className: 'vf-label' });
+  appendLabelText(doc, legend, field);
+  fieldset.append(legend);
+
+  const inputs = (field.options || []).map((option, index) => {
+    const optionId = `${id}-${index}`;
+    const input = create(doc, 'input', { type: field.type, id: optionId, name: field.name, value: option });
+    const label = create(doc, 'label', { className: 'vf-option', htmlFor: optionId });
+    label.append(input, doc.createTextNode(` ${option}`));
+    fieldset.append(label);
+    return input;
+  });
+
+  if (field.type === 'checkbox' && inputs.length > 1) {
+    const sync = () => syncCheckboxGroup(fieldset);
+    inputs.forEach(input => input.addEventListener('change', sync));
+    // Values are reset after the reset event has been handled
+    form.addEventListener('reset', () => setTimeout(sync, 0));
+  }
+
+  return [fieldset];
+}
+
+function appendLabelText(doc, element, field) {
+  element.append(doc.createTextNode(field.label || field.name));
+}
+
+/**
+ * Make a rendered field required or optional
+ * Runs whenever the answers change, as conditions can require a field
+ */
+function setRequired(doc, node, required) {
+  const label = node.querySelector('.vf-label');
+  const marker = label.querySelector('.vf-required');
+  if (required && !marker) {
+    const star = create(doc, 'span', { className: 'vf-required', textContent: ' *' });
+    star.setAttribute('aria-hidden', 'true');
+    label.append(star);
+  } else if (!required && marker) {
+    marker.remove();
+  }
+
+  const fieldset = node.querySelector('fieldset');
+  const inputs = node.querySelectorAll('input, select, textarea');
+  if (fieldset && inputs.length > 1 && inputs[0].type === 'checkbox') {
+    // `required` on every checkbox would demand all of them; one is enough
+    fieldset.setAttribute('aria-required', String(required));
+    syncCheckboxGroup(fieldset);
+  } else {
+    inputs.forEach(input => { input.required = required; });
+  }
+}
+
+function syncCheckboxGroup(fieldset) {
+  const inputs = [...fieldset.querySelectorAll('input')];
+  const missing = fieldset.getAttribute('aria-required') === 'true' && !inputs.some(input => input.checked);
+  inputs[0].setCustomValidity(missing ? 'Please select at least one option.' : '');
+}
+
+function renderProgress(doc, prefix) {
+  const element = create(doc, 'div', { className: 'vf-progress' });
+  const labelId = `${prefix}-progress`;
+  const bar = create(doc, 'progress', { className: 'vf-progress-bar' });
+  bar.setAttribute('aria-labelledby', labelId);
+  const label = create(doc, 'p', { className: 'vf-progress-label', id: labelId });
+  label.setAttribute('aria-live', 'polite');
+  element.append(label, bar);
+
+  return {
+    element,
+    update(index, total, title) {
+      bar.max = total;
+      bar.value = index + 1;
+      label.textContent = `Step ${index + 1} of ${total}: ${title}`;
+    },
+  };
+}
+
+// Current values by field name, read the same way the SDK collects them
+function readValues(form) {
+  const values = {};
+  for (const [name, value] of new FormData(form).entries()) {
+    if (name in values) {
+      values[name] = [].concat(values[name], value);
+    } else {
+      values[name] = value;
+    }
+  }
+  return values;
+}
+
+// Whether a rendered field shows anything; hidden inputs never do
+function isShown(node) {
+  return Boolean(node) && !node.hidden && !(node.matches('input') && node.type === 'hidden');
+}
+
+// Check the controls of one step, showing the browser's message for the first problem
+function reportStepValidity(section) {
+  for (const control of section.querySelectorAll('input, select, textarea')) {
+    if (!control.checkValidity()) {
+      control.reportValidity();
+      return false;
+    }
+  }
+  return true;
+}
+
+function create(doc, tag, properties = {}) {
+  return Object.assign(doc.createElement(tag), properties);
+}
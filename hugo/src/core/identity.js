@@ -61,16 +61,132 @@ export function createAnonymousId(formId) {
   });
 }
 
+// Time-sortable submission IDs: a 48-bit millisecond timestamp followed by
+// 80 random bits, as in ULID, written in lowercase Crockford base32. The
+// alphabet is in ASCII order, so IDs sort by creation time as plain strings
+const SORTABLE_ID_ALPHABET = '0123456789abcdefghjkmnpqrstvwxyz';
+const SORTABLE_ID_TIME_LENGTH = 10;
+const SORTABLE_ID_RANDOM_LENGTH = 16;
+const SORTABLE_ID_MAX_TIME = 2 ** 48 - 1;
+
+/**
+ * Generate a time-sortable submission ID
+ * The server lists submissions in key order, so newer IDs must sort after
+ * older ones; the random part keeps IDs from the same millisecond apart
+ * @param {number} [timestamp] - Creation time in ms (defaults to now)
+ * @returns {string} - ID like `vf-01jc6q2m8x4bvd7k3ztn5hrw9p`
+ */
+export function createSubmissionId(timestamp = Date.now()) {
+  if (!Number.isInteger(timestamp) || timestamp < 0 || timestamp > SORTABLE_ID_MAX_TIME) {
+    throw new Error('Submission ID timestamp must be a 48-bit millisecond time');
+  }
+
+  let time = '';
+  for (let i = 0, rest = timestamp; i < SORTABLE_ID_TIME_LENGTH; i++) {
+    time = SORTABLE_ID_ALPHABET[rest % 32] + time;
+    rest = Math.floor(rest / 32);
+  }
+
+  const bytes = crypto.getRandomValues(new Uint8Array(SORTABLE_ID_RANDOM_LENGTH));
+  const random = Array.from(bytes, b => SORTABLE_ID_ALPHABET[b & 31]).join('');
+
+  return `vf-${time}${random}`;
+}
+
+/**
+ * Read the creation time out of a time-sortable submission ID
+ * @param {string} id - Submission ID
+ * @returns {number|null} - Time in ms, or null for other ID formats
+ */
+export function getSubmissionIdTime(id) {
+  if (typeof id !== 'string' || !/^vf-[0-9a-hjkmnp-tv-z]{26}$/.test(id)) {
+    return null;
+  }
+
+  let time = 0;
+  for (const char of id.slice(3, 3 + SORTABLE_ID_TIME_LENGTH)) {
+    time = time * 32 + SORTABLE_ID_ALPHABET.indexOf(char);
+  }
+  return time <= SORTABLE_ID_MAX_TIME ? time : null;
+}
+
 /**
  * Verify a submission ID format is valid (not tampered)
  * @param {string} id - The submission ID to verify
  * @returns {boolean} - True if valid format
  */
 export function isValidSubmissionId(id) {
-  // Must be 32 hex characters (from createIdentityHash)
-  // or UUID format (from createAnonymousId)
+  // Must be 32 hex characters (from createIdentityHash),
+  // UUID format (from createAnonymousId)
+  // or time-sortable (from createSubmissionId)
   const hashPattern = /^[a-f0-9]{32}$/;
   const uuidPattern = /^vf-[a-f0-9]{8}-[a-f0-9]{4}-4[a-f0-9]{3}-[89ab][a-f0-9]{3}-[a-f0-9]{12}$/;
 
-  return hashPattern.test(id) || uuidPattern.test(id);
+  return hashPattern.test(id) || uuidPattern.test(id) || getSubmissionIdTime(id) !== null;
+}
+
+// Invite codes: 20 Crockford base32 characters (100 bits), shown in groups of 5
+const INVITE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const INVITE_CODE_LENGTH = 20;
+
+/**
+ * Generate a batch of one-time invite codes
+ * Codes are made in the browser of whoever hands them out and never sent to
+ * the server; it only receives the nullifier of each code
+ * @param {number} count - Number of codes
+ * @returns {Array<string>} - Codes like `7F3KQ-9ZD2M-XW4HB-R8TNC`
+ */
+export function generateInviteCodes(count) {
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error('Invite code count must be a positive integer');
+  }
+
+  return Array.from({ length: count }, () => {
+    // 32 divides 256, so masking each byte keeps the characters uniform
+    const bytes = crypto.getRandomValues(new Uint8Array(INVITE_CODE_LENGTH));
+    const chars = Array.from(bytes, b => INVITE_ALPHABET[b & 31]).join('');
+    return chars.match(/.{5}/g).join('-');
+  });
+}
+
+/**
+ * Normalize an invite code as typed by a respondent
+ * Case, spaces and dashes are ignored, and the letters Crockford base32
+ * leaves out are read as the digits they look like
+ * @param {string} code - Invite code
+ * @returns {string} - The 20 code characters
+ * @throws {Error} If it is not an invite code
+ */
+export function normalizeInviteCode(code) {
+  const chars = String(code ?? '')
+    .toUpperCase()
+    .replace(/[\s-]/g, '')
+    .replace(/O/g, '0')
+    .replace(/[IL]/g, '1');
+
+  if (chars.length !== INVITE_CODE_LENGTH || [...chars].some(c => !INVITE_ALPHABET.includes(c))) {
+    throw new Error('Invite code is not valid');
+  }
+  return chars;
+}
+
+/**
+ * Derive the nullifier of an invite code for a form
+ * The server stores the nullifiers of a batch and accepts one submission per
+ * nullifier. It is a one-way hash, so the server can't tell which code (or
+ * which invitee) a submission came from, and it differs per form, so the same
+ * code used on two forms can't be linked
+ * @param {string} formId - The form identifier
+ * @param {string} code - Invite code
+ * @returns {Promise<string>} - Base64url-encoded SHA-256 nullifier
+ */
+export async function deriveNullifier(formId, code) {
+  const data = new TextEncoder().encode(`vf-nullifier-v1\0${formId}\0${normalizeInviteCode(code)}`);
+  const hashBuffer = await crypto.subtle.digest('SHA-256', data);
+
+  let binary = '';
+  for (const byte of new Uint8Array(hashBuffer)) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
 }
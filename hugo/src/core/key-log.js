@@ -0,0 +1,76 @@
+/**
+ * VeilForms - Key Transparency Log Verification
+ * Checks the hash-chained log of public keys a form has published, so the
+ * SDK only encrypts for keys the form owner can see in the log
+ */
+
+import { getKeyId } from './encryption.js';
+
+/**
+ * Hash a log entry
+ * Matches hashKeyLogEntry in the server key-log module
+ * @param {object} entry - { seq, kid, addedAt, prevHash }
+ * @returns {Promise<string>} - Base64url-encoded SHA-256 hash
+ */
+export async function hashKeyLogEntry({ seq, kid, addedAt, prevHash }) {
+  const canonical = JSON.stringify([seq, kid, addedAt, prevHash]);
+  const hashBuffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(canonical));
+
+  let binary = '';
+  for (const byte of new Uint8Array(hashBuffer)) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Verify a key log's hash chain
+ * Every entry must follow on from the one before it, and its key ID must be
+ * the thumbprint of the public key it lists. Given the head seen last time,
+ * the log must still contain it: an append-only log only ever grows, so a
+ * missing or changed head means history was rewritten
+ * @param {Array<object>} entries - Log entries, oldest first
+ * @param {object} [options] - `{ since }`, a `{ seq, hash }` head seen earlier
+ * @returns {Promise<Set<string>>} - Key IDs in the log
+ * @throws {Error} If the log is empty, the chain is broken or it doesn't extend `since`
+ */
+export async function verifyKeyLog(entries, options = {}) {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('Key log is empty');
+  }
+
+  const { since } = options;
+  if (since && entries[since.seq]?.hash !== since.hash) {
+    throw new Error(`Key log was rewritten since entry ${since.seq} was last seen`);
+  }
+
+  const kids = new Set();
+  let prevHash = null;
+
+  for (const [seq, entry] of entries.entries()) {
+    if (entry.seq !== seq || entry.prevHash !== prevHash) {
+      throw new Error(`Key log is broken at entry ${seq}`);
+    }
+    if (await hashKeyLogEntry(entry) !== entry.hash) {
+      throw new Error(`Key log entry ${seq} does not match its hash`);
+    }
+    if (await getKeyId(entry.publicKey) !== entry.kid) {
+      throw new Error(`Key log entry ${seq} does not match its public key`);
+    }
+
+    kids.add(entry.kid);
+    prevHash = entry.hash;
+  }
+
+  return kids;
+}
+
+/**
+ * Get the head of a verified key log
+ * @param {Array<object>} entries - Log entries, oldest first
+ * @returns {object} - `{ seq, hash }` of the newest entry
+ */
+export function getKeyLogHead(entries) {
+  const { seq, hash } = entries[entries.length - 1];
+  return { seq, hash };
+}
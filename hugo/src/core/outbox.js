@@ -0,0 +1,210 @@
+/**
+ * VeilForms - Offline Outbox
+ * Holds submissions that could not be sent, such as on a flaky mobile
+ * connection, and retries them with backoff. Items are stored exactly as they
+ * would have been sent, so only the encrypted payload ever touches the disk
+ */
+
+export const OUTBOX_DB_NAME = 'veilforms-outbox';
+const OUTBOX_STORE = 'submissions';
+
+// Retry delays double from RETRY_BASE_DELAY up to RETRY_MAX_DELAY
+const RETRY_BASE_DELAY = 5000;
+const RETRY_MAX_DELAY = 5 * 60 * 1000;
+
+/**
+ * Open the outbox in IndexedDB
+ * Falls back to memory, which only lasts for the page, where IndexedDB is
+ * missing or can't be opened (e.g. some private browsing modes)
+ * @param {string} [name] - Database name
+ * @returns {object} - Store with `put(item)`, `delete(id)` and `getAll()`
+ */
+export function openOutboxStore(name = OUTBOX_DB_NAME) {
+  const memory = createMemoryOutboxStore();
+  if (typeof indexedDB === 'undefined') {
+    return memory;
+  }
+
+  let opened = null;
+  async function run(mode, request, fallback) {
+    if (!opened) {
+      opened = openDatabase(name).catch(() => null);
+    }
+    const db = await opened;
+    return db ? transact(db, mode, request) : fallback(memory);
+  }
+
+  return {
+    put: item => run('readwrite', store => store.put(item), m => m.put(item)),
+    delete: id => run('readwrite', store => store.delete(id), m => m.delete(id)),
+    getAll: () => run('readonly', store => store.getAll(), m => m.getAll()),
+  };
+}
+
+/**
+ * Create an outbox store that only lives in memory
+ * @returns {object} - Store with `put(item)`, `delete(id)` and `getAll()`
+ */
+export function createMemoryOutboxStore() {
+  const items = new Map();
+  return {
+    async put(item) {
+      items.set(item.id, { ...item });
+    },
+    async delete(id) {
+      items.delete(id);
+    },
+    async getAll() {
+      return [...items.values()].map(item => ({ ...item }));
+    },
+  };
+}
+
+function openDatabase(name) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(OUTBOX_STORE, { keyPath: 'id' });
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transact(db, mode, run) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(OUTBOX_STORE, mode);
+    const request = run(tx.objectStore(OUTBOX_STORE));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Generate an idempotency key for a submission
+ * The server caches its response under this key, so a retry of a request
+ * that did arrive gets the original response instead of being stored twice
+ * @returns {string} - 32 base64url characters (192 random bits)
+ */
+export function generateIdempotencyKey() {
+  const bytes = crypto.getRandomValues(new Uint8Array(24));
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+}
+
+/**
+ * How long to wait before the next attempt
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} - Delay in ms, with up to 20% jitter so clients that
+ *   went offline together don't all retry at once
+ */
+export function getRetryDelay(attempts) {
+  const delay = Math.min(RETRY_BASE_DELAY * 2 ** Math.max(0, attempts - 1), RETRY_MAX_DELAY);
+  return Math.round(delay * (1 - Math.random() * 0.2));
+}
+
+/**
+ * Create an outbox that sends stored items and retries failures
+ * `send(item)` resolves with the server's response, or rejects with an error
+ * whose `retryable` flag says whether to keep the item for another attempt
+ * @param {object} options - `{ store, send, onSent, onDropped }`; `onSent(item, result)`
+ *   and `onDropped(item, error)` are called as items leave the outbox
+ * @returns {object} - `{ add(item), flush(options), pending() }`
+ */
+export function createOutbox({ store, send, onSent = () => {}, onDropped = () => {} }) {
+  let flushing = null;
+  let timer = null;
+  let timerAt = Infinity;
+
+  /**
+   * Queue an item after a failed first attempt
+   * @param {object} item - Must have a unique `id`
+   * @returns {Promise<object>} - The stored item
+   */
+  async function add(item) {
+    const queued = {
+      ...item,
+      queuedAt: Date.now(),
+      attempts: 1,
+      nextAttemptAt: Date.now() + getRetryDelay(1),
+    };
+    await store.put(queued);
+    schedule([queued]);
+    return queued;
+  }
+
+  /**
+   * Send queued items
+   * @param {object} [options] - `{ all }`: also send items still backing off,
+   *   e.g. because the browser just came back online
+   * @returns {Promise<void>}
+   */
+  function flush(options = {}) {
+    if (flushing) {
+      // A flush already running may skip items that are backing off
+      return options.all ? flushing.then(() => flush(options)) : flushing;
+    }
+    flushing = sendQueued(options).finally(() => {
+      flushing = null;
+    });
+    return flushing;
+  }
+
+  async function sendQueued({ all = false }) {
+    clearTimeout(timer);
+    timer = null;
+    timerAt = Infinity;
+
+    const items = (await store.getAll()).sort((a, b) => a.queuedAt - b.queuedAt);
+    const remaining = [];
+
+    for (const item of items) {
+      if (!all && item.nextAttemptAt > Date.now()) {
+        remaining.push(item);
+        continue;
+      }
+
+      let result;
+      try {
+        result = await send(item);
+      } catch (error) {
+        if (error.retryable) {
+          const attempts = item.attempts + 1;
+          const retry = { ...item, attempts, nextAttemptAt: Date.now() + getRetryDelay(attempts) };
+          await store.put(retry);
+          remaining.push(retry);
+        } else {
+          await store.delete(item.id);
+          onDropped(item, error);
+        }
+        continue;
+      }
+
+      await store.delete(item.id);
+      onSent(item, result);
+    }
+
+    schedule(remaining);
+  }
+
+  // Wake up for whichever item is due first
+  function schedule(items) {
+    if (items.length === 0) return;
+    const next = Math.min(...items.map(item => item.nextAttemptAt));
+    if (timer && timerAt <= next) return;
+
+    clearTimeout(timer);
+    timerAt = next;
+    timer = setTimeout(() => {
+      timer = null;
+      timerAt = Infinity;
+      flush();
+    }, Math.max(0, next - Date.now()));
+  }
+
+  return {
+    add,
+    flush,
+    pending: () => store.getAll(),
+  };
+}
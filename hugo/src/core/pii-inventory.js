@@ -0,0 +1,143 @@
+/**
+ * VeilForms - PII Data Inventory
+ * Summarizes which fields of decrypted submissions actually hold which kinds
+ * of PII, how often and over which dates, for a record of processing
+ * activities (GDPR Article 30). It runs where the submissions were decrypted
+ * and returns counts only: no submitted values end up in the report
+ */
+
+import { detectPII, resolvePIILocales } from './pii.js';
+
+export const PII_INVENTORY_VERSION = 'vf-inv1';
+
+// Reported for fields whose name suggests PII, as in PII policy rules
+const FIELD_NAME_TYPE = 'field_name';
+
+const CSV_COLUMNS = ['field', 'pii_type', 'records', 'percent_of_records', 'first_seen', 'last_seen'];
+
+/**
+ * Build a data inventory from decrypted submissions
+ * @param {Array<object>} records - `{ data, receivedAt }` per submission; `data` is
+ *   the decrypted object, or null if it could not be decrypted
+ * @param {object} [options] - `{ formId, formName, locales, patterns, fieldNames }`;
+ *   detection options are passed to detectPII
+ * @returns {object} - `{ version, formId, formName, generatedAt, locales, records, dateRange, fields }`
+ */
+export function buildPIIInventory(records, options = {}) {
+  const { formId = null, formName = null, ...detectOptions } = options;
+  const locales = resolvePIILocales(detectOptions.locales);
+
+  const counts = { total: records.length, scanned: 0, skipped: 0, withPII: 0 };
+  const dateRange = { from: null, to: null };
+  const fields = new Map();
+
+  for (const { data, receivedAt } of records) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      counts.skipped++;
+      continue;
+    }
+
+    counts.scanned++;
+    const date = toISODate(receivedAt);
+    widen(dateRange, date);
+
+    for (const field of Object.keys(data)) {
+      fieldEntry(fields, field).records++;
+    }
+
+    // One hit per field and type, however often it occurs in the record
+    const detection = detectPII(data, { ...detectOptions, locales });
+    const hits = new Map();
+    for (const { field } of detection.fields) {
+      addHit(hits, field, FIELD_NAME_TYPE);
+    }
+    for (const { field, type } of detection.patterns) {
+      addHit(hits, field, type);
+    }
+
+    if (hits.size > 0) counts.withPII++;
+
+    for (const [field, types] of hits) {
+      const entry = fieldEntry(fields, field);
+      entry.withPII++;
+      for (const type of types) {
+        if (!entry.types.has(type)) {
+          entry.types.set(type, { type, records: 0, firstSeen: null, lastSeen: null });
+        }
+        const typeEntry = entry.types.get(type);
+        typeEntry.records++;
+        widen(typeEntry, date, 'firstSeen', 'lastSeen');
+      }
+    }
+  }
+
+  return {
+    version: PII_INVENTORY_VERSION,
+    formId,
+    formName,
+    generatedAt: new Date().toISOString(),
+    locales,
+    records: counts,
+    dateRange,
+    fields: [...fields.values()]
+      .sort((a, b) => b.withPII - a.withPII || a.field.localeCompare(b.field))
+      .map(entry => ({
+        ...entry,
+        types: [...entry.types.values()].sort((a, b) => b.records - a.records || a.type.localeCompare(b.type)),
+      })),
+  };
+}
+
+/**
+ * Format a data inventory as CSV
+ * One row per field and PII type; fields without PII are left out
+ * @param {object} inventory - Report from buildPIIInventory
+ * @returns {string}
+ */
+export function piiInventoryToCSV(inventory) {
+  const scanned = inventory.records.scanned;
+  const rows = [];
+
+  for (const { field, types } of inventory.fields) {
+    for (const { type, records, firstSeen, lastSeen } of types) {
+      const percent = scanned > 0 ? (records / scanned * 100).toFixed(1) : '0.0';
+      rows.push([field, type, records, percent, firstSeen || '', lastSeen || '']);
+    }
+  }
+
+  return [CSV_COLUMNS, ...rows]
+    .map(row => row.map(csvCell).join(','))
+    .join('\n');
+}
+
+function fieldEntry(fields, field) {
+  if (!fields.has(field)) {
+    fields.set(field, { field, records: 0, withPII: 0, types: new Map() });
+  }
+  return fields.get(field);
+}
+
+function addHit(hits, field, type) {
+  if (!hits.has(field)) hits.set(field, new Set());
+  hits.get(field).add(type);
+}
+
+function widen(range, date, fromKey = 'from', toKey = 'to') {
+  if (!date) return;
+  if (!range[fromKey] || date < range[fromKey]) range[fromKey] = date;
+  if (!range[toKey] || date > range[toKey]) range[toKey] = date;
+}
+
+function toISODate(value) {
+  if (value === undefined || value === null) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// Field names come from respondents, so keep spreadsheets from reading a
+// cell as a formula
+function csvCell(value) {
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return `"${text.replace(/"/g, '""')}"`;
+}
@@ -2,74 +2,147 @@
  * VeilForms - PII Detection & Stripping Module
  * Validates and sanitizes form data before storage
  * Based on ZTA.io Zero Trust principles
+ *
+ * Patterns come in locale packs on top of a global set. Where an identifier
+ * carries a check digit, a match only counts once the checksum passes, which
+ * keeps arbitrary numbers from being flagged
  */
 
-// Common PII patterns
-const PII_PATTERNS = {
-  email: /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g,
-  phone: /(\+?1[-.\s]?)?(\(?\d{3}\)?[-.\s]?)?\d{3}[-.\s]?\d{4}/g,
-  ssn: /\b\d{3}[-.\s]?\d{2}[-.\s]?\d{4}\b/g,
-  creditCard: /\b(?:\d{4}[-.\s]?){3}\d{4}\b/g,
-  ipv4: /\b(?:\d{1,3}\.){3}\d{1,3}\b/g,
-  ipv6: /\b(?:[a-fA-F0-9]{1,4}:){7}[a-fA-F0-9]{1,4}\b/g,
-  // US ZIP codes
-  zipCode: /\b\d{5}(?:-\d{4})?\b/g,
-  // Date of birth patterns (various formats)
-  dob: /\b(?:0?[1-9]|1[0-2])[-/](?:0?[1-9]|[12]\d|3[01])[-/](?:19|20)\d{2}\b/g,
+import { sha256, hmacSha256 } from './sha256.js';
+
+// Checked for every locale
+const GLOBAL_PATTERNS = [
+  { type: 'email', regex: /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g },
+  { type: 'creditCard', regex: /\b(?:\d{4}[-.\s]?){3}\d{4}(?:\d{3})?\b|\b\d{4}[-.\s]?\d{6}[-.\s]?\d{4,5}\b|\b\d{13,19}\b/g, validate: isValidCardNumber },
+  { type: 'ipv4', regex: /\b(?:\d{1,3}\.){3}\d{1,3}\b/g },
+  { type: 'ipv6', regex: /\b(?:[a-fA-F0-9]{1,4}:){7}[a-fA-F0-9]{1,4}\b/g },
+  { type: 'iban', regex: /\b[A-Z]{2}\d{2}(?:[ ]?[A-Z0-9]){11,30}\b/g, validate: isValidIBAN },
+  // Passport machine-readable zone (ICAO 9303 TD3, second line)
+  { type: 'passport', regex: /\b[A-Z0-9<]{9}\d[A-Z<]{3}\d{6}\d[MFX<]\d{6}\d[A-Z0-9<]{14}[\d<]\d\b/g, validate: isValidPassportMRZ },
+  // Passport numbers have no common checksum, so only labelled ones count
+  { type: 'passport', regex: /\b(?:passport|passeport|pasaporte|passaporte|passaporto|reisepass|paspoort)\s*(?:no\.?|nr\.?|number|num[eé]ro|n[uú]mero|#)?\s*[:#]?\s*(?=[A-Z]*\d)[A-Z0-9]{6,9}\b/gi },
+];
+
+// Opt-in packs, selected with the `locales` option
+const LOCALE_PATTERNS = {
+  us: [
+    { type: 'phone', regex: /(\+?1[-.\s]?)?(\(?\d{3}\)?[-.\s]?)?\d{3}[-.\s]?\d{4}/g },
+    { type: 'ssn', regex: /\b\d{3}[-.\s]?\d{2}[-.\s]?\d{4}\b/g, validate: isValidSSN },
+    { type: 'zipCode', regex: /\b\d{5}(?:-\d{4})?\b/g },
+    { type: 'dob', regex: /\b(?:0?[1-9]|1[0-2])[-/](?:0?[1-9]|[12]\d|3[01])[-/](?:19|20)\d{2}\b/g },
+  ],
+  eu: [
+    // International format with an EU/EEA, UK or Swiss country code
+    { type: 'phone', regex: /\+(?:3[0-469]|4[013-9]|35[1-46-9]|37[0-2]|38[56]|42[01])[\s.-]?(?:\(0\)[\s.-]?)?\d(?:[\s.-]?\d){6,11}\b/g },
+    // Day first, as written across Europe
+    { type: 'dob', regex: /\b(?:0?[1-9]|[12]\d|3[01])[-/.](?:0?[1-9]|1[0-2])[-/.](?:19|20)\d{2}\b/g },
+  ],
+  uk: [
+    { type: 'nationalInsurance', regex: /\b(?!BG|GB|KN|NK|NT|TN|ZZ)[A-CEGHJ-PR-TW-Z][A-CEGHJ-NPR-TW-Z]\s?\d{2}\s?\d{2}\s?\d{2}\s?[A-D]\b/g },
+    { type: 'nhsNumber', regex: /\b\d{3}[\s-]?\d{3}[\s-]?\d{4}\b/g, validate: isValidNHSNumber },
+    { type: 'phone', regex: /(?:\+44[\s-]?(?:\(0\)[\s-]?)?|\b0)(?:7\d{3}|[1-3]\d{2,3})[\s-]?\d{3}[\s-]?\d{3,4}\b/g },
+    { type: 'postalCode', regex: /\b[A-Z]{1,2}\d[A-Z\d]?\s?\d[ABD-HJLNP-UW-Z]{2}\b/g },
+  ],
+  ca: [
+    { type: 'sin', regex: /\b\d{3}[-\s]?\d{3}[-\s]?\d{3}\b/g, validate: isValidSIN },
+    { type: 'postalCode', regex: /\b[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z]\s?\d[ABCEGHJ-NPRSTV-Z]\d\b/g },
+  ],
+  de: [
+    // Personalausweis / Reisepass serial with its check digit
+    { type: 'nationalId', regex: /\b[CFGHJKLMNPRTVWXYZ][CFGHJKLMNPRTVWXYZ\d]{8}\d\b/g, validate: isValidGermanIdNumber },
+  ],
+  es: [
+    // DNI and NIE
+    { type: 'nationalId', regex: /\b(?:\d{8}|[XYZ]-?\d{7})-?[A-Z]\b/g, validate: isValidSpanishId },
+  ],
+  fr: [
+    // Numéro de sécurité sociale (NIR) with its two-digit key
+    { type: 'nationalId', regex: /\b[12]\s?\d{2}\s?(?:0[1-9]|1[0-2]|[2-9]\d)\s?(?:\d{2}|2[AB])\s?\d{3}\s?\d{3}\s?\d{2}\b/g, validate: isValidFrenchNIR },
+    { type: 'phone', regex: /(?:\+33[\s.-]?|\b0)[1-9](?:[\s.-]?\d{2}){4}\b/g },
+  ],
+  it: [
+    { type: 'nationalId', regex: /\b[A-Z]{6}[\dLMNP-V]{2}[A-EHLMPR-T][\dLMNP-V]{2}[A-Z][\dLMNP-V]{3}[A-Z]\b/g, validate: isValidCodiceFiscale },
+  ],
+  nl: [
+    // Burgerservicenummer
+    { type: 'nationalId', regex: /\b\d{4}\.?\d{2}\.?\d{3}\b/g, validate: isValidBSN },
+  ],
 };
 
+// Packs used when no `locales` option is given
+export const DEFAULT_PII_LOCALES = ['us'];
+
+// Every pack that can be selected
+export const PII_LOCALES = Object.keys(LOCALE_PATTERNS);
+
+// What a PII policy can do with a field that contains PII
+export const PII_ACTIONS = ['block', 'redact', 'hash', 'pseudonymize', 'allow'];
+
+// Output formats for keyed pseudonyms
+export const PSEUDONYM_FORMATS = ['token', 'keep-domain', 'last4'];
+
+// Values nested deeper than this are not scanned
+const MAX_SCAN_DEPTH = 32;
+
 // Field names that typically contain PII
 const PII_FIELD_NAMES = [
   'email', 'mail', 'e-mail',
   'name', 'firstname', 'first_name', 'lastname', 'last_name', 'fullname', 'full_name',
   'phone', 'telephone', 'mobile', 'cell',
   'ssn', 'social', 'socialsecurity',
-  'address', 'street', 'city', 'state', 'zip', 'zipcode', 'postal',
+  'address', 'street', 'city', 'state', 'zip', 'zipcode', 'postal', 'postcode',
   'dob', 'birthday', 'birthdate', 'dateofbirth',
   'creditcard', 'cc', 'cardnumber', 'cvv', 'cvc',
+  'iban', 'passport', 'nationalid', 'nationalinsurance', 'taxid',
   'password', 'pass', 'pwd',
   'ip', 'ipaddress',
 ];
 
 /**
  * Detect PII in form data
+ * Nested objects and arrays are scanned too. Each finding names the top-level
+ * `field` it is in and its JSON pointer `path`, e.g. `/contacts/0/email`
  * @param {object} formData - The form submission data
+ * @param {object} [options] - `{ locales, patterns, fieldNames }`: pattern packs
+ *   to check (default `['us']`), plus extra `{ type, regex }` patterns and field
+ *   names, as from a PII policy
  * @returns {object} - Detection results with found PII types
  */
-export function detectPII(formData) {
+export function detectPII(formData, options = {}) {
+  const patterns = getPatterns(options);
+  const fieldNames = getFieldNames(options);
   const detected = {
     hasPII: false,
     fields: [],
     patterns: [],
   };
 
-  for (const [fieldName, value] of Object.entries(formData)) {
-    const normalizedName = fieldName.toLowerCase().replace(/[-_\s]/g, '');
+  forEachValue(formData, (value, keys) => {
+    const field = keys[0];
+    const path = toPointer(keys);
 
     // Check field name
-    if (PII_FIELD_NAMES.some(pii => normalizedName.includes(pii))) {
+    if (isPIIFieldName(keys[keys.length - 1], fieldNames)) {
       detected.hasPII = true;
       detected.fields.push({
-        field: fieldName,
+        field,
+        path,
         reason: 'field_name_suggests_pii',
       });
     }
 
     // Check value patterns (only for strings)
     if (typeof value === 'string') {
-      for (const [patternName, regex] of Object.entries(PII_PATTERNS)) {
-        // Reset regex state
-        regex.lastIndex = 0;
-        if (regex.test(value)) {
-          detected.hasPII = true;
-          detected.patterns.push({
-            field: fieldName,
-            type: patternName,
-          });
-        }
+      for (const type of findPatternTypes(value, patterns)) {
+        detected.hasPII = true;
+        detected.patterns.push({
+          field,
+          path,
+          type,
+        });
       }
     }
-  }
+  });
 
   return detected;
 }
@@ -84,7 +157,7 @@ export function detectPII(formData) {
 export function validateNoPII(formData, options = {}) {
   const { strict = true, allowFields = [] } = options;
 
-  const detection = detectPII(formData);
+  const detection = detectPII(formData, options);
 
   if (detection.hasPII) {
     // Filter out allowed fields
@@ -106,60 +179,102 @@ export function validateNoPII(formData, options = {}) {
 
 /**
  * Strip PII from form data before storage
- * Replaces detected PII with redaction markers
+ * Replaces detected PII with redaction markers, at any depth. Everything under
+ * a key that suggests PII is redacted (or hashed), keeping arrays and objects
+ * in shape. Synchronous, so the SDK can call it inline
  * @param {object} formData - The form submission data
- * @param {object} options - Strip options
- * @returns {object} - Sanitized form data
+ * @param {object} options - Strip options; also takes the detectPII options.
+ *   `preserveFields` takes top-level field names or JSON pointers. Values in
+ *   fields listed in `hashFields` are hashed whole when they contain PII.
+ *   `pseudonymize: { key, fields, formats }` replaces PII with keyed pseudonyms
+ *   instead, in the listed top-level fields (default all), with a format per field
+ * @returns {object} - `{ data, strippedFields, strippedPaths, wasModified }`
  */
-export async function stripPII(formData, options = {}) {
+export function stripPII(formData, options = {}) {
   const {
     redactionMarker = '[REDACTED]',
     preserveFields = [],
     hashInsteadOfRedact = false,
+    hashFields = [],
+    pseudonymize: pseudonymOptions,
   } = options;
 
-  const sanitized = { ...formData };
+  const patterns = getPatterns(options);
+  const fieldNames = getFieldNames(options);
+  const pseudonymKey = pseudonymOptions ? toKeyBytes(pseudonymOptions.key) : null;
   const strippedFields = [];
+  const strippedPaths = [];
 
-  for (const [fieldName, value] of Object.entries(sanitized)) {
-    // Skip preserved fields
-    if (preserveFields.includes(fieldName)) continue;
+  const record = keys => {
+    strippedPaths.push(toPointer(keys));
+    if (!strippedFields.includes(keys[0])) {
+      strippedFields.push(keys[0]);
+    }
+  };
 
-    const normalizedName = fieldName.toLowerCase().replace(/[-_\s]/g, '');
+  const isPreserved = keys => {
+    const path = toPointer(keys);
+    return preserveFields.some(preserved => preserved === keys[0]
+      || (preserved.startsWith('/') && (path === preserved || path.startsWith(preserved + '/'))));
+  };
 
-    // Check if field name suggests PII
-    const isPIIField = PII_FIELD_NAMES.some(pii => normalizedName.includes(pii));
+  // Pseudonym format for a top-level field, or null when it isn't pseudonymized
+  const pseudonymFormat = field => {
+    if (!pseudonymKey || (pseudonymOptions.fields && !pseudonymOptions.fields.includes(field))) {
+      return null;
+    }
+    return pseudonymOptions.formats?.[field] || 'token';
+  };
 
-    if (isPIIField) {
-      if (hashInsteadOfRedact && typeof value === 'string') {
+  // Everything under a PII key goes, string by string
+  const redactAll = (value, replace, depth) => {
+    if (typeof value === 'string' && replace) {
+      return replace(value);
+    }
+    if (depth < MAX_SCAN_DEPTH && isContainer(value)) {
+      return mapContainer(value, child => redactAll(child, replace, depth + 1));
+    }
+    return redactionMarker;
+  };
+
+  const sanitize = (value, keys) => {
+    if (isPreserved(keys)) return value;
+
+    const format = pseudonymFormat(keys[0]);
+
+    if (isPIIFieldName(keys[keys.length - 1], fieldNames)) {
+      record(keys);
+      let replace = null;
+      if (format) {
+        replace = text => pseudonymize(text, pseudonymKey, format);
+      } else if (hashInsteadOfRedact || hashFields.includes(keys[0])) {
         // Hash the value for de-duplication without exposing PII
-        sanitized[fieldName] = await hashValue(value);
-      } else {
-        sanitized[fieldName] = redactionMarker;
+        replace = hashValue;
       }
-      strippedFields.push(fieldName);
-      continue;
+      return redactAll(value, replace, keys.length);
     }
 
     // Check value patterns
     if (typeof value === 'string') {
-      let cleanValue = value;
-      for (const [patternName, regex] of Object.entries(PII_PATTERNS)) {
-        regex.lastIndex = 0;
-        if (regex.test(cleanValue)) {
-          cleanValue = cleanValue.replace(regex, redactionMarker);
-          if (!strippedFields.includes(fieldName)) {
-            strippedFields.push(fieldName);
-          }
-        }
-      }
-      sanitized[fieldName] = cleanValue;
+      const cleanValue = replaceMatches(value, patterns, match =>
+        format ? pseudonymize(match, pseudonymKey, format) : redactionMarker
+      );
+      if (cleanValue === value) return value;
+
+      record(keys);
+      return !format && hashFields.includes(keys[0]) ? hashValue(value) : cleanValue;
     }
-  }
+
+    if (keys.length < MAX_SCAN_DEPTH && isContainer(value)) {
+      return mapContainer(value, (child, key) => sanitize(child, [...keys, key]));
+    }
+    return value;
+  };
 
   return {
-    data: sanitized,
+    data: mapContainer(formData, (value, key) => sanitize(value, [key])),
     strippedFields,
+    strippedPaths,
     wasModified: strippedFields.length > 0,
   };
 }
@@ -167,23 +282,104 @@ export async function stripPII(formData, options = {}) {
 /**
  * Hash a value for anonymous comparison
  * @param {string} value - Value to hash
- * @returns {Promise<string>} - Hashed value
+ * @returns {string} - Hashed value
  */
-async function hashValue(value) {
-  const encoder = new TextEncoder();
-  const data = encoder.encode(value.toLowerCase().trim());
-  const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-  const hashArray = Array.from(new Uint8Array(hashBuffer));
-  return 'hash:' + hashArray.map(b => b.toString(16).padStart(2, '0')).join('').substring(0, 16);
+function hashValue(value) {
+  const hash = sha256(value.toLowerCase().trim());
+  return 'hash:' + Array.from(hash.subarray(0, 8), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Generate a per-form pseudonymization key
+ * Held by the form owner (dashboard and embed code) and never sent to the server
+ * @returns {string} - Base64url-encoded 256-bit key
+ */
+export function generatePseudonymKey() {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Replace a value with its keyed pseudonym
+ * Unlike hashing, the pseudonym is an HMAC, so without the form's key
+ * low-entropy values such as phone numbers can't be guessed back. Equal
+ * values (ignoring case and padding) always give the same pseudonym, so
+ * records can still be joined on it
+ * @param {string} value - Value to pseudonymize
+ * @param {string|Uint8Array} key - Key from generatePseudonymKey
+ * @param {string} [format='token'] - `token` gives `pn_` and 16 hex digits;
+ *   `keep-domain` keeps an email's domain; `last4` replaces every digit but the
+ *   last four and keeps separators and letters. Values that don't fit the
+ *   format get a token
+ * @returns {string} - Pseudonym
+ */
+export function pseudonymize(value, key, format = 'token') {
+  if (!PSEUDONYM_FORMATS.includes(format)) {
+    throw new Error(`Unknown pseudonym format: ${format}`);
+  }
+
+  const keyBytes = toKeyBytes(key);
+  const normalized = String(value).toLowerCase().trim();
+
+  if (format === 'keep-domain') {
+    const at = normalized.lastIndexOf('@');
+    if (at > 0 && at < normalized.length - 1) {
+      return `pn_${pseudonymToken(keyBytes, format, normalized)}${normalized.slice(at)}`;
+    }
+  }
+
+  if (format === 'last4') {
+    const digits = normalized.replace(/\D/g, '');
+    if (digits.length > 0) {
+      // Short values keep none of their digits
+      const replaced = digits.length > 4 ? digits.length - 4 : digits.length;
+      const stream = keyedDigits(keyBytes, digits, replaced);
+      let index = 0;
+      return String(value).trim().replace(/\d/g, digit => (index < replaced ? stream[index++] : digit));
+    }
+  }
+
+  return `pn_${pseudonymToken(keyBytes, 'token', normalized)}`;
+}
+
+function pseudonymToken(keyBytes, format, normalized) {
+  const mac = hmacSha256(keyBytes, `${format}\u0000${normalized}`);
+  return Array.from(mac.subarray(0, 8), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Uniform keyed digits; bytes of 250 and over are skipped to avoid bias
+function keyedDigits(keyBytes, digits, count) {
+  let stream = '';
+  for (let block = 0; stream.length < count; block++) {
+    for (const byte of hmacSha256(keyBytes, `last4\u0000${block}\u0000${digits}`)) {
+      if (byte < 250 && stream.length < count) {
+        stream += String(byte % 10);
+      }
+    }
+  }
+  return stream;
+}
+
+function toKeyBytes(key) {
+  if (key instanceof Uint8Array) return key;
+  if (typeof key !== 'string' || key.length < 22) {
+    throw new Error('Pseudonym key must be a base64url key from generatePseudonymKey');
+  }
+
+  const base64 = key.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64 + '='.repeat((4 - base64.length % 4) % 4)), c => c.charCodeAt(0));
 }
 
 /**
  * Create a PII-safe schema validator
  * Returns a function that validates form data against allowed fields
  * @param {object} schema - Field definitions with PII flags
+ * @param {object} [options] - detectPII options
  * @returns {function} - Validator function
  */
-export function createPIISchema(schema) {
+export function createPIISchema(schema, options = {}) {
+  const patterns = getPatterns(options);
+
   return function validate(formData) {
     const errors = [];
     const warnings = [];
@@ -196,12 +392,15 @@ export function createPIISchema(schema) {
         continue;
       }
 
-      if (fieldSchema.noPII && typeof value === 'string') {
-        for (const [patternName, regex] of Object.entries(PII_PATTERNS)) {
-          regex.lastIndex = 0;
-          if (regex.test(value)) {
-            errors.push(`Field "${fieldName}" contains ${patternName} but is marked as noPII`);
+      if (fieldSchema.noPII) {
+        const types = new Set();
+        forEachValue({ [fieldName]: value }, nested => {
+          if (typeof nested === 'string') {
+            findPatternTypes(nested, patterns).forEach(type => types.add(type));
           }
+        });
+        for (const type of types) {
+          errors.push(`Field "${fieldName}" contains ${type} but is marked as noPII`);
         }
       }
     }
@@ -213,3 +412,412 @@ export function createPIISchema(schema) {
     };
   };
 }
+
+/**
+ * Check whether a PII policy pseudonymizes any field
+ * @param {object} policy - PII policy from the form settings
+ * @returns {boolean}
+ */
+export function policyPseudonymizes(policy) {
+  return policy.defaultAction === 'pseudonymize'
+    || Object.values(policy.fields || {}).includes('pseudonymize');
+}
+
+/**
+ * Check a form's PII policy and compile its patterns
+ * A policy is `{ locales, defaultAction, patterns, fieldNames, fields, formats }`:
+ * custom `{ id, pattern, flags }` regexes, extra field names that suggest
+ * PII, the action for PII found in each field, falling back to
+ * `defaultAction` (redact unless set), and the pseudonym format per field
+ * @param {object} policy - PII policy from the form settings
+ * @returns {object} - Policy with `patterns` compiled to `{ type, regex }`
+ * @throws {Error} If the policy is malformed
+ */
+export function compilePIIPolicy(policy) {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    throw new Error('PII policy must be an object');
+  }
+
+  const defaultAction = policy.defaultAction || 'redact';
+  if (!PII_ACTIONS.includes(defaultAction)) {
+    throw new Error(`Unknown PII action: ${defaultAction}`);
+  }
+
+  const fields = policy.fields || {};
+  for (const [field, action] of Object.entries(fields)) {
+    if (!PII_ACTIONS.includes(action)) {
+      throw new Error(`Unknown PII action for field ${field}: ${action}`);
+    }
+  }
+
+  const formats = policy.formats || {};
+  for (const [field, format] of Object.entries(formats)) {
+    if (!PSEUDONYM_FORMATS.includes(format)) {
+      throw new Error(`Unknown pseudonym format for field ${field}: ${format}`);
+    }
+  }
+
+  const patterns = (policy.patterns || []).map(({ id, pattern, flags = '' }) => {
+    if (typeof id !== 'string' || typeof pattern !== 'string' || !/^[imsu]*$/.test(flags)) {
+      throw new Error(`Invalid PII policy pattern: ${id}`);
+    }
+    return { type: id, regex: new RegExp(pattern, flags + 'g') };
+  });
+
+  return {
+    locales: policy.locales ? resolvePIILocales(policy.locales) : undefined,
+    defaultAction,
+    patterns,
+    fieldNames: (policy.fieldNames || []).map(name => String(name).toLowerCase().replace(/[-_\s]/g, '')),
+    fields,
+    formats,
+  };
+}
+
+// Compile a policy and list the rules that fire on form data
+function evaluatePIIPolicy(formData, policy, options) {
+  const compiled = compilePIIPolicy(policy);
+  const piiOptions = {
+    locales: compiled.locales || options.locales,
+    patterns: compiled.patterns,
+    fieldNames: compiled.fieldNames,
+  };
+  const actionFor = field => compiled.fields[field] || compiled.defaultAction;
+
+  const detection = detectPII(formData, piiOptions);
+  const rules = [
+    ...detection.fields.map(({ field, path }) => ({ field, path, rule: 'field_name', action: actionFor(field) })),
+    ...detection.patterns.map(({ field, path, type }) => ({ field, path, rule: type, action: actionFor(field) })),
+  ];
+
+  return { compiled, piiOptions, actionFor, rules };
+}
+
+/**
+ * Enforce a form's PII policy on form data
+ * Only field names and rule names are reported, never the values. Without a
+ * `pseudonymKey`, fields to pseudonymize are kept as entered: the SDK
+ * encrypts them and the owner pseudonymizes them after decryption
+ * (see pseudonymizePIIFields), so the key never has to be in the embed code
+ * @param {object} formData - The form submission data
+ * @param {object} policy - PII policy from the form settings
+ * @param {object} [options] - `{ locales, pseudonymKey }`; locales apply when the policy sets none
+ * @returns {object} - `{ data, rules, wasModified }`, where each rule is
+ *   `{ field, path, rule, action }` and `rule` is `field_name` or the pattern type
+ * @throws {Error} With code `PII_BLOCKED` and the firing `rules` if a field's action is block
+ */
+export function applyPIIPolicy(formData, policy, options = {}) {
+  const { compiled, piiOptions, actionFor, rules } = evaluatePIIPolicy(formData, policy, options);
+
+  const blocked = rules.filter(rule => rule.action === 'block');
+  if (blocked.length > 0) {
+    const error = new Error('Submission blocked by the form\'s PII policy');
+    error.code = 'PII_BLOCKED';
+    error.rules = blocked;
+    throw error;
+  }
+
+  const flagged = new Set(rules.map(rule => rule.field));
+  const kept = field => actionFor(field) === 'allow'
+    || (actionFor(field) === 'pseudonymize' && !options.pseudonymKey);
+  const stripped = stripPII(formData, {
+    ...piiOptions,
+    preserveFields: Object.keys(formData).filter(field => !flagged.has(field) || kept(field)),
+    hashFields: [...flagged].filter(field => actionFor(field) === 'hash'),
+    ...(options.pseudonymKey && {
+      pseudonymize: {
+        key: options.pseudonymKey,
+        fields: [...flagged].filter(field => actionFor(field) === 'pseudonymize'),
+        formats: compiled.formats,
+      },
+    }),
+  });
+
+  return {
+    data: stripped.data,
+    rules,
+    wasModified: stripped.wasModified,
+  };
+}
+
+/**
+ * Pseudonymize the fields a form's PII policy pseudonymizes
+ * For decrypted submissions: the SDK sends those fields as entered, and the
+ * owner replaces them here with the pseudonym key from their own browser.
+ * Every other field is left alone, so values the SDK already redacted or
+ * hashed are not touched again
+ * @param {object} formData - Decrypted form data
+ * @param {object} policy - PII policy from the form settings
+ * @param {object} options - `{ pseudonymKey, locales }`
+ * @returns {object} - `{ data, fields }`, with the names of the fields pseudonymized
+ */
+export function pseudonymizePIIFields(formData, policy, options) {
+  const { compiled, piiOptions, actionFor, rules } = evaluatePIIPolicy(formData, policy, options);
+  const fields = [...new Set(rules.map(rule => rule.field))]
+    .filter(field => actionFor(field) === 'pseudonymize');
+
+  if (fields.length === 0) {
+    return { data: formData, fields };
+  }
+
+  const stripped = stripPII(formData, {
+    ...piiOptions,
+    preserveFields: Object.keys(formData).filter(field => !fields.includes(field)),
+    pseudonymize: { key: options.pseudonymKey, fields, formats: compiled.formats },
+  });
+
+  return { data: stripped.data, fields: stripped.strippedFields };
+}
+
+/**
+ * Check a `locales` option
+ * @param {Array<string>} locales - Locale pack names
+ * @returns {Array<string>} - The locales, lowercased
+ * @throws {Error} If a locale has no pattern pack
+ */
+export function resolvePIILocales(locales = DEFAULT_PII_LOCALES) {
+  if (!Array.isArray(locales)) {
+    throw new Error('PII locales must be an array of locale codes');
+  }
+
+  return locales.map(locale => {
+    const code = String(locale).toLowerCase();
+    if (!LOCALE_PATTERNS[code]) {
+      throw new Error(`Unknown PII locale: ${locale}. Supported: ${PII_LOCALES.join(', ')}`);
+    }
+    return code;
+  });
+}
+
+function getPatterns({ locales, patterns: extra = [] } = {}) {
+  const patterns = [...GLOBAL_PATTERNS];
+  for (const locale of new Set(resolvePIILocales(locales || DEFAULT_PII_LOCALES))) {
+    patterns.push(...LOCALE_PATTERNS[locale]);
+  }
+  return [...patterns, ...extra];
+}
+
+function getFieldNames({ fieldNames: extra = [] } = {}) {
+  return [...PII_FIELD_NAMES, ...extra];
+}
+
+// Replaces every valid match in one pass, so a replacement is never matched
+// again. Where matches overlap, the earliest (then longest) wins
+function replaceMatches(value, patterns, replace) {
+  const spans = [];
+  for (const { regex, validate } of patterns) {
+    for (const match of value.matchAll(regex)) {
+      if (match[0] && (!validate || validate(match[0]))) {
+        spans.push({ start: match.index, end: match.index + match[0].length });
+      }
+    }
+  }
+  spans.sort((a, b) => a.start - b.start || b.end - a.end);
+
+  let result = '';
+  let position = 0;
+  for (const { start, end } of spans) {
+    if (start < position) continue;
+    result += value.slice(position, start) + replace(value.slice(start, end));
+    position = end;
+  }
+  return result + value.slice(position);
+}
+
+// Array indexes are never field names
+function isPIIFieldName(key, fieldNames) {
+  if (typeof key !== 'string') return false;
+  const normalizedName = key.toLowerCase().replace(/[-_\s]/g, '');
+  return fieldNames.some(pii => normalizedName.includes(pii));
+}
+
+function isContainer(value) {
+  if (Array.isArray(value)) return true;
+  if (value === null || typeof value !== 'object') return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+function mapContainer(value, fn) {
+  if (Array.isArray(value)) {
+    return value.map((child, index) => fn(child, index));
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, fn(child, key)]));
+}
+
+// Calls visit(value, keys) for every value below the top level, parents first
+function forEachValue(data, visit, keys = []) {
+  if (keys.length >= MAX_SCAN_DEPTH) return;
+
+  const entries = Array.isArray(data)
+    ? data.map((child, index) => [index, child])
+    : Object.entries(data);
+  for (const [key, value] of entries) {
+    const childKeys = [...keys, key];
+    visit(value, childKeys);
+    if (isContainer(value)) {
+      forEachValue(value, visit, childKeys);
+    }
+  }
+}
+
+// RFC 6901 JSON pointer
+function toPointer(keys) {
+  return keys.map(key => '/' + String(key).replace(/~/g, '~0').replace(/\//g, '~1')).join('');
+}
+
+// Types of the patterns with at least one valid match, each listed once
+function findPatternTypes(value, patterns) {
+  const types = [];
+  for (const { type, regex, validate } of patterns) {
+    if (types.includes(type)) continue;
+
+    for (const match of value.matchAll(regex)) {
+      if (!validate || validate(match[0])) {
+        types.push(type);
+        break;
+      }
+    }
+  }
+  return types;
+}
+
+// ---------------------------------------------------------------------------
+// Checksums
+// ---------------------------------------------------------------------------
+
+function digitsOf(value) {
+  return value.replace(/\D/g, '');
+}
+
+function luhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function isValidCardNumber(value) {
+  const digits = digitsOf(value);
+  return digits.length >= 13 && digits.length <= 19 && luhn(digits);
+}
+
+// Area 000, 666 and 900-999, group 00 and serial 0000 are never issued
+function isValidSSN(value) {
+  const digits = digitsOf(value);
+  return !/^(?:000|666|9)/.test(digits)
+    && digits.slice(3, 5) !== '00'
+    && digits.slice(5) !== '0000';
+}
+
+// Lengths for the countries most often seen; others only need mod 97
+const IBAN_LENGTHS = {
+  AT: 20, BE: 16, BG: 22, CH: 21, CY: 28, CZ: 24, DE: 22, DK: 18, EE: 20,
+  ES: 24, FI: 18, FR: 27, GB: 22, GR: 27, HR: 21, HU: 28, IE: 22, IS: 26,
+  IT: 27, LI: 21, LT: 20, LU: 20, LV: 21, MT: 31, NL: 18, NO: 15, PL: 28,
+  PT: 25, RO: 24, SE: 24, SI: 19, SK: 24,
+};
+
+// ISO 13616: move the first four characters to the end, turn letters into
+// numbers (A = 10) and the remainder mod 97 must be 1
+function isValidIBAN(value) {
+  const iban = value.replace(/\s/g, '');
+  const expectedLength = IBAN_LENGTHS[iban.slice(0, 2)];
+  if (expectedLength ? iban.length !== expectedLength : iban.length < 15 || iban.length > 34) {
+    return false;
+  }
+
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const code = parseInt(char, 36);
+    remainder = code > 9
+      ? (remainder * 100 + code) % 97
+      : (remainder * 10 + code) % 97;
+  }
+  return remainder === 1;
+}
+
+// ICAO 9303 check digit: weights 7, 3, 1 with A = 10 and < = 0
+function icaoCheckDigit(value) {
+  let sum = 0;
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+    const code = char === '<' ? 0 : parseInt(char, 36);
+    sum += code * [7, 3, 1][i % 3];
+  }
+  return sum % 10;
+}
+
+function isValidPassportMRZ(line) {
+  const check = (start, end) => icaoCheckDigit(line.slice(start, end)) === Number(line[end]);
+  // Document number, date of birth, expiry date, then the composite
+  return check(0, 9) && check(13, 19) && check(21, 27)
+    && icaoCheckDigit(line.slice(0, 10) + line.slice(13, 20) + line.slice(21, 43)) === Number(line[43]);
+}
+
+// Modulus 11 with weights 10 down to 2; a remainder of 10 is never issued
+function isValidNHSNumber(value) {
+  const digits = digitsOf(value);
+  let sum = 0;
+  for (let i = 0; i < 9; i++) {
+    sum += Number(digits[i]) * (10 - i);
+  }
+  const check = 11 - (sum % 11);
+  return check !== 10 && (check % 11) === Number(digits[9]);
+}
+
+// Luhn; SINs starting with 0 or 8 are not issued to people
+function isValidSIN(value) {
+  const digits = digitsOf(value);
+  return !/^[08]/.test(digits) && luhn(digits);
+}
+
+function isValidGermanIdNumber(value) {
+  return icaoCheckDigit(value.slice(0, 9)) === Number(value[9]);
+}
+
+// DNI number (NIE: X, Y, Z stand for 0, 1, 2) mod 23 picks the letter
+function isValidSpanishId(value) {
+  const id = value.replace(/-/g, '');
+  const number = Number(id.slice(0, -1).replace(/^[XYZ]/, prefix => 'XYZ'.indexOf(prefix)));
+  return 'TRWAGMYFPDXBNJZSQVHLCKE'[number % 23] === id.slice(-1);
+}
+
+// The key is 97 minus the first 13 digits mod 97; Corsica's 2A and 2B
+// count as 19 and 18
+function isValidFrenchNIR(value) {
+  const nir = value.replace(/\s/g, '');
+  const body = nir.slice(0, 13).replace('2A', '19').replace('2B', '18');
+  return 97 - (Number(body) % 97) === Number(nir.slice(13));
+}
+
+const CODICE_ODD_VALUES = [1, 0, 5, 7, 9, 13, 15, 17, 19, 21, 2, 4, 18, 20, 11, 3, 6, 8, 12, 14, 16, 10, 22, 25, 24, 23];
+
+// Characters in odd positions map through a fixed table, even ones to their
+// index (0-9, A-Z); the sum mod 26 is the check letter
+function isValidCodiceFiscale(value) {
+  let sum = 0;
+  for (let i = 0; i < 15; i++) {
+    const char = value[i];
+    const index = /\d/.test(char) ? Number(char) : char.charCodeAt(0) - 65;
+    sum += i % 2 === 0 ? CODICE_ODD_VALUES[index] : index;
+  }
+  return String.fromCharCode(65 + (sum % 26)) === value[15];
+}
+
+// Elfproef: weights 9 down to 2, and -1 for the last digit
+function isValidBSN(value) {
+  const digits = digitsOf(value);
+  let sum = -Number(digits[8]);
+  for (let i = 0; i < 8; i++) {
+    sum += Number(digits[i]) * (9 - i);
+  }
+  return sum % 11 === 0 && Number(digits) !== 0;
+}
@@ -0,0 +1,113 @@
+/**
+ * VeilForms - Submission Receipt Verification
+ * Checks receipts signed by the server when it accepts a submission. A
+ * receipt proves which ciphertext was received for which form and submission,
+ * and when, without revealing anything about its contents
+ */
+
+import { getKeyId } from './encryption.js';
+
+export const RECEIPT_VERSION = 'vf-r1';
+
+const RECEIPT_FIELDS = ['version', 'kid', 'formId', 'submissionId', 'receivedAt', 'ciphertextHash', 'signature'];
+
+/**
+ * Hash the ciphertext of an encrypted payload
+ * Matches hashCiphertext in the server receipts module
+ * @param {object} payload - Encrypted payload as submitted
+ * @returns {Promise<string>} - Base64url-encoded SHA-256 hash
+ */
+export async function hashCiphertext(payload) {
+  const bytes = Uint8Array.from(atob(payload.data), c => c.charCodeAt(0));
+  const hashBuffer = await crypto.subtle.digest('SHA-256', bytes);
+  return toBase64Url(hashBuffer);
+}
+
+/**
+ * Verify a submission receipt
+ * @param {object} receipt - Receipt returned by submit()
+ * @param {Array<object>} keys - Published verification keys, as `{ kid, publicKey }`
+ *   entries or bare JWKs
+ * @param {object} [options] - `{ payload }` to also check the receipt covers this ciphertext
+ * @returns {Promise<object>} - `{ formId, submissionId, receivedAt, kid }` of the verified receipt
+ * @throws {Error} If the receipt is malformed, signed by an unknown key or fails to verify
+ */
+export async function verifyReceipt(receipt, keys, options = {}) {
+  if (!receipt || typeof receipt !== 'object'
+    || !RECEIPT_FIELDS.every(field => typeof receipt[field] === 'string')) {
+    throw new Error('Receipt is missing required fields');
+  }
+  if (receipt.version !== RECEIPT_VERSION) {
+    throw new Error(`Unsupported receipt version: ${receipt.version}`);
+  }
+
+  // Only trust a listed key whose ID really is its thumbprint
+  let publicKeyJwk = null;
+  for (const entry of keys || []) {
+    const jwk = entry.publicKey || entry;
+    if (await getKeyId(jwk) === receipt.kid) {
+      publicKeyJwk = jwk;
+      break;
+    }
+  }
+  if (!publicKeyJwk) {
+    throw new Error('Receipt was signed by a key that is not published');
+  }
+
+  const publicKey = await crypto.subtle.importKey(
+    'jwk',
+    { kty: publicKeyJwk.kty, crv: publicKeyJwk.crv, x: publicKeyJwk.x, y: publicKeyJwk.y },
+    { name: 'ECDSA', namedCurve: 'P-256' },
+    false,
+    ['verify']
+  );
+
+  let signature;
+  try {
+    signature = fromBase64Url(receipt.signature);
+  } catch (err) {
+    throw new Error('Receipt signature is not valid base64url');
+  }
+
+  const valid = await crypto.subtle.verify(
+    { name: 'ECDSA', hash: 'SHA-256' },
+    publicKey,
+    signature,
+    receiptSigningInput(receipt)
+  );
+  if (!valid) {
+    throw new Error('Receipt signature is invalid: it was altered or not issued by this server');
+  }
+
+  if (options.payload && await hashCiphertext(options.payload) !== receipt.ciphertextHash) {
+    throw new Error('Receipt does not match this submission\'s ciphertext');
+  }
+
+  return {
+    formId: receipt.formId,
+    submissionId: receipt.submissionId,
+    receivedAt: receipt.receivedAt,
+    kid: receipt.kid,
+  };
+}
+
+// Matches receiptSigningInput in the server receipts module
+function receiptSigningInput({ version, kid, formId, submissionId, receivedAt, ciphertextHash }) {
+  return new TextEncoder().encode(
+    JSON.stringify([version, kid, formId, submissionId, receivedAt, ciphertextHash])
+  );
+}
+
+function toBase64Url(buffer) {
+  let binary = '';
+  for (const byte of new Uint8Array(buffer)) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(base64url) {
+  const base64 = base64url.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
@@ -0,0 +1,149 @@
+/**
+ * VeilForms - scrypt (RFC 7914)
+ * Memory-hard password-based key derivation. Web Crypto has no memory-hard
+ * KDF, so ROMix runs in pure JS; the PBKDF2-HMAC-SHA-256 steps around it use
+ * Web Crypto
+ */
+
+/**
+ * Derive key bytes with scrypt
+ * Needs 128 * r * N bytes of memory
+ * @param {string|Uint8Array} password - Password
+ * @param {Uint8Array} salt - Salt
+ * @param {object} params - `{ N, r, p }`; N must be a power of two greater than 1
+ * @param {number} [dkLen=32] - Output length in bytes
+ * @returns {Promise<Uint8Array>}
+ */
+export async function scrypt(password, salt, { N, r, p }, dkLen = 32) {
+  if (!Number.isInteger(N) || N < 2 || (N & (N - 1)) !== 0) {
+    throw new Error('scrypt N must be a power of two greater than 1');
+  }
+  if (!Number.isInteger(r) || r < 1 || !Number.isInteger(p) || p < 1 || r * p >= 2 ** 30) {
+    throw new Error('scrypt r and p must be positive integers with r * p < 2^30');
+  }
+
+  const passwordBytes = typeof password === 'string' ? new TextEncoder().encode(password) : password;
+  const blockBytes = 128 * r;
+
+  const B = await pbkdf2(passwordBytes, salt, p * blockBytes);
+  const words = new Uint32Array(B.length / 4);
+  const view = new DataView(B.buffer, B.byteOffset, B.byteLength);
+  for (let i = 0; i < words.length; i++) {
+    words[i] = view.getUint32(i * 4, true);
+  }
+
+  const blockWords = blockBytes / 4;
+  const V = new Uint32Array(blockWords * N);
+  const scratch = new Uint32Array(blockWords * 2 + 16);
+  for (let i = 0; i < p; i++) {
+    roMix(words.subarray(i * blockWords, (i + 1) * blockWords), r, N, V, scratch);
+  }
+
+  for (let i = 0; i < words.length; i++) {
+    view.setUint32(i * 4, words[i], true);
+  }
+  V.fill(0);
+
+  return pbkdf2(passwordBytes, B, dkLen);
+}
+
+// One-iteration PBKDF2-HMAC-SHA-256, as scrypt specifies
+async function pbkdf2(password, salt, length) {
+  const key = await crypto.subtle.importKey('raw', password, 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', salt, iterations: 1, hash: 'SHA-256' },
+    key,
+    length * 8
+  );
+  return new Uint8Array(bits);
+}
+
+// scryptROMix: fills V with N successive BlockMix outputs, then walks it in a
+// data-dependent order, so the whole table has to stay in memory
+function roMix(B, r, N, V, scratch) {
+  const blockWords = 32 * r;
+  const X = scratch.subarray(0, blockWords);
+  const Y = scratch.subarray(blockWords, blockWords * 2);
+  const T = scratch.subarray(blockWords * 2);
+
+  X.set(B);
+  for (let i = 0; i < N; i++) {
+    V.set(X, i * blockWords);
+    blockMix(X, Y, T, r);
+  }
+
+  for (let i = 0; i < N; i++) {
+    const j = X[blockWords - 16] & (N - 1);
+    for (let k = 0; k < blockWords; k++) {
+      X[k] ^= V[j * blockWords + k];
+    }
+    blockMix(X, Y, T, r);
+  }
+
+  B.set(X);
+}
+
+// scryptBlockMix with Salsa20/8; result is written back into B
+function blockMix(B, Y, X, r) {
+  X.set(B.subarray((2 * r - 1) * 16, 2 * r * 16));
+
+  for (let i = 0; i < 2 * r; i++) {
+    for (let k = 0; k < 16; k++) {
+      X[k] ^= B[i * 16 + k];
+    }
+    salsa20_8(X);
+    // Even blocks go to the first half, odd blocks to the second
+    const offset = ((i & 1) * r + (i >> 1)) * 16;
+    Y.set(X, offset);
+  }
+
+  B.set(Y);
+}
+
+function salsa20_8(B) {
+  let x0 = B[0], x1 = B[1], x2 = B[2], x3 = B[3];
+  let x4 = B[4], x5 = B[5], x6 = B[6], x7 = B[7];
+  let x8 = B[8], x9 = B[9], x10 = B[10], x11 = B[11];
+  let x12 = B[12], x13 = B[13], x14 = B[14], x15 = B[15];
+
+  for (let i = 0; i < 8; i += 2) {
+    let u;
+    u = x0 + x12; x4 ^= (u << 7) | (u >>> 25);
+    u = x4 + x0; x8 ^= (u << 9) | (u >>> 23);
+    u = x8 + x4; x12 ^= (u << 13) | (u >>> 19);
+    u = x12 + x8; x0 ^= (u << 18) | (u >>> 14);
+    u = x5 + x1; x9 ^= (u << 7) | (u >>> 25);
+    u = x9 + x5; x13 ^= (u << 9) | (u >>> 23);
+    u = x13 + x9; x1 ^= (u << 13) | (u >>> 19);
+    u = x1 + x13; x5 ^= (u << 18) | (u >>> 14);
+    u = x10 + x6; x14 ^= (u << 7) | (u >>> 25);
+    u = x14 + x10; x2 ^= (u << 9) | (u >>> 23);
+    u = x2 + x14; x6 ^= (u << 13) | (u >>> 19);
+    u = x6 + x2; x10 ^= (u << 18) | (u >>> 14);
+    u = x15 + x11; x3 ^= (u << 7) | (u >>> 25);
+    u = x3 + x15; x7 ^= (u << 9) | (u >>> 23);
+    u = x7 + x3; x11 ^= (u << 13) | (u >>> 19);
+    u = x11 + x7; x15 ^= (u << 18) | (u >>> 14);
+    u = x0 + x3; x1 ^= (u << 7) | (u >>> 25);
+    u = x1 + x0; x2 ^= (u << 9) | (u >>> 23);
+    u = x2 + x1; x3 ^= (u << 13) | (u >>> 19);
+    u = x3 + x2; x0 ^= (u << 18) | (u >>> 14);
+    u = x5 + x4; x6 ^= (u << 7) | (u >>> 25);
+    u = x6 + x5; x7 ^= (u << 9) | (u >>> 23);
+    u = x7 + x6; x4 ^= (u << 13) | (u >>> 19);
+    u = x4 + x7; x5 ^= (u << 18) | (u >>> 14);
+    u = x10 + x9; x11 ^= (u << 7) | (u >>> 25);
+    u = x11 + x10; x8 ^= (u << 9) | (u >>> 23);
+    u = x8 + x11; x9 ^= (u << 13) | (u >>> 19);
+    u = x9 + x8; x10 ^= (u << 18) | (u >>> 14);
+    u = x15 + x14; x12 ^= (u << 7) | (u >>> 25);
+    u = x12 + x15; x13 ^= (u << 9) | (u >>> 23);
+    u = x13 + x12; x14 ^= (u << 13) | (u >>> 19);
+    u = x14 + x13; x15 ^= (u << 18) | (u >>> 14);
+  }
+
+  B[0] += x0; B[1] += x1; B[2] += x2; B[3] += x3;
+  B[4] += x4; B[5] += x5; B[6] += x6; B[7] += x7;
+  B[8] += x8; B[9] += x9; B[10] += x10; B[11] += x11;
+  B[12] += x12; B[13] += x13; B[14] += x14; B[15] += x15;
+}
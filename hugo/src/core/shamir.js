@@ -0,0 +1,233 @@
+/**
+ * VeilForms - Shamir Secret Sharing
+ * Split a secret into N shares so that any M of them recover it and
+ * fewer reveal nothing about it. Pure JS over GF(2^8), no dependencies
+ */
+
+// GF(2^8) with the AES polynomial (x^8 + x^4 + x^3 + x + 1), generator 3
+const EXP = new Uint8Array(510);
+const LOG = new Uint8Array(256);
+
+let value = 1;
+for (let i = 0; i < 255; i++) {
+  EXP[i] = value;
+  LOG[value] = i;
+  value ^= (value << 1) ^ (value & 0x80 ? 0x11b : 0); // value * 3
+}
+for (let i = 255; i < 510; i++) {
+  EXP[i] = EXP[i - 255];
+}
+
+function mul(a, b) {
+  return a === 0 || b === 0 ? 0 : EXP[LOG[a] + LOG[b]];
+}
+
+function div(a, b) {
+  if (b === 0) throw new Error('Division by zero in GF(256)');
+  return a === 0 ? 0 : EXP[LOG[a] + 255 - LOG[b]];
+}
+
+/**
+ * Split a secret into shares
+ * @param {Uint8Array} secret - Secret bytes
+ * @param {number} shares - Number of shares to create (N, at most 255)
+ * @param {number} threshold - Shares needed to recover (M, 2..N)
+ * @returns {Array<{ x: number, y: Uint8Array }>} - One point per share
+ */
+export function splitSecret(secret, shares, threshold) {
+  if (!Number.isInteger(shares) || shares < 2 || shares > 255) {
+    throw new Error('Number of shares must be between 2 and 255');
+  }
+  if (!Number.isInteger(threshold) || threshold < 2 || threshold > shares) {
+    throw new Error('Threshold must be at least 2 and no more than the number of shares');
+  }
+  if (!(secret instanceof Uint8Array) || secret.length === 0) {
+    throw new Error('Secret must be a non-empty Uint8Array');
+  }
+
+  // One random polynomial per secret byte; the constant term is the byte
+  const coefficients = crypto.getRandomValues(new Uint8Array(secret.length * (threshold - 1)));
+
+  const result = [];
+  for (let x = 1; x <= shares; x++) {
+    const y = new Uint8Array(secret.length);
+    for (let i = 0; i < secret.length; i++) {
+      // Horner's method, highest degree first
+      let acc = 0;
+      for (let d = threshold - 2; d >= 0; d--) {
+        acc = mul(acc, x) ^ coefficients[i * (threshold - 1) + d];
+      }
+      y[i] = mul(acc, x) ^ secret[i];
+    }
+    result.push({ x, y });
+  }
+
+  coefficients.fill(0);
+  return result;
+}
+
+/**
+ * Recombine shares into the secret (Lagrange interpolation at x = 0)
+ * Given fewer than the threshold, the result is unrelated random bytes
+ * @param {Array<{ x: number, y: Uint8Array }>} shares - At least M distinct shares
+ * @returns {Uint8Array} - Secret bytes
+ */
+export function combineShares(shares) {
+  if (!Array.isArray(shares) || shares.length < 2) {
+    throw new Error('At least two shares are required');
+  }
+
+  const length = shares[0].y.length;
+  if (shares.some(share => share.y.length !== length)) {
+    throw new Error('Shares have different lengths');
+  }
+  if (new Set(shares.map(share => share.x)).size !== shares.length) {
+    throw new Error('The same share was given twice');
+  }
+
+  const secret = new Uint8Array(length);
+  for (const share of shares) {
+    // Basis polynomial for this share evaluated at 0 (subtraction is XOR)
+    let basis = 1;
+    for (const other of shares) {
+      if (other.x !== share.x) {
+        basis = mul(basis, div(other.x, other.x ^ share.x));
+      }
+    }
+    for (let i = 0; i < length; i++) {
+      secret[i] ^= mul(share.y[i], basis);
+    }
+  }
+  return secret;
+}
+
+// Share strings use only uppercase letters, digits and dashes, so they fit
+// QR alphanumeric mode and can be read aloud or typed from paper:
+// VFS1-<set id>-<threshold>-<share number>-<base32 data>-<checksum>
+const SHARE_PREFIX = 'VFS1';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Split a secret into printable share strings
+ * @param {Uint8Array} secret - Secret bytes
+ * @param {object} options - `{ shares, threshold }`
+ * @returns {{ setId: string, shares: Array<string> }}
+ */
+export function createShareSet(secret, { shares, threshold }) {
+  const setId = base32Encode(crypto.getRandomValues(new Uint8Array(5)));
+  const points = splitSecret(secret, shares, threshold);
+
+  return {
+    setId,
+    shares: points.map(({ x, y }) => encodeShare({ setId, threshold, x, y })),
+  };
+}
+
+/**
+ * Recover a secret from share strings
+ * @param {Array<string>} shareStrings - At least `threshold` shares of one set
+ * @returns {{ setId: string, secret: Uint8Array }}
+ */
+export function recoverSecret(shareStrings) {
+  const shares = shareStrings.map(decodeShare);
+  if (shares.length === 0) {
+    throw new Error('No shares given');
+  }
+
+  const { setId, threshold } = shares[0];
+  if (shares.some(share => share.setId !== setId)) {
+    throw new Error('Shares come from different share sets');
+  }
+  if (shares.length < threshold) {
+    throw new Error(`${threshold} shares are needed, only ${shares.length} given`);
+  }
+
+  return { setId, secret: combineShares(shares.slice(0, threshold)) };
+}
+
+/**
+ * Encode one share as a string
+ * @param {object} share - `{ setId, threshold, x, y }`
+ * @returns {string}
+ */
+export function encodeShare({ setId, threshold, x, y }) {
+  const body = `${SHARE_PREFIX}-${setId}-${threshold}-${x}-${base32Encode(y)}`;
+  return `${body}-${checksum(body)}`;
+}
+
+/**
+ * Decode and verify a share string
+ * Whitespace and case are ignored, since shares are often retyped
+ * @param {string} shareString - Share produced by encodeShare
+ * @returns {{ setId: string, threshold: number, x: number, y: Uint8Array }}
+ */
+export function decodeShare(shareString) {
+  const normalized = String(shareString).replace(/\s+/g, '').toUpperCase();
+  const parts = normalized.split('-');
+
+  if (parts.length !== 6 || parts[0] !== SHARE_PREFIX) {
+    throw new Error('Not a VeilForms recovery share');
+  }
+
+  const [, setId, thresholdText, xText, data, sum] = parts;
+  if (checksum(parts.slice(0, 5).join('-')) !== sum) {
+    throw new Error(`Share ${xText} failed its checksum; check it for typos`);
+  }
+
+  const threshold = parseInt(thresholdText, 10);
+  const x = parseInt(xText, 10);
+  if (!(threshold >= 2 && threshold <= 255 && x >= 1 && x <= 255)) {
+    throw new Error('Share has an invalid threshold or number');
+  }
+
+  return { setId, threshold, x, y: base32Decode(data) };
+}
+
+// Fletcher-16 over the share body, as four hex digits
+function checksum(text) {
+  let sum1 = 0;
+  let sum2 = 0;
+  for (let i = 0; i < text.length; i++) {
+    sum1 = (sum1 + text.charCodeAt(i)) % 255;
+    sum2 = (sum2 + sum1) % 255;
+  }
+  return ((sum2 << 8) | sum1).toString(16).toUpperCase().padStart(4, '0');
+}
+
+// RFC 4648 base32 without padding
+function base32Encode(bytes) {
+  let bits = 0;
+  let buffer = 0;
+  let output = '';
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(buffer >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  let bits = 0;
+  let buffer = 0;
+  const output = [];
+  for (const char of text) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid character in share: ${char}`);
+    }
+    buffer = (buffer << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      output.push((buffer >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return new Uint8Array(output);
+}
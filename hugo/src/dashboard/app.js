@@ -4,7 +4,18 @@
  * All decryption happens in YOUR browser
  */
 
-import { generateKeyPair, decryptSubmission, exportPrivateKeys, importPrivateKeys } from '../core/encryption.js';
+import {
+  generateKeyPair,
+  decryptSubmission,
+  exportPrivateKeys,
+  importPrivateKeys,
+  createKeyWrap,
+  wrapPrivateKeys,
+  unwrapPrivateKeys,
+  createKeyData,
+  validateKeyData,
+  addKeysToKeyData
+} from '../core/encryption.js';
 import { createAnonymousId } from '../core/identity.js';
 
 class VeilFormsDashboard {
@@ -12,13 +23,16 @@ class VeilFormsDashboard {
     this.apiEndpoint = 'https://veilforms.com/api';
     this.apiKey = null;
     this.privateKeys = {}; // formId -> privateKey (stored locally only)
+    this.keyVault = null; // { wrap, revision, keyData } while the key vault is unlocked
     this.currentTenant = null;
   }
 
   /**
    * Initialize dashboard with API key
+   * @param {string} apiKey - API key
+   * @param {Object} options - { vaultPassphrase } to unlock synced keys into memory
    */
-  async init(apiKey) {
+  async init(apiKey, { vaultPassphrase } = {}) {
     this.apiKey = apiKey;
 
     // Load private keys from localStorage (never sent to server)
@@ -28,6 +42,10 @@ class VeilFormsDashboard {
     const tenant = await this.verifyApiKey();
     this.currentTenant = tenant;
 
+    if (vaultPassphrase) {
+      await this.unlockKeyVault(vaultPassphrase);
+    }
+
     return tenant;
   }
 
@@ -166,10 +184,10 @@ class VeilFormsDashboard {
    * Decrypted CLIENT-SIDE with local private key
    */
   async getSubmissions(formId, options = {}) {
-    const { limit = 50, offset = 0, decrypt = true } = options;
+    const { limit = 50, cursor = null, decrypt = true } = options;
 
     const response = await fetch(
-      `${this.apiEndpoint}/submissions?formId=${formId}&limit=${limit}&offset=${offset}`,
+      `${this.apiEndpoint}/submissions?formId=${formId}&limit=${limit}${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''}`,
       { headers: { 'Authorization': `Bearer ${this.apiKey}` } }
     );
 
@@ -187,7 +205,7 @@ class VeilFormsDashboard {
         data.submissions.map(async (sub) => {
           if (sub.payload.encrypted) {
             try {
-              const decrypted = await decryptSubmission(sub.payload, privateKey);
+              const decrypted = await decryptSubmission(sub.payload, privateKey, { formId, submissionId: sub.id });
               return { ...sub, data: decrypted, decrypted: true };
             } catch (e) {
               return { ...sub, decrypted: false, decryptError: e.message };
@@ -359,6 +377,81 @@ class VeilFormsDashboard {
     return Object.keys(decryptedKeys).length;
   }
 
+  /**
+   * Unlock the server-side key vault and merge its keys into memory
+   * The vault is wrapped with a passphrase-derived key; the server only holds ciphertext
+   * @param {string} passphrase - Vault passphrase
+   * @returns {Promise<number>} - Number of keys unlocked
+   */
+  async unlockKeyVault(passphrase) {
+    const response = await fetch(`${this.apiEndpoint}/key-vault/`, {
+      headers: { 'Authorization': `Bearer ${this.apiKey}` }
+    });
+
+    if (response.status === 404) {
+      throw new Error('No key vault set up for this account');
+    }
+    if (!response.ok) {
+      throw new Error('Failed to load key vault');
+    }
+
+    const { vault } = await response.json();
+    const wrap = await createKeyWrap(passphrase, vault.bundle);
+    const keyData = await unwrapPrivateKeys(vault.bundle, wrap);
+    validateKeyData(keyData);
+
+    // One key per form here; keys of rotated forms stay in the vault
+    const vaultKeys = {};
+    for (const { formId, privateKey } of keyData.keys) {
+      vaultKeys[formId] = privateKey;
+    }
+
+    // Kept in memory only, not written to localStorage
+    this.privateKeys = { ...vaultKeys, ...this.privateKeys };
+    this.keyVault = { wrap, revision: vault.revision, keyData };
+
+    return keyData.keys.length;
+  }
+
+  /**
+   * Save all private keys to the key vault
+   * @param {string} passphrase - Required when creating the vault; ignored while unlocked
+   * @returns {Promise<number>} - New vault revision
+   */
+  async saveKeyVault(passphrase) {
+    if (!this.keyVault && (!passphrase || passphrase.length < 12)) {
+      throw new Error('Vault passphrase must be at least 12 characters');
+    }
+
+    const session = this.keyVault || { wrap: await createKeyWrap(passphrase), revision: 0, keyData: createKeyData() };
+    const keyData = await addKeysToKeyData(
+      session.keyData,
+      Object.entries(this.privateKeys).map(([formId, privateKey]) => ({ formId, privateKey }))
+    );
+    const bundle = await wrapPrivateKeys(keyData, session.wrap);
+
+    const response = await fetch(`${this.apiEndpoint}/key-vault/`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${this.apiKey}`,
+      },
+      body: JSON.stringify({ bundle, expectedRevision: session.revision }),
+    });
+
+    if (response.status === 409) {
+      this.keyVault = null;
+      throw new Error('Key vault changed on another device; unlock it again before saving');
+    }
+    if (!response.ok) {
+      throw new Error('Failed to save key vault');
+    }
+
+    const { revision } = await response.json();
+    this.keyVault = { wrap: session.wrap, revision, keyData };
+    return revision;
+  }
+
   /**
    * Download encrypted key bundle as file
    * @param {Object} bundle - The encrypted key bundle
@@ -10,7 +10,9 @@ import {
   isAuthenticated,
   redirectToLogin,
   formsApi,
-  submissionsApi
+  submissionsApi,
+  uploadsApi,
+  masterKeyApi
 } from './modules/index.js';
 
 import {
@@ -48,6 +50,60 @@ import {
   getFormData
 } from './modules/index.js';
 
+import {
+  saveFormKey,
+  getFormKeys,
+  selectKeysForPayload,
+  getIndexKey,
+  saveIndexKey,
+  getPseudonymKey,
+  savePseudonymKey,
+  collectKeyData,
+  restoreKeyData,
+  fetchKeyVault,
+  unlockKeyVault,
+  saveKeyVault,
+  lockKeyVault,
+  deleteKeyVault,
+  isKeyVaultUnlocked,
+  isKeyVaultOutdated,
+  keyVaultHoldsShreddedKeys,
+  rewrapKeyVault,
+  saveMasterKey,
+  getMasterKey,
+  unwrapFormKeys,
+  forgetFormKeys
+} from './modules/index.js';
+
+// Shared crypto module (mounted from src/core, see hugo.toml)
+import {
+  generateKeyPair,
+  encryptSubmission,
+  decryptSubmission,
+  getKeyId,
+  createBlindIndex,
+  generateIndexKey,
+  exportPrivateKeys,
+  importPrivateKeys,
+  keyBundleNeedsUpgrade,
+  exportPrivateKeysToShares,
+  importPrivateKeysFromShares,
+  wrapFormKey,
+  BOUND_PAYLOAD_VERSIONS
+} from '../core/encryption.js';
+import { createFileDecryptor, createDecryptionStream } from '../core/file-encryption.js';
+import { generateInviteCodes, deriveNullifier } from '../core/identity.js';
+import { generatePseudonymKey, policyPseudonymizes, pseudonymizePIIFields, compilePIIPolicy } from '../core/pii.js';
+import { buildPIIInventory, piiInventoryToCSV } from '../core/pii-inventory.js';
+import { renderForm } from '../core/form-renderer.js';
+import {
+  CONDITION_OPERATORS,
+  FORM_SCHEMA_VERSION,
+  createConditions,
+  getOperatorValueType,
+  upgradeFields
+} from '../core/conditions.js';
+
 // State - keeping local for now, can migrate to state-manager later
 const state = {
   user: null,
@@ -57,6 +113,10 @@ const state = {
   submissions: [],
   pagination: null,
   decryptionKey: null,
+  search: null,
+  inventory: null,
+  keyVault: null,
+  masterKey: null,
   loading: true,
   error: null
 };
@@ -207,6 +267,30 @@ async function viewFormDetail(formId) {
   state.currentForm = form;
   document.getElementById('page-title').textContent = form.name;
 
+  // The list endpoint omits keys; load them for the embed code
+  try {
+    const data = await formsApi.get(formId);
+    Object.assign(form, data.form);
+    await unwrapFormKeys(form);
+  } catch (err) {
+    console.error('Load form error:', err);
+  }
+
+  let inviteBatches = [];
+  try {
+    inviteBatches = (await formsApi.listInvites(formId)).batches || [];
+  } catch (err) {
+    console.error('Load invites error:', err);
+  }
+
+  const recipients = form.recipients || [];
+  const searchableFields = form.settings?.searchableFields || [];
+  const piiPolicy = form.settings?.piiPolicy || null;
+  const indexKey = getIndexKey(formId);
+  const keyFingerprint = form.keyId || (form.publicKey ? await getKeyId(form.publicKey) : null);
+  // Forms made in the builder can be drawn by the SDK instead of hand-written HTML
+  const hasBuiltFields = (form.fields || []).some(field => field.type !== 'page_break');
+
   hide('forms-grid');
   hide('empty-state');
   show('form-detail');
@@ -238,11 +322,19 @@ async function viewFormDetail(formId) {
         Add this script to your website to enable form submissions.
       </p>
       <div class="embed-code">
-        <pre>&lt;script src="https://veilforms.com/js/veilforms-1.0.0.min.js"&gt;&lt;/script&gt;
+        <pre>${hasBuiltFields ? `&lt;div id="veilform"&gt;&lt;/div&gt;
+` : ''}&lt;script src="https://veilforms.com/js/veilforms-1.0.0.min.js"&gt;&lt;/script&gt;
 &lt;script&gt;
   VeilForms.init('${form.id}', {
-    publicKey: ${JSON.stringify(form.publicKey)}
-  });
+    publicKey: ${JSON.stringify(form.publicKey)},
+    keyFingerprint: ${JSON.stringify(keyFingerprint)}${recipients.length > 0 ? `,
+    recipients: ${JSON.stringify(recipients.map(r => ({ kid: r.kid, publicKey: r.publicKey })))}` : ''}${searchableFields.length > 0 && indexKey ? `,
+    searchableFields: ${JSON.stringify(searchableFields)},
+    searchIndexKey: ${JSON.stringify(indexKey)}` : ''}${piiPolicy ? `,
+    piiPolicy: ${escapeHtml(JSON.stringify(piiPolicy))}` : ''}${form.settings?.requireInvite ? `,
+    inviteCode: new URLSearchParams(location.search).get('invite')` : ''}
+  });${hasBuiltFields ? `
+  VeilForms.render('#veilform');` : ''}
 &lt;/script&gt;</pre>
         <button class="btn btn-secondary copy-btn" data-copy="embed">Copy</button>
       </div>
@@ -252,6 +344,7 @@ async function viewFormDetail(formId) {
       <h3>Public Key</h3>
       <p style="color: var(--text-muted); font-size: 0.875rem; margin-bottom: 16px;">
         This key is used to encrypt submissions. Share it in your embed code.
+        Algorithm: ${escapeHtml(form.keyAlgorithm || 'RSA-OAEP-2048')}.
       </p>
       <div class="embed-code">
         <pre>${JSON.stringify(form.publicKey, null, 2)}</pre>
@@ -259,6 +352,154 @@ async function viewFormDetail(formId) {
       </div>
     </div>
 
+    <div class="detail-section">
+      <h3>Key History</h3>
+      <p style="color: var(--text-muted); font-size: 0.875rem; margin-bottom: 16px;">
+        Rotate the key if you suspect it was compromised. Retired keys stay listed so older submissions can still be decrypted with their private keys.
+      </p>
+      ${form.keyring?.length > 0 ? `
+        <table class="mini-table">
+          <thead>
+            <tr>
+              <th>Key ID</th>
+              <th>Created</th>
+              <th>Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${form.keyring.slice().reverse().map(k => `
+              <tr>
+                <td><code>${escapeHtml(k.kid.substring(0, 12))}...</code></td>
+                <td>${formatDate(k.createdAt)}</td>
+                <td>${k.retiredAt ? `Retired ${formatDate(k.retiredAt)}` : 'Current'}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      ` : ''}
+      <button type="button" class="btn btn-secondary" id="rotate-keys-btn" style="margin-top: 16px;">Rotate Keys</button>
+      ${form.keyring?.length > 1 ? `
+        <button type="button" class="btn btn-secondary" id="migrate-submissions-btn" style="margin-top: 16px;">
+          ${getMigrationProgress(form.id) ? 'Resume Re-encryption' : 'Re-encrypt Old Submissions'}
+        </button>
+        <p id="migration-status" style="color: var(--text-muted); font-size: 0.875rem; margin-top: 8px;"></p>
+      ` : ''}
+    </div>
+
+    <div class="detail-section">
+      <h3>Searchable Fields</h3>
+      <p style="color: var(--text-muted); font-size: 0.875rem; margin-bottom: 16px;">
+        Find submissions by exact value without decrypting them all. The SDK stores a keyed hash of these fields; the index key stays in your embed code and this browser and is never sent to VeilForms.
+      </p>
+      <form id="searchable-fields-form">
+        <div class="form-group">
+          <label for="searchable-fields">Field names (comma separated)</label>
+          <input type="text" id="searchable-fields" value="${escapeHtml(searchableFields.join(', '))}" placeholder="order_number, ticket_id">
+          <small>${indexKey ? 'Index key stored in this browser.' : 'No index key in this browser yet; one is generated when you save.'}</small>
+        </div>
+        <button type="submit" class="btn btn-secondary">Save Searchable Fields</button>
+      </form>
+    </div>
+
+    <div class="detail-section">
+      <h3>PII Policy</h3>
+      <p style="color: var(--text-muted); font-size: 0.875rem; margin-bottom: 16px;">
+        Decide what the SDK does with personal data before it is encrypted: block the submission, redact, hash or pseudonymize the field, or allow it. The policy ships in your embed code and replaces the auto-strip setting. Fields to pseudonymize are encrypted as entered and pseudonymized here when you view or export submissions, with a secret kept in this browser and your key exports; it is never put in the embed code. The same value always gets the same pseudonym, so records can still be joined.
+      </p>
+      <form id="pii-policy-form">
+        <div class="form-group">
+          <label for="pii-policy">Policy (JSON)</label>
+          <textarea id="pii-policy" rows="8" placeholder='{"defaultAction":"redact","patterns":[{"id":"employee_id","pattern":"EMP-\\d{6}"}],"fields":{"email":"hash"}}'>${piiPolicy ? escapeHtml(JSON.stringify(piiPolicy, null, 2)) : ''}</textarea>
+          <small>Leave empty to remove the policy. See the PII detection docs for the format.</small>
+        </div>
+        <button type="submit" class="btn btn-secondary">Save PII Policy</button>
+      </form>
+    </div>
+
+    <div class="detail-section">
+      <h3>Additional Recipients</h3>
+      <p style="color: var(--text-muted); font-size: 0.875rem; margin-bottom: 16px;">
+        Each recipient's private key can also decrypt new submissions. Removing a recipient does not affect existing submissions.
+      </p>
+      ${recipients.length > 0 ? `
+        <table class="mini-table" id="recipients-table">
+          <thead>
+            <tr>
+              <th>Label</th>
+              <th>Key ID</th>
+              <th>Added</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            ${recipients.map(r => `
+              <tr>
+                <td>${escapeHtml(r.label || 'Unnamed')}</td>
+                <td><code>${escapeHtml(r.kid.substring(0, 12))}...</code></td>
+                <td>${formatRelativeTime(r.addedAt)}</td>
+                <td><button type="button" class="btn btn-secondary remove-recipient-btn" data-kid="${escapeHtml(r.kid)}">Remove</button></td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      ` : '<p style="color: var(--text-muted); font-size: 0.875rem; font-style: italic;">Only the form key can decrypt submissions.</p>'}
+      <form id="add-recipient-form" style="margin-top: 16px;">
+        <div class="form-group">
+          <label for="recipient-label">Label</label>
+          <input type="text" id="recipient-label" maxlength="100" placeholder="e.g. Legal team">
+        </div>
+        <div class="form-group">
+          <label for="recipient-public-key">Public Key (JWK)</label>
+          <textarea id="recipient-public-key" rows="4" placeholder='{"kty":"RSA","n":"...","e":"AQAB"}'></textarea>
+        </div>
+        <button type="submit" class="btn btn-secondary">Add Recipient</button>
+      </form>
+    </div>
+
+    <div class="detail-section">
+      <h3>Invite Codes</h3>
+      <p style="color: var(--text-muted); font-size: 0.875rem; margin-bottom: 16px;">
+        Give each invitee one code; each code allows one response. Codes are generated in your browser and only a one-way nullifier of each is uploaded, so VeilForms can't tell which invitee sent which response. Download the codes when you create a batch: they are not stored anywhere.
+      </p>
+      <label class="remember-key">
+        <input type="checkbox" id="require-invite" ${form.settings?.requireInvite ? 'checked' : ''}>
+        Only accept responses with an invite code
+      </label>
+      ${inviteBatches.length > 0 ? `
+        <table class="mini-table" id="invites-table" style="margin-top: 16px;">
+          <thead>
+            <tr>
+              <th>Label</th>
+              <th>Used</th>
+              <th>Created</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            ${inviteBatches.map(batch => `
+              <tr>
+                <td>${escapeHtml(batch.label || 'Unnamed')}</td>
+                <td>${batch.used ?? 'Fewer than 5'} of ${batch.count}</td>
+                <td>${formatRelativeTime(batch.createdAt)}</td>
+                <td><button type="button" class="btn btn-secondary revoke-invites-btn" data-batch-id="${escapeHtml(batch.id)}">Revoke</button></td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      ` : ''}
+      <form id="add-invites-form" style="margin-top: 16px;">
+        <div class="form-group">
+          <label for="invite-label">Label</label>
+          <input type="text" id="invite-label" maxlength="100" placeholder="e.g. Staff survey 2026">
+        </div>
+        <div class="form-group">
+          <label for="invite-count">Number of codes</label>
+          <input type="number" id="invite-count" min="10" max="1000" value="50">
+        </div>
+        <button type="submit" class="btn btn-secondary">Create Codes</button>
+      </form>
+    </div>
+
     <div class="detail-section">
       <h3>Settings</h3>
       <form id="form-settings-form">
@@ -346,9 +587,10 @@ async function viewFormDetail(formId) {
     <div class="detail-section" style="border-color: var(--danger);">
       <h3 style="color: var(--danger);">Danger Zone</h3>
       <p style="color: var(--text-muted); font-size: 0.875rem; margin-bottom: 16px;">
-        These actions cannot be undone.
+        These actions cannot be undone. Shredding destroys the form's keys and erases every submission, file and saved draft immediately.
       </p>
       <button class="btn btn-danger" id="delete-form-btn">Delete Form</button>
+      <button class="btn btn-danger" id="shred-form-btn">Shred Form and Data</button>
     </div>
   `;
 
@@ -364,7 +606,7 @@ async function viewFormDetail(formId) {
   });
 
   document.getElementById('edit-form-btn').addEventListener('click', () => {
-    showFormBuilder(formId, form.name, form.fields || []);
+    showFormBuilder(formId, form.name, form.fields || [], form.schemaVersion);
   });
 
   document.getElementById('view-submissions-btn').addEventListener('click', () => {
@@ -385,10 +627,185 @@ async function viewFormDetail(formId) {
     await updateForm(formId);
   });
 
+  document.getElementById('rotate-keys-btn').addEventListener('click', async () => {
+    if (!confirm('Generate a new key pair? New submissions will use the new key. Keep your current private key for older submissions.')) return;
+
+    try {
+      const formKey = state.masterKey ? await generateWrappedFormKey(form.keyAlgorithm) : null;
+      const data = await formsApi.regenerateKeys(formId, formKey && {
+        publicKey: formKey.publicKey,
+        wrappedPrivateKey: formKey.wrappedPrivateKey
+      });
+
+      await handleNewFormKey(formId, data.form.privateKey || formKey.privateKey, !data.form.privateKey);
+
+      await viewFormDetail(formId);
+    } catch (err) {
+      alert('Failed to rotate keys: ' + err.message);
+    }
+  });
+
+  document.getElementById('migrate-submissions-btn')?.addEventListener('click', async () => {
+    if (!confirm('Re-encrypt all submissions with the current key? Submissions are decrypted and re-encrypted in this browser using your stored private keys. Keep this tab open; you can resume if it is interrupted.')) return;
+
+    const btn = document.getElementById('migrate-submissions-btn');
+    const status = document.getElementById('migration-status');
+    btn.disabled = true;
+
+    try {
+      const result = await migrateSubmissions(form, (progress, total) => {
+        setText(status, `Processed ${progress.processed} of ${total ?? '?'} submissions (${progress.migrated} re-encrypted, ${progress.failed.length} failed)`);
+      });
+
+      alert(`Re-encryption complete: ${result.migrated} re-encrypted, ${result.skipped} already current` +
+        (result.failed.length > 0 ? `, ${result.failed.length} could not be decrypted with your stored keys.` : '.'));
+      btn.textContent = 'Re-encrypt Old Submissions';
+    } catch (err) {
+      alert('Re-encryption stopped: ' + err.message + '\n\nProgress was saved; click Resume to continue.');
+      btn.textContent = 'Resume Re-encryption';
+    } finally {
+      btn.disabled = false;
+    }
+  });
+
+  document.getElementById('searchable-fields-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const fields = document.getElementById('searchable-fields').value
+      .split(',')
+      .map(field => field.trim())
+      .filter(Boolean);
+
+    try {
+      await formsApi.update(formId, { settings: { searchableFields: fields } });
+
+      if (fields.length > 0 && !getIndexKey(formId)) {
+        saveIndexKey(formId, generateIndexKey());
+      }
+
+      if (!form.settings) form.settings = {};
+      form.settings.searchableFields = fields;
+      await viewFormDetail(formId);
+      alert('Searchable fields saved. Update your embed code so new submissions are indexed.');
+    } catch (err) {
+      alert('Failed to save searchable fields: ' + err.message);
+    }
+  });
+
+  document.getElementById('pii-policy-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const text = document.getElementById('pii-policy').value.trim();
+
+    let piiPolicy = null;
+    if (text) {
+      try {
+        piiPolicy = JSON.parse(text);
+      } catch (err) {
+        alert('PII policy is not valid JSON: ' + err.message);
+        return;
+      }
+    }
+
+    try {
+      await formsApi.update(formId, { settings: { piiPolicy } });
+
+      if (piiPolicy && policyPseudonymizes(piiPolicy) && !getPseudonymKey(formId)) {
+        savePseudonymKey(formId, generatePseudonymKey());
+      }
+
+      if (!form.settings) form.settings = {};
+      form.settings.piiPolicy = piiPolicy;
+      await viewFormDetail(formId);
+      alert('PII policy saved. Update your embed code so the SDK enforces it.');
+    } catch (err) {
+      alert('Failed to save PII policy: ' + err.message);
+    }
+  });
+
+  document.getElementById('add-recipient-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const label = document.getElementById('recipient-label').value.trim();
+
+    let publicKey;
+    try {
+      publicKey = JSON.parse(document.getElementById('recipient-public-key').value.trim());
+    } catch (err) {
+      alert('Invalid key format. Please paste the public key JSON.');
+      return;
+    }
+
+    try {
+      await formsApi.addRecipient(formId, publicKey, label || undefined);
+      await viewFormDetail(formId);
+    } catch (err) {
+      alert('Failed to add recipient: ' + err.message);
+    }
+  });
+
+  document.querySelectorAll('.remove-recipient-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      if (!confirm('Remove this recipient? New submissions will no longer be readable with their key.')) return;
+
+      try {
+        await formsApi.removeRecipient(formId, btn.dataset.kid);
+        await viewFormDetail(formId);
+      } catch (err) {
+        alert('Failed to remove recipient: ' + err.message);
+      }
+    });
+  });
+
+  document.getElementById('require-invite').addEventListener('change', async (e) => {
+    const requireInvite = e.target.checked;
+    try {
+      await formsApi.update(formId, { settings: { requireInvite } });
+      if (!form.settings) form.settings = {};
+      form.settings.requireInvite = requireInvite;
+      // The embed code reads the invite code from the page URL when required
+      await viewFormDetail(formId);
+    } catch (err) {
+      e.target.checked = !requireInvite;
+      alert('Failed to update invite setting: ' + err.message);
+    }
+  });
+
+  document.getElementById('add-invites-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const label = document.getElementById('invite-label').value.trim();
+    const count = parseInt(document.getElementById('invite-count').value, 10);
+    if (!(count >= 10 && count <= 1000)) {
+      alert('Create between 10 and 1000 codes at a time, so a used code can\'t be traced to one invitee.');
+      return;
+    }
+
+    try {
+      await createInviteBatch(form, count, label);
+      await viewFormDetail(formId);
+    } catch (err) {
+      alert('Failed to create invite codes: ' + err.message);
+    }
+  });
+
+  document.querySelectorAll('.revoke-invites-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      if (!confirm('Revoke this batch? Its unused codes will stop working. Responses already sent are kept.')) return;
+
+      try {
+        await formsApi.revokeInvites(formId, btn.dataset.batchId);
+        await viewFormDetail(formId);
+      } catch (err) {
+        alert('Failed to revoke invite codes: ' + err.message);
+      }
+    });
+  });
+
   document.getElementById('delete-form-btn').addEventListener('click', () => {
     confirmDelete(formId);
   });
 
+  document.getElementById('shred-form-btn').addEventListener('click', () => {
+    shredForm(formId);
+  });
+
   // Webhook form
   document.getElementById('webhook-form')?.addEventListener('submit', async (e) => {
     e.preventDefault();
@@ -506,6 +923,7 @@ async function viewSubmissions(formId) {
   if (!form) return;
 
   state.currentForm = form;
+  state.search = null;
   document.getElementById('page-title').textContent = `${form.name} - Submissions`;
 
   hide('forms-grid');
@@ -515,12 +933,23 @@ async function viewSubmissions(formId) {
   showLoading();
 
   try {
+    // Keys wrapped for the master key are kept with the full form record
+    if (getMasterKey() && !form.keyring) {
+      Object.assign(form, (await formsApi.get(formId)).form);
+    }
+    await unwrapFormKeys(form);
+
     const data = await api(`/api/submissions/${formId}`);
     state.submissions = data.submissions || [];
     state.pagination = data.pagination;
 
     renderSubmissions();
     hide('loading-state');
+
+    // Decrypt straight away if keys for this form are stored locally
+    if ((await getFormKeys(formId)).length > 0) {
+      await decryptSubmissions(null);
+    }
   } catch (err) {
     showError(err.message);
   }
@@ -530,6 +959,21 @@ async function viewSubmissions(formId) {
 function renderSubmissions() {
   const view = document.getElementById('submissions-view');
 
+  // Exact-match search over blind indexes (fields marked searchable)
+  const searchableFields = state.currentForm?.settings?.searchableFields || [];
+  const searchHtml = searchableFields.length > 0 ? `
+    <div class="submissions-search">
+      <select id="search-field" aria-label="Field to search">
+        ${searchableFields.map(field => `
+          <option value="${escapeHtml(field)}" ${state.search?.field === field ? 'selected' : ''}>${escapeHtml(field)}</option>
+        `).join('')}
+      </select>
+      <input type="text" id="search-value" placeholder="Exact value" aria-label="Value to find" value="${escapeHtml(state.search?.value || '')}">
+      <button class="btn btn-secondary" id="search-submissions-btn">Search</button>
+      ${state.search ? '<button class="btn btn-secondary" id="clear-search-btn">Clear</button>' : ''}
+    </div>
+  ` : '';
+
   if (state.submissions.length === 0) {
     const emptyHtml = `
       <div class="submissions-header">
@@ -540,9 +984,11 @@ function renderSubmissions() {
           Back to Forms
         </button>
       </div>
+      ${searchHtml}
       <div class="empty-state">
-        <h2>No submissions yet</h2>
-        <p>Submissions will appear here once your form receives data.</p>
+        ${state.search
+          ? '<h2>No matching submissions</h2><p>Search matches whole values, ignoring case and surrounding spaces.</p>'
+          : '<h2>No submissions yet</h2><p>Submissions will appear here once your form receives data.</p>'}
       </div>
     `;
     setSafeInnerHTML(view, emptyHtml);
@@ -564,8 +1010,12 @@ function renderSubmissions() {
           <button class="btn btn-secondary" id="export-csv-btn" ${!state.decryptionKey ? 'disabled' : ''}>
             Export CSV
           </button>
+          <button class="btn btn-secondary" id="data-inventory-btn" ${!state.decryptionKey ? 'disabled' : ''}>
+            Data Inventory
+          </button>
         </div>
       </div>
+      ${searchHtml}
 
       <div class="submissions-table-wrapper">
         <table class="submissions-table">
@@ -593,7 +1043,7 @@ function renderSubmissions() {
                 </td>
                 <td class="submission-data">
                   ${state.decryptionKey && sub._decrypted
-                    ? `<pre>${sanitizeJson(sub._decrypted, 2)}</pre>`
+                    ? `<pre>${sanitizeJson(sub._decrypted, 2)}</pre>${renderAttachments(sub)}`
                     : '<em>Click "Decrypt" to view</em>'
                   }
                 </td>
@@ -604,9 +1054,9 @@ function renderSubmissions() {
 
         ${state.pagination && state.pagination.total > state.pagination.limit ? `
           <div class="pagination">
-            <button id="prev-page" ${state.pagination.offset === 0 ? 'disabled' : ''}>Previous</button>
+            <button id="prev-page" disabled>Previous</button>
             <span class="page-info">
-              ${state.pagination.offset + 1}-${Math.min(state.pagination.offset + state.pagination.limit, state.pagination.total)}
+              1-${state.submissions.length}
               of ${state.pagination.total}
             </span>
             <button id="next-page" ${!state.pagination.hasMore ? 'disabled' : ''}>Next</button>
@@ -625,64 +1075,154 @@ function renderSubmissions() {
     state.currentForm = null;
     state.submissions = [];
     state.decryptionKey = null;
+    state.search = null;
+    state.inventory = null;
   });
 
   document.getElementById('decrypt-submissions-btn')?.addEventListener('click', () => {
     show('decrypt-modal');
   });
 
+  document.getElementById('search-submissions-btn')?.addEventListener('click', () => {
+    const field = document.getElementById('search-field').value;
+    const value = document.getElementById('search-value').value;
+    if (value.trim()) searchSubmissions(field, value);
+  });
+
+  document.getElementById('clear-search-btn')?.addEventListener('click', () => {
+    state.search = null;
+    viewSubmissions(state.currentForm.id);
+  });
+
   document.getElementById('export-csv-btn')?.addEventListener('click', exportToCSV);
+  document.getElementById('data-inventory-btn')?.addEventListener('click', showDataInventory);
+
+  view.querySelectorAll('.download-attachment-btn').forEach(btn => {
+    btn.addEventListener('click', () => downloadAttachment(btn.dataset.submissionId, btn.dataset.uploadId));
+  });
+}
+
+// File Attachments
+// Files are uploaded as encrypted chunks; the decrypted submission refers to
+// each one as { _file: uploadId, name, size }
+function renderAttachments(sub) {
+  if (!sub.attachments?.length) return '';
+
+  const names = {};
+  for (const value of Object.values(sub._decrypted).flat()) {
+    if (value?._file) names[value._file] = value.name;
+  }
+
+  return `
+    <div class="submission-attachments">
+      ${sub.attachments.map(({ uploadId }) => `
+        <button class="btn btn-secondary btn-small download-attachment-btn" data-submission-id="${escapeHtml(sub.id)}" data-upload-id="${escapeHtml(uploadId)}">
+          Download ${escapeHtml(names[uploadId] || 'file')}
+        </button>
+      `).join('')}
+    </div>
+  `;
+}
+
+// Chunks are fetched and decrypted one at a time, so large files are
+// written to disk without being held in memory where the browser allows it
+async function downloadAttachment(submissionId, uploadId) {
+  const formId = state.currentForm.id;
+  const sub = state.submissions.find(s => s.id === submissionId);
+  const attachment = sub?.attachments?.find(a => a.uploadId === uploadId);
+  if (!attachment) return;
+
+  try {
+    const keys = await getFormKeys(formId);
+    if (state.decryptionKey) {
+      keys.unshift({ kid: await getKeyId(state.decryptionKey), privateKey: state.decryptionKey });
+    }
+
+    const decryptor = await openFileHeader(attachment.header, keys, { formId, submissionId }, uploadId);
+    const stream = createDecryptionStream(decryptor, index => uploadsApi.getChunk(formId, uploadId, index));
+
+    if (window.showSaveFilePicker) {
+      let handle;
+      try {
+        handle = await window.showSaveFilePicker({ suggestedName: decryptor.name });
+      } catch {
+        return; // Save dialog cancelled
+      }
+      await stream.pipeTo(await handle.createWritable());
+    } else {
+      const blob = await new Response(stream).blob();
+      const url = URL.createObjectURL(new Blob([blob], { type: decryptor.type }));
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = decryptor.name;
+      a.click();
+      URL.revokeObjectURL(url);
+    }
+  } catch (err) {
+    alert('Failed to download file: ' + err.message);
+  }
+}
+
+async function openFileHeader(header, keys, context, uploadId) {
+  const candidates = selectKeysForPayload(header, keys);
+  if (candidates.length === 0) {
+    throw new Error(`No private key for key ID ${header?.kid || 'unknown'}`);
+  }
+
+  let lastError;
+  for (const { privateKey } of candidates) {
+    try {
+      return await createFileDecryptor(header, privateKey, context, uploadId);
+    } catch (err) {
+      lastError = err;
+    }
+  }
+  throw lastError;
+}
+
+// Search Submissions
+// The blind index is derived here with the locally held index key; only the
+// HMAC is sent, never the value being searched for
+async function searchSubmissions(field, value) {
+  const formId = state.currentForm.id;
+  const indexKey = getIndexKey(formId);
+  if (!indexKey) {
+    alert('This browser has no search index key for this form. Import your keys first.');
+    return;
+  }
+
+  try {
+    const index = await createBlindIndex(field, value, indexKey);
+    const data = await submissionsApi.list(formId, { field, index });
+
+    state.search = { field, value };
+    state.submissions = data.submissions || [];
+    state.pagination = null;
+    renderSubmissions();
+
+    if (state.submissions.length > 0 && (await getFormKeys(formId)).length > 0) {
+      await decryptSubmissions(null);
+    }
+  } catch (err) {
+    alert('Search failed: ' + err.message);
+  }
 }
 
 // Decrypt Submissions
+// Each submission is opened with the stored key matching its key ID, so
+// submissions from before a key rotation decrypt alongside newer ones
 async function decryptSubmissions(privateKeyJwk) {
   try {
-    const privateKey = await crypto.subtle.importKey(
-      'jwk',
-      privateKeyJwk,
-      { name: 'RSA-OAEP', hash: 'SHA-256' },
-      false,
-      ['decrypt']
-    );
+    const storedKeys = await getFormKeys(state.currentForm.id);
+    const keys = privateKeyJwk
+      ? [{ kid: await getKeyId(privateKeyJwk), privateKey: privateKeyJwk }, ...storedKeys]
+      : storedKeys;
 
     for (const sub of state.submissions) {
-      try {
-        // Decrypt the symmetric key
-        const encryptedKey = Uint8Array.from(atob(sub.payload.encryptedKey), c => c.charCodeAt(0));
-        const symmetricKeyBuffer = await crypto.subtle.decrypt(
-          { name: 'RSA-OAEP' },
-          privateKey,
-          encryptedKey
-        );
-
-        // Import symmetric key
-        const symmetricKey = await crypto.subtle.importKey(
-          'raw',
-          symmetricKeyBuffer,
-          { name: 'AES-GCM' },
-          false,
-          ['decrypt']
-        );
-
-        // Decrypt the data
-        const iv = Uint8Array.from(atob(sub.payload.iv), c => c.charCodeAt(0));
-        const encrypted = Uint8Array.from(atob(sub.payload.encrypted), c => c.charCodeAt(0));
-
-        const decrypted = await crypto.subtle.decrypt(
-          { name: 'AES-GCM', iv },
-          symmetricKey,
-          encrypted
-        );
-
-        const decoder = new TextDecoder();
-        sub._decrypted = JSON.parse(decoder.decode(decrypted));
-      } catch (err) {
-        console.error('Failed to decrypt submission:', sub.id, err);
-        sub._decrypted = { error: 'Failed to decrypt' };
-      }
+      sub._decrypted = pseudonymizeDecrypted(await decryptWithKeys(sub, keys, state.currentForm.id));
     }
 
-    state.decryptionKey = privateKeyJwk;
+    state.decryptionKey = privateKeyJwk || keys[0]?.privateKey || null;
     renderSubmissions();
     hide('decrypt-modal');
   } catch (err) {
@@ -690,6 +1230,134 @@ async function decryptSubmissions(privateKeyJwk) {
   }
 }
 
+// The SDK encrypts fields the PII policy pseudonymizes as entered; they are
+// pseudonymized here, with the key that only this browser holds, before
+// anything is shown or exported
+function pseudonymizeDecrypted(data) {
+  const policy = state.currentForm.settings?.piiPolicy;
+  if (!policy || !policyPseudonymizes(policy) || !data || data.error) {
+    return data;
+  }
+
+  const pseudonymKey = getPseudonymKey(state.currentForm.id);
+  if (!pseudonymKey) {
+    return { error: 'Import the pseudonym key for this form to view its submissions' };
+  }
+
+  try {
+    return pseudonymizePIIFields(data, policy, { pseudonymKey }).data;
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+// Try each candidate key for a submission until one opens it
+async function decryptWithKeys(sub, keys, formId) {
+  try {
+    return await openPayload(sub.payload, keys, { formId, submissionId: sub.id });
+  } catch (err) {
+    console.error('Failed to decrypt submission:', sub.id, err);
+    return { error: err.message };
+  }
+}
+
+// The context is where the payload is stored; bound (vf-e3, vf-e4) payloads must match it
+async function openPayload(payload, keys, context) {
+  const candidates = selectKeysForPayload(payload, keys);
+  if (candidates.length === 0) {
+    throw new Error(`No private key for key ID ${payload?.kid || 'unknown'}`);
+  }
+
+  let lastError;
+  for (const { privateKey } of candidates) {
+    try {
+      return await decryptSubmission(payload, privateKey, context);
+    } catch (err) {
+      // Wrong key for a legacy payload without a key ID; try the next one
+      lastError = err;
+    }
+  }
+
+  if (BOUND_PAYLOAD_VERSIONS.has(payload?.version) && lastError) {
+    throw lastError; // Binding errors explain themselves
+  }
+
+  throw new Error('Failed to decrypt');
+}
+
+// Re-encryption migration
+// Progress is saved after every page so an interrupted run picks up where it
+// stopped; submissions already on the current key are skipped either way.
+// Plaintext only ever exists in this function's local variables.
+const MIGRATION_PAGE_SIZE = 50;
+
+function migrationStorageKey(formId) {
+  return `veilforms_migration_${formId}`;
+}
+
+function getMigrationProgress(formId) {
+  try {
+    return JSON.parse(localStorage.getItem(migrationStorageKey(formId)) || 'null');
+  } catch {
+    return null;
+  }
+}
+
+async function migrateSubmissions(form, onProgress) {
+  const targetKid = form.keyId || await getKeyId(form.publicKey);
+  const keys = await getFormKeys(form.id);
+  if (keys.length === 0) {
+    throw new Error('Import or paste your old private keys before re-encrypting');
+  }
+
+  // Same recipients as the embed code, so nobody loses access
+  const recipients = form.recipients || [];
+  const encryptionKeys = recipients.length > 0
+    ? [{ kid: targetKid, publicKey: form.publicKey }, ...recipients.map(r => ({ kid: r.kid, publicKey: r.publicKey }))]
+    : { ...form.publicKey, kid: targetKid };
+
+  const saved = getMigrationProgress(form.id);
+  const progress = saved?.targetKid === targetKid && saved.cursor !== undefined
+    ? saved
+    : { targetKid, cursor: null, processed: 0, migrated: 0, skipped: 0, failed: [], startedAt: new Date().toISOString() };
+
+  let hasMore = true;
+  while (hasMore) {
+    const data = await submissionsApi.list(form.id, {
+      limit: MIGRATION_PAGE_SIZE,
+      ...(progress.cursor && { cursor: progress.cursor })
+    });
+    const page = data.submissions || [];
+
+    for (const sub of page) {
+      if (!sub.payload?.encrypted || sub.payload.kid === targetKid) {
+        progress.skipped++;
+        continue;
+      }
+
+      try {
+        const context = { formId: form.id, submissionId: sub.id };
+        const plaintext = await openPayload(sub.payload, keys, context);
+        const payload = await encryptSubmission(plaintext, encryptionKeys, context);
+        await submissionsApi.replacePayload(form.id, sub.id, payload, sub.payload.kid || null);
+        progress.migrated++;
+      } catch (err) {
+        console.error('Failed to re-encrypt submission:', sub.id, err);
+        progress.failed.push(sub.id);
+      }
+    }
+
+    progress.processed += page.length;
+    progress.cursor = data.pagination?.nextCursor || null;
+    hasMore = Boolean(progress.cursor) && page.length > 0;
+    localStorage.setItem(migrationStorageKey(form.id), JSON.stringify(progress));
+    onProgress?.(progress, data.pagination?.total);
+  }
+
+  localStorage.removeItem(migrationStorageKey(form.id));
+  return progress;
+}
+
 // Export to CSV
 function exportToCSV() {
   if (!state.decryptionKey || state.submissions.length === 0) return;
@@ -728,11 +1396,165 @@ function exportToCSV() {
   URL.revokeObjectURL(url);
 }
 
+// Invite codes
+// Codes exist only in this function and the file it downloads; the server
+// gets their nullifiers, which can't be turned back into codes
+async function createInviteBatch(form, count, label) {
+  const codes = generateInviteCodes(count);
+  const nullifiers = await Promise.all(codes.map(code => deriveNullifier(form.id, code)));
+
+  await formsApi.addInvites(form.id, nullifiers, label || undefined);
+
+  const blob = new Blob([codes.join('\n') + '\n'], { type: 'text/plain' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `${form.name || form.id}-invite-codes-${Date.now()}.txt`;
+  a.click();
+  URL.revokeObjectURL(url);
+
+  if (!form.settings?.requireInvite) {
+    alert('Invite codes created. Turn on "Only accept responses with an invite code" when you are ready to enforce them.');
+  }
+}
+
+// Data inventory
+// Scans every submission of the current form, not just the page on screen,
+// for the records of processing (GDPR Article 30). Plaintext only lives in
+// this function; the report keeps field names, PII types, counts and dates.
+const INVENTORY_PAGE_SIZE = 100;
+
+async function showDataInventory() {
+  const form = state.currentForm;
+  if (!form || !state.decryptionKey) return;
+
+  const report = document.getElementById('inventory-report');
+  state.inventory = null;
+  document.getElementById('export-inventory-json-btn').disabled = true;
+  document.getElementById('export-inventory-csv-btn').disabled = true;
+  setSafeInnerHTML(report, '<p><em>Scanning submissions...</em></p>');
+  show('inventory-modal');
+
+  try {
+    state.inventory = await buildDataInventory(form, scanned => {
+      setSafeInnerHTML(report, `<p><em>Scanning submissions... ${scanned} so far</em></p>`);
+    });
+    renderDataInventory(state.inventory);
+    document.getElementById('export-inventory-json-btn').disabled = false;
+    document.getElementById('export-inventory-csv-btn').disabled = false;
+  } catch (err) {
+    setSafeInnerHTML(report, `<p>Failed to build the inventory: ${escapeHtml(err.message)}</p>`);
+  }
+}
+
+async function buildDataInventory(form, onProgress) {
+  const keys = [
+    { kid: await getKeyId(state.decryptionKey), privateKey: state.decryptionKey },
+    ...await getFormKeys(form.id)
+  ];
+
+  // The form's policy adds locales, field names and patterns; only its
+  // detection half matters here, so its actions are dropped
+  const policy = form.settings?.piiPolicy;
+  const detection = policy
+    ? compilePIIPolicy({ locales: policy.locales, patterns: policy.patterns, fieldNames: policy.fieldNames })
+    : {};
+
+  const records = [];
+  let cursor = null;
+  let hasMore = true;
+  while (hasMore) {
+    const data = await submissionsApi.list(form.id, { limit: INVENTORY_PAGE_SIZE, ...(cursor && { cursor }) });
+    const page = data.submissions || [];
+
+    for (const sub of page) {
+      let plaintext = null;
+      try {
+        plaintext = sub.payload?.encrypted
+          ? await openPayload(sub.payload, keys, { formId: form.id, submissionId: sub.id })
+          : sub.payload?.data;
+      } catch (err) {
+        console.warn('Inventory skipped submission:', sub.id, err.message);
+      }
+      records.push({ data: plaintext, receivedAt: sub.timestamp || sub.receivedAt });
+    }
+
+    cursor = data.pagination?.nextCursor || null;
+    hasMore = Boolean(cursor) && page.length > 0;
+    onProgress?.(records.length);
+  }
+
+  return buildPIIInventory(records, {
+    formId: form.id,
+    formName: form.name,
+    locales: detection.locales,
+    patterns: detection.patterns,
+    fieldNames: detection.fieldNames
+  });
+}
+
+function renderDataInventory(inventory) {
+  const { records, dateRange } = inventory;
+  const piiFields = inventory.fields.filter(entry => entry.withPII > 0);
+
+  const html = `
+    <p>
+      ${records.scanned} of ${records.total} submissions scanned${records.skipped > 0 ? ` (${records.skipped} could not be decrypted)` : ''},
+      ${records.withPII} with personal data.
+      ${dateRange.from ? `Received ${formatDate(dateRange.from)} to ${formatDate(dateRange.to)}.` : ''}
+      Locales: ${escapeHtml(inventory.locales.join(', '))}.
+    </p>
+    ${piiFields.length === 0 ? '<p><em>No personal data found.</em></p>' : `
+      <div class="submissions-table-wrapper">
+        <table class="submissions-table">
+          <thead>
+            <tr>
+              <th>Field</th>
+              <th>PII Type</th>
+              <th>Submissions</th>
+              <th>First Seen</th>
+              <th>Last Seen</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${piiFields.map(entry => entry.types.map((type, i) => `
+              <tr>
+                <td>${i === 0 ? `<code>${escapeHtml(entry.field)}</code>` : ''}</td>
+                <td>${escapeHtml(type.type)}</td>
+                <td>${type.records} of ${entry.records}</td>
+                <td>${type.firstSeen ? formatDate(type.firstSeen) : '-'}</td>
+                <td>${type.lastSeen ? formatDate(type.lastSeen) : '-'}</td>
+              </tr>
+            `).join('')).join('')}
+          </tbody>
+        </table>
+      </div>
+    `}
+  `;
+  setSafeInnerHTML(document.getElementById('inventory-report'), html);
+}
+
+function exportDataInventory(format) {
+  const inventory = state.inventory;
+  if (!inventory) return;
+
+  const blob = format === 'csv'
+    ? new Blob([piiInventoryToCSV(inventory)], { type: 'text/csv' })
+    : new Blob([JSON.stringify(inventory, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `${inventory.formName || inventory.formId}-data-inventory-${Date.now()}.${format}`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
 // Create Form
 async function createForm() {
   const name = document.getElementById('form-name').value.trim();
   const piiStrip = document.getElementById('form-pii-strip').checked;
   const webhookUrl = document.getElementById('form-webhook').value.trim();
+  const keyAlgorithm = document.getElementById('form-key-algorithm').value;
 
   if (!name) {
     alert('Please enter a form name');
@@ -754,29 +1576,31 @@ async function createForm() {
   }
 
   try {
+    const formKey = state.masterKey ? await generateWrappedFormKey(keyAlgorithm) : null;
+
     const data = await api('/api/forms/', {
       method: 'POST',
       body: JSON.stringify({
         name,
+        keyAlgorithm,
         settings: {
           piiStrip,
           webhookUrl: webhookUrl || null
-        }
+        },
+        ...(formKey && { publicKey: formKey.publicKey, wrappedPrivateKey: formKey.wrappedPrivateKey })
       })
     });
 
     // Close create modal
     hide('create-form-modal');
 
-    // Show private key modal
-    document.getElementById('private-key-display').value = JSON.stringify(data.form.privateKey, null, 2);
-    show('private-key-modal');
-
     // Reset form
     document.getElementById('create-form-form').reset();
 
     // Reload forms list
     await loadForms();
+
+    await handleNewFormKey(data.form.id, data.form.privateKey || formKey.privateKey, !data.form.privateKey);
   } catch (err) {
     alert('Failed to create form: ' + err.message);
   }
@@ -805,6 +1629,47 @@ async function deleteForm(formId) {
   }
 }
 
+// Shred Form: destroys keys, then purges every submission, file and draft
+async function shredForm(formId) {
+  const form = state.forms.find(f => f.id === formId);
+  if (!form) return;
+
+  // The server can't open the vault; it is saved again without the keys below
+  if (!isKeyVaultUnlocked() && await fetchKeyVault().catch(() => null)) {
+    alert('Unlock your key vault first, so this form\'s keys are removed from it too.');
+    return;
+  }
+
+  const typed = prompt(
+    `Shredding "${form.name}" permanently erases all of its submissions, files and saved drafts, ` +
+    'and destroys its keys on this device, in your key vault and on the server. This cannot be undone.\n\n' +
+    `Type the form ID (${formId}) to confirm:`
+  );
+  if (typed === null) return;
+  if (typed.trim() !== formId) {
+    alert('Form ID did not match. Nothing was shredded.');
+    return;
+  }
+
+  try {
+    const data = await formsApi.shred(formId);
+
+    // Drop local copies of the keys too, then re-save the vault without them
+    forgetFormKeys(formId);
+    hide('form-detail');
+    document.getElementById('page-title').textContent = 'Forms';
+    await loadForms();
+    if (isKeyVaultUnlocked()) {
+      await syncKeyVault();
+    }
+
+    const { purged } = data.certificate;
+    showToast(`Form shredded: ${purged.blobs} stored items erased`, 'success');
+  } catch (err) {
+    alert('Failed to shred form: ' + err.message);
+  }
+}
+
 // Logout
 async function logout() {
   const token = localStorage.getItem('veilforms_token');
@@ -845,6 +1710,12 @@ function init() {
   // Load forms
   loadForms();
 
+  // Offer to unlock synced keys for this session
+  promptKeyVaultUnlock();
+
+  // Form keys are generated in the browser once a master key exists
+  refreshMasterKeyStatus().catch(err => console.error('Master key check failed:', err));
+
   // Event Listeners
 
   // Mobile menu toggle
@@ -872,6 +1743,9 @@ function init() {
 
   document.getElementById('submit-create-btn')?.addEventListener('click', createForm);
 
+  document.getElementById('export-inventory-json-btn')?.addEventListener('click', () => exportDataInventory('json'));
+  document.getElementById('export-inventory-csv-btn')?.addEventListener('click', () => exportDataInventory('csv'));
+
   document.querySelectorAll('.modal-backdrop, .modal-close').forEach(el => {
     el.addEventListener('click', () => {
       document.querySelectorAll('.modal').forEach(modal => {
@@ -924,12 +1798,19 @@ function init() {
   // Decrypt modal
   document.getElementById('decrypt-btn')?.addEventListener('click', () => {
     const keyText = document.getElementById('decrypt-key').value.trim();
+    let key;
     try {
-      const key = JSON.parse(keyText);
-      decryptSubmissions(key);
+      key = JSON.parse(keyText);
     } catch (err) {
       alert('Invalid private key format. Please paste a valid JWK.');
+      return;
+    }
+
+    if (document.getElementById('remember-key')?.checked && state.currentForm) {
+      saveFormKey(state.currentForm.id, key, { persist: false })
+        .catch(err => console.error('Failed to remember key:', err));
     }
+    decryptSubmissions(key);
   });
 
   document.querySelectorAll('.modal-close-btn').forEach(btn => {
@@ -1357,20 +2238,21 @@ function createFieldConfig(type) {
     config.stepDescription = '';
   }
 
-  // Initialize conditional logic structure
-  // SDK Note: The SDK should evaluate these conditions client-side to dynamically
-  // show/hide fields based on user input. Rules are evaluated in order, and the
-  // logic type ('all' = AND, 'any' = OR) determines how multiple rules combine.
+  // Conditional logic, evaluated by core/conditions.js in the SDK and the preview
   config.conditions = null;
 
   return config;
 }
 
 // Show Form Builder
-function showFormBuilder(formId, formName, existingFields = []) {
+function showFormBuilder(formId, formName, existingFields = [], schemaVersion = 1) {
   formBuilder.formId = formId;
   formBuilder.formName = formName;
-  formBuilder.fields = existingFields.length > 0 ? existingFields : [];
+  // Forms saved by an older builder are upgraded as they load
+  formBuilder.fields = upgradeFields(existingFields);
+  if (schemaVersion > FORM_SCHEMA_VERSION) {
+    showToast('This form was saved by a newer version of the builder. Some of its logic may not show here.', 'info');
+  }
   formBuilder.selectedFieldId = null;
   formBuilder.isDirty = false;
 
@@ -1760,8 +2642,76 @@ function renderFieldItem(field) {
   `;
 }
 
+const conditionOperatorLabels = {
+  equals: 'equals',
+  not_equals: 'not equals',
+  contains: 'contains',
+  is_empty: 'is empty',
+  is_not_empty: 'is not empty',
+  greater_than: 'is greater than',
+  less_than: 'is less than',
+  before: 'is before',
+  after: 'is after',
+  matches: 'matches pattern',
+  is_one_of: 'is one of',
+  contains_any: 'contains any of'
+};
+
+const conditionActionLabels = {
+  show: 'Show this field',
+  hide: 'Hide this field',
+  require: 'Require this field',
+  jump: 'Jump to a later page',
+  set_value: 'Set this field\'s value'
+};
+
+// Groups can hold groups, up to this many levels, e.g. (A and B) or C
+const MAX_CONDITION_DEPTH = 3;
+
+// Find a rule or group in a field's conditions by its path, e.g. '1.0'
+function getConditionEntry(conditions, path) {
+  if (path === '') return conditions;
+  return path.split('.').reduce((group, index) => group.rules[Number(index)], conditions);
+}
+
+// Render a group of condition rules; the conditions themselves are the top group
+function renderConditionGroup(group, path, currentFieldId) {
+  const depth = path === '' ? 1 : path.split('.').length + 1;
+
+  return `
+    <div class="condition-group" data-path="${path}">
+      ${path !== '' ? `
+        <div class="condition-group-header">
+          <select class="condition-logic" data-path="${path}">
+            <option value="all" ${group.logic === 'all' ? 'selected' : ''}>All of (AND)</option>
+            <option value="any" ${group.logic === 'any' ? 'selected' : ''}>Any of (OR)</option>
+          </select>
+          <button type="button" class="btn-remove-condition" data-path="${path}" aria-label="Remove group">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="14" height="14">
+              <line x1="18" y1="6" x2="6" y2="18"></line>
+              <line x1="6" y1="6" x2="18" y2="18"></line>
+            </svg>
+          </button>
+        </div>
+      ` : ''}
+      ${(group.rules || []).map((rule, index) => {
+        const rulePath = path === '' ? String(index) : `${path}.${index}`;
+        return Array.isArray(rule.rules)
+          ? renderConditionGroup(rule, rulePath, currentFieldId)
+          : renderConditionRule(rule, rulePath, currentFieldId);
+      }).join('')}
+      <div class="condition-group-actions">
+        <button type="button" class="btn-add-condition" data-path="${path}">+ Add Condition</button>
+        ${depth < MAX_CONDITION_DEPTH ? `
+          <button type="button" class="btn-add-condition-group" data-path="${path}">+ Add Group</button>
+        ` : ''}
+      </div>
+    </div>
+  `;
+}
+
 // Render a single condition rule
-function renderConditionRule(rule, index, currentFieldId) {
+function renderConditionRule(rule, path, currentFieldId) {
   // Get available fields (exclude current field and layout fields)
   const availableFields = formBuilder.fields.filter(f =>
     f.id !== currentFieldId &&
@@ -1769,24 +2719,55 @@ function renderConditionRule(rule, index, currentFieldId) {
     f.name
   );
 
-  // Determine operators based on field type
+  // Determine the value input from the operator and the field's type
   const targetField = formBuilder.fields.find(f => f.id === rule.field);
   const isOptionsField = targetField && fieldTypes[targetField.type]?.hasOptions;
-
-  const operators = [
-    { value: 'equals', label: 'equals' },
-    { value: 'not_equals', label: 'not equals' },
-    { value: 'contains', label: 'contains' },
-    { value: 'is_empty', label: 'is empty' },
-    { value: 'is_not_empty', label: 'is not empty' }
-  ];
-
-  const needsValue = rule.operator !== 'is_empty' && rule.operator !== 'is_not_empty';
+  const valueType = getOperatorValueType(rule.operator);
+  const listValue = Array.isArray(rule.value) ? rule.value : [];
+
+  let valueInput;
+  if (valueType === 'none') {
+    valueInput = `<span class="condition-value-placeholder"></span>`;
+  } else if (valueType === 'list' && isOptionsField) {
+    valueInput = `
+      <div class="condition-value-options">
+        ${(targetField.options || []).map(opt => `
+          <label class="property-checkbox">
+            <input type="checkbox" class="condition-value-option" data-path="${path}"
+              value="${escapeHtml(opt)}" ${listValue.includes(opt) ? 'checked' : ''}>
+            ${escapeHtml(opt)}
+          </label>
+        `).join('')}
+      </div>
+    `;
+  } else if (valueType === 'list') {
+    valueInput = `
+      <input type="text" class="condition-value" data-path="${path}" data-list="true"
+        value="${escapeHtml(listValue.join(', '))}" placeholder="Values, separated by commas">
+    `;
+  } else if (valueType === 'text' && isOptionsField) {
+    valueInput = `
+      <select class="condition-value" data-path="${path}">
+        <option value="">Select value...</option>
+        ${(targetField.options || []).map(opt => `
+          <option value="${escapeHtml(opt)}" ${rule.value === opt ? 'selected' : ''}>
+            ${escapeHtml(opt)}
+          </option>
+        `).join('')}
+      </select>
+    `;
+  } else {
+    const inputType = { number: 'number', date: 'date' }[valueType] || 'text';
+    valueInput = `
+      <input type="${inputType}" class="condition-value" data-path="${path}"
+        value="${escapeHtml(rule.value || '')}" placeholder="${valueType === 'pattern' ? 'Regular expression' : 'Value'}">
+    `;
+  }
 
   return `
-    <div class="condition-rule" data-index="${index}">
+    <div class="condition-rule" data-path="${path}">
       <div class="condition-rule-row">
-        <select class="condition-field" data-index="${index}">
+        <select class="condition-field" data-path="${path}">
           <option value="">Select field...</option>
           ${availableFields.map(f => `
             <option value="${f.id}" ${rule.field === f.id ? 'selected' : ''}>
@@ -1795,33 +2776,17 @@ function renderConditionRule(rule, index, currentFieldId) {
           `).join('')}
         </select>
 
-        <select class="condition-operator" data-index="${index}">
-          ${operators.map(op => `
-            <option value="${op.value}" ${rule.operator === op.value ? 'selected' : ''}>
-              ${op.label}
+        <select class="condition-operator" data-path="${path}">
+          ${CONDITION_OPERATORS.map(op => `
+            <option value="${op}" ${rule.operator === op ? 'selected' : ''}>
+              ${conditionOperatorLabels[op]}
             </option>
           `).join('')}
         </select>
 
-        ${needsValue ? `
-          ${isOptionsField ? `
-            <select class="condition-value" data-index="${index}">
-              <option value="">Select value...</option>
-              ${(targetField.options || []).map(opt => `
-                <option value="${escapeHtml(opt)}" ${rule.value === opt ? 'selected' : ''}>
-                  ${escapeHtml(opt)}
-                </option>
-              `).join('')}
-            </select>
-          ` : `
-            <input type="text" class="condition-value" data-index="${index}"
-              value="${escapeHtml(rule.value || '')}" placeholder="Value">
-          `}
-        ` : `
-          <span class="condition-value-placeholder"></span>
-        `}
-
-        <button type="button" class="btn-remove-condition" data-index="${index}">
+        ${valueInput}
+
+        <button type="button" class="btn-remove-condition" data-path="${path}" aria-label="Remove condition">
           <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="14" height="14">
             <line x1="18" y1="6" x2="6" y2="18"></line>
             <line x1="6" y1="6" x2="18" y2="18"></line>
@@ -1953,6 +2918,14 @@ function renderFieldProperties(field) {
     }
 
     // Conditional Logic Section
+    const fieldIndex = formBuilder.fields.indexOf(field);
+    const laterPages = formBuilder.fields.filter((f, i) => f.type === 'page_break' && i > fieldIndex);
+    const actions = Object.keys(conditionActionLabels).filter(action =>
+      (action !== 'require' || field.type !== 'hidden') &&
+      (action !== 'set_value' || field.type === 'hidden') &&
+      (action !== 'jump' || laterPages.length > 0 || field.conditions?.action === 'jump')
+    );
+
     html += `
       <div class="property-divider"></div>
       <div class="property-group">
@@ -1963,17 +2936,38 @@ function renderFieldProperties(field) {
             ${field.conditions ? 'Disable' : 'Enable'}
           </button>
         </label>
-        <small style="margin-bottom: 12px;">Show or hide this field based on other field values</small>
+        <small style="margin-bottom: 12px;">Show, hide or require this field, skip ahead or set a hidden value based on other field values</small>
 
         <div id="conditions-editor" style="display: ${field.conditions ? 'block' : 'none'};">
           <div class="property-group">
             <label>Action</label>
             <select id="conditions-action">
-              <option value="show" ${field.conditions?.action === 'show' ? 'selected' : ''}>Show this field</option>
-              <option value="hide" ${field.conditions?.action === 'hide' ? 'selected' : ''}>Hide this field</option>
+              ${actions.map(action => `
+                <option value="${action}" ${field.conditions?.action === action ? 'selected' : ''}>${conditionActionLabels[action]}</option>
+              `).join('')}
             </select>
           </div>
 
+          ${field.conditions?.action === 'jump' ? `
+            <div class="property-group">
+              <label>Go to</label>
+              <select id="conditions-target">
+                ${laterPages.map(page => `
+                  <option value="${page.id}" ${field.conditions.target === page.id ? 'selected' : ''}>${escapeHtml(page.stepTitle || 'Untitled page')}</option>
+                `).join('')}
+              </select>
+              <small>After this page, when the conditions match</small>
+            </div>
+          ` : ''}
+
+          ${field.conditions?.action === 'set_value' ? `
+            <div class="property-group">
+              <label>Value</label>
+              <input type="text" id="conditions-value" value="${escapeHtml(field.conditions.value || '')}">
+              <small>Sent instead of the default value when the conditions match</small>
+            </div>
+          ` : ''}
+
           <div class="property-group">
             <label>When</label>
             <select id="conditions-logic">
@@ -1985,11 +2979,8 @@ function renderFieldProperties(field) {
           <div class="property-group">
             <label>Conditions</label>
             <div id="conditions-rules">
-              ${field.conditions?.rules?.length > 0 ? field.conditions.rules.map((rule, index) =>
-                renderConditionRule(rule, index, field.id)
-              ).join('') : ''}
+              ${field.conditions ? renderConditionGroup(field.conditions, '', field.id) : ''}
             </div>
-            <button type="button" class="btn-add-condition" id="add-condition-btn">+ Add Condition</button>
           </div>
         </div>
       </div>
@@ -2139,6 +3130,110 @@ function attachPropertyListeners(field) {
     renderFieldProperties(field);
   });
 
+  // Conditional logic editor
+  const updateConditions = (rerender) => {
+    formBuilder.isDirty = true;
+    renderFormFields();
+    if (rerender) renderFieldProperties(field);
+  };
+
+  document.getElementById('toggle-conditions-btn')?.addEventListener('click', () => {
+    field.conditions = field.conditions ? null : createConditions();
+    updateConditions(true);
+  });
+
+  document.getElementById('conditions-action')?.addEventListener('change', (e) => {
+    const { conditions } = field;
+    conditions.action = e.target.value;
+    delete conditions.target;
+    delete conditions.value;
+    if (conditions.action === 'jump') {
+      const fieldIndex = formBuilder.fields.indexOf(field);
+      conditions.target = formBuilder.fields.find((f, i) => f.type === 'page_break' && i > fieldIndex)?.id;
+    } else if (conditions.action === 'set_value') {
+      conditions.value = '';
+    }
+    updateConditions(true);
+  });
+
+  document.getElementById('conditions-target')?.addEventListener('change', (e) => {
+    field.conditions.target = e.target.value;
+    updateConditions(false);
+  });
+
+  document.getElementById('conditions-value')?.addEventListener('input', (e) => {
+    field.conditions.value = e.target.value;
+    formBuilder.isDirty = true;
+  });
+
+  document.getElementById('conditions-logic')?.addEventListener('change', (e) => {
+    field.conditions.logic = e.target.value;
+    updateConditions(false);
+  });
+
+  const rulesEditor = document.getElementById('conditions-rules');
+  if (rulesEditor) {
+    const entryFor = (el) => getConditionEntry(field.conditions, el.dataset.path);
+    const ruleValue = (el) => (el.dataset.list
+      ? el.value.split(',').map(v => v.trim()).filter(Boolean)
+      : el.value);
+
+    rulesEditor.addEventListener('click', (e) => {
+      const btn = e.target.closest('button');
+      if (!btn) return;
+
+      if (btn.classList.contains('btn-add-condition')) {
+        entryFor(btn).rules.push({ field: '', operator: 'equals', value: '' });
+      } else if (btn.classList.contains('btn-add-condition-group')) {
+        entryFor(btn).rules.push({ logic: 'all', rules: [{ field: '', operator: 'equals', value: '' }] });
+      } else if (btn.classList.contains('btn-remove-condition')) {
+        const parts = btn.dataset.path.split('.');
+        const index = Number(parts.pop());
+        getConditionEntry(field.conditions, parts.join('.')).rules.splice(index, 1);
+      } else {
+        return;
+      }
+      updateConditions(true);
+    });
+
+    rulesEditor.addEventListener('change', (e) => {
+      const el = e.target;
+      const entry = entryFor(el);
+      if (el.classList.contains('condition-logic')) {
+        entry.logic = el.value;
+        updateConditions(false);
+      } else if (el.classList.contains('condition-field')) {
+        // The value choices depend on the field
+        entry.field = el.value;
+        entry.value = getOperatorValueType(entry.operator) === 'list' ? [] : '';
+        updateConditions(true);
+      } else if (el.classList.contains('condition-operator')) {
+        // Lists and single values don't convert into each other
+        const wasList = getOperatorValueType(entry.operator) === 'list';
+        entry.operator = el.value;
+        if ((getOperatorValueType(entry.operator) === 'list') !== wasList) {
+          entry.value = wasList ? '' : [];
+        }
+        updateConditions(true);
+      } else if (el.classList.contains('condition-value-option')) {
+        entry.value = [...rulesEditor.querySelectorAll(`.condition-value-option[data-path="${el.dataset.path}"]`)]
+          .filter(option => option.checked)
+          .map(option => option.value);
+        updateConditions(false);
+      } else if (el.classList.contains('condition-value')) {
+        entry.value = ruleValue(el);
+        updateConditions(false);
+      }
+    });
+
+    rulesEditor.addEventListener('input', (e) => {
+      if (e.target.classList.contains('condition-value')) {
+        entryFor(e.target).value = ruleValue(e.target);
+        formBuilder.isDirty = true;
+      }
+    });
+  }
+
   // Delete field button
   document.getElementById('delete-field-btn')?.addEventListener('click', () => {
     if (confirm('Delete this field?')) {
@@ -2176,71 +3271,24 @@ function showFormPreview() {
         Mobile
       </button>
     </div>
-    <div class="preview-wrapper">
-      <form class="preview-form">`;
-
-  // Generate form fields
-
-  formBuilder.fields.forEach(field => {
-    const typeConfig = fieldTypes[field.type];
-
-    if (field.type === 'heading') {
-      html += `<${field.level || 'h3'} class="preview-heading">${escapeHtml(field.content || '')}</${field.level || 'h3'}>`;
-    } else if (field.type === 'paragraph') {
-      html += `<p class="preview-paragraph">${escapeHtml(field.content || '')}</p>`;
-    } else if (field.type === 'divider') {
-      html += `<hr class="preview-divider">`;
-    } else if (field.type === 'hidden') {
-      // Don't show hidden fields in preview
-    } else {
-      html += `<div class="form-group">`;
-      html += `<label>${escapeHtml(field.label || 'Untitled')}${field.required ? ' <span style="color: var(--danger);">*</span>' : ''}</label>`;
-
-      switch (field.type) {
-        case 'text':
-        case 'email':
-        case 'phone':
-        case 'url':
-          html += `<input type="${field.type === 'phone' ? 'tel' : field.type}" name="${escapeHtml(field.name)}" placeholder="${escapeHtml(field.placeholder || '')}" ${field.required ? 'required' : ''}>`;
-          break;
-        case 'textarea':
-          html += `<textarea name="${escapeHtml(field.name)}" placeholder="${escapeHtml(field.placeholder || '')}" rows="4" ${field.required ? 'required' : ''}></textarea>`;
-          break;
-        case 'number':
-          html += `<input type="number" name="${escapeHtml(field.name)}" placeholder="${escapeHtml(field.placeholder || '')}" ${field.min ? `min="${field.min}"` : ''} ${field.max ? `max="${field.max}"` : ''} ${field.required ? 'required' : ''}>`;
-          break;
-        case 'date':
-          html += `<input type="date" name="${escapeHtml(field.name)}" ${field.min ? `min="${field.min}"` : ''} ${field.max ? `max="${field.max}"` : ''} ${field.required ? 'required' : ''}>`;
-          break;
-        case 'select':
-          html += `<select name="${escapeHtml(field.name)}" ${field.required ? 'required' : ''}>`;
-          html += `<option value="">Select...</option>`;
-          (field.options || []).forEach(opt => {
-            html += `<option value="${escapeHtml(opt)}">${escapeHtml(opt)}</option>`;
-          });
-          html += `</select>`;
-          break;
-        case 'checkbox':
-          (field.options || []).forEach(opt => {
-            html += `<label class="property-checkbox" style="margin-bottom: 8px;"><input type="checkbox" name="${escapeHtml(field.name)}[]" value="${escapeHtml(opt)}"> ${escapeHtml(opt)}</label>`;
-          });
-          break;
-        case 'radio':
-          (field.options || []).forEach((opt, i) => {
-            html += `<label class="property-checkbox" style="margin-bottom: 8px;"><input type="radio" name="${escapeHtml(field.name)}" value="${escapeHtml(opt)}" ${i === 0 && field.required ? 'required' : ''}> ${escapeHtml(opt)}</label>`;
-          });
-          break;
-      }
-
-      html += `</div>`;
-    }
-  });
-
-  html += '<button type="button" class="btn-submit-preview">Submit (Preview)</button>';
-  html += '</form></div>';
+    <div class="preview-wrapper"></div>`;
 
   // Use sanitized innerHTML for XSS protection
   setSafeInnerHTML(previewContainer, html);
+
+  // Drawn by the SDK's renderer, so pages and conditions behave as they will live
+  const form = renderForm({
+    formId: 'preview',
+    name: formBuilder.formName,
+    schemaVersion: FORM_SCHEMA_VERSION,
+    fields: formBuilder.fields
+  }, { submitLabel: 'Submit (Preview)' });
+  form.classList.add('preview-form');
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    showToast('Preview only: nothing was submitted', 'info');
+  });
+  previewContainer.querySelector('.preview-wrapper').append(form);
   show('form-preview-modal');
 
   // Add event listeners for view toggle
@@ -2319,7 +3367,8 @@ async function saveFormBuilder() {
     const response = await api(`/api/forms/${formBuilder.formId}`, {
       method: 'PUT',
       body: JSON.stringify({
-        fields: formBuilder.fields
+        fields: formBuilder.fields,
+        schemaVersion: FORM_SCHEMA_VERSION
       })
     });
 
@@ -2385,6 +3434,9 @@ async function showSettings() {
 
 // Load Settings
 async function loadSettings() {
+  refreshKeyVaultStatus();
+  renderMasterKeyStatus();
+
   // Populate email from stored user
   if (state.user) {
     document.getElementById('settings-email').value = state.user.email || '';
@@ -2583,11 +3635,88 @@ function initSettingsEvents() {
     show('import-keys-modal');
   });
 
+  // Switch the export between password and recovery shares
+  document.getElementById('export-use-shares')?.addEventListener('change', (e) => {
+    const useShares = e.target.checked;
+    document.getElementById('export-shares-options').style.display = useShares ? '' : 'none';
+    document.getElementById('export-password-group').style.display = useShares ? 'none' : '';
+    document.getElementById('export-password-confirm-group').style.display = useShares ? 'none' : '';
+  });
+
   // Confirm export keys
   document.getElementById('confirm-export-keys-btn')?.addEventListener('click', exportEncryptionKeys);
 
+  // Recovery shares modal
+  document.getElementById('copy-shares-btn')?.addEventListener('click', () => {
+    navigator.clipboard.writeText(document.getElementById('recovery-shares-display').value);
+    document.getElementById('copy-shares-btn').textContent = 'Copied!';
+    setTimeout(() => {
+      document.getElementById('copy-shares-btn').textContent = 'Copy to Clipboard';
+    }, 2000);
+  });
+
+  document.getElementById('print-shares-btn')?.addEventListener('click', printRecoveryShares);
+
+  document.getElementById('confirm-saved-shares')?.addEventListener('change', (e) => {
+    document.getElementById('close-shares-modal-btn').disabled = !e.target.checked;
+  });
+
+  document.getElementById('close-shares-modal-btn')?.addEventListener('click', () => {
+    hide('recovery-shares-modal');
+    document.getElementById('recovery-shares-display').value = '';
+    document.getElementById('confirm-saved-shares').checked = false;
+    document.getElementById('close-shares-modal-btn').disabled = true;
+  });
+
   // Confirm import keys
   document.getElementById('confirm-import-keys-btn')?.addEventListener('click', importEncryptionKeys);
+
+  // Account master key
+  document.getElementById('create-master-key-btn')?.addEventListener('click', createMasterKey);
+
+  document.getElementById('wrap-form-keys-btn')?.addEventListener('click', async () => {
+    try {
+      const count = await wrapStoredFormKeys();
+      showToast(count > 0 ? `${count} form key(s) are now covered by your master key` : 'All stored form keys are already covered', 'success');
+    } catch (err) {
+      alert('Failed to wrap form keys: ' + err.message);
+    }
+  });
+
+  // Key vault
+  document.getElementById('unlock-key-vault-btn')?.addEventListener('click', () => {
+    showKeyVaultModal('unlock');
+  });
+
+  document.getElementById('save-key-vault-btn')?.addEventListener('click', () => {
+    if (!state.keyVault) {
+      showKeyVaultModal('create');
+    } else if (!isKeyVaultUnlocked()) {
+      showKeyVaultModal('unlock');
+    } else {
+      syncKeyVault();
+    }
+  });
+
+  document.getElementById('lock-key-vault-btn')?.addEventListener('click', () => {
+    lockKeyVault();
+    renderKeyVaultStatus();
+    showToast('Key vault locked. Keys loaded from it were cleared from memory.', 'success');
+  });
+
+  document.getElementById('delete-key-vault-btn')?.addEventListener('click', async () => {
+    if (!confirm('Delete your key vault and its history from the server? Keys stored in this browser and in your exports are not affected.')) return;
+
+    try {
+      await deleteKeyVault();
+      await refreshKeyVaultStatus();
+      showToast('Key vault deleted', 'success');
+    } catch (err) {
+      alert('Failed to delete key vault: ' + err.message);
+    }
+  });
+
+  document.getElementById('confirm-key-vault-btn')?.addEventListener('click', confirmKeyVaultModal);
 }
 
 // =====================
@@ -2595,26 +3724,42 @@ function initSettingsEvents() {
 // =====================
 
 /**
- * Export encryption keys with password protection
+ * Export encryption keys with password protection or recovery shares
  */
 async function exportEncryptionKeys() {
+  const useShares = document.getElementById('export-use-shares').checked;
+  const useScrypt = document.getElementById('export-use-scrypt').checked;
   const password = document.getElementById('export-password').value;
   const passwordConfirm = document.getElementById('export-password-confirm').value;
+  const shareCount = parseInt(document.getElementById('export-share-count').value, 10);
+  const threshold = parseInt(document.getElementById('export-share-threshold').value, 10);
 
   // Validation
-  if (!password || !passwordConfirm) {
-    alert('Please enter a password');
-    return;
-  }
+  if (useShares) {
+    if (!(shareCount >= 2 && shareCount <= 255)) {
+      alert('Number of shares must be between 2 and 255');
+      return;
+    }
 
-  if (password !== passwordConfirm) {
-    alert('Passwords do not match');
-    return;
-  }
+    if (!(threshold >= 2 && threshold <= shareCount)) {
+      alert('Shares needed must be at least 2 and no more than the number of shares');
+      return;
+    }
+  } else {
+    if (!password || !passwordConfirm) {
+      alert('Please enter a password');
+      return;
+    }
 
-  if (password.length < 8) {
-    alert('Password must be at least 8 characters long');
-    return;
+    if (password !== passwordConfirm) {
+      alert('Passwords do not match');
+      return;
+    }
+
+    if (password.length < 8) {
+      alert('Password must be at least 8 characters long');
+      return;
+    }
   }
 
   try {
@@ -2627,41 +3772,43 @@ async function exportEncryptionKeys() {
       return;
     }
 
-    // Collect all private keys
-    const keyData = {
-      version: '1.0',
-      exportedAt: new Date().toISOString(),
-      keys: forms.filter(form => form.privateKey).map(form => ({
-        formId: form.id,
-        formName: form.name,
-        privateKey: form.privateKey
-      }))
-    };
+    // Collect all private keys stored in this browser, including retired ones
+    const keyData = await collectKeyData(forms);
 
     if (keyData.keys.length === 0) {
       alert('No private keys found in your forms');
       return;
     }
 
-    // Encrypt the key data with PBKDF2 + AES-GCM
-    const encryptedData = await encryptKeyExport(keyData, password);
+    // Encrypt the key data under a password-derived key (PBKDF2 or scrypt),
+    // or under a key split into shares
+    let encryptedData;
+    let shares = null;
+    if (useShares) {
+      ({ bundle: encryptedData, shares } = await exportPrivateKeysToShares(keyData, {
+        shares: shareCount,
+        threshold
+      }));
+    } else {
+      encryptedData = await exportPrivateKeys(keyData, password, useScrypt ? { kdf: 'scrypt' } : {});
+    }
 
-    // Download as file
-    const blob = new Blob([JSON.stringify(encryptedData, null, 2)], {
-      type: 'application/json'
-    });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `veilforms-keys-${Date.now()}.veilkeys`;
-    a.click();
-    URL.revokeObjectURL(url);
+    downloadKeyFile(encryptedData);
 
     // Close modal and reset
     hide('export-keys-modal');
     document.getElementById('export-password').value = '';
     document.getElementById('export-password-confirm').value = '';
 
+    if (shares) {
+      document.getElementById('recovery-shares-summary').textContent =
+        `Any ${threshold} of these ${shares.length} shares unlock the exported file. ` +
+        'Store each share with a different person or place.';
+      document.getElementById('recovery-shares-display').value = shares.join('\n');
+      show('recovery-shares-modal');
+      return;
+    }
+
     alert(`Successfully exported ${keyData.keys.length} encryption key(s)!`);
   } catch (err) {
     console.error('Key export error:', err);
@@ -2675,55 +3822,57 @@ async function exportEncryptionKeys() {
 async function importEncryptionKeys() {
   const fileInput = document.getElementById('import-file');
   const password = document.getElementById('import-password').value;
+  const shares = document.getElementById('import-shares').value
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean);
 
   if (!fileInput.files || fileInput.files.length === 0) {
     alert('Please select a key file to import');
     return;
   }
 
-  if (!password) {
-    alert('Please enter the decryption password');
-    return;
-  }
-
   try {
     // Read file
     const file = fileInput.files[0];
     const fileContent = await file.text();
     const encryptedData = JSON.parse(fileContent);
 
-    // Decrypt the key data
-    const keyData = await decryptKeyExport(encryptedData, password);
-
-    if (!keyData || !keyData.keys || !Array.isArray(keyData.keys)) {
-      throw new Error('Invalid key file format');
+    // Decrypt the key data with recovery shares or the password
+    let keyData;
+    if (encryptedData.algorithm === 'SHAMIR-AES-GCM-256') {
+      if (shares.length < encryptedData.threshold) {
+        alert(`This file needs ${encryptedData.threshold} recovery shares to unlock`);
+        return;
+      }
+      keyData = await importPrivateKeysFromShares(encryptedData, shares);
+    } else {
+      if (!password) {
+        alert('Please enter the decryption password');
+        return;
+      }
+      keyData = await importPrivateKeys(encryptedData, password);
     }
 
-    // NOTE: In a real implementation, you would need an API endpoint
-    // to update the form private keys. For now, we'll store them locally.
-
-    // For demonstration, we'll store in localStorage with a warning
-    const existingKeys = JSON.parse(localStorage.getItem('veilforms_imported_keys') || '{}');
-
-    keyData.keys.forEach(({ formId, formName, privateKey }) => {
-      existingKeys[formId] = {
-        formName,
-        privateKey,
-        importedAt: new Date().toISOString()
-      };
-    });
-
-    localStorage.setItem('veilforms_imported_keys', JSON.stringify(existingKeys));
+    // Keys are stored locally; use the key vault to sync them across devices
+    await restoreKeyData(keyData);
 
     // Close modal and reset
     hide('import-keys-modal');
     document.getElementById('import-file').value = '';
     document.getElementById('import-password').value = '';
+    document.getElementById('import-shares').value = '';
 
     alert(`Successfully imported ${keyData.keys.length} encryption key(s)!\n\nKeys are stored locally in your browser. You can now decrypt submissions.`);
+
+    // Older files use fewer PBKDF2 iterations and no format header
+    if (keyBundleNeedsUpgrade(encryptedData) &&
+        confirm('This key file uses an older, weaker format. Download a copy re-wrapped with the current format and the same password? Delete the old file afterwards.')) {
+      downloadKeyFile(await exportPrivateKeys(keyData, password));
+    }
   } catch (err) {
     console.error('Key import error:', err);
-    if (err.message.includes('decrypt')) {
+    if (err.message.includes('password')) {
       alert('Failed to import keys: Incorrect password or corrupted file');
     } else {
       alert('Failed to import keys: ' + err.message);
@@ -2732,112 +3881,321 @@ async function importEncryptionKeys() {
 }
 
 /**
- * Encrypt key export data using PBKDF2 + AES-GCM
+ * Download an encrypted key bundle as a .veilkeys file
  */
-async function encryptKeyExport(data, password) {
-  const encoder = new TextEncoder();
-  const passwordBytes = encoder.encode(password);
-
-  // Generate random salt
-  const salt = crypto.getRandomValues(new Uint8Array(16));
-
-  // Derive key from password using PBKDF2
-  const keyMaterial = await crypto.subtle.importKey(
-    'raw',
-    passwordBytes,
-    { name: 'PBKDF2' },
-    false,
-    ['deriveBits', 'deriveKey']
-  );
+function downloadKeyFile(bundle) {
+  const blob = new Blob([JSON.stringify(bundle, null, 2)], {
+    type: 'application/json'
+  });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `veilforms-keys-${Date.now()}.veilkeys`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
 
-  const derivedKey = await crypto.subtle.deriveKey(
-    {
-      name: 'PBKDF2',
-      salt,
-      iterations: 100000,
-      hash: 'SHA-256'
-    },
-    keyMaterial,
-    { name: 'AES-GCM', length: 256 },
-    false,
-    ['encrypt']
-  );
+// =====================
+// Account Master Key
+// =====================
 
-  // Generate random IV
-  const iv = crypto.getRandomValues(new Uint8Array(12));
-
-  // Encrypt the data
-  const plaintext = encoder.encode(JSON.stringify(data));
-  const ciphertext = await crypto.subtle.encrypt(
-    {
-      name: 'AES-GCM',
-      iv
-    },
-    derivedKey,
-    plaintext
-  );
+/**
+ * Reload the account master public key and update the settings panel
+ */
+async function refreshMasterKeyStatus() {
+  try {
+    state.masterKey = (await masterKeyApi.get()).masterKey;
+  } catch (err) {
+    if (err.status !== 404) throw err;
+    state.masterKey = null;
+  }
+  renderMasterKeyStatus();
+}
 
-  // Return encrypted package
-  return {
-    version: '1.0',
-    algorithm: 'PBKDF2-AES-GCM-256',
-    iterations: 100000,
-    salt: Array.from(salt),
-    iv: Array.from(iv),
-    ciphertext: Array.from(new Uint8Array(ciphertext))
-  };
+/**
+ * Update the master key settings panel from state
+ */
+function renderMasterKeyStatus() {
+  const status = document.getElementById('master-key-status');
+  if (!status) return;
+
+  const hasPrivateKey = !!getMasterKey();
+
+  if (!state.masterKey) {
+    status.textContent = 'No master key yet. Each form key has to be backed up separately.';
+  } else if (hasPrivateKey) {
+    status.textContent = `Master key ${state.masterKey.kid.slice(0, 12)}… is available in this browser. Form keys are unwrapped automatically.`;
+  } else {
+    status.textContent = 'This account has a master key, but this browser does not. Import your keys or unlock your key vault to use it.';
+  }
+
+  document.getElementById('create-master-key-btn').style.display = state.masterKey ? 'none' : '';
+  document.getElementById('wrap-form-keys-btn').style.display = state.masterKey && hasPrivateKey ? '' : 'none';
 }
 
 /**
- * Decrypt key export data
+ * Generate the account master key pair in this browser and register its public half
  */
-async function decryptKeyExport(encryptedData, password) {
-  if (encryptedData.version !== '1.0') {
-    throw new Error('Unsupported key file version');
-  }
-
-  const encoder = new TextEncoder();
-  const decoder = new TextDecoder();
-  const passwordBytes = encoder.encode(password);
-
-  // Convert arrays back to Uint8Array
-  const salt = new Uint8Array(encryptedData.salt);
-  const iv = new Uint8Array(encryptedData.iv);
-  const ciphertext = new Uint8Array(encryptedData.ciphertext);
-
-  // Derive key from password
-  const keyMaterial = await crypto.subtle.importKey(
-    'raw',
-    passwordBytes,
-    { name: 'PBKDF2' },
-    false,
-    ['deriveBits', 'deriveKey']
-  );
+async function createMasterKey() {
+  if (!confirm('Create an account master key? You will see its private key once and must back it up; it will unlock every form key.')) return;
 
-  const derivedKey = await crypto.subtle.deriveKey(
-    {
-      name: 'PBKDF2',
-      salt,
-      iterations: encryptedData.iterations,
-      hash: 'SHA-256'
-    },
-    keyMaterial,
-    { name: 'AES-GCM', length: 256 },
-    false,
-    ['decrypt']
-  );
+  try {
+    const { publicKey, privateKey } = await generateKeyPair();
+    const data = await masterKeyApi.create(publicKey);
 
-  // Decrypt the data
-  const plaintext = await crypto.subtle.decrypt(
-    {
-      name: 'AES-GCM',
-      iv
-    },
-    derivedKey,
-    ciphertext
-  );
+    state.masterKey = data.masterKey;
+    saveMasterKey(privateKey);
+
+    // Cover the keys of existing forms too
+    const wrappedCount = await wrapStoredFormKeys();
+
+    document.getElementById('private-key-display').value = JSON.stringify(privateKey, null, 2);
+    show('private-key-modal');
+    showToast(`Master key created. ${wrappedCount} existing form key(s) are now covered by it.`, 'success');
+
+    if (isKeyVaultUnlocked()) {
+      await syncKeyVault();
+    }
+  } catch (err) {
+    alert('Failed to create master key: ' + err.message);
+  }
+
+  renderMasterKeyStatus();
+}
+
+/**
+ * Wrap every form key stored in this browser for the master key and upload
+ * the wrapped copies, so forms created before the master key are covered
+ * @returns {Promise<number>} Number of keys wrapped
+ */
+async function wrapStoredFormKeys() {
+  let count = 0;
+
+  for (const form of state.forms) {
+    const { form: full } = await formsApi.get(form.id);
+    const keyring = full.keyring || [];
+
+    const wrappedKeys = [];
+    for (const { kid, privateKey } of await getFormKeys(form.id)) {
+      const entry = keyring.find(e => e.kid === kid);
+      if (entry && !entry.wrappedPrivateKey) {
+        wrappedKeys.push({ kid, wrappedPrivateKey: await wrapFormKey(privateKey, state.masterKey.publicKey) });
+      }
+    }
+
+    if (wrappedKeys.length > 0) {
+      await formsApi.addWrappedKeys(form.id, wrappedKeys);
+      count += wrappedKeys.length;
+    }
+  }
+
+  return count;
+}
+
+// With a master key, form keys are generated here and the server only ever
+// receives the public key and the wrapped private key
+async function generateWrappedFormKey(keyAlgorithm) {
+  const { publicKey, privateKey } = await generateKeyPair(keyAlgorithm);
+  const wrappedPrivateKey = await wrapFormKey(privateKey, state.masterKey.publicKey);
+  return { publicKey, privateKey, wrappedPrivateKey };
+}
+
+/**
+ * Make a newly generated form key available
+ * Wrapped keys are already backed up by the master key and only need keeping
+ * in memory; otherwise the owner must save the key now
+ * @param {string} formId - Form ID
+ * @param {Object} privateKey - Private key (JWK)
+ * @param {boolean} wrapped - Whether the server holds a wrapped copy
+ */
+async function handleNewFormKey(formId, privateKey, wrapped) {
+  if (wrapped) {
+    const form = state.forms.find(f => f.id === formId);
+    await saveFormKey(formId, privateKey, { formName: form?.name, persist: false });
+    showToast('Form key generated and backed up with your master key', 'success');
+  } else {
+    document.getElementById('private-key-display').value = JSON.stringify(privateKey, null, 2);
+    show('private-key-modal');
+  }
+
+  await addKeyToVault(formId, privateKey);
+}
+
+// =====================
+// Key Vault
+// =====================
+
+/**
+ * Ask for the vault passphrase after login if the account has a locked vault
+ */
+async function promptKeyVaultUnlock() {
+  try {
+    await refreshKeyVaultStatus();
+    if (state.keyVault && !isKeyVaultUnlocked()) {
+      showKeyVaultModal('unlock');
+    }
+  } catch (err) {
+    console.error('Key vault check failed:', err);
+  }
+}
+
+/**
+ * Reload vault metadata and update the settings panel
+ */
+async function refreshKeyVaultStatus() {
+  const vault = await fetchKeyVault();
+  state.keyVault = vault ? { revision: vault.revision, updatedAt: vault.updatedAt } : null;
+  renderKeyVaultStatus();
+}
+
+/**
+ * Update the key vault settings panel from state
+ */
+function renderKeyVaultStatus() {
+  const status = document.getElementById('key-vault-status');
+  if (!status) return;
+
+  const exists = !!state.keyVault;
+  const unlocked = isKeyVaultUnlocked();
+
+  if (!exists) {
+    status.textContent = 'No key vault yet. Save your keys to create one.';
+  } else if (unlocked) {
+    status.textContent = `Unlocked for this session. Last saved ${formatRelativeTime(state.keyVault.updatedAt)} (revision ${state.keyVault.revision}).`;
+  } else {
+    status.textContent = `Locked. Last saved ${formatRelativeTime(state.keyVault.updatedAt)}.`;
+  }
+
+  document.getElementById('unlock-key-vault-btn').style.display = exists && !unlocked ? '' : 'none';
+  document.getElementById('lock-key-vault-btn').style.display = unlocked ? '' : 'none';
+  document.getElementById('delete-key-vault-btn').style.display = exists ? '' : 'none';
+}
+
+/**
+ * Open the passphrase modal to unlock or create the vault
+ * @param {'unlock'|'create'} mode
+ */
+function showKeyVaultModal(mode) {
+  const creating = mode === 'create';
+  const modal = document.getElementById('key-vault-modal');
+  modal.dataset.mode = mode;
+
+  document.getElementById('key-vault-modal-title').textContent = creating ? 'Create Key Vault' : 'Unlock Key Vault';
+  document.getElementById('key-vault-modal-description').textContent = creating
+    ? 'Choose a vault passphrase. Your keys are encrypted with it in this browser before they are uploaded.'
+    : 'Enter your vault passphrase to load your keys into this session. Keys stay in memory and are forgotten when you close the tab.';
+  document.getElementById('key-vault-passphrase-confirm-group').style.display = creating ? '' : 'none';
+  document.getElementById('confirm-key-vault-btn').textContent = creating ? 'Create Vault' : 'Unlock';
+
+  show('key-vault-modal');
+  document.getElementById('key-vault-passphrase').focus();
+}
+
+/**
+ * Unlock or create the vault with the entered passphrase
+ */
+async function confirmKeyVaultModal() {
+  const mode = document.getElementById('key-vault-modal').dataset.mode;
+  const passphraseInput = document.getElementById('key-vault-passphrase');
+  const confirmInput = document.getElementById('key-vault-passphrase-confirm');
+  const passphrase = passphraseInput.value;
+
+  if (!passphrase) {
+    alert('Please enter your vault passphrase');
+    return;
+  }
+
+  if (mode === 'create' && passphrase !== confirmInput.value) {
+    alert('Passphrases do not match');
+    return;
+  }
+
+  try {
+    if (mode === 'create') {
+      await saveKeyVault(state.forms, passphrase);
+      showToast('Key vault created', 'success');
+    } else {
+      const count = await unlockKeyVault(passphrase);
+      showToast(`Unlocked ${count} key(s) from your vault`, 'success');
+
+      if (keyVaultHoldsShreddedKeys()) {
+        await saveKeyVault(state.forms);
+        showToast('Keys of shredded forms were removed from your vault', 'success');
+      }
+
+      if (isKeyVaultOutdated() &&
+          confirm('Your key vault uses an older, weaker format. Re-wrap it now with the current format? Your passphrase stays the same.')) {
+        await rewrapKeyVault(state.forms, passphrase);
+        showToast('Key vault re-wrapped', 'success');
+      }
+    }
+
+    hide('key-vault-modal');
+    passphraseInput.value = '';
+    confirmInput.value = '';
+    await refreshKeyVaultStatus();
+  } catch (err) {
+    console.error('Key vault error:', err);
+    alert(err.message.includes('password') ? 'Incorrect vault passphrase' : 'Key vault error: ' + err.message);
+  }
+}
+
+/**
+ * Save all keys for the user's forms to the unlocked vault
+ */
+async function syncKeyVault() {
+  try {
+    await saveKeyVault(state.forms);
+    await refreshKeyVaultStatus();
+    showToast('Keys saved to your vault', 'success');
+  } catch (err) {
+    console.error('Key vault sync error:', err);
+    alert('Failed to save keys to vault: ' + err.message);
+    await refreshKeyVaultStatus();
+  }
+}
+
+/**
+ * Add a newly generated form key to the vault when it is unlocked
+ * @param {string} formId - Form ID
+ * @param {Object} privateKey - Private key (JWK)
+ */
+async function addKeyToVault(formId, privateKey) {
+  if (!isKeyVaultUnlocked()) return;
+
+  const form = state.forms.find(f => f.id === formId);
+  await saveFormKey(formId, privateKey, { formName: form?.name, persist: false });
+  await syncKeyVault();
+}
+
+/**
+ * Print recovery shares, one per page, so each can be handed to a different holder
+ */
+function printRecoveryShares() {
+  const shares = document.getElementById('recovery-shares-display').value.split('\n');
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) {
+    alert('Allow pop-ups for this site to print your shares');
+    return;
+  }
+
+  const doc = printWindow.document;
+  doc.title = 'VeilForms Recovery Shares';
+  shares.forEach((share, i) => {
+    const page = doc.createElement('section');
+    page.style.pageBreakAfter = 'always';
+    const heading = doc.createElement('h1');
+    heading.textContent = `VeilForms Recovery Share ${i + 1} of ${shares.length}`;
+    const text = doc.createElement('pre');
+    text.style.whiteSpace = 'pre-wrap';
+    text.style.wordBreak = 'break-all';
+    text.textContent = share;
+    page.append(heading, text);
+    doc.body.append(page);
+  });
 
-  return JSON.parse(decoder.decode(plaintext));
+  printWindow.print();
+  printWindow.close();
 }
 
 // Delete Account
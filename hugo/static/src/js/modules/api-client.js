@@ -169,7 +169,14 @@ export const formsApi = {
   update: (id, data) => http.put(`/api/forms/${id}`, data),
   delete: (id) => http.delete(`/api/forms/${id}`),
   getStats: (id) => http.get(`/api/forms/${id}/stats`),
-  regenerateKeys: (id) => http.post(`/api/forms/${id}/regenerate-keys`)
+  regenerateKeys: (id, keys) => http.post(`/api/forms/${id}/regenerate-keys`, keys),
+  addWrappedKeys: (id, wrappedKeys) => http.post(`/api/forms/${id}/wrapped-keys`, { wrappedKeys }),
+  addRecipient: (id, publicKey, label) => http.post(`/api/forms/${id}/recipients`, { publicKey, label }),
+  removeRecipient: (id, kid) => http.delete(`/api/forms/${id}/recipients/${encodeURIComponent(kid)}`),
+  listInvites: (id) => http.get(`/api/forms/${id}/invites`),
+  addInvites: (id, nullifiers, label) => http.post(`/api/forms/${id}/invites`, { nullifiers, label }),
+  revokeInvites: (id, batchId) => http.delete(`/api/forms/${id}/invites/${encodeURIComponent(batchId)}`),
+  shred: (id) => http.post(`/api/forms/${id}/shred`, { confirm: id })
 };
 
 /**
@@ -181,10 +188,31 @@ export const submissionsApi = {
     return http.get(`/api/submissions/${formId}${query ? `?${query}` : ''}`);
   },
   get: (formId, submissionId) => http.get(`/api/submissions/${formId}/${submissionId}`),
+  replacePayload: (formId, submissionId, payload, previousKid) =>
+    http.put(`/api/submissions/${formId}/${submissionId}`, { payload, previousKid }),
   delete: (formId, submissionId) => http.delete(`/api/submissions/${formId}/${submissionId}`),
   deleteAll: (formId) => http.delete(`/api/submissions/${formId}`)
 };
 
+/**
+ * Encrypted file uploads
+ * Chunks come back as raw ciphertext and are decrypted in the browser
+ */
+export const uploadsApi = {
+  getChunk: async (formId, uploadId, index) => {
+    const response = await fetch(`${API_BASE}/api/uploads/${formId}/${uploadId}/chunks/${index}`, {
+      headers: { 'Authorization': `Bearer ${getToken()}` }
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new ApiError(data.error || `Request failed with status ${response.status}`, response.status, data);
+    }
+
+    return response.arrayBuffer();
+  }
+};
+
 /**
  * Auth-specific API methods
  */
@@ -207,6 +235,24 @@ export const apiKeysApi = {
   revoke: (id) => http.delete(`/api/api-keys/${id}`)
 };
 
+/**
+ * Key vault (passphrase-wrapped key bundles, opaque to the server)
+ */
+export const keyVaultApi = {
+  get: (revision) => http.get(`/api/key-vault/${revision ? `?revision=${revision}` : ''}`),
+  history: () => http.get('/api/key-vault/history'),
+  save: (bundle, expectedRevision) => http.put('/api/key-vault/', { bundle, expectedRevision }),
+  delete: () => http.delete('/api/key-vault/')
+};
+
+/**
+ * Account master key (public half only; the private key stays in the browser)
+ */
+export const masterKeyApi = {
+  get: () => http.get('/api/master-key/'),
+  create: (publicKey) => http.post('/api/master-key/', { publicKey })
+};
+
 /**
  * Audit logs
  */
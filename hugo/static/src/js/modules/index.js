@@ -9,8 +9,11 @@ export {
   http,
   formsApi,
   submissionsApi,
+  uploadsApi,
   authApi,
   apiKeysApi,
+  keyVaultApi,
+  masterKeyApi,
   auditApi,
   ApiError,
   getToken,
@@ -104,3 +107,36 @@ export {
   DOMPurify,
   configs as sanitizeConfigs
 } from './sanitize.js';
+
+// Local Private Key Store
+export {
+  saveFormKey,
+  getFormKeys,
+  selectKeysForPayload,
+  getIndexKey,
+  saveIndexKey,
+  getAllIndexKeys,
+  getPseudonymKey,
+  savePseudonymKey,
+  getAllPseudonymKeys,
+  collectKeyData,
+  restoreKeyData,
+  clearSessionKeys,
+  forgetFormKeys,
+  saveMasterKey,
+  getMasterKey,
+  unwrapFormKeys
+} from './key-store.js';
+
+// Key Vault
+export {
+  fetchKeyVault,
+  unlockKeyVault,
+  saveKeyVault,
+  lockKeyVault,
+  deleteKeyVault,
+  isKeyVaultUnlocked,
+  isKeyVaultOutdated,
+  keyVaultHoldsShreddedKeys,
+  rewrapKeyVault
+} from './key-vault.js';
@@ -0,0 +1,344 @@
+/**
+ * VeilForms - Local Private Key Store
+ * Keeps form private keys in the browser, indexed by key ID, so submissions
+ * encrypted before a key rotation can still be decrypted
+ */
+
+import { getKeyId, getKeyAlgorithm, unwrapFormKey, createKeyData, validateKeyData } from '../../core/encryption.js';
+
+const STORAGE_KEY = 'veilforms_imported_keys';
+const INDEX_STORAGE_KEY = 'veilforms_index_keys';
+const PSEUDONYM_STORAGE_KEY = 'veilforms_pseudonym_keys';
+const MASTER_KEY_STORAGE_KEY = 'veilforms_master_key';
+
+// Keys remembered for this session only (never persisted): formId -> Map(kid -> JWK)
+const sessionKeys = new Map();
+
+// Index keys remembered for this session only: formId -> index key
+const sessionIndexKeys = new Map();
+
+// Pseudonym keys remembered for this session only: formId -> pseudonym key
+const sessionPseudonymKeys = new Map();
+
+// Account master private key remembered for this session only
+let sessionMasterKey = null;
+
+/**
+ * Read the persisted key store
+ * Entries look like { formName, privateKey, keys: { [kid]: JWK }, importedAt };
+ * `privateKey` is the most recent key, kept for older readers
+ * @returns {Object} Store keyed by form ID
+ */
+function readStore() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Save a private key for a form
+ * @param {string} formId - Form ID
+ * @param {Object} privateKey - Private key (JWK format)
+ * @param {Object} options - { formName, persist } (persist: false keeps it in memory only)
+ * @returns {Promise<string>} Key ID of the saved key
+ */
+export async function saveFormKey(formId, privateKey, { formName, persist = true } = {}) {
+  const kid = await getKeyId(privateKey);
+
+  if (!persist) {
+    if (!sessionKeys.has(formId)) sessionKeys.set(formId, new Map());
+    sessionKeys.get(formId).set(kid, privateKey);
+    return kid;
+  }
+
+  const store = readStore();
+  const entry = store[formId] || {};
+  const keys = { ...entry.keys };
+
+  // Entries saved before keyrings hold a single key without an index
+  if (entry.privateKey && Object.keys(keys).length === 0) {
+    keys[await getKeyId(entry.privateKey)] = entry.privateKey;
+  }
+  keys[kid] = privateKey;
+
+  store[formId] = {
+    formName: formName || entry.formName,
+    privateKey,
+    keys,
+    importedAt: new Date().toISOString()
+  };
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+
+  return kid;
+}
+
+/**
+ * Get every private key known for a form
+ * @param {string} formId - Form ID
+ * @returns {Promise<Array<{ kid: string, privateKey: Object }>>}
+ */
+export async function getFormKeys(formId) {
+  const found = new Map(sessionKeys.get(formId) || []);
+  const entry = readStore()[formId];
+
+  if (entry) {
+    for (const [kid, privateKey] of Object.entries(entry.keys || {})) {
+      found.set(kid, privateKey);
+    }
+    if (entry.privateKey) {
+      found.set(await getKeyId(entry.privateKey), entry.privateKey);
+    }
+  }
+
+  return Array.from(found, ([kid, privateKey]) => ({ kid, privateKey }));
+}
+
+/**
+ * Order candidate keys for a submission payload
+ * Keys whose ID the payload names come first; payloads stored before key IDs
+ * existed could be for any key, so all keys are returned for those
+ * @param {Object} payload - Encrypted submission payload
+ * @param {Array<{ kid: string, privateKey: Object }>} keys - Known keys
+ * @returns {Array<{ kid: string, privateKey: Object }>}
+ */
+export function selectKeysForPayload(payload, keys) {
+  const payloadKids = Array.isArray(payload?.recipients)
+    ? payload.recipients.map(r => r.kid)
+    : [payload?.kid].filter(Boolean);
+
+  if (payloadKids.length === 0) {
+    return keys;
+  }
+
+  return keys.filter(key => payloadKids.includes(key.kid));
+}
+
+/**
+ * Get the blind index key for a form
+ * @param {string} formId - Form ID
+ * @returns {string|null} Index key, or null if this browser has none
+ */
+export function getIndexKey(formId) {
+  return getAllIndexKeys()[formId] || null;
+}
+
+/**
+ * Save the blind index key for a form
+ * @param {string} formId - Form ID
+ * @param {string} indexKey - Key from generateIndexKey
+ * @param {Object} options - { persist } (persist: false keeps it in memory only)
+ */
+export function saveIndexKey(formId, indexKey, { persist = true } = {}) {
+  if (!persist) {
+    sessionIndexKeys.set(formId, indexKey);
+    return;
+  }
+
+  const keys = getAllIndexKeys();
+  keys[formId] = indexKey;
+  localStorage.setItem(INDEX_STORAGE_KEY, JSON.stringify(keys));
+}
+
+/**
+ * Get every stored blind index key (for key export)
+ * @returns {Object} Map of form ID to index key
+ */
+export function getAllIndexKeys() {
+  let stored = {};
+  try {
+    stored = JSON.parse(localStorage.getItem(INDEX_STORAGE_KEY) || '{}');
+  } catch {
+    stored = {};
+  }
+  return { ...Object.fromEntries(sessionIndexKeys), ...stored };
+}
+
+/**
+ * Get the PII pseudonym key for a form
+ * @param {string} formId - Form ID
+ * @returns {string|null} Pseudonym key, or null if this browser has none
+ */
+export function getPseudonymKey(formId) {
+  return getAllPseudonymKeys()[formId] || null;
+}
+
+/**
+ * Save the PII pseudonym key for a form
+ * @param {string} formId - Form ID
+ * @param {string} pseudonymKey - Key from generatePseudonymKey
+ * @param {Object} options - { persist } (persist: false keeps it in memory only)
+ */
+export function savePseudonymKey(formId, pseudonymKey, { persist = true } = {}) {
+  if (!persist) {
+    sessionPseudonymKeys.set(formId, pseudonymKey);
+    return;
+  }
+
+  const keys = getAllPseudonymKeys();
+  keys[formId] = pseudonymKey;
+  localStorage.setItem(PSEUDONYM_STORAGE_KEY, JSON.stringify(keys));
+}
+
+/**
+ * Get every stored PII pseudonym key (for key export)
+ * @returns {Object} Map of form ID to pseudonym key
+ */
+export function getAllPseudonymKeys() {
+  let stored = {};
+  try {
+    stored = JSON.parse(localStorage.getItem(PSEUDONYM_STORAGE_KEY) || '{}');
+  } catch {
+    stored = {};
+  }
+  return { ...Object.fromEntries(sessionPseudonymKeys), ...stored };
+}
+
+/**
+ * Collect every key known for the given forms into an export document
+ * This is the plaintext inside `.veilkeys` files and the key vault
+ * @param {Array<{ id: string, name: string }>} forms - Forms to include
+ * @returns {Promise<Object>} { version, exportedAt, keys: [{ formId, formName, kid, algorithm, privateKey }], indexKeys, pseudonymKeys }
+ */
+export async function collectKeyData(forms) {
+  const keys = [];
+  for (const form of forms) {
+    for (const { kid, privateKey } of await getFormKeys(form.id)) {
+      keys.push({ formId: form.id, formName: form.name, kid, algorithm: getKeyAlgorithm(privateKey), privateKey });
+    }
+  }
+
+  const allIndexKeys = getAllIndexKeys();
+  const allPseudonymKeys = getAllPseudonymKeys();
+  const indexKeys = {};
+  const pseudonymKeys = {};
+  for (const form of forms) {
+    if (allIndexKeys[form.id]) indexKeys[form.id] = allIndexKeys[form.id];
+    if (allPseudonymKeys[form.id]) pseudonymKeys[form.id] = allPseudonymKeys[form.id];
+  }
+
+  return createKeyData({ keys, indexKeys, pseudonymKeys, masterKey: getMasterKey() });
+}
+
+/**
+ * Load an export document from collectKeyData back into the store
+ * @param {Object} keyData - Decrypted export document
+ * @param {Object} options - { persist } (persist: false keeps keys in memory only)
+ * @returns {Promise<number>} Number of private keys loaded
+ */
+export async function restoreKeyData(keyData, { persist = true } = {}) {
+  // Check every key first so a file with an unusable key loads nothing
+  validateKeyData(keyData);
+
+  // Keys are indexed by key ID, so older keys of a rotated form are kept
+  for (const { formId, formName, privateKey } of keyData.keys) {
+    await saveFormKey(formId, privateKey, { formName, persist });
+  }
+
+  for (const [formId, indexKey] of Object.entries(keyData.indexKeys || {})) {
+    saveIndexKey(formId, indexKey, { persist });
+  }
+
+  for (const [formId, pseudonymKey] of Object.entries(keyData.pseudonymKeys || {})) {
+    savePseudonymKey(formId, pseudonymKey, { persist });
+  }
+
+  if (keyData.masterKey) {
+    saveMasterKey(keyData.masterKey, { persist });
+  }
+
+  return keyData.keys.length;
+}
+
+/**
+ * Save the account master private key
+ * @param {Object} privateKey - Master private key (JWK format)
+ * @param {Object} options - { persist } (persist: false keeps it in memory only)
+ */
+export function saveMasterKey(privateKey, { persist = true } = {}) {
+  if (!persist) {
+    sessionMasterKey = privateKey;
+    return;
+  }
+  localStorage.setItem(MASTER_KEY_STORAGE_KEY, JSON.stringify(privateKey));
+}
+
+/**
+ * Get the account master private key
+ * @returns {Object|null} Master private key, or null if this browser has none
+ */
+export function getMasterKey() {
+  if (sessionMasterKey) return sessionMasterKey;
+  try {
+    return JSON.parse(localStorage.getItem(MASTER_KEY_STORAGE_KEY) || 'null');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Unwrap a form's server-stored keys with the master key into memory
+ * Keys already known to this browser are skipped
+ * @param {Object} form - Form with its keyring (from GET /api/forms/:id)
+ * @returns {Promise<number>} Number of keys unwrapped
+ */
+export async function unwrapFormKeys(form) {
+  const masterKey = getMasterKey();
+  if (!masterKey) return 0;
+
+  const known = new Set((await getFormKeys(form.id)).map(key => key.kid));
+  let count = 0;
+
+  for (const entry of form.keyring || []) {
+    if (!entry.wrappedPrivateKey || known.has(entry.kid)) continue;
+
+    try {
+      const privateKey = await unwrapFormKey(entry.wrappedPrivateKey, masterKey, entry.kid);
+      await saveFormKey(form.id, privateKey, { formName: form.name, persist: false });
+      count++;
+    } catch (err) {
+      // Wrapped for another master key, or tampered with; other keys may still open
+      console.warn(`Could not unwrap key ${entry.kid} of form ${form.id}:`, err.message);
+    }
+  }
+
+  return count;
+}
+
+/**
+ * Forget every key held for a form, persisted or not
+ * Used after a form is shredded; its keys must not outlive its data
+ * @param {string} formId - Form ID
+ */
+export function forgetFormKeys(formId) {
+  sessionKeys.delete(formId);
+  sessionIndexKeys.delete(formId);
+  sessionPseudonymKeys.delete(formId);
+
+  const store = readStore();
+  delete store[formId];
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+
+  // Read the persisted keys directly: getAllIndexKeys and
+  // getAllPseudonymKeys include session ones
+  for (const storageKey of [INDEX_STORAGE_KEY, PSEUDONYM_STORAGE_KEY]) {
+    try {
+      const keys = JSON.parse(localStorage.getItem(storageKey) || '{}');
+      delete keys[formId];
+      localStorage.setItem(storageKey, JSON.stringify(keys));
+    } catch {
+      localStorage.removeItem(storageKey);
+    }
+  }
+}
+
+/**
+ * Forget every key held in memory for this session
+ */
+export function clearSessionKeys() {
+  sessionKeys.clear();
+  sessionIndexKeys.clear();
+  sessionPseudonymKeys.clear();
+  sessionMasterKey = null;
+}
@@ -0,0 +1,155 @@
+/**
+ * VeilForms - Key Vault Client
+ * Syncs private keys across devices through the server-side vault. Keys are
+ * wrapped with a passphrase-derived key in this browser before upload, and
+ * unlocked keys are held in memory only
+ */
+
+import { createKeyWrap, wrapPrivateKeys, unwrapPrivateKeys, keyBundleNeedsUpgrade } from '../../core/encryption.js';
+import { keyVaultApi } from './api-client.js';
+import { collectKeyData, restoreKeyData, clearSessionKeys, forgetFormKeys } from './key-store.js';
+
+const MIN_PASSPHRASE_LENGTH = 12;
+
+// Set while unlocked: { wrap, revision, outdated, holdsShreddedKeys }. The
+// wrapping key is non-extractable and the passphrase itself is not kept
+let unlocked = null;
+
+/**
+ * Get the current vault, if the account has one
+ * @returns {Promise<Object|null>} { revision, bundle, createdAt, updatedAt }
+ */
+export async function fetchKeyVault() {
+  try {
+    const data = await keyVaultApi.get();
+    return data.vault;
+  } catch (err) {
+    if (err.status === 404) return null;
+    throw err;
+  }
+}
+
+/**
+ * Unlock the vault and load its keys into memory
+ * @param {string} passphrase - Vault passphrase
+ * @returns {Promise<number>} Number of private keys unlocked
+ */
+export async function unlockKeyVault(passphrase) {
+  const vault = await fetchKeyVault();
+  if (!vault) {
+    throw new Error('No key vault set up for this account');
+  }
+
+  const wrap = await createKeyWrap(passphrase, vault.bundle);
+  const keyData = await unwrapPrivateKeys(vault.bundle, wrap);
+  const count = await restoreKeyData(keyData, { persist: false });
+
+  // Forms shredded since the vault was last saved: their keys must not be
+  // used, and the vault must be saved again without them
+  const shreddedForms = vault.shreddedForms || [];
+  shreddedForms.forEach(formId => forgetFormKeys(formId));
+
+  unlocked = {
+    wrap,
+    revision: vault.revision,
+    outdated: keyBundleNeedsUpgrade(vault.bundle),
+    holdsShreddedKeys: shreddedForms.length > 0
+  };
+  return count;
+}
+
+/**
+ * Whether the unlocked vault still holds keys of shredded forms
+ * Saving replaces that revision without keeping a copy
+ * @returns {boolean}
+ */
+export function keyVaultHoldsShreddedKeys() {
+  return unlocked?.holdsShreddedKeys === true;
+}
+
+/**
+ * Whether the unlocked vault uses an older bundle format or weaker KDF
+ * settings than new vaults get
+ * @returns {boolean}
+ */
+export function isKeyVaultOutdated() {
+  return unlocked?.outdated === true;
+}
+
+/**
+ * Re-wrap the unlocked vault under the current bundle format and KDF defaults
+ * Saving normally keeps the vault's existing KDF settings, so this needs the
+ * passphrase again to derive a fresh wrapping key
+ * @param {Array<{ id: string, name: string }>} forms - Forms whose keys to save
+ * @param {string} passphrase - Vault passphrase
+ * @returns {Promise<number>} New vault revision
+ */
+export async function rewrapKeyVault(forms, passphrase) {
+  if (!unlocked) {
+    throw new Error('Unlock the key vault before re-wrapping it');
+  }
+
+  unlocked = { ...unlocked, wrap: await createKeyWrap(passphrase), outdated: false };
+  return saveKeyVault(forms);
+}
+
+/**
+ * Save every key this browser knows for the given forms to the vault
+ * Needs the passphrase when the vault is locked or being created
+ * @param {Array<{ id: string, name: string }>} forms - Forms whose keys to save
+ * @param {string} [passphrase] - Passphrase for a new vault
+ * @returns {Promise<number>} New vault revision
+ */
+export async function saveKeyVault(forms, passphrase) {
+  let session = unlocked;
+
+  if (!session) {
+    if (await fetchKeyVault()) {
+      throw new Error('Unlock the key vault before saving to it');
+    }
+    if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      throw new Error(`Vault passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    }
+    session = { wrap: await createKeyWrap(passphrase), revision: 0 };
+  }
+
+  const keyData = await collectKeyData(forms);
+  const bundle = await wrapPrivateKeys(keyData, session.wrap);
+
+  try {
+    const data = await keyVaultApi.save(bundle, session.revision);
+    unlocked = { ...session, revision: data.revision, holdsShreddedKeys: false };
+    return data.revision;
+  } catch (err) {
+    // Another device saved first; unlocking again merges its keys with ours
+    if (err.status === 409) {
+      unlocked = null;
+      throw new Error('The key vault was changed on another device. Unlock it again, then save.');
+    }
+    throw err;
+  }
+}
+
+/**
+ * Forget the unlocked vault and the keys it loaded into memory
+ */
+export function lockKeyVault() {
+  unlocked = null;
+  clearSessionKeys();
+}
+
+/**
+ * Delete the vault and its history from the server
+ */
+export async function deleteKeyVault() {
+  await keyVaultApi.delete();
+  unlocked = null;
+}
+
+/**
+ * Whether the vault is unlocked in this session
+ * @returns {boolean}
+ */
+export function isKeyVaultUnlocked() {
+  return unlocked !== null;
+}
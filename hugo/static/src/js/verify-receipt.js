@@ -0,0 +1,70 @@
+// VeilForms Receipt Verification JavaScript
+// Receipts are checked in the browser against the published verification keys
+
+import { verifyReceipt } from '../core/receipts.js';
+
+const form = document.getElementById('receipt-form');
+const receiptInput = document.getElementById('receipt-input');
+const keyInput = document.getElementById('receipt-key-input');
+const errorEl = document.getElementById('receipt-error');
+const successEl = document.getElementById('receipt-success');
+const detailsEl = document.getElementById('receipt-details');
+const verifyBtn = document.getElementById('receipt-verify-btn');
+
+function showError(message) {
+  errorEl.textContent = message;
+  errorEl.classList.add('show');
+}
+
+function resetResult() {
+  errorEl.classList.remove('show');
+  successEl.classList.remove('show');
+  detailsEl.style.display = 'none';
+}
+
+function parseJson(text, what) {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`The ${what} is not valid JSON.`);
+  }
+}
+
+// A pasted key is used as given; otherwise fetch the published keys
+async function getVerificationKeys() {
+  const pasted = keyInput.value.trim();
+  if (pasted) {
+    const key = parseJson(pasted, 'verification key');
+    return Array.isArray(key) ? key : [key];
+  }
+
+  const response = await fetch('/api/receipt-keys');
+  if (!response.ok) {
+    throw new Error('Could not load the published verification keys. Paste a key instead.');
+  }
+  const data = await response.json();
+  return data.keys;
+}
+
+form.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  resetResult();
+  verifyBtn.disabled = true;
+
+  try {
+    const receipt = parseJson(receiptInput.value.trim(), 'receipt');
+    const verified = await verifyReceipt(receipt, await getVerificationKeys());
+
+    document.getElementById('receipt-received').textContent = new Date(verified.receivedAt).toUTCString();
+    document.getElementById('receipt-form-id').textContent = verified.formId;
+    document.getElementById('receipt-submission-id').textContent = verified.submissionId;
+    document.getElementById('receipt-kid').textContent = verified.kid;
+
+    successEl.classList.add('show');
+    detailsEl.style.display = 'block';
+  } catch (err) {
+    showError(err.message);
+  } finally {
+    verifyBtn.disabled = false;
+  }
+});